@@ -12,19 +12,27 @@ public class JournalApiController
     private readonly ILogger<JournalApiController> _logger;
     private readonly AppSettings _settings;
     private readonly EventMappingService _eventMappingService;
+    private readonly LiveEventStreamService _liveEventStream;
+    private readonly JournalReplayService _replay;
+    private readonly ContextualIntelligenceService _contextualIntelligence;
     private static readonly List<JournalEvent> RecentEvents = new();
     private static readonly object EventsLock = new object();
-    
-    // Replay functionality
-    private static CancellationTokenSource? _replayTokenSource;
-    private static Task? _replayTask;
-    private static readonly object ReplayLock = new object();
 
-    public JournalApiController(ILogger<JournalApiController> logger, AppSettings settings, EventMappingService eventMappingService)
+    private const long MaxJournalUploadBytes = 50 * 1024 * 1024;
+
+    private static readonly JsonSerializerOptions ReplayRequestOptions = new()
+    {
+        PropertyNameCaseInsensitive = true
+    };
+
+    public JournalApiController(ILogger<JournalApiController> logger, AppSettings settings, EventMappingService eventMappingService, LiveEventStreamService liveEventStream, JournalReplayService replay, ContextualIntelligenceService contextualIntelligence)
     {
         _logger = logger;
         _settings = settings;
         _eventMappingService = eventMappingService;
+        _liveEventStream = liveEventStream;
+        _replay = replay;
+        _contextualIntelligence = contextualIntelligence;
     }
 
     public async Task GetJournalStatus(HttpContext context)
@@ -144,6 +152,7 @@ public class JournalApiController
             _settings.EliteDangerous.JournalPath = journalPath;
             
             _logger.LogInformation("Journal path updated to: {JournalPath}", journalPath);
+            _liveEventStream.PublishStatus();
 
             context.Response.ContentType = "application/json";
             await context.Response.WriteAsync(JsonSerializer.Serialize(new 
@@ -221,6 +230,41 @@ public class JournalApiController
         }
     }
 
+    public async Task GetHapticActivity(HttpContext context)
+    {
+        try
+        {
+            var minutes = 5; // Default window
+            if (context.Request.Query.ContainsKey("minutes"))
+            {
+                if (int.TryParse(context.Request.Query["minutes"], out int requestedMinutes))
+                {
+                    minutes = Math.Min(Math.Max(requestedMinutes, 1), 10); // Between 1 and 10
+                }
+            }
+
+            context.Response.ContentType = "application/json";
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new
+            {
+                events = _liveEventStream.GetHistory(TimeSpan.FromMinutes(minutes)),
+                minutes = minutes,
+                server_time = DateTime.UtcNow
+            }));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting haptic activity");
+            context.Response.StatusCode = 500;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = ex.Message }));
+        }
+    }
+
+    public async Task StreamJournalEvents(HttpContext context)
+    {
+        // Long-lived response; returns when the client disconnects
+        await _liveEventStream.StreamAsync(context);
+    }
+
     public static void AddRecentEvent(JournalEvent journalEvent)
     {
         lock (EventsLock)
@@ -255,69 +299,34 @@ public class JournalApiController
     {
         try
         {
-            // Parse request body to get journal file selection
-            string? selectedJournalFile = null;
-            if (context.Request.ContentLength > 0)
-            {
-                using var reader = new StreamReader(context.Request.Body);
-                var json = await reader.ReadToEndAsync();
-                if (!string.IsNullOrEmpty(json))
-                {
-                    var requestData = JsonSerializer.Deserialize<Dictionary<string, object>>(json);
-                    if (requestData != null && requestData.ContainsKey("journalFile"))
-                    {
-                        selectedJournalFile = requestData["journalFile"].ToString();
-                    }
-                }
-            }
+            var request = await ReadReplayRequestAsync(context);
+            var selectedJournalFile = request.JournalFile;
 
-            // Get events from the selected journal file or fallback to recent events (outside of lock)
+            // Replay the whole selected journal file, or fall back to the recent events kept in memory
             List<JournalEvent> eventsToReplay;
             if (!string.IsNullOrEmpty(selectedJournalFile))
             {
-                eventsToReplay = await ReadLastFiveMinutesFromJournalFile(selectedJournalFile);
+                eventsToReplay = await ReadJournalFile(selectedJournalFile);
             }
             else
             {
-                // Fallback to recent events from memory (last 5 minutes of real time)
-                var cutoffTime = DateTime.UtcNow.AddMinutes(-5);
                 lock (EventsLock)
                 {
-                    eventsToReplay = RecentEvents
-                        .Where(e => e.Timestamp >= cutoffTime)
-                        .OrderBy(e => e.Timestamp)
-                        .ToList();
+                    eventsToReplay = RecentEvents.ToList();
                 }
             }
-            
-            // Now handle replay start/stop in lock
-            lock (ReplayLock)
-            {
-                // Stop any existing replay
-                if (_replayTokenSource != null && !_replayTokenSource.Token.IsCancellationRequested)
-                {
-                    _replayTokenSource.Cancel();
-                    _replayTask?.Wait(TimeSpan.FromSeconds(2));
-                }
 
-                if (eventsToReplay.Any())
-                {
-                    // Start new replay
-                    _replayTokenSource = new CancellationTokenSource();
-                    _replayTask = Task.Run(async () => await ReplayEventsAsync(eventsToReplay, _replayTokenSource.Token));
+            var source = !string.IsNullOrEmpty(selectedJournalFile) ? Path.GetFileName(selectedJournalFile) : "recent_events";
+            var eventsInRange = _replay.Load(eventsToReplay, source, request.Start, request.End, request.Speed, request.Loop ?? false);
 
-                    _logger.LogInformation("Started journal replay with {Count} events from {Source}", 
-                        eventsToReplay.Count, 
-                        !string.IsNullOrEmpty(selectedJournalFile) ? selectedJournalFile : "recent events");
-                }
-            }
-            
-            if (!eventsToReplay.Any())
+            if (eventsInRange == 0)
             {
                 context.Response.StatusCode = 404;
-                var errorMessage = !string.IsNullOrEmpty(selectedJournalFile) 
-                    ? $"No events found in the last 5 minutes of journal file: {selectedJournalFile}"
-                    : "No events found in the last 5 minutes";
+                var errorMessage = eventsToReplay.Any()
+                    ? "No events found in the selected time range"
+                    : !string.IsNullOrEmpty(selectedJournalFile)
+                        ? $"No events found in journal file: {selectedJournalFile}"
+                        : "No recent events in memory";
                 await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = errorMessage }));
                 return;
             }
@@ -326,11 +335,17 @@ public class JournalApiController
             await context.Response.WriteAsync(JsonSerializer.Serialize(new 
             { 
                 success = true,
-                message = $"Journal replay started from {(!string.IsNullOrEmpty(selectedJournalFile) ? Path.GetFileName(selectedJournalFile) : "recent events")}",
-                events_count = eventsToReplay.Count,
-                source = !string.IsNullOrEmpty(selectedJournalFile) ? Path.GetFileName(selectedJournalFile) : "recent_events"
+                message = $"Journal replay started from {(!string.IsNullOrEmpty(selectedJournalFile) ? source : "recent events")}",
+                events_count = eventsInRange,
+                source = source,
+                status = _replay.GetStatus().ToPayload()
             }));
         }
+        catch (JsonException ex)
+        {
+            context.Response.StatusCode = 400;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = $"Invalid replay request: {ex.Message}" }));
+        }
         catch (Exception ex)
         {
             _logger.LogError(ex, "Error starting journal replay");
@@ -339,58 +354,235 @@ public class JournalApiController
         }
     }
 
-    public async Task StopJournalReplay(HttpContext context)
+    // Replays a journal uploaded from the browser (multipart "file") or pasted as JSON lines
+    // ({ "content": ... }); the configured journal folder is left alone
+    public async Task UploadJournalReplay(HttpContext context)
     {
         try
         {
-            lock (ReplayLock)
+            string content;
+            string source;
+            ReplayRequest request;
+
+            if (context.Request.HasFormContentType)
             {
-                if (_replayTokenSource != null && !_replayTokenSource.Token.IsCancellationRequested)
+                var form = await context.Request.ReadFormAsync();
+                var file = form.Files.GetFile("file");
+                if (file == null || file.Length == 0)
+                {
+                    context.Response.StatusCode = 400;
+                    await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = "No journal file uploaded" }));
+                    return;
+                }
+                if (file.Length > MaxJournalUploadBytes)
                 {
-                    _replayTokenSource.Cancel();
-                    _logger.LogInformation("Stopped journal replay");
+                    context.Response.StatusCode = 413;
+                    await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = $"Journal files are limited to {MaxJournalUploadBytes / (1024 * 1024)} MB" }));
+                    return;
                 }
+
+                using var reader = new StreamReader(file.OpenReadStream());
+                content = await reader.ReadToEndAsync();
+                source = Path.GetFileName(file.FileName);
+                request = string.IsNullOrEmpty(form["options"])
+                    ? new ReplayRequest()
+                    : JsonSerializer.Deserialize<ReplayRequest>(form["options"].ToString(), ReplayRequestOptions) ?? new ReplayRequest();
+            }
+            else
+            {
+                request = await ReadReplayRequestAsync(context);
+                content = request.Content ?? string.Empty;
+                source = string.IsNullOrWhiteSpace(request.Name) ? "Pasted events" : request.Name.Trim();
+            }
+
+            var parsed = JournalReplayService.ParseJournal(content.Split('\n'));
+            if (parsed.Events.Count == 0)
+            {
+                context.Response.StatusCode = 400;
+                await context.Response.WriteAsync(JsonSerializer.Serialize(new
+                {
+                    error = parsed.LineCount == 0 ? "No journal lines to replay" : "None of the lines are journal events",
+                    parse = parsed.ToPayload()
+                }));
+                return;
             }
 
+            var eventsInRange = _replay.Load(parsed.Events, source, request.Start, request.End, request.Speed, request.Loop ?? false);
+            if (eventsInRange == 0)
+            {
+                context.Response.StatusCode = 404;
+                await context.Response.WriteAsync(JsonSerializer.Serialize(new
+                {
+                    error = "No events found in the selected time range",
+                    parse = parsed.ToPayload()
+                }));
+                return;
+            }
+
+            _logger.LogInformation("Replaying uploaded journal {Source}: {Count} events, {Skipped} lines skipped",
+                source, parsed.Events.Count, parsed.SkippedLines);
+
             context.Response.ContentType = "application/json";
-            await context.Response.WriteAsync(JsonSerializer.Serialize(new 
-            { 
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new
+            {
                 success = true,
-                message = "Journal replay stopped"
+                message = $"Journal replay started from {source}",
+                events_count = eventsInRange,
+                source = source,
+                parse = parsed.ToPayload(),
+                status = _replay.GetStatus().ToPayload()
             }));
         }
+        catch (JsonException ex)
+        {
+            context.Response.StatusCode = 400;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = $"Invalid replay request: {ex.Message}" }));
+        }
         catch (Exception ex)
         {
-            _logger.LogError(ex, "Error stopping journal replay");
+            _logger.LogError(ex, "Error replaying uploaded journal");
             context.Response.StatusCode = 500;
             await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = ex.Message }));
         }
     }
 
-    public async Task GetJournalReplayStatus(HttpContext context)
+    public async Task StopJournalReplay(HttpContext context)
+    {
+        await ControlReplay(context, "stopping", _ =>
+        {
+            _replay.Stop();
+            return Task.CompletedTask;
+        });
+    }
+
+    public async Task PauseJournalReplay(HttpContext context)
+    {
+        await ControlReplay(context, "pausing", _ =>
+        {
+            _replay.Pause();
+            return Task.CompletedTask;
+        });
+    }
+
+    public async Task ResumeJournalReplay(HttpContext context)
+    {
+        await ControlReplay(context, "resuming", _ =>
+        {
+            _replay.Play();
+            return Task.CompletedTask;
+        });
+    }
+
+    public async Task SeekJournalReplay(HttpContext context)
+    {
+        await ControlReplay(context, "seeking", request =>
+        {
+            if (request.Position == null)
+                throw new ArgumentException("Position is required");
+
+            _replay.Seek(request.Position.Value);
+            return Task.CompletedTask;
+        });
+    }
+
+    public async Task SetJournalReplaySpeed(HttpContext context)
+    {
+        await ControlReplay(context, "changing speed of", request =>
+        {
+            if (request.Speed == null)
+                throw new ArgumentException("Speed is required");
+
+            _replay.SetSpeed(request.Speed.Value);
+            return Task.CompletedTask;
+        });
+    }
+
+    public async Task SetJournalReplayRange(HttpContext context)
+    {
+        await ControlReplay(context, "setting range of", request =>
+        {
+            _replay.SetRange(request.Start, request.End, request.Loop ?? false);
+            return Task.CompletedTask;
+        });
+    }
+
+    public async Task StepJournalReplay(HttpContext context)
+    {
+        await ControlReplay(context, "stepping", async _ => await _replay.StepAsync());
+    }
+
+    public async Task GetJournalReplayEvents(HttpContext context)
     {
         try
         {
-            bool isReplaying = false;
-            int eventsCount = 0;
+            context.Response.ContentType = "application/json";
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new
+            {
+                events = _replay.GetEvents().Select(entry => entry.ToPayload()),
+                status = _replay.GetStatus().ToPayload()
+            }));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting replay events");
+            context.Response.StatusCode = 500;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = ex.Message }));
+        }
+    }
 
-            lock (ReplayLock)
+    // Fires one event of the loaded replay through the mapping pipeline and reports what it did
+    public async Task FireJournalReplayEvent(HttpContext context)
+    {
+        try
+        {
+            var request = await ReadReplayRequestAsync(context);
+            if (request.Index == null)
             {
-                isReplaying = _replayTokenSource != null && 
-                             !_replayTokenSource.Token.IsCancellationRequested &&
-                             _replayTask != null && 
-                             !_replayTask.IsCompleted;
-                eventsCount = GetEventsToReplayCount();
+                context.Response.StatusCode = 400;
+                await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = "Index is required" }));
+                return;
             }
 
+            var outcome = await _replay.FireAsync(request.Index.Value);
+
             context.Response.ContentType = "application/json";
-            await context.Response.WriteAsync(JsonSerializer.Serialize(new 
-            { 
-                is_replaying = isReplaying,
-                events_available = eventsCount,
-                last_5_minutes_events = GetEventsInLast5Minutes()
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new
+            {
+                success = true,
+                index = request.Index.Value,
+                outcome = outcome?.ToPayload()
             }));
         }
+        catch (JsonException ex)
+        {
+            context.Response.StatusCode = 400;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = $"Invalid replay request: {ex.Message}" }));
+        }
+        catch (ArgumentException ex)
+        {
+            context.Response.StatusCode = 400;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = ex.Message }));
+        }
+        catch (InvalidOperationException ex)
+        {
+            context.Response.StatusCode = 409;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = ex.Message }));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error firing replay event");
+            context.Response.StatusCode = 500;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = ex.Message }));
+        }
+    }
+
+    public async Task GetJournalReplayStatus(HttpContext context)
+    {
+        try
+        {
+            context.Response.ContentType = "application/json";
+            await context.Response.WriteAsync(JsonSerializer.Serialize(_replay.GetStatus().ToPayload()));
+        }
         catch (Exception ex)
         {
             _logger.LogError(ex, "Error getting replay status");
@@ -399,57 +591,191 @@ public class JournalApiController
         }
     }
 
-    private async Task ReplayEventsAsync(List<JournalEvent> events, CancellationToken cancellationToken)
+    // Injects an event built in the composer into the live pipeline, as if the game had written it,
+    // and reports each stage its pattern went through: the mapping as configured, the event's own
+    // adjustments (jump distance, heat, ship...), contextual intelligence, and the output intensity
+    public async Task ComposeJournalEvent(HttpContext context)
     {
         try
         {
-            _logger.LogInformation("Starting replay of {Count} journal events", events.Count);
-            
-            foreach (var journalEvent in events)
+            using var reader = new StreamReader(context.Request.Body);
+            var json = await reader.ReadToEndAsync();
+
+            JournalEvent? journalEvent;
+            try
+            {
+                journalEvent = JsonSerializer.Deserialize<JournalEvent>(json);
+            }
+            catch (JsonException ex)
+            {
+                context.Response.StatusCode = 400;
+                await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = $"Not a journal event: {ex.Message}" }));
+                return;
+            }
+
+            if (journalEvent == null || string.IsNullOrEmpty(journalEvent.Event))
+            {
+                context.Response.StatusCode = 400;
+                await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = "The event needs an \"event\" name" }));
+                return;
+            }
+
+            if (journalEvent.Timestamp == default)
             {
-                if (cancellationToken.IsCancellationRequested)
-                    break;
+                journalEvent.Timestamp = DateTime.UtcNow;
+            }
 
-                // Process the event through the normal event mapping system
-                await Task.Run(() => _eventMappingService.ProcessEvent(journalEvent), cancellationToken);
-                
-                _logger.LogDebug("Replayed event: {EventType} at {Timestamp}", journalEvent.Event, journalEvent.Timestamp);
+            // EventProcessed is raised before playback is awaited, so the outcome is known as soon
+            // as ProcessEvent returns its task; playback carries on after we have answered.
+            // The event goes in as live, so the dashboard lists it with the game's own events.
+            EventProcessedEventArgs? processed = null;
+            void Capture(EventProcessedEventArgs args)
+            {
+                if (ReferenceEquals(args.JournalEvent, journalEvent)) processed = args;
+            }
 
-                // Add a small delay between events to make it more realistic
-                await Task.Delay(500, cancellationToken);
+            Task processing;
+            _eventMappingService.EventProcessed += Capture;
+            try
+            {
+                processing = _eventMappingService.ProcessEvent(journalEvent);
             }
-            
-            _logger.LogInformation("Journal replay completed");
+            finally
+            {
+                _eventMappingService.EventProcessed -= Capture;
+            }
+            _ = LogPlaybackFailureAsync(processing, journalEvent.Event);
+
+            if (processed == null)
+            {
+                context.Response.StatusCode = 500;
+                await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = $"{journalEvent.Event} was not processed; see the log" }));
+                return;
+            }
+
+            _logger.LogInformation("Composed {EventType} event: {Result}", journalEvent.Event, processed.Result);
+
+            var gameContext = _contextualIntelligence.GetCurrentContext();
+            var triggered = processed.Result == EventProcessingResult.Triggered;
+
+            context.Response.ContentType = "application/json";
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new
+            {
+                success = true,
+                @event = journalEvent.Event,
+                timestamp = journalEvent.Timestamp,
+                result = LiveEventStreamService.ToSnakeCase(processed.Result.ToString()),
+                stages = triggered
+                    ? new[]
+                    {
+                        DescribeStage("mapping", "Mapping", processed.MappedPattern),
+                        DescribeStage("event", "Event adjustments", processed.EventPattern),
+                        DescribeStage("context", "Contextual intelligence", processed.Pattern)
+                    }
+                    : Array.Empty<object>(),
+                mapped_pattern = processed.MappedPattern?.Name,
+                played_intensity = processed.PlayedIntensity,
+                max_intensity = _settings.Audio.MaxIntensity,
+                hull_damage = journalEvent.HullDamage,
+                context = new
+                {
+                    enabled = _contextualIntelligence.IsEnabled,
+                    adaptive_intensity = _contextualIntelligence.EnableAdaptiveIntensity,
+                    state = gameContext.CurrentState.ToString(),
+                    threat_level = gameContext.ThreatLevel.ToString(),
+                    multiplier = Math.Round(gameContext.GetContextualIntensityMultiplier(), 2),
+                    dangerous = gameContext.IsInDangerousSituation(),
+                    routine = gameContext.IsInRoutineActivity(),
+                    hull_integrity = gameContext.HullIntegrity,
+                    combat_intensity = gameContext.CombatIntensity
+                }
+            }));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error composing journal event");
+            context.Response.StatusCode = 500;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = ex.Message }));
         }
-        catch (OperationCanceledException)
+    }
+
+    // Playback of a composed event outlives the request; log a failure rather than leave it unobserved
+    private async Task LogPlaybackFailureAsync(Task playback, string eventType)
+    {
+        try
         {
-            _logger.LogInformation("Journal replay was cancelled");
+            await playback;
         }
         catch (Exception ex)
         {
-            _logger.LogError(ex, "Error during journal replay");
+            _logger.LogError(ex, "Playback of composed {EventType} event failed", eventType);
         }
     }
 
-    private int GetEventsToReplayCount()
+    private static object DescribeStage(string stage, string label, HapticPattern? pattern)
     {
-        var cutoffTime = DateTime.UtcNow.AddMinutes(-5);
-        lock (EventsLock)
+        return new
         {
-            return RecentEvents.Count(e => e.Timestamp >= cutoffTime);
-        }
+            stage,
+            label,
+            name = pattern?.Name,
+            type = pattern?.Pattern.ToString(),
+            intensity = pattern?.Intensity,
+            frequency = pattern?.Frequency,
+            duration = pattern?.Duration,
+            fade_in = pattern?.FadeIn,
+            fade_out = pattern?.FadeOut,
+            intensity_from_damage = pattern?.IntensityFromDamage,
+            min_intensity = pattern?.MinIntensity,
+            max_intensity = pattern?.MaxIntensity
+        };
     }
 
-    private int GetEventsInLast5Minutes()
+    // Runs one transport action and answers with the replay status it left behind
+    private async Task ControlReplay(HttpContext context, string action, Func<ReplayRequest, Task> control)
     {
-        var cutoffTime = DateTime.UtcNow.AddMinutes(-5);
-        lock (EventsLock)
+        try
+        {
+            var request = await ReadReplayRequestAsync(context);
+            await control(request);
+
+            context.Response.ContentType = "application/json";
+            await context.Response.WriteAsync(JsonSerializer.Serialize(_replay.GetStatus().ToPayload()));
+        }
+        catch (JsonException ex)
+        {
+            context.Response.StatusCode = 400;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = $"Invalid replay request: {ex.Message}" }));
+        }
+        catch (ArgumentException ex)
+        {
+            context.Response.StatusCode = 400;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = ex.Message }));
+        }
+        catch (InvalidOperationException ex)
+        {
+            context.Response.StatusCode = 409;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = ex.Message }));
+        }
+        catch (Exception ex)
         {
-            return RecentEvents.Count(e => e.Timestamp >= cutoffTime);
+            _logger.LogError(ex, "Error {Action} journal replay", action);
+            context.Response.StatusCode = 500;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = ex.Message }));
         }
     }
 
-    private async Task<List<JournalEvent>> ReadLastFiveMinutesFromJournalFile(string journalFileName)
+    private static async Task<ReplayRequest> ReadReplayRequestAsync(HttpContext context)
+    {
+        using var reader = new StreamReader(context.Request.Body);
+        var json = await reader.ReadToEndAsync();
+        if (string.IsNullOrWhiteSpace(json))
+            return new ReplayRequest();
+
+        return JsonSerializer.Deserialize<ReplayRequest>(json, ReplayRequestOptions) ?? new ReplayRequest();
+    }
+
+    private async Task<List<JournalEvent>> ReadJournalFile(string journalFileName)
     {
         var events = new List<JournalEvent>();
         
@@ -469,27 +795,13 @@ public class JournalApiController
                 return events;
             }
 
-            var allLines = await File.ReadAllLinesAsync(fullPath);
-            var allEvents = new List<JournalEvent>();
-
             // Parse all events from the journal file
-            foreach (var line in allLines)
+            var parsed = JournalReplayService.ParseJournal(await File.ReadAllLinesAsync(fullPath));
+            foreach (var error in parsed.Errors)
             {
-                if (string.IsNullOrWhiteSpace(line)) continue;
-
-                try
-                {
-                    var journalEvent = JsonSerializer.Deserialize<JournalEvent>(line);
-                    if (journalEvent != null)
-                    {
-                        allEvents.Add(journalEvent);
-                    }
-                }
-                catch (JsonException ex)
-                {
-                    _logger.LogDebug("Failed to parse journal line: {Line} - {Error}", line, ex.Message);
-                }
+                _logger.LogDebug("Failed to parse journal line {Line}: {Error}", error.Line, error.Message);
             }
+            var allEvents = parsed.Events;
 
             if (!allEvents.Any())
             {
@@ -498,21 +810,10 @@ public class JournalApiController
             }
 
             // Sort events by timestamp
-            allEvents = allEvents.OrderBy(e => e.Timestamp).ToList();
-            
-            // Find the last event timestamp and calculate 5 minutes before that
-            var lastEventTime = allEvents.Last().Timestamp;
-            var cutoffTime = lastEventTime.AddMinutes(-5);
-
-            // Get events from the last 5 minutes of the journal's timeline
-            events = allEvents
-                .Where(e => e.Timestamp >= cutoffTime)
-                .OrderBy(e => e.Timestamp)
-                .ToList();
-
-            _logger.LogInformation("Loaded {EventCount} events from last 5 minutes of journal {FileName} (from {StartTime} to {EndTime})",
-                events.Count, journalFileName, cutoffTime, lastEventTime);
+            events = allEvents.OrderBy(e => e.Timestamp).ToList();
 
+            _logger.LogInformation("Loaded {EventCount} events from journal {FileName} (from {StartTime} to {EndTime})",
+                events.Count, journalFileName, events.First().Timestamp, events.Last().Timestamp);
         }
         catch (Exception ex)
         {
@@ -521,4 +822,17 @@ public class JournalApiController
 
         return events;
     }
+}
+
+public class ReplayRequest
+{
+    public string? JournalFile { get; set; }
+    public DateTime? Start { get; set; }
+    public DateTime? End { get; set; }
+    public DateTime? Position { get; set; }
+    public double? Speed { get; set; }
+    public bool? Loop { get; set; }
+    public int? Index { get; set; }
+    public string? Content { get; set; } // Pasted journal lines
+    public string? Name { get; set; }
 }
\ No newline at end of file
@@ -1,5 +1,7 @@
 using Microsoft.AspNetCore.Http;
 using System.Text.Json;
+using System.Text.Json.Serialization;
+using System.Text.RegularExpressions;
 using EDButtkicker.Configuration;
 using EDButtkicker.Models;
 using EDButtkicker.Services;
@@ -14,6 +16,15 @@ public class PatternApiController
     private readonly AudioEngineService _audioEngine;
     private readonly PatternSequencer _patternSequencer;
 
+    private static readonly JsonSerializerOptions PatternJsonOptions = new()
+    {
+        PropertyNameCaseInsensitive = true,
+        Converters = { new JsonStringEnumConverter() }
+    };
+
+    // Journal event names are single identifiers such as "FSDJump" or "HullDamage"
+    private static readonly Regex EventTypePattern = new(@"^[A-Za-z][A-Za-z0-9_]{0,63}$");
+
     public PatternApiController(
         ILogger<PatternApiController> logger, 
         EventMappingService eventMapping,
@@ -30,10 +41,9 @@ public class PatternApiController
     {
         try
         {
-            var eventMappings = EventMappingsConfig.GetDefault();
             var patterns = new Dictionary<string, object>();
 
-            foreach (var mapping in eventMappings.EventMappings)
+            foreach (var mapping in _eventMapping.GetEventMappings())
             {
                 patterns[mapping.Key] = new
                 {
@@ -57,6 +67,7 @@ public class PatternApiController
                         MaxIntensity = mapping.Value.Pattern.MaxIntensity,
                         MinIntensity = mapping.Value.Pattern.MinIntensity,
                         ChainedPatterns = mapping.Value.Pattern.ChainedPatterns,
+                        ChainGaps = mapping.Value.Pattern.ChainGaps,
                         Conditions = mapping.Value.Pattern.Conditions,
                         Layers = mapping.Value.Pattern.Layers?.Select(l => new
                         {
@@ -64,12 +75,18 @@ public class PatternApiController
                             Frequency = l.Frequency,
                             Amplitude = l.Amplitude,
                             Curve = l.Curve.ToString(),
-                            PhaseOffset = l.PhaseOffset
+                            PhaseOffset = l.PhaseOffset,
+                            StartTime = l.StartTime,
+                            Duration = l.Duration,
+                            FadeIn = l.FadeIn,
+                            FadeOut = l.FadeOut
                         }),
                         CustomCurvePoints = mapping.Value.Pattern.CustomCurvePoints?.Select(p => new
                         {
                             Time = p.Time,
-                            Intensity = p.Intensity
+                            Intensity = p.Intensity,
+                            Curve = p.Curve.ToString(),
+                            Handles = p.Handles
                         })
                     }
                 };
@@ -110,44 +127,34 @@ public class PatternApiController
     {
         try
         {
-            using var reader = new StreamReader(context.Request.Body);
-            var json = await reader.ReadToEndAsync();
-            
-            if (string.IsNullOrEmpty(json))
-            {
-                context.Response.StatusCode = 400;
-                await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = "Request body is empty" }));
+            var request = await ReadEventPatternRequest(context);
+            if (request == null)
                 return;
-            }
 
-            var patternData = JsonSerializer.Deserialize<Dictionary<string, object>>(json);
-            if (patternData == null)
+            var eventType = request.EventType?.Trim() ?? string.Empty;
+            if (!EventTypePattern.IsMatch(eventType))
             {
                 context.Response.StatusCode = 400;
-                await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = "Invalid JSON format" }));
+                await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = "Event type must be a journal event name such as FSDJump" }));
                 return;
             }
 
-            if (!patternData.ContainsKey("eventType") || !patternData.ContainsKey("pattern"))
+            if (_eventMapping.HasEventMapping(eventType))
             {
-                context.Response.StatusCode = 400;
-                await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = "Missing required fields: eventType, pattern" }));
+                context.Response.StatusCode = 409;
+                await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = $"A pattern for {eventType} already exists" }));
                 return;
             }
 
-            var eventType = patternData["eventType"].ToString();
-            var patternJson = patternData["pattern"].ToString();
-            
-            if (string.IsNullOrEmpty(eventType) || string.IsNullOrEmpty(patternJson))
+            _eventMapping.SetEventMapping(new EventMapping
             {
-                context.Response.StatusCode = 400;
-                await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = "EventType and pattern cannot be empty" }));
-                return;
-            }
-
-            // For now, return success - actual pattern creation would require extending EventMappingsConfig
-            _logger.LogInformation("Pattern creation requested for event: {EventType}", eventType);
+                EventType = eventType,
+                Pattern = request.Pattern!,
+                Enabled = request.Enabled ?? true
+            });
+            _logger.LogInformation("Pattern created for event: {EventType}", eventType);
 
+            context.Response.StatusCode = 201;
             context.Response.ContentType = "application/json";
             await context.Response.WriteAsync(JsonSerializer.Serialize(new 
             { 
@@ -176,17 +183,25 @@ public class PatternApiController
                 return;
             }
 
-            using var reader = new StreamReader(context.Request.Body);
-            var json = await reader.ReadToEndAsync();
-            
-            if (string.IsNullOrEmpty(json))
+            var mappings = _eventMapping.GetEventMappings();
+            if (!mappings.TryGetValue(eventType, out var existing))
             {
-                context.Response.StatusCode = 400;
-                await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = "Request body is empty" }));
+                context.Response.StatusCode = 404;
+                await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = $"Pattern not found for event type: {eventType}" }));
                 return;
             }
 
-            _logger.LogInformation("Pattern update requested for event: {EventType}", eventType);
+            var request = await ReadEventPatternRequest(context);
+            if (request == null)
+                return;
+
+            _eventMapping.SetEventMapping(new EventMapping
+            {
+                EventType = eventType,
+                Pattern = request.Pattern!,
+                Enabled = request.Enabled ?? existing.Enabled
+            });
+            _logger.LogInformation("Pattern updated for event: {EventType}", eventType);
 
             context.Response.ContentType = "application/json";
             await context.Response.WriteAsync(JsonSerializer.Serialize(new 
@@ -204,6 +219,55 @@ public class PatternApiController
         }
     }
 
+    // Reads and checks a create/update body, writing a 400 and returning null when it is unusable
+    private async Task<EventPatternRequest?> ReadEventPatternRequest(HttpContext context)
+    {
+        using var reader = new StreamReader(context.Request.Body);
+        var json = await reader.ReadToEndAsync();
+
+        if (string.IsNullOrEmpty(json))
+        {
+            context.Response.StatusCode = 400;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = "Request body is empty" }));
+            return null;
+        }
+
+        EventPatternRequest? request;
+        try
+        {
+            request = JsonSerializer.Deserialize<EventPatternRequest>(json, PatternJsonOptions);
+        }
+        catch (JsonException ex)
+        {
+            context.Response.StatusCode = 400;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = "Invalid JSON format", details = ex.Message }));
+            return null;
+        }
+
+        var error = request?.Pattern == null ? "Missing required field: pattern" : ValidatePattern(request.Pattern);
+        if (error != null)
+        {
+            context.Response.StatusCode = 400;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { error }));
+            return null;
+        }
+
+        return request;
+    }
+
+    private static string? ValidatePattern(HapticPattern pattern)
+    {
+        if (string.IsNullOrWhiteSpace(pattern.Name))
+            return "Pattern name is required";
+        if (pattern.Duration <= 0 || pattern.Duration > 30000)
+            return "Duration must be between 1 and 30000 ms";
+        if (pattern.Intensity < 0 || pattern.Intensity > 100)
+            return "Intensity must be between 0 and 100";
+        if (pattern.Frequency <= 0)
+            return "Frequency must be greater than 0";
+        return null;
+    }
+
     public async Task DeletePattern(HttpContext context)
     {
         try
@@ -286,8 +350,8 @@ public class PatternApiController
             // If no custom pattern, use the default for this event type
             if (patternToTest == null)
             {
-                var eventMappings = EventMappingsConfig.GetDefault();
-                if (!eventMappings.EventMappings.TryGetValue(eventType, out var eventMapping))
+                patternToTest = _eventMapping.GetDefaultPatternForEvent(eventType);
+                if (patternToTest == null)
                 {
                     context.Response.StatusCode = 404;
                     await context.Response.WriteAsync(JsonSerializer.Serialize(new 
@@ -296,7 +360,6 @@ public class PatternApiController
                     }));
                     return;
                 }
-                patternToTest = eventMapping.Pattern;
             }
 
             // Test the pattern
@@ -483,11 +546,29 @@ public class PatternApiController
                 if (pointElement.TryGetProperty("time", out var timeProp) && timeProp.TryGetDouble(out double time) &&
                     pointElement.TryGetProperty("intensity", out var intensityProp) && intensityProp.TryGetDouble(out double pointIntensity))
                 {
-                    pattern.CustomCurvePoints.Add(new CurvePoint
+                    var point = new CurvePoint
                     {
                         Time = (float)time,
                         Intensity = (float)pointIntensity
-                    });
+                    };
+
+                    if (pointElement.TryGetProperty("curve", out var curveProp) && Enum.TryParse<CurveSegmentType>(curveProp.GetString(), out CurveSegmentType segmentCurve))
+                    {
+                        point.Curve = segmentCurve;
+                    }
+
+                    if (pointElement.TryGetProperty("handles", out var handlesProp) && handlesProp.ValueKind == JsonValueKind.Object)
+                    {
+                        point.Handles = new BezierHandles
+                        {
+                            X1 = handlesProp.TryGetProperty("x1", out var x1Prop) ? (float)x1Prop.GetDouble() : 0.33f,
+                            Y1 = handlesProp.TryGetProperty("y1", out var y1Prop) ? (float)y1Prop.GetDouble() : 0.0f,
+                            X2 = handlesProp.TryGetProperty("x2", out var x2Prop) ? (float)x2Prop.GetDouble() : 0.67f,
+                            Y2 = handlesProp.TryGetProperty("y2", out var y2Prop) ? (float)y2Prop.GetDouble() : 0.0f
+                        };
+                    }
+
+                    pattern.CustomCurvePoints.Add(point);
                 }
             }
         }
@@ -505,4 +586,11 @@ public class PatternApiController
         }
         return string.Empty;
     }
+}
+
+public class EventPatternRequest
+{
+    public string? EventType { get; set; } // POST only; PUT takes the event type from the path
+    public bool? Enabled { get; set; }
+    public HapticPattern? Pattern { get; set; }
 }
\ No newline at end of file
@@ -4,6 +4,8 @@ using Microsoft.Extensions.Logging;
 using EDButtkicker.Services;
 using EDButtkicker.Models;
 using System.Text.Json;
+using System.Text.Json.Nodes;
+using System.Text.Json.Serialization;
 using System.Text.RegularExpressions;
 
 namespace EDButtkicker.Controllers;
@@ -185,7 +187,7 @@ public class PatternEditorController : ControllerBase
     {
         try
         {
-            if (request.PatternFile?.Metadata == null)
+            if (request.PatternFile?["metadata"] is not JsonObject metadata)
             {
                 return BadRequest(new { error = "Pattern file data is required" });
             }
@@ -195,8 +197,8 @@ public class PatternEditorController : ControllerBase
             if (string.IsNullOrEmpty(fileName))
             {
                 fileName = GenerateSafeFileName(
-                    request.PatternFile.Metadata.Name, 
-                    request.PatternFile.Metadata.Author);
+                    metadata["name"]?.ToString() ?? string.Empty,
+                    metadata["author"]?.ToString() ?? string.Empty);
             }
 
             // Ensure .json extension
@@ -207,7 +209,10 @@ public class PatternEditorController : ControllerBase
 
             // Determine save location
             var saveDirectory = request.SaveToCustom ? "Custom" : "patterns";
-            var fullPath = Path.Combine(Directory.GetCurrentDirectory(), "patterns", saveDirectory, fileName);
+            // Write where PatternFileService reads, so the reload below picks the file up
+            var fullPath = request.SaveToCustom
+                ? Path.Combine(_patternFileService.PatternsPath, saveDirectory, Path.GetFileName(fileName))
+                : Path.Combine(_patternFileService.PatternsPath, Path.GetFileName(fileName));
 
             // Create directory if it doesn't exist
             var directory = Path.GetDirectoryName(fullPath);
@@ -217,16 +222,17 @@ public class PatternEditorController : ControllerBase
             }
 
             // Update metadata
-            request.PatternFile.Metadata.LastModified = DateTime.UtcNow.ToString("yyyy-MM-ddTHH:mm:ssZ");
+            metadata["lastModified"] = DateTime.UtcNow.ToString("yyyy-MM-ddTHH:mm:ssZ");
             
-            // Save to file
-            var jsonOptions = new JsonSerializerOptions
+            // Save the file exactly as the editor built it so fields the models don't know about survive,
+            // but only once it matches the schema and loads; the file watcher picks up whatever lands here
+            var json = request.PatternFile.ToJsonString(new JsonSerializerOptions { WriteIndented = true });
+            var errors = _patternFileService.ValidatePatternFileJson(json);
+            if (errors.Any())
             {
-                WriteIndented = true,
-                PropertyNamingPolicy = JsonNamingPolicy.CamelCase
-            };
+                return BadRequest(new { error = $"Pattern file is not valid: {string.Join("; ", errors.Take(10))}", errors });
+            }
 
-            var json = JsonSerializer.Serialize(request.PatternFile, jsonOptions);
             await System.IO.File.WriteAllTextAsync(fullPath, json);
 
             // Reload patterns to include the new file
@@ -250,31 +256,33 @@ public class PatternEditorController : ControllerBase
     }
 
     [HttpGet("load/{fileName}")]
-    public async Task<ActionResult<PatternFileDefinition>> LoadPatternForEditing(string fileName)
+    public async Task<ActionResult<JsonNode>> LoadPatternForEditing(string fileName)
     {
         try
         {
-            // Try to find the file in various locations
+            // Try to find the file in various locations; a path relative to the patterns directory also works
             var searchPaths = new[]
             {
-                Path.Combine("patterns", "Custom", fileName),
-                Path.Combine("patterns", "Community", fileName),
-                Path.Combine("patterns", "Small_Ships", fileName),
-                Path.Combine("patterns", "Large_Ships", fileName),
-                Path.Combine("patterns", fileName)
+                Path.Combine("Custom", fileName),
+                Path.Combine("Community", fileName),
+                Path.Combine("Small_Ships", fileName),
+                Path.Combine("Large_Ships", fileName),
+                fileName
             };
 
             foreach (var searchPath in searchPaths)
             {
-                var fullPath = Path.Combine(Directory.GetCurrentDirectory(), searchPath);
+                var fullPath = Path.GetFullPath(Path.Combine(_patternFileService.PatternsPath, searchPath));
+                if (Path.GetRelativePath(_patternFileService.PatternsPath, fullPath).StartsWith(".."))
+                {
+                    continue;
+                }
+
                 if (System.IO.File.Exists(fullPath))
                 {
+                    // Hand the file over as written; the editor normalizes it and writes it back losslessly
                     var json = await System.IO.File.ReadAllTextAsync(fullPath);
-                    var patternFile = JsonSerializer.Deserialize<PatternFileDefinition>(json, new JsonSerializerOptions
-                    {
-                        PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
-                        PropertyNameCaseInsensitive = true
-                    });
+                    var patternFile = JsonNode.Parse(json);
 
                     return Ok(patternFile);
                 }
@@ -289,6 +297,28 @@ public class PatternEditorController : ControllerBase
         }
     }
 
+    [HttpGet("schema")]
+    public async Task<ActionResult<JsonNode>> GetPatternSchema()
+    {
+        try
+        {
+            var schemaPath = Path.Combine(_patternFileService.PatternsPath, "schema.json");
+            if (!System.IO.File.Exists(schemaPath))
+            {
+                return NotFound(new { error = "Pattern schema not found" });
+            }
+
+            // The editors validate packs in the browser against the same file that documents the format
+            var json = await System.IO.File.ReadAllTextAsync(schemaPath);
+            return Ok(JsonNode.Parse(json));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error loading pattern schema");
+            return StatusCode(500, new { error = "Failed to load pattern schema", details = ex.Message });
+        }
+    }
+
     [HttpPost("validate")]
     public ActionResult<ValidationResponse> ValidatePattern([FromBody] PatternFileDefinition patternFile)
     {
@@ -369,6 +399,24 @@ public class PatternEditorController : ControllerBase
                 return BadRequest(new { error = "Pattern is required for testing" });
             }
 
+            // Editors can audition a subset of layers without changing the pattern itself
+            if (request.Layers != null && request.Pattern.Layers.Count > 0)
+            {
+                var layers = request.Layers
+                    .Where(index => index >= 0 && index < request.Pattern.Layers.Count)
+                    .Distinct()
+                    .OrderBy(index => index)
+                    .Select(index => request.Pattern.Layers[index])
+                    .ToList();
+
+                if (layers.Count == 0)
+                {
+                    return BadRequest(new { error = "No layers selected for testing - every layer is muted or hidden" });
+                }
+
+                request.Pattern.Layers = layers;
+            }
+
             // Test the pattern by playing it
             await _audioEngineService.PlayHapticPattern(request.Pattern);
 
@@ -386,7 +434,7 @@ public class PatternEditorController : ControllerBase
     {
         try
         {
-            var customPath = Path.Combine(Directory.GetCurrentDirectory(), "patterns", "Custom");
+            var customPath = Path.Combine(_patternFileService.PatternsPath, "Custom");
             var userFiles = new List<UserPatternFile>();
 
             if (Directory.Exists(customPath))
@@ -400,7 +448,8 @@ public class PatternEditorController : ControllerBase
                         var pattern = JsonSerializer.Deserialize<PatternFileDefinition>(json, new JsonSerializerOptions
                         {
                             PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
-                            PropertyNameCaseInsensitive = true
+                            PropertyNameCaseInsensitive = true,
+                            Converters = { new JsonStringEnumConverter() }
                         });
 
                         if (pattern?.Metadata != null && 
@@ -488,7 +537,7 @@ public class PatternEditorController : ControllerBase
         if (explorerShips.Contains(shipLower))
             return "exploration";
         if (traderShips.Contains(shipLower))
-            return "trading";
+            return "transport";
         return "multipurpose";
     }
 
@@ -555,7 +604,8 @@ public class PatternEditorController : ControllerBase
             var request = JsonSerializer.Deserialize<CreatePatternRequest>(requestBody, new JsonSerializerOptions
             {
                 PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
-                PropertyNameCaseInsensitive = true
+                PropertyNameCaseInsensitive = true,
+                Converters = { new JsonStringEnumConverter() }
             });
 
             if (request == null)
@@ -601,7 +651,8 @@ public class PatternEditorController : ControllerBase
             var request = JsonSerializer.Deserialize<SavePatternRequest>(requestBody, new JsonSerializerOptions
             {
                 PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
-                PropertyNameCaseInsensitive = true
+                PropertyNameCaseInsensitive = true,
+                Converters = { new JsonStringEnumConverter() }
             });
 
             if (request == null)
@@ -669,6 +720,26 @@ public class PatternEditorController : ControllerBase
         }
     }
 
+    public async Task GetPatternSchemaHttpContext(HttpContext context)
+    {
+        var result = await GetPatternSchema();
+        context.Response.ContentType = "application/json";
+
+        if (result.Result is OkObjectResult okResult)
+        {
+            context.Response.StatusCode = 200;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(okResult.Value));
+        }
+        else if (result.Result is ObjectResult objResult)
+        {
+            context.Response.StatusCode = objResult.StatusCode ?? 500;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(objResult.Value, new JsonSerializerOptions
+            {
+                PropertyNamingPolicy = JsonNamingPolicy.CamelCase
+            }));
+        }
+    }
+
     public async Task ValidatePatternHttpContext(HttpContext context)
     {
         try
@@ -678,7 +749,8 @@ public class PatternEditorController : ControllerBase
             var request = JsonSerializer.Deserialize<PatternFileDefinition>(requestBody, new JsonSerializerOptions
             {
                 PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
-                PropertyNameCaseInsensitive = true
+                PropertyNameCaseInsensitive = true,
+                Converters = { new JsonStringEnumConverter() }
             });
 
             if (request == null)
@@ -724,7 +796,8 @@ public class PatternEditorController : ControllerBase
             var request = JsonSerializer.Deserialize<TestPatternRequest>(requestBody, new JsonSerializerOptions
             {
                 PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
-                PropertyNameCaseInsensitive = true
+                PropertyNameCaseInsensitive = true,
+                Converters = { new JsonStringEnumConverter() }
             });
 
             if (request == null)
@@ -820,7 +893,7 @@ public class CreatePatternResponse
 
 public class SavePatternRequest
 {
-    public PatternFileDefinition PatternFile { get; set; } = new();
+    public JsonObject? PatternFile { get; set; }
     public string? FileName { get; set; }
     public bool SaveToCustom { get; set; } = true;
 }
@@ -845,6 +918,7 @@ public class ValidationResponse
 public class TestPatternRequest
 {
     public HapticPattern Pattern { get; set; } = new();
+    public List<int>? Layers { get; set; } // indexes into Pattern.Layers to play; null plays all
 }
 
 public class UserFilesResponse
@@ -254,21 +254,34 @@ public class PatternFilesController : ControllerBase
                 return BadRequest(new { error = "Only JSON files are supported" });
             }
 
-            // Save to temporary location first
-            var tempPath = Path.GetTempFileName();
-            using (var stream = new FileStream(tempPath, FileMode.Create))
+            // Check the pack against patterns/schema.json before anything is written
+            string json;
+            using (var reader = new StreamReader(file.OpenReadStream()))
             {
-                await file.CopyToAsync(stream);
+                json = await reader.ReadToEndAsync();
             }
 
+            var errors = _patternFileService.ValidatePatternFileJson(json);
+            if (errors.Any())
+            {
+                return BadRequest(new { error = $"{file.FileName} is not a valid pattern pack: {string.Join("; ", errors.Take(10))}", errors });
+            }
+
+            // Save to temporary location first
+            var tempPath = Path.GetTempFileName();
+            await System.IO.File.WriteAllTextAsync(tempPath, json);
+
             // Import the file
-            var success = await _patternFileService.ImportPatternFileAsync(tempPath, file.FileName);
+            var success = await _patternFileService.ImportPatternFileAsync(tempPath, Path.GetFileName(file.FileName));
             
             // Clean up temp file
             System.IO.File.Delete(tempPath);
 
             if (success)
             {
+                // Make the pack available right away rather than waiting for the file watcher
+                await _patternFileService.LoadAllPatternsAsync();
+
                 return Ok(new { 
                     message = $"Pattern file '{file.FileName}' imported successfully",
                     fileName = file.FileName,
@@ -310,11 +323,12 @@ public class PatternFilesController : ControllerBase
     }
 
     [HttpDelete("packs/{fileName}")]
-    public ActionResult DeletePatternFile(string fileName)
+    public async Task<ActionResult> DeletePatternFile(string fileName)
     {
         try
         {
-            var filePath = Path.Combine(Directory.GetCurrentDirectory(), "patterns", fileName);
+            // fileName is relative to the patterns directory, as listed by GetAllPatternPacks
+            var filePath = Path.GetFullPath(Path.Combine(_patternFileService.PatternsPath, fileName));
             
             if (!System.IO.File.Exists(filePath))
             {
@@ -322,16 +336,20 @@ public class PatternFilesController : ControllerBase
             }
 
             // Only allow deletion of files in certain directories for safety
-            var relativePath = Path.GetRelativePath(Path.Combine(Directory.GetCurrentDirectory(), "patterns"), filePath);
+            var relativePath = Path.GetRelativePath(_patternFileService.PatternsPath, filePath);
             if (relativePath.StartsWith("..") || 
                 (!relativePath.StartsWith("imports") && 
                  !relativePath.StartsWith("exports") && 
-                 !relativePath.StartsWith("custom", StringComparison.OrdinalIgnoreCase)))
+                 !PatternFileService.IsCustomPath(relativePath)))
             {
                 return BadRequest(new { error = "Cannot delete system pattern files" });
             }
 
             System.IO.File.Delete(filePath);
+
+            // Drop the pack now rather than waiting for the file watcher
+            await _patternFileService.LoadAllPatternsAsync();
+
             return Ok(new { message = $"Pattern file '{fileName}' deleted successfully" });
         }
         catch (Exception ex)
@@ -377,7 +395,11 @@ public class PatternFilesController : ControllerBase
         if (result.Result is ObjectResult objectResult)
         {
             context.Response.StatusCode = objectResult.StatusCode ?? 200;
-            var json = System.Text.Json.JsonSerializer.Serialize(objectResult.Value);
+            // Pack events carry full HapticPatterns; name the enums so the browser can preview them
+            var json = System.Text.Json.JsonSerializer.Serialize(objectResult.Value, new System.Text.Json.JsonSerializerOptions
+            {
+                Converters = { new System.Text.Json.Serialization.JsonStringEnumConverter() }
+            });
             await context.Response.WriteAsync(json);
         }
         else if (result.Value != null)
@@ -394,6 +416,26 @@ public class PatternFilesController : ControllerBase
         }
     }
 
+    public async Task DeletePatternFileHttpContext(HttpContext context, string fileName)
+    {
+        var result = await DeletePatternFile(fileName);
+
+        context.Response.ContentType = "application/json";
+
+        if (result is ObjectResult objectResult)
+        {
+            context.Response.StatusCode = objectResult.StatusCode ?? 200;
+            var json = System.Text.Json.JsonSerializer.Serialize(objectResult.Value);
+            await context.Response.WriteAsync(json);
+        }
+        else
+        {
+            context.Response.StatusCode = 500;
+            var errorJson = System.Text.Json.JsonSerializer.Serialize(new { error = "Unknown error occurred" });
+            await context.Response.WriteAsync(errorJson);
+        }
+    }
+
     public async Task ExportPatternPack(HttpContext context)
     {
         try
@@ -437,12 +479,36 @@ public class PatternFilesController : ControllerBase
     {
         try
         {
-            // This would need multipart form handling for file upload
-            // For now, return not implemented
-            context.Response.StatusCode = 501;
+            IFormFile? file = null;
+            if (context.Request.HasFormContentType)
+            {
+                var form = await context.Request.ReadFormAsync();
+                file = form.Files.GetFile("file");
+            }
+
             context.Response.ContentType = "application/json";
-            var errorJson = System.Text.Json.JsonSerializer.Serialize(new { error = "Import not yet implemented via HttpContext" });
-            await context.Response.WriteAsync(errorJson);
+
+            if (file == null)
+            {
+                context.Response.StatusCode = 400;
+                await context.Response.WriteAsync(System.Text.Json.JsonSerializer.Serialize(new { error = "No file provided" }));
+                return;
+            }
+
+            var result = await ImportPatternFile(file);
+
+            if (result is ObjectResult objectResult)
+            {
+                context.Response.StatusCode = objectResult.StatusCode ?? 200;
+                var json = System.Text.Json.JsonSerializer.Serialize(objectResult.Value);
+                await context.Response.WriteAsync(json);
+            }
+            else
+            {
+                context.Response.StatusCode = 500;
+                var errorJson = System.Text.Json.JsonSerializer.Serialize(new { error = "Unknown error occurred" });
+                await context.Response.WriteAsync(errorJson);
+            }
         }
         catch (Exception ex)
         {
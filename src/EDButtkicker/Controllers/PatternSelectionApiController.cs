@@ -1,5 +1,8 @@
 using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.Http;
 using Microsoft.Extensions.Logging;
+using System.Text.Json;
+using System.Text.Json.Serialization;
 using EDButtkicker.Services;
 using EDButtkicker.Models;
 
@@ -12,15 +15,18 @@ public class PatternSelectionController : ControllerBase
     private readonly ILogger<PatternSelectionController> _logger;
     private readonly PatternSelectionService _patternSelectionService;
     private readonly PatternFileService _patternFileService;
+    private readonly EventMappingService _eventMappingService;
 
     public PatternSelectionController(
         ILogger<PatternSelectionController> logger,
         PatternSelectionService patternSelectionService,
-        PatternFileService patternFileService)
+        PatternFileService patternFileService,
+        EventMappingService eventMappingService)
     {
         _logger = logger;
         _patternSelectionService = patternSelectionService;
         _patternFileService = patternFileService;
+        _eventMappingService = eventMappingService;
     }
 
     [HttpGet("conflicts")]
@@ -52,7 +58,10 @@ public class PatternSelectionController : ControllerBase
                 EventName = eventName,
                 AvailablePatterns = availablePatterns,
                 ActivePattern = activePatternInfo,
-                HasConflicts = availablePatterns.Count > 1
+                HasConflicts = availablePatterns.Count > 1,
+                Patterns = availablePatterns.ToDictionary(
+                    source => source.SourceId,
+                    source => ResolveSourcePattern(shipType, eventName, source))
             });
         }
         catch (Exception ex)
@@ -100,6 +109,7 @@ public class PatternSelectionController : ControllerBase
             var conflicts = _patternSelectionService.GetConflicts();
             var resolvedCount = 0;
             var resolvedConflicts = new List<ResolvedConflictInfo>();
+            var batchId = Guid.NewGuid().ToString("N");
 
             foreach (var conflict in conflicts.Conflicts)
             {
@@ -141,7 +151,8 @@ public class PatternSelectionController : ControllerBase
 
                 if (selectedPattern != null && selectedPattern.SourceId != conflict.ActivePattern?.SourceId)
                 {
-                    _patternSelectionService.SetActivePattern(conflict.ShipType, conflict.EventName, selectedPattern.SourceId);
+                    _patternSelectionService.SetActivePattern(conflict.ShipType, conflict.EventName, selectedPattern.SourceId,
+                        SelectionChangeKind.AutoResolve, $"Auto-resolve: {request.ResolutionStrategy}", batchId);
                     resolvedCount++;
 
                     resolvedConflicts.Add(new ResolvedConflictInfo
@@ -175,6 +186,208 @@ public class PatternSelectionController : ControllerBase
         }
     }
 
+    [HttpGet("rules")]
+    public ActionResult<ResolutionRulesResponse> GetResolutionRules()
+    {
+        try
+        {
+            var ruleSet = _patternSelectionService.GetResolutionRules();
+            return Ok(new ResolutionRulesResponse
+            {
+                Rules = ruleSet.Rules,
+                ApplyOnRefresh = ruleSet.ApplyOnRefresh,
+                EventGroups = PatternSelectionService.EventGroups
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting conflict resolution rules");
+            return StatusCode(500, new { error = "Failed to get resolution rules", details = ex.Message });
+        }
+    }
+
+    [HttpPost("rules")]
+    public async Task<ActionResult<ResolutionRulesResponse>> SaveResolutionRules([FromBody] ConflictResolutionRuleSet ruleSet)
+    {
+        try
+        {
+            if (ruleSet.Rules.Any(rule => !string.IsNullOrEmpty(rule.EventGroup) &&
+                                          !PatternSelectionService.EventGroups.ContainsKey(rule.EventGroup)))
+            {
+                return BadRequest(new { error = $"Event group must be one of: {string.Join(", ", PatternSelectionService.EventGroups.Keys)}" });
+            }
+
+            _patternSelectionService.SetResolutionRules(ruleSet);
+            await _patternSelectionService.SaveSelectionsAsync();
+
+            return GetResolutionRules();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error saving conflict resolution rules");
+            return StatusCode(500, new { error = "Failed to save resolution rules", details = ex.Message });
+        }
+    }
+
+    // Dry run: what the given (possibly unsaved) rules would pick for every conflict
+    [HttpPost("rules/preview")]
+    public ActionResult<RuleResolutionResponse> PreviewResolutionRules([FromBody] ConflictResolutionRuleSet ruleSet)
+    {
+        try
+        {
+            var resolutions = _patternSelectionService.ResolveConflictsWithRules(ruleSet.Rules, apply: false);
+            return Ok(new RuleResolutionResponse
+            {
+                Resolutions = resolutions,
+                ChangedCount = resolutions.Count(r => r.Changed),
+                Applied = false
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error previewing conflict resolution rules");
+            return StatusCode(500, new { error = "Failed to preview resolution rules", details = ex.Message });
+        }
+    }
+
+    [HttpPost("rules/apply")]
+    public async Task<ActionResult<RuleResolutionResponse>> ApplyResolutionRules()
+    {
+        try
+        {
+            var resolutions = _patternSelectionService.ResolveConflictsWithRules(
+                _patternSelectionService.GetResolutionRules().Rules, apply: true);
+            var changedCount = resolutions.Count(r => r.Changed);
+
+            if (changedCount > 0)
+            {
+                await _patternSelectionService.SaveSelectionsAsync();
+            }
+
+            return Ok(new RuleResolutionResponse
+            {
+                Resolutions = resolutions,
+                ChangedCount = changedCount,
+                Applied = true
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error applying conflict resolution rules");
+            return StatusCode(500, new { error = "Failed to apply resolution rules", details = ex.Message });
+        }
+    }
+
+    [HttpGet("history")]
+    public ActionResult<List<SelectionHistoryEntry>> GetHistory([FromQuery] string? shipType, [FromQuery] string? eventName)
+    {
+        try
+        {
+            return Ok(_patternSelectionService.GetHistory(shipType, eventName));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting pattern selection history");
+            return StatusCode(500, new { error = "Failed to get selection history", details = ex.Message });
+        }
+    }
+
+    [HttpPost("undo")]
+    public async Task<ActionResult<SelectionHistoryEntry>> UndoSelection([FromBody] UndoSelectionRequest request)
+    {
+        try
+        {
+            if (string.IsNullOrEmpty(request.ShipType) || string.IsNullOrEmpty(request.EventName))
+            {
+                return BadRequest(new { error = "ShipType and EventName are required" });
+            }
+
+            var entry = _patternSelectionService.UndoLastChange(request.ShipType, request.EventName);
+            if (entry == null)
+            {
+                return NotFound(new { error = $"Nothing to undo for {request.ShipType} {request.EventName}" });
+            }
+
+            await _patternSelectionService.SaveSelectionsAsync();
+            return Ok(entry);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error undoing pattern selection for {ShipType}.{EventName}", request.ShipType, request.EventName);
+            return StatusCode(500, new { error = "Failed to undo selection", details = ex.Message });
+        }
+    }
+
+    [HttpPost("revert-last-auto-resolve")]
+    public async Task<ActionResult<RevertResponse>> RevertLastAutoResolve()
+    {
+        try
+        {
+            var reverted = _patternSelectionService.RevertLastAutoResolve();
+            if (reverted.Count > 0)
+            {
+                await _patternSelectionService.SaveSelectionsAsync();
+            }
+
+            return Ok(new RevertResponse
+            {
+                RevertedCount = reverted.Count,
+                Reverted = reverted
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error reverting the last auto-resolve");
+            return StatusCode(500, new { error = "Failed to revert auto-resolve", details = ex.Message });
+        }
+    }
+
+    [HttpGet("export")]
+    public ActionResult<SelectionExport> ExportSelections()
+    {
+        try
+        {
+            return Ok(_patternSelectionService.ExportSelections());
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error exporting pattern selections");
+            return StatusCode(500, new { error = "Failed to export selections", details = ex.Message });
+        }
+    }
+
+    [HttpPost("import")]
+    public async Task<ActionResult<SelectionImportResult>> ImportSelections([FromBody] SelectionExport export)
+    {
+        try
+        {
+            if (export.Selections == null || export.Selections.Count == 0)
+            {
+                return BadRequest(new { error = "The file contains no pattern selections" });
+            }
+
+            var incomplete = export.Selections.FindIndex(selection =>
+                selection == null || string.IsNullOrWhiteSpace(selection.ShipType) || string.IsNullOrWhiteSpace(selection.EventName));
+            if (incomplete >= 0)
+            {
+                return BadRequest(new { error = $"Selection {incomplete + 1} needs a shipType and an eventName" });
+            }
+
+            var result = _patternSelectionService.ImportSelections(export);
+            if (result.AppliedCount > 0)
+            {
+                await _patternSelectionService.SaveSelectionsAsync();
+            }
+
+            return Ok(result);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error importing pattern selections");
+            return StatusCode(500, new { error = "Failed to import selections", details = ex.Message });
+        }
+    }
+
     [HttpGet("stats")]
     public ActionResult<PatternSelectionStats> GetStats()
     {
@@ -197,29 +410,13 @@ public class PatternSelectionController : ControllerBase
         {
             // Get all current pattern sources from various places
             var allSourceIds = new HashSet<string>();
+            var knownSourceIds = _patternSelectionService.GetAllSourceIds();
+            var packsByName = _patternFileService.GetAllPatternPacks()
+                .GroupBy(pack => pack.Name, StringComparer.OrdinalIgnoreCase)
+                .ToDictionary(group => group.Key, group => group.First(), StringComparer.OrdinalIgnoreCase);
             
-            // Add sources from pattern files by getting all ship types
-            var allShipTypes = new HashSet<string>();
-            
-            // Get all available ship types from the pattern file service
-            var allPacks = _patternFileService.GetAllPatternPacks();
-            foreach (var pack in allPacks)
-            {
-                // We need to iterate through all pattern data to find ship types
-                // This is a limitation of the current pattern file structure
-            }
-            
-            // For now, we'll use a more direct approach by getting patterns for known ship types
-            // In a real implementation, we'd want the pattern service to provide a list of all ship types
-            var knownShipTypes = new[]
-            {
-                "sidewinder", "eagle", "hauler", "adder", "viper", "cobra_mkiii", "type6", 
-                "asp", "vulture", "python", "type7", "anaconda", "federation_corvette", 
-                "cutter", "type9", "krait_mkii", "chieftain", "challenger"
-                // Add more as needed
-            };
-            
-            foreach (var shipType in knownShipTypes)
+            // Register every ship type any loaded pack defines
+            foreach (var shipType in _patternFileService.GetAllShipTypes())
             {
                 var shipPatterns = _patternFileService.GetPatternsForShip(shipType);
                 foreach (var shipPattern in shipPatterns)
@@ -228,6 +425,7 @@ public class PatternSelectionController : ControllerBase
                     {
                         var sourceId = GenerateSourceId(PatternSourceType.FileSystem, shipPattern.PackName, shipType, eventName);
                         allSourceIds.Add(sourceId);
+                        packsByName.TryGetValue(shipPattern.PackName, out var pack);
                         
                         // Register this pattern source
                         var sourceInfo = new PatternSourceInfo
@@ -238,7 +436,11 @@ public class PatternSelectionController : ControllerBase
                             PackName = shipPattern.PackName,
                             Author = shipPattern.Author,
                             Version = shipPattern.Version,
-                            LastModified = DateTime.UtcNow, // Would be file modified time in real implementation
+                            FilePath = pack?.FilePath.Replace('\\', '/') ?? string.Empty,
+                            IsCustom = pack?.IsCustom ?? false,
+                            LastModified = pack != null
+                                ? System.IO.File.GetLastWriteTimeUtc(Path.Combine(_patternFileService.PatternsPath, pack.FilePath))
+                                : DateTime.UtcNow,
                             Description = "", // ShipPatternDefinition doesn't have description
                             Tags = shipPattern.Tags,
                             PatternType = shipPattern.Events[eventName].Pattern.ToString(),
@@ -254,6 +456,17 @@ public class PatternSelectionController : ControllerBase
             
             // Clean up any sources that no longer exist
             _patternSelectionService.CleanupMissingSources(allSourceIds);
+
+            // New packs may create conflicts the user's rules already know how to settle
+            var newSourceCount = allSourceIds.Count(id => !knownSourceIds.Contains(id));
+            var ruleSet = _patternSelectionService.GetResolutionRules();
+            var ruleResolutions = new List<RuleResolution>();
+            if (newSourceCount > 0 && ruleSet.ApplyOnRefresh && ruleSet.Rules.Count > 0)
+            {
+                ruleResolutions = _patternSelectionService.ResolveConflictsWithRules(ruleSet.Rules, apply: true)
+                    .Where(r => r.Changed)
+                    .ToList();
+            }
             
             // Save the updated selections
             await _patternSelectionService.SaveSelectionsAsync();
@@ -265,7 +478,9 @@ public class PatternSelectionController : ControllerBase
             {
                 Message = "Pattern sources refreshed successfully",
                 TotalSources = allSourceIds.Count,
+                NewSources = newSourceCount,
                 TotalConflicts = conflicts.TotalConflicts,
+                RuleResolutions = ruleResolutions,
                 Stats = stats
             });
         }
@@ -276,6 +491,175 @@ public class PatternSelectionController : ControllerBase
         }
     }
 
+    // The pattern a source would play, looked up the way ShipPatternService does when it is active.
+    // Selection keys are lower-case, so pack ship and event names are matched ignoring case.
+    private HapticPattern? ResolveSourcePattern(string shipType, string eventName, PatternSourceInfo source)
+    {
+        switch (source.SourceType)
+        {
+            case PatternSourceType.FileSystem:
+                return _patternFileService.GetPatternsForShip(shipType)
+                    .Where(ship => ship.PackName.Equals(source.PackName, StringComparison.OrdinalIgnoreCase))
+                    .SelectMany(ship => ship.Events)
+                    .FirstOrDefault(e => e.Key.Equals(eventName, StringComparison.OrdinalIgnoreCase))
+                    .Value;
+            case PatternSourceType.Default:
+                return _eventMappingService.GetDefaultPatternForEvent(eventName);
+            default:
+                return null;
+        }
+    }
+
+    // HttpContext wrapper methods for WebConfigurationService; pattern-conflicts.js reads camelCase
+    private static readonly JsonSerializerOptions HttpJsonOptions = new()
+    {
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+        Converters = { new JsonStringEnumConverter() }
+    };
+
+    public async Task GetConflictsHttpContext(HttpContext context)
+    {
+        await WriteResultAsync(context, GetConflicts().Result);
+    }
+
+    public async Task GetAvailablePatternsHttpContext(HttpContext context, string shipType, string eventName)
+    {
+        await WriteResultAsync(context, GetAvailablePatterns(shipType, eventName).Result);
+    }
+
+    public async Task SelectPatternHttpContext(HttpContext context)
+    {
+        var request = await ReadBodyAsync<SelectPatternRequest>(context);
+        if (request == null) return;
+
+        await WriteResultAsync(context, await SelectPattern(request));
+    }
+
+    public async Task AutoResolveConflictsHttpContext(HttpContext context)
+    {
+        var request = await ReadBodyAsync<AutoResolveRequest>(context);
+        if (request == null) return;
+
+        var result = await AutoResolveConflicts(request);
+        await WriteResultAsync(context, result.Result);
+    }
+
+    public async Task GetHistoryHttpContext(HttpContext context)
+    {
+        await WriteResultAsync(context, GetHistory(
+            context.Request.Query["shipType"].FirstOrDefault(),
+            context.Request.Query["eventName"].FirstOrDefault()).Result);
+    }
+
+    public async Task UndoSelectionHttpContext(HttpContext context)
+    {
+        var request = await ReadBodyAsync<UndoSelectionRequest>(context);
+        if (request == null) return;
+
+        var result = await UndoSelection(request);
+        await WriteResultAsync(context, result.Result);
+    }
+
+    public async Task RevertLastAutoResolveHttpContext(HttpContext context)
+    {
+        var result = await RevertLastAutoResolve();
+        await WriteResultAsync(context, result.Result);
+    }
+
+    public async Task ExportSelectionsHttpContext(HttpContext context)
+    {
+        context.Response.Headers["Content-Disposition"] =
+            $"attachment; filename=\"pattern-selections-{DateTime.Now:yyyyMMdd}.json\"";
+        await WriteResultAsync(context, ExportSelections().Result);
+    }
+
+    public async Task ImportSelectionsHttpContext(HttpContext context)
+    {
+        var export = await ReadBodyAsync<SelectionExport>(context);
+        if (export == null) return;
+
+        var result = await ImportSelections(export);
+        await WriteResultAsync(context, result.Result);
+    }
+
+    public async Task GetResolutionRulesHttpContext(HttpContext context)
+    {
+        await WriteResultAsync(context, GetResolutionRules().Result);
+    }
+
+    public async Task SaveResolutionRulesHttpContext(HttpContext context)
+    {
+        var ruleSet = await ReadBodyAsync<ConflictResolutionRuleSet>(context);
+        if (ruleSet == null) return;
+
+        var result = await SaveResolutionRules(ruleSet);
+        await WriteResultAsync(context, result.Result);
+    }
+
+    public async Task PreviewResolutionRulesHttpContext(HttpContext context)
+    {
+        var ruleSet = await ReadBodyAsync<ConflictResolutionRuleSet>(context);
+        if (ruleSet == null) return;
+
+        await WriteResultAsync(context, PreviewResolutionRules(ruleSet).Result);
+    }
+
+    public async Task ApplyResolutionRulesHttpContext(HttpContext context)
+    {
+        var result = await ApplyResolutionRules();
+        await WriteResultAsync(context, result.Result);
+    }
+
+    public async Task GetStatsHttpContext(HttpContext context)
+    {
+        await WriteResultAsync(context, GetStats().Result);
+    }
+
+    public async Task RefreshSourcesHttpContext(HttpContext context)
+    {
+        var result = await RefreshSources();
+        await WriteResultAsync(context, result.Result);
+    }
+
+    // Reads a camelCase request body; writes a 400 and returns null when it isn't valid JSON
+    private static async Task<T?> ReadBodyAsync<T>(HttpContext context) where T : class, new()
+    {
+        try
+        {
+            var body = await new StreamReader(context.Request.Body).ReadToEndAsync();
+            if (string.IsNullOrWhiteSpace(body)) return new T();
+
+            return JsonSerializer.Deserialize<T>(body, new JsonSerializerOptions
+            {
+                PropertyNameCaseInsensitive = true,
+                Converters = { new JsonStringEnumConverter() }
+            }) ?? new T();
+        }
+        catch (JsonException)
+        {
+            context.Response.StatusCode = 400;
+            context.Response.ContentType = "application/json";
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = "Invalid request body" }, HttpJsonOptions));
+            return null;
+        }
+    }
+
+    private static async Task WriteResultAsync(HttpContext context, ActionResult? result)
+    {
+        context.Response.ContentType = "application/json";
+
+        if (result is ObjectResult objectResult)
+        {
+            context.Response.StatusCode = objectResult.StatusCode ?? 200;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(objectResult.Value, HttpJsonOptions));
+        }
+        else
+        {
+            context.Response.StatusCode = 500;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = "Unknown error occurred" }, HttpJsonOptions));
+        }
+    }
+
     private static string GenerateSourceId(PatternSourceType sourceType, string packName, string shipType, string eventName)
     {
         return $"{sourceType}:{packName}:{shipType}:{eventName}".ToLowerInvariant();
@@ -290,6 +674,7 @@ public class PatternOptionsResponse
     public List<PatternSourceInfo> AvailablePatterns { get; set; } = new();
     public PatternSourceInfo? ActivePattern { get; set; }
     public bool HasConflicts { get; set; }
+    public Dictionary<string, HapticPattern?> Patterns { get; set; } = new(); // by SourceId, for previews
 }
 
 public class SelectPatternRequest
@@ -341,6 +726,34 @@ public class RefreshSourcesResponse
 {
     public string Message { get; set; } = string.Empty;
     public int TotalSources { get; set; }
+    public int NewSources { get; set; }
     public int TotalConflicts { get; set; }
+    public List<RuleResolution> RuleResolutions { get; set; } = new(); // changes made by rules re-applied on refresh
     public PatternSelectionStats Stats { get; set; } = new();
+}
+
+public class UndoSelectionRequest
+{
+    public string ShipType { get; set; } = string.Empty;
+    public string EventName { get; set; } = string.Empty;
+}
+
+public class RevertResponse
+{
+    public int RevertedCount { get; set; }
+    public List<SelectionHistoryEntry> Reverted { get; set; } = new();
+}
+
+public class ResolutionRulesResponse
+{
+    public List<ConflictResolutionRule> Rules { get; set; } = new();
+    public bool ApplyOnRefresh { get; set; }
+    public Dictionary<string, string[]> EventGroups { get; set; } = new();
+}
+
+public class RuleResolutionResponse
+{
+    public List<RuleResolution> Resolutions { get; set; } = new();
+    public int ChangedCount { get; set; }
+    public bool Applied { get; set; }
 }
\ No newline at end of file
@@ -0,0 +1,218 @@
+using Microsoft.AspNetCore.Http;
+using System.Text.Json;
+using EDButtkicker.Services;
+using Microsoft.Extensions.Logging;
+
+namespace EDButtkicker.Controllers;
+
+// Scenarios are read and written in their file format (camelCase); run reports use the
+// snake_case of the replay payloads they are built from
+public class ScenarioApiController
+{
+    private readonly ILogger<ScenarioApiController> _logger;
+    private readonly ScenarioService _scenarios;
+
+    private static readonly JsonSerializerOptions ScenarioJsonOptions = new()
+    {
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+        PropertyNameCaseInsensitive = true,
+        AllowTrailingCommas = true,
+        ReadCommentHandling = JsonCommentHandling.Skip
+    };
+
+    public ScenarioApiController(ILogger<ScenarioApiController> logger, ScenarioService scenarios)
+    {
+        _logger = logger;
+        _scenarios = scenarios;
+    }
+
+    public async Task GetScenarios(HttpContext context)
+    {
+        try
+        {
+            context.Response.ContentType = "application/json";
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { scenarios = _scenarios.GetScenarios() }, ScenarioJsonOptions));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error listing scenarios");
+            context.Response.StatusCode = 500;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = ex.Message }));
+        }
+    }
+
+    public async Task GetScenario(HttpContext context, string name)
+    {
+        try
+        {
+            var scenario = _scenarios.GetScenario(name);
+            if (scenario == null)
+            {
+                context.Response.StatusCode = 404;
+                await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = $"No scenario named {name}" }));
+                return;
+            }
+
+            context.Response.ContentType = "application/json";
+            await context.Response.WriteAsync(JsonSerializer.Serialize(scenario, ScenarioJsonOptions));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error reading scenario {Name}", name);
+            context.Response.StatusCode = 500;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = ex.Message }));
+        }
+    }
+
+    public async Task SaveScenario(HttpContext context)
+    {
+        try
+        {
+            var scenario = await JsonSerializer.DeserializeAsync<Scenario>(context.Request.Body, ScenarioJsonOptions)
+                ?? throw new ArgumentException("No scenario in the request");
+            var saved = await _scenarios.SaveScenarioAsync(scenario);
+
+            context.Response.ContentType = "application/json";
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { success = true, scenario = saved }, ScenarioJsonOptions));
+        }
+        catch (JsonException ex)
+        {
+            context.Response.StatusCode = 400;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = $"Invalid scenario: {ex.Message}" }));
+        }
+        catch (ArgumentException ex)
+        {
+            context.Response.StatusCode = 400;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = ex.Message }));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error saving scenario");
+            context.Response.StatusCode = 500;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = ex.Message }));
+        }
+    }
+
+    public async Task DeleteScenario(HttpContext context, string name)
+    {
+        try
+        {
+            if (!_scenarios.DeleteScenario(name))
+            {
+                context.Response.StatusCode = 404;
+                await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = $"No scenario named {name}" }));
+                return;
+            }
+
+            context.Response.ContentType = "application/json";
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { success = true }));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error deleting scenario {Name}", name);
+            context.Response.StatusCode = 500;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = ex.Message }));
+        }
+    }
+
+    // Runs a saved scenario by name, or the scenario in the request as it is in the editor
+    public async Task RunScenario(HttpContext context)
+    {
+        try
+        {
+            var request = await JsonSerializer.DeserializeAsync<ScenarioRunRequest>(context.Request.Body, ScenarioJsonOptions)
+                ?? new ScenarioRunRequest();
+
+            var scenario = request.Scenario
+                ?? (string.IsNullOrWhiteSpace(request.Name) ? null : _scenarios.GetScenario(request.Name));
+            if (scenario == null)
+            {
+                context.Response.StatusCode = string.IsNullOrWhiteSpace(request.Name) ? 400 : 404;
+                await context.Response.WriteAsync(JsonSerializer.Serialize(new
+                {
+                    error = string.IsNullOrWhiteSpace(request.Name) ? "Name or scenario is required" : $"No scenario named {request.Name}"
+                }));
+                return;
+            }
+
+            var eventCount = _scenarios.Run(scenario, request.Speed);
+
+            context.Response.ContentType = "application/json";
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new
+            {
+                success = true,
+                name = scenario.Name,
+                event_count = eventCount,
+                report = _scenarios.GetReport()?.ToPayload()
+            }));
+        }
+        catch (JsonException ex)
+        {
+            context.Response.StatusCode = 400;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = $"Invalid scenario: {ex.Message}" }));
+        }
+        catch (ArgumentException ex)
+        {
+            context.Response.StatusCode = 400;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = ex.Message }));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error running scenario");
+            context.Response.StatusCode = 500;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = ex.Message }));
+        }
+    }
+
+    public async Task GetScenarioReport(HttpContext context)
+    {
+        try
+        {
+            context.Response.ContentType = "application/json";
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { report = _scenarios.GetReport()?.ToPayload() }));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting scenario report");
+            context.Response.StatusCode = 500;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = ex.Message }));
+        }
+    }
+
+    // Turns the loaded replay's range into a scenario for the editor; saving it is up to the caller
+    public async Task CaptureScenario(HttpContext context)
+    {
+        try
+        {
+            var request = await JsonSerializer.DeserializeAsync<ScenarioRunRequest>(context.Request.Body, ScenarioJsonOptions)
+                ?? new ScenarioRunRequest();
+            var scenario = _scenarios.CaptureFromReplay(request.Name ?? string.Empty);
+
+            context.Response.ContentType = "application/json";
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { success = true, scenario }, ScenarioJsonOptions));
+        }
+        catch (JsonException ex)
+        {
+            context.Response.StatusCode = 400;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = $"Invalid request: {ex.Message}" }));
+        }
+        catch (InvalidOperationException ex)
+        {
+            context.Response.StatusCode = 409;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = ex.Message }));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error capturing scenario from replay");
+            context.Response.StatusCode = 500;
+            await context.Response.WriteAsync(JsonSerializer.Serialize(new { error = ex.Message }));
+        }
+    }
+}
+
+public class ScenarioRunRequest
+{
+    public string? Name { get; set; }
+    public Scenario? Scenario { get; set; }
+    public double? Speed { get; set; }
+}
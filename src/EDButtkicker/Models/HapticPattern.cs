@@ -1,3 +1,5 @@
+using System.Text.Json.Serialization;
+
 namespace EDButtkicker.Models;
 
 public enum PatternType
@@ -22,6 +24,16 @@ public enum IntensityCurve
     Custom
 }
 
+public enum CurveSegmentType
+{
+    Linear,
+    Exponential,
+    Logarithmic,
+    Sine,
+    Bounce,
+    Bezier
+}
+
 public enum WaveformType
 {
     Sine,
@@ -66,6 +78,7 @@ public class HapticPattern
     public WaveformType Waveform { get; set; } = WaveformType.Sine;
     public List<PatternLayer> Layers { get; set; } = new();
     public List<string> ChainedPatterns { get; set; } = new(); // Pattern names to chain
+    public List<int> ChainGaps { get; set; } = new(); // ms before each chained pattern, negative overlaps
     public Dictionary<string, object> Conditions { get; set; } = new(); // Conditional logic
     
     // Voice Integration
@@ -82,6 +95,19 @@ public class CurvePoint
 {
     public float Time { get; set; } // 0.0 to 1.0 (percentage of duration)
     public float Intensity { get; set; } // 0.0 to 1.0 (percentage of max intensity)
+    public CurveSegmentType Curve { get; set; } = CurveSegmentType.Linear; // Easing of the segment to the next point
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public BezierHandles? Handles { get; set; } // Tangent handles when Curve is Bezier
+}
+
+public class BezierHandles
+{
+    // X values are fractions of the segment length (0.0 to 1.0)
+    // Y1 is offset from the segment start intensity, Y2 from the end intensity
+    public float X1 { get; set; } = 0.33f;
+    public float Y1 { get; set; } = 0.0f;
+    public float X2 { get; set; } = 0.67f;
+    public float Y2 { get; set; } = 0.0f;
 }
 
 public class EventMapping
@@ -55,6 +55,7 @@ class Program
             logger.LogInformation("Loading pattern files...");
             var patternFileService = host.Services.GetRequiredService<PatternFileService>();
             await patternFileService.LoadAllPatternsAsync();
+            await host.Services.GetRequiredService<PatternSelectionService>().LoadSelectionsAsync();
 
             // Start services and web UI
             logger.LogInformation("Starting services and web interface...");
@@ -163,6 +164,7 @@ class Program
                 services.AddSingleton<PatternFileService>();
                 services.AddSingleton<PatternSelectionService>();
                 services.AddSingleton<ShipPatternService>();
+                services.AddSingleton<LiveEventStreamService>();
                 // IntensityCurveProcessor is a static class, no need to register
                 // AdvancedWaveformGenerator and MultiLayerPatternGenerator are created as needed
                 
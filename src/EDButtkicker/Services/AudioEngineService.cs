@@ -218,7 +218,7 @@ public class AudioEngineService : IDisposable
         return Task.CompletedTask;
     }
 
-    private int CalculateIntensity(HapticPattern pattern, JournalEvent? journalEvent)
+    public int CalculateIntensity(HapticPattern pattern, JournalEvent? journalEvent)
     {
         if (!pattern.IntensityFromDamage || journalEvent?.HullDamage == null)
         {
@@ -1,5 +1,6 @@
 using Microsoft.Extensions.Logging;
 using System.Text.Json;
+using System.Text.Json.Serialization;
 using System.Collections.Concurrent;
 using EDButtkicker.Configuration;
 using EDButtkicker.Models;
@@ -16,6 +17,20 @@ public class EventMappingService
     private readonly ConcurrentDictionary<string, DateTime> _lastEventTimes = new();
     private readonly ConcurrentDictionary<string, int> _eventCounts = new();
 
+    // Mappings edited from the dashboard, saved separately and layered over the defaults on startup
+    private readonly string _userMappingsPath;
+    private readonly Dictionary<string, EventMapping> _userMappings = new();
+    // Held for the whole of SetEventMapping so concurrent edits can't drop each other
+    private readonly object _mappingUpdateLock = new object();
+    private static readonly JsonSerializerOptions UserMappingsJsonOptions = new()
+    {
+        WriteIndented = true,
+        PropertyNameCaseInsensitive = true,
+        Converters = { new JsonStringEnumConverter() }
+    };
+
+    public event Action<EventProcessedEventArgs>? EventProcessed;
+
     public EventMappingService(
         ILogger<EventMappingService> logger,
         AudioEngineService audioEngine,
@@ -27,6 +42,10 @@ public class EventMappingService
         _patternSequencer = patternSequencer;
         _contextualIntelligence = contextualIntelligence;
         _eventMappings = EventMappingsConfig.GetDefault();
+
+        var settingsDir = Path.Combine(Environment.GetFolderPath(Environment.SpecialFolder.ApplicationData), "EDButtkicker");
+        _userMappingsPath = Path.Combine(settingsDir, "event-mappings.json");
+        LoadUserMappings();
         
         // Initialize services
         _audioEngine.Initialize();
@@ -36,7 +55,7 @@ public class EventMappingService
             _eventMappings.EventMappings.Count);
     }
 
-    public async Task ProcessEvent(JournalEvent journalEvent)
+    public async Task ProcessEvent(JournalEvent journalEvent, bool isReplay = false)
     {
         try
         {
@@ -53,12 +72,14 @@ public class EventMappingService
             {
                 // Log unmapped events occasionally to avoid spam
                 LogUnmappedEvent(eventType);
+                RaiseEventProcessed(journalEvent, EventProcessingResult.Unmapped, null, isReplay);
                 return;
             }
 
             if (!mapping.Enabled)
             {
                 _logger.LogDebug("Event mapping disabled for: {EventType}", eventType);
+                RaiseEventProcessed(journalEvent, EventProcessingResult.Disabled, mapping.Pattern, isReplay);
                 return;
             }
 
@@ -66,6 +87,7 @@ public class EventMappingService
             if (ShouldRateLimit(eventType))
             {
                 _logger.LogDebug("Rate limiting event: {EventType}", eventType);
+                RaiseEventProcessed(journalEvent, EventProcessingResult.RateLimited, mapping.Pattern, isReplay);
                 return;
             }
 
@@ -100,6 +122,10 @@ public class EventMappingService
 
             // Voice feedback has been removed for better user experience
 
+            // Notify listeners before awaiting playback so they see the event as it starts
+            RaiseEventProcessed(journalEvent, EventProcessingResult.Triggered, pattern, isReplay, basePattern.Intensity,
+                _audioEngine.CalculateIntensity(pattern, journalEvent), mapping.Pattern, basePattern);
+
             // Execute all feedback simultaneously
             await Task.WhenAll(tasks);
 
@@ -124,9 +150,17 @@ public class EventMappingService
             Intensity = basePattern.Intensity,
             FadeIn = basePattern.FadeIn,
             FadeOut = basePattern.FadeOut,
+            IntensityCurve = basePattern.IntensityCurve,
+            Waveform = basePattern.Waveform,
             IntensityFromDamage = basePattern.IntensityFromDamage,
             MaxIntensity = basePattern.MaxIntensity,
-            MinIntensity = basePattern.MinIntensity
+            MinIntensity = basePattern.MinIntensity,
+            Layers = basePattern.Layers,
+            CustomCurvePoints = basePattern.CustomCurvePoints,
+            // The sequencer reads chains and conditions from this copy, not the mapping's pattern
+            ChainedPatterns = new List<string>(basePattern.ChainedPatterns),
+            ChainGaps = new List<int>(basePattern.ChainGaps),
+            Conditions = new Dictionary<string, object>(basePattern.Conditions)
         };
 
         // Apply event-specific modifications
@@ -207,7 +241,7 @@ public class EventMappingService
         {
             try
             {
-                var jumpDist = Convert.ToDouble(journalEvent.AdditionalData["JumpDist"]);
+                var jumpDist = ExtractDoubleProperty(journalEvent, "JumpDist") ?? 0;
                 // Scale intensity slightly based on jump distance (longer = more intense)
                 var distanceMultiplier = Math.Min(1.3, 1.0 + (jumpDist / 100.0) * 0.3);
                 pattern.Intensity = (int)(pattern.Intensity * distanceMultiplier);
@@ -306,7 +340,7 @@ public class EventMappingService
         {
             try
             {
-                var heatLevel = Convert.ToDouble(journalEvent.AdditionalData["Heat"]);
+                var heatLevel = ExtractDoubleProperty(journalEvent, "Heat") ?? 0;
                 if (heatLevel > 0.8) // Above 80% heat
                 {
                     pattern.Intensity = Math.Min(100, (int)(pattern.Intensity * 1.4));
@@ -335,7 +369,7 @@ public class EventMappingService
         {
             try
             {
-                var scoopRate = Convert.ToDouble(journalEvent.AdditionalData["Rate"]);
+                var scoopRate = ExtractDoubleProperty(journalEvent, "Rate") ?? 0;
                 // Higher scoop rate = more intensity
                 var rateMultiplier = Math.Min(1.5, 1.0 + (scoopRate / 10.0) * 0.5);
                 pattern.Intensity = (int)(pattern.Intensity * rateMultiplier);
@@ -394,7 +428,7 @@ public class EventMappingService
         {
             try
             {
-                var boostValue = Convert.ToDouble(journalEvent.AdditionalData["Boost"]);
+                var boostValue = ExtractDoubleProperty(journalEvent, "Boost") ?? 0;
                 // Higher boost = longer duration and more intensity
                 if (boostValue > 2.0)
                 {
@@ -428,7 +462,7 @@ public class EventMappingService
         // Check for interdiction success/failure
         if (journalEvent.AdditionalData?.ContainsKey("Success") == true)
         {
-            var success = Convert.ToBoolean(journalEvent.AdditionalData["Success"]);
+            var success = ExtractBoolProperty(journalEvent, "Success") ?? true;
             _logger.LogDebug("Interdiction {Result}", success ? "successful" : "failed");
             
             if (!success && journalEvent.Event == "Interdicted")
@@ -487,6 +521,68 @@ public class EventMappingService
         return DateTime.UtcNow - lastTime < minInterval;
     }
 
+    // Journal fields outside JournalEvent's own properties arrive as JsonElements
+    private static double? ExtractDoubleProperty(JournalEvent journalEvent, string propertyName)
+    {
+        if (journalEvent.AdditionalData?.TryGetValue(propertyName, out var value) == true)
+        {
+            if (value is JsonElement element && element.ValueKind == JsonValueKind.Number)
+            {
+                return element.GetDouble();
+            }
+            if (double.TryParse(value?.ToString(), out var doubleValue))
+            {
+                return doubleValue;
+            }
+        }
+        return null;
+    }
+
+    private static bool? ExtractBoolProperty(JournalEvent journalEvent, string propertyName)
+    {
+        if (journalEvent.AdditionalData?.TryGetValue(propertyName, out var value) == true)
+        {
+            if (value is JsonElement element && element.ValueKind is JsonValueKind.True or JsonValueKind.False)
+            {
+                return element.GetBoolean();
+            }
+            if (bool.TryParse(value?.ToString(), out var boolValue))
+            {
+                return boolValue;
+            }
+        }
+        return null;
+    }
+
+    private void RaiseEventProcessed(JournalEvent journalEvent, EventProcessingResult result,
+        HapticPattern? pattern, bool isReplay, int? baseIntensity = null, int? playedIntensity = null,
+        HapticPattern? mappedPattern = null, HapticPattern? eventPattern = null)
+    {
+        var handler = EventProcessed;
+        if (handler == null)
+            return;
+
+        try
+        {
+            handler(new EventProcessedEventArgs
+            {
+                JournalEvent = journalEvent,
+                Result = result,
+                Pattern = pattern,
+                BaseIntensity = baseIntensity ?? pattern?.Intensity,
+                PlayedIntensity = playedIntensity,
+                MappedPattern = mappedPattern ?? pattern,
+                EventPattern = eventPattern ?? pattern,
+                IsReplay = isReplay,
+                ProcessedAt = DateTime.UtcNow
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Error notifying listeners for event: {EventType}", journalEvent.Event);
+        }
+    }
+
     private void LogUnmappedEvent(string eventType)
     {
         // Only log each unmapped event type once per session to avoid spam
@@ -598,4 +694,86 @@ public class EventMappingService
         _patternSequencer.LoadPatterns(_eventMappings);
         _logger.LogInformation("Event mappings updated with {Count} patterns", newMappings.EventMappings.Count);
     }
+
+    public Dictionary<string, EventMapping> GetEventMappings()
+    {
+        return new Dictionary<string, EventMapping>(_eventMappings.EventMappings);
+    }
+
+    public bool HasEventMapping(string eventType)
+    {
+        return _eventMappings.EventMappings.ContainsKey(eventType);
+    }
+
+    // Adds or replaces the mapping for one event and saves it for the next start
+    public void SetEventMapping(EventMapping mapping)
+    {
+        lock (_mappingUpdateLock)
+        {
+            // Swap in a new dictionary so events being processed never see a partial update
+            var mappings = new Dictionary<string, EventMapping>(_eventMappings.EventMappings)
+            {
+                [mapping.EventType] = mapping
+            };
+            UpdateEventMappings(new EventMappingsConfig { EventMappings = mappings });
+
+            _userMappings[mapping.EventType] = mapping;
+            SaveUserMappings();
+        }
+    }
+
+    private void LoadUserMappings()
+    {
+        try
+        {
+            if (!File.Exists(_userMappingsPath))
+                return;
+
+            var json = File.ReadAllText(_userMappingsPath);
+            var userMappings = JsonSerializer.Deserialize<Dictionary<string, EventMapping>>(json, UserMappingsJsonOptions);
+            if (userMappings == null)
+                return;
+
+            foreach (var (eventType, mapping) in userMappings)
+            {
+                mapping.EventType = eventType;
+                _userMappings[eventType] = mapping;
+                _eventMappings.EventMappings[eventType] = mapping;
+            }
+
+            _logger.LogInformation("Loaded {Count} edited event mappings from {Path}", userMappings.Count, _userMappingsPath);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error loading edited event mappings from {Path}", _userMappingsPath);
+        }
+    }
+
+    private void SaveUserMappings()
+    {
+        Directory.CreateDirectory(Path.GetDirectoryName(_userMappingsPath)!);
+        File.WriteAllText(_userMappingsPath, JsonSerializer.Serialize(_userMappings, UserMappingsJsonOptions));
+        _logger.LogInformation("Saved {Count} edited event mappings to {Path}", _userMappings.Count, _userMappingsPath);
+    }
+}
+
+public class EventProcessedEventArgs
+{
+    public JournalEvent JournalEvent { get; set; } = new();
+    public EventProcessingResult Result { get; set; }
+    public HapticPattern? Pattern { get; set; } // Final pattern after event and contextual adjustments
+    public int? BaseIntensity { get; set; } // Intensity before contextual adjustments
+    public int? PlayedIntensity { get; set; } // Output intensity after damage scaling and the global cap; null when nothing played
+    public HapticPattern? MappedPattern { get; set; } // The mapping's pattern as configured
+    public HapticPattern? EventPattern { get; set; } // After event-specific adjustments, before contextual ones
+    public bool IsReplay { get; set; }
+    public DateTime ProcessedAt { get; set; }
+}
+
+public enum EventProcessingResult
+{
+    Triggered,
+    Unmapped,
+    Disabled,
+    RateLimited
 }
@@ -96,14 +96,80 @@ public static class IntensityCurveProcessor
             
             if (time >= p1.Time && time <= p2.Time)
             {
-                // Linear interpolation between the two points
-                float t = (time - p1.Time) / (p2.Time - p1.Time);
-                return p1.Intensity + t * (p2.Intensity - p1.Intensity);
+                // Each segment is shaped by the curve stored on its starting point
+                float span = p2.Time - p1.Time;
+                float t = span > 0 ? (time - p1.Time) / span : 0f;
+                return CalculateSegment(p1.Curve, t, p1.Intensity, p2.Intensity, p1.Handles);
             }
         }
         
         return time; // Fallback
     }
+
+    /// <summary>
+    /// Interpolate between two curve points using the segment's easing
+    /// </summary>
+    /// <param name="curve">Easing of the segment</param>
+    /// <param name="t">Progress through the segment (0.0 to 1.0)</param>
+    /// <param name="startIntensity">Intensity at the segment start</param>
+    /// <param name="endIntensity">Intensity at the segment end</param>
+    /// <param name="handles">Tangent handles for Bezier segments</param>
+    /// <returns>Interpolated intensity</returns>
+    public static float CalculateSegment(CurveSegmentType curve, float t, float startIntensity, float endIntensity, BezierHandles? handles = null)
+    {
+        t = Math.Max(0.0f, Math.Min(1.0f, t));
+
+        if (curve == CurveSegmentType.Bezier)
+        {
+            return CalculateBezier(t, startIntensity, endIntensity, handles ?? new BezierHandles());
+        }
+
+        float easedT = curve switch
+        {
+            CurveSegmentType.Exponential => t * t,
+            CurveSegmentType.Logarithmic => (float)Math.Sqrt(t),
+            CurveSegmentType.Sine => (float)(0.5 * (1 - Math.Cos(t * Math.PI))),
+            CurveSegmentType.Bounce => CalculateBounceOut(t),
+            _ => t
+        };
+
+        return startIntensity + (endIntensity - startIntensity) * easedT;
+    }
+
+    private static float CalculateBounceOut(float t)
+    {
+        if (t < 1 / 2.75f)
+            return 7.5625f * t * t;
+        if (t < 2 / 2.75f)
+            return 7.5625f * (t -= 1.5f / 2.75f) * t + 0.75f;
+        if (t < 2.5f / 2.75f)
+            return 7.5625f * (t -= 2.25f / 2.75f) * t + 0.9375f;
+        return 7.5625f * (t -= 2.625f / 2.75f) * t + 0.984375f;
+    }
+
+    private static float CalculateBezier(float t, float startIntensity, float endIntensity, BezierHandles handles)
+    {
+        float x1 = Math.Max(0.0f, Math.Min(1.0f, handles.X1));
+        float x2 = Math.Max(0.0f, Math.Min(1.0f, handles.X2));
+        float y1 = startIntensity + handles.Y1;
+        float y2 = endIntensity + handles.Y2;
+
+        // X is monotonic with clamped handles, so bisect for the parameter at time t
+        float low = 0.0f, high = 1.0f, u = t;
+        for (int i = 0; i < 24; i++)
+        {
+            u = (low + high) / 2;
+            if (CubicBezier(u, 0.0f, x1, x2, 1.0f) < t) low = u; else high = u;
+        }
+
+        return Math.Max(0.0f, Math.Min(1.0f, CubicBezier(u, startIntensity, y1, y2, endIntensity)));
+    }
+
+    private static float CubicBezier(float u, float p0, float p1, float p2, float p3)
+    {
+        float inv = 1 - u;
+        return inv * inv * inv * p0 + 3 * inv * inv * u * p1 + 3 * inv * u * u * p2 + u * u * u * p3;
+    }
     
     /// <summary>
     /// Generate a preview of curve values for visualization
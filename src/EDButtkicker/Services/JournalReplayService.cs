@@ -0,0 +1,776 @@
+using Microsoft.Extensions.Logging;
+using System.Diagnostics;
+using System.Text.Json;
+using EDButtkicker.Models;
+
+namespace EDButtkicker.Services;
+
+public enum ReplayState
+{
+    Stopped,
+    Playing,
+    Paused
+}
+
+/// <summary>
+/// Plays a loaded journal back through the event mapping system on the journal's own clock,
+/// scaled by the replay speed. Playback can be paused, sought, limited to a time range, looped
+/// and stepped one event at a time.
+/// </summary>
+public class JournalReplayService
+{
+    public const double MinSpeed = 0.25;
+    public const double MaxSpeed = 8.0;
+    private static readonly TimeSpan MinLoopPass = TimeSpan.FromSeconds(1);
+    // Task.Delay tops out just under 25 days; longer journal gaps are waited out a day at a time
+    private static readonly TimeSpan MaxWait = TimeSpan.FromDays(1);
+
+    // Fields worth showing next to an event in the replay list; other events show their first few values
+    private static readonly Dictionary<string, string[]> KeyFields = new(StringComparer.OrdinalIgnoreCase)
+    {
+        ["HullDamage"] = new[] { "Health", "PlayerPilot", "Fighter" },
+        ["FSDJump"] = new[] { "StarSystem", "JumpDist", "FuelUsed" },
+        ["StartJump"] = new[] { "JumpType", "StarSystem" },
+        ["SupercruiseEntry"] = new[] { "StarSystem" },
+        ["SupercruiseExit"] = new[] { "StarSystem", "Body" },
+        ["Docked"] = new[] { "StationName", "StationType" },
+        ["Undocked"] = new[] { "StationName" },
+        ["Touchdown"] = new[] { "Body", "PlayerControlled" },
+        ["Liftoff"] = new[] { "Body", "PlayerControlled" },
+        ["ShipTargeted"] = new[] { "TargetLocked", "Ship", "ScanStage", "LegalStatus" },
+        ["UnderAttack"] = new[] { "Target" },
+        ["ShieldState"] = new[] { "ShieldsUp" },
+        ["HeatWarning"] = Array.Empty<string>(),
+        ["Interdicted"] = new[] { "Submitted", "Interdictor" },
+        ["Bounty"] = new[] { "Target", "TotalReward" },
+        ["Died"] = new[] { "KillerName", "KillerShip" },
+        ["Loadout"] = new[] { "Ship", "ShipName" }
+    };
+    private const int FallbackFieldCount = 3;
+    private const int MaxReportedParseErrors = 20;
+
+    private readonly ILogger<JournalReplayService> _logger;
+    private readonly EventMappingService _eventMapping;
+    private readonly LiveEventStreamService _liveEventStream;
+    private readonly object _lock = new object();
+
+    private List<JournalEvent> _events = new();
+    private string _source = string.Empty;
+    private DateTime _rangeStart;
+    private DateTime _rangeEnd;
+    private bool _loop;
+    private double _speed = 1.0;
+    private ReplayState _state = ReplayState.Stopped;
+
+    // Journal time of the playhead when _clock was last restarted, and the next event to play
+    private DateTime _position;
+    private int _nextIndex;
+    private readonly Stopwatch _clock = new();
+    private CancellationTokenSource? _runTokenSource;
+
+    // What the mapping pipeline did with each session event the last time it played, by index
+    private Dictionary<JournalEvent, int> _indexes = new(ReferenceEqualityComparer.Instance);
+    private ReplayEventOutcome?[] _outcomes = Array.Empty<ReplayEventOutcome?>();
+
+    public JournalReplayService(
+        ILogger<JournalReplayService> logger,
+        EventMappingService eventMapping,
+        LiveEventStreamService liveEventStream)
+    {
+        _logger = logger;
+        _eventMapping = eventMapping;
+        _liveEventStream = liveEventStream;
+
+        _eventMapping.EventProcessed += OnEventProcessed;
+    }
+
+    public bool HasSession
+    {
+        get
+        {
+            lock (_lock)
+            {
+                return _events.Count > 0;
+            }
+        }
+    }
+
+    /// <summary>
+    /// Replaces the current session and starts playing it. Returns the number of events in range;
+    /// nothing is replaced when that is zero.
+    /// </summary>
+    public int Load(IEnumerable<JournalEvent> events, string source, DateTime? start = null, DateTime? end = null,
+        double? speed = null, bool loop = false)
+    {
+        var ordered = events.OrderBy(e => e.Timestamp).ToList();
+        if (ordered.Count == 0)
+            return 0;
+
+        var rangeStart = Clamp(start ?? ordered.First().Timestamp, ordered.First().Timestamp, ordered.Last().Timestamp);
+        var rangeEnd = Clamp(end ?? ordered.Last().Timestamp, rangeStart, ordered.Last().Timestamp);
+        var inRange = ordered.Count(e => e.Timestamp >= rangeStart && e.Timestamp <= rangeEnd);
+        if (inRange == 0)
+            return 0;
+
+        lock (_lock)
+        {
+            CancelRun();
+            _events = ordered;
+            _indexes = new Dictionary<JournalEvent, int>(ReferenceEqualityComparer.Instance);
+            for (var i = 0; i < ordered.Count; i++)
+                _indexes.TryAdd(ordered[i], i);
+            _outcomes = new ReplayEventOutcome?[ordered.Count];
+            _source = source;
+            _rangeStart = rangeStart;
+            _rangeEnd = rangeEnd;
+            _loop = loop;
+            _speed = Math.Clamp(speed ?? _speed, MinSpeed, MaxSpeed);
+            MoveTo(_rangeStart);
+            StartRun();
+        }
+
+        _logger.LogInformation("Started journal replay of {Count} events from {Source} ({Start} to {End})",
+            inRange, source, rangeStart, rangeEnd);
+        PublishStatus();
+        return inRange;
+    }
+
+    /// <summary>Resumes playback, starting over from the range start once the end was reached</summary>
+    public void Play()
+    {
+        lock (_lock)
+        {
+            EnsureSession();
+            if (_state == ReplayState.Playing)
+                return;
+
+            if (_position >= _rangeEnd && !HasNextInRange())
+                MoveTo(_rangeStart);
+            StartRun();
+        }
+        PublishStatus();
+    }
+
+    public void Pause()
+    {
+        lock (_lock)
+        {
+            EnsureSession();
+            if (_state != ReplayState.Playing)
+                return;
+
+            HoldPosition();
+            CancelRun();
+            _state = ReplayState.Paused;
+        }
+        PublishStatus();
+    }
+
+    /// <summary>Stops playback and rewinds to the range start; the session stays loaded</summary>
+    public void Stop()
+    {
+        lock (_lock)
+        {
+            if (_events.Count == 0)
+                return;
+
+            CancelRun();
+            _state = ReplayState.Stopped;
+            MoveTo(_rangeStart);
+        }
+        _logger.LogInformation("Stopped journal replay");
+        PublishStatus();
+    }
+
+    /// <summary>Moves the playhead within the range; events at the new position play next</summary>
+    public void Seek(DateTime position)
+    {
+        lock (_lock)
+        {
+            EnsureSession();
+            MoveTo(Clamp(position, _rangeStart, _rangeEnd));
+            RestartRunIfPlaying();
+        }
+        PublishStatus();
+    }
+
+    public void SetSpeed(double speed)
+    {
+        lock (_lock)
+        {
+            EnsureSession();
+            HoldPosition();
+            _speed = Math.Clamp(speed, MinSpeed, MaxSpeed);
+            RestartRunIfPlaying();
+        }
+        PublishStatus();
+    }
+
+    /// <summary>Limits playback to a part of the session; null bounds reset to the session's first or last event</summary>
+    public void SetRange(DateTime? start, DateTime? end, bool loop)
+    {
+        lock (_lock)
+        {
+            EnsureSession();
+            var sessionStart = _events.First().Timestamp;
+            var sessionEnd = _events.Last().Timestamp;
+            var rangeStart = Clamp(start ?? sessionStart, sessionStart, sessionEnd);
+            var rangeEnd = Clamp(end ?? sessionEnd, sessionStart, sessionEnd);
+            if (rangeEnd < rangeStart)
+                throw new ArgumentException("The range end must not be before its start");
+
+            var position = CurrentPosition();
+            _rangeStart = rangeStart;
+            _rangeEnd = rangeEnd;
+            _loop = loop;
+            if (position < _rangeStart || position > _rangeEnd)
+                MoveTo(Clamp(position, _rangeStart, _rangeEnd));
+            else
+                SetPlayhead(position, Math.Max(_nextIndex, FirstIndexFrom(_rangeStart)));
+            RestartRunIfPlaying();
+        }
+        PublishStatus();
+    }
+
+    /// <summary>
+    /// Pauses and plays the next event in range straight away, leaving the playhead on it.
+    /// Returns null when the range has no more events.
+    /// </summary>
+    public async Task<JournalEvent?> StepAsync()
+    {
+        JournalEvent? next = null;
+        lock (_lock)
+        {
+            EnsureSession();
+            HoldPosition();
+            CancelRun();
+            _state = ReplayState.Paused;
+
+            if (HasNextInRange())
+            {
+                next = _events[_nextIndex];
+                SetPlayhead(next.Timestamp, _nextIndex + 1);
+            }
+            else
+            {
+                SetPlayhead(_rangeEnd, _nextIndex);
+            }
+        }
+
+        if (next != null)
+            await _eventMapping.ProcessEvent(next, isReplay: true);
+
+        PublishStatus();
+        return next;
+    }
+
+    /// <summary>
+    /// Plays one session event through the mapping pipeline right away, leaving the playhead alone
+    /// </summary>
+    public async Task<ReplayEventOutcome?> FireAsync(int index)
+    {
+        JournalEvent journalEvent;
+        lock (_lock)
+        {
+            EnsureSession();
+            if (index < 0 || index >= _events.Count)
+                throw new ArgumentException($"No event {index} in this replay ({_events.Count} events)");
+
+            journalEvent = _events[index];
+        }
+
+        await _eventMapping.ProcessEvent(journalEvent, isReplay: true);
+
+        lock (_lock)
+        {
+            return index < _outcomes.Length && ReferenceEquals(_events[index], journalEvent) ? _outcomes[index] : null;
+        }
+    }
+
+    /// <summary>
+    /// Parses newline-delimited journal JSON. Lines that aren't an event object with a timestamp
+    /// are skipped and reported (up to a limit) with their line number.
+    /// </summary>
+    public static JournalParseResult ParseJournal(IEnumerable<string> lines)
+    {
+        var result = new JournalParseResult();
+        var lineNumber = 0;
+
+        foreach (var line in lines)
+        {
+            lineNumber++;
+            if (string.IsNullOrWhiteSpace(line)) continue;
+            result.LineCount++;
+
+            string? error;
+            try
+            {
+                var journalEvent = JsonSerializer.Deserialize<JournalEvent>(line);
+                error = journalEvent == null || string.IsNullOrEmpty(journalEvent.Event) ? "No \"event\" field"
+                    : journalEvent.Timestamp == default ? "No \"timestamp\" field"
+                    : null;
+                if (error == null)
+                    result.Events.Add(journalEvent!);
+            }
+            catch (JsonException ex)
+            {
+                error = ex.Message;
+            }
+
+            if (error == null) continue;
+
+            result.SkippedLines++;
+            if (result.Errors.Count < MaxReportedParseErrors)
+                result.Errors.Add(new JournalParseError { Line = lineNumber, Message = error });
+        }
+
+        return result;
+    }
+
+    /// <summary>Every event in the session with its key fields and what it did when it last played</summary>
+    public List<ReplayEventEntry> GetEvents()
+    {
+        lock (_lock)
+        {
+            return _events.Select((journalEvent, index) => new ReplayEventEntry
+            {
+                Index = index,
+                Timestamp = journalEvent.Timestamp,
+                Event = journalEvent.Event,
+                Fields = GetKeyFields(journalEvent),
+                Outcome = _outcomes[index]
+            }).ToList();
+        }
+    }
+
+    /// <summary>The session events between the range start and end, in journal order</summary>
+    public List<JournalEvent> GetEventsInRange()
+    {
+        lock (_lock)
+        {
+            return _events.Where(e => e.Timestamp >= _rangeStart && e.Timestamp <= _rangeEnd).ToList();
+        }
+    }
+
+    public ReplayStatus GetStatus()
+    {
+        lock (_lock)
+        {
+            var status = new ReplayStatus
+            {
+                State = _state,
+                Source = _source,
+                Speed = _speed,
+                Loop = _loop,
+                TotalEvents = _events.Count
+            };
+
+            if (_events.Count == 0)
+                return status;
+
+            var next = HasNextInRange() ? _events[_nextIndex] : null;
+            status.SessionStart = _events.First().Timestamp;
+            status.SessionEnd = _events.Last().Timestamp;
+            status.RangeStart = _rangeStart;
+            status.RangeEnd = _rangeEnd;
+            status.Position = CurrentPosition();
+            status.EventsInRange = _events.Count(e => e.Timestamp >= _rangeStart && e.Timestamp <= _rangeEnd);
+            status.EventsPlayed = _events.Take(_nextIndex).Count(e => e.Timestamp >= _rangeStart);
+            status.CurrentIndex = _nextIndex - 1;
+            status.NextEvent = next?.Event;
+            status.NextEventTime = next?.Timestamp;
+            return status;
+        }
+    }
+
+    // Waits out the journal time to the next event (or the range end), plays it, and repeats.
+    // Every change to the playhead cancels the run and starts a new one from the new position.
+    private async Task RunAsync(CancellationToken cancellationToken)
+    {
+        try
+        {
+            while (true)
+            {
+                JournalEvent? next;
+                TimeSpan wait;
+                var finished = false;
+                var loopPause = TimeSpan.Zero;
+                lock (_lock)
+                {
+                    if (cancellationToken.IsCancellationRequested)
+                        return;
+
+                    next = HasNextInRange() ? _events[_nextIndex] : null;
+                    var target = next?.Timestamp ?? _rangeEnd;
+                    wait = (target - CurrentPosition()) / _speed;
+                }
+
+                if (wait > MaxWait)
+                {
+                    await Task.Delay(MaxWait, cancellationToken);
+                    continue;
+                }
+
+                if (wait > TimeSpan.Zero)
+                    await Task.Delay(wait, cancellationToken);
+
+                lock (_lock)
+                {
+                    if (cancellationToken.IsCancellationRequested)
+                        return;
+
+                    if (next != null)
+                    {
+                        SetPlayhead(next.Timestamp, _nextIndex + 1);
+                    }
+                    else if (_loop)
+                    {
+                        // A pass shorter than MinLoopPass waits out the rest, so a one-event range can't spin
+                        loopPause = MinLoopPass - (_rangeEnd - _rangeStart) / _speed;
+                        if (loopPause <= TimeSpan.Zero)
+                            MoveTo(_rangeStart);
+                    }
+                    else
+                    {
+                        SetPlayhead(_rangeEnd, _nextIndex);
+                        _state = ReplayState.Stopped;
+                        _runTokenSource = null;
+                        finished = true;
+                    }
+                }
+
+                if (next != null)
+                {
+                    await _eventMapping.ProcessEvent(next, isReplay: true);
+                    _logger.LogDebug("Replayed event: {EventType} at {Timestamp}", next.Event, next.Timestamp);
+                }
+                else if (finished)
+                {
+                    _logger.LogInformation("Journal replay completed");
+                    PublishStatus();
+                    return;
+                }
+                else
+                {
+                    if (loopPause > TimeSpan.Zero)
+                    {
+                        await Task.Delay(loopPause, cancellationToken);
+                        lock (_lock)
+                        {
+                            if (cancellationToken.IsCancellationRequested)
+                                return;
+                            MoveTo(_rangeStart);
+                        }
+                    }
+                    PublishStatus();
+                }
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // Paused, sought or stopped; whoever cancelled has already moved the playhead
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error during journal replay");
+            lock (_lock)
+            {
+                if (!cancellationToken.IsCancellationRequested)
+                {
+                    HoldPosition();
+                    _state = ReplayState.Stopped;
+                    _runTokenSource = null;
+                }
+            }
+            PublishStatus();
+        }
+    }
+
+    private void OnEventProcessed(EventProcessedEventArgs args)
+    {
+        if (!args.IsReplay)
+            return;
+
+        ReplayEventOutcome outcome;
+        int index;
+        int currentIndex;
+        lock (_lock)
+        {
+            if (!_indexes.TryGetValue(args.JournalEvent, out index))
+                return;
+
+            outcome = new ReplayEventOutcome
+            {
+                Result = args.Result,
+                PatternName = args.Pattern?.Name,
+                PatternType = args.Pattern?.Pattern.ToString(),
+                BaseIntensity = args.BaseIntensity,
+                Intensity = args.Pattern?.Intensity,
+                PlayedIntensity = args.PlayedIntensity,
+                Duration = args.Result == EventProcessingResult.Triggered ? args.Pattern?.Duration : null,
+                ProcessedAt = args.ProcessedAt
+            };
+            _outcomes[index] = outcome;
+            currentIndex = _nextIndex - 1;
+        }
+
+        _liveEventStream.Publish("replay_event", new
+        {
+            index,
+            current_index = currentIndex,
+            outcome = outcome.ToPayload()
+        });
+    }
+
+    private static Dictionary<string, string> GetKeyFields(JournalEvent journalEvent)
+    {
+        var fields = new Dictionary<string, string>();
+        if (KeyFields.TryGetValue(journalEvent.Event, out var names))
+        {
+            foreach (var name in names)
+            {
+                var value = GetFieldValue(journalEvent, name);
+                if (value != null)
+                    fields[name] = value;
+            }
+            return fields;
+        }
+
+        foreach (var (name, value) in journalEvent.AdditionalData ?? new Dictionary<string, object>())
+        {
+            if (fields.Count >= FallbackFieldCount)
+                break;
+            if (name.EndsWith("_Localised") || value is not JsonElement element)
+                continue;
+            if (element.ValueKind is JsonValueKind.String or JsonValueKind.Number or JsonValueKind.True or JsonValueKind.False)
+                fields[name] = element.ToString();
+        }
+        return fields;
+    }
+
+    private static string? GetFieldValue(JournalEvent journalEvent, string name)
+    {
+        object? value = name switch
+        {
+            "StarSystem" => journalEvent.StarSystem,
+            "StationName" => journalEvent.StationName,
+            "Health" => journalEvent.Health,
+            "HullDamage" => journalEvent.HullDamage,
+            "Ship" => journalEvent.Ship,
+            "Target" => journalEvent.Target,
+            "TargetLocked" => journalEvent.TargetLocked,
+            "Docked" => journalEvent.Docked,
+            _ => journalEvent.AdditionalData != null && journalEvent.AdditionalData.TryGetValue(name, out var extra) ? extra : null
+        };
+
+        return value switch
+        {
+            null => null,
+            JsonElement { ValueKind: JsonValueKind.Null } => null,
+            double number => number.ToString("0.###"),
+            bool flag => flag ? "true" : "false",
+            _ => value.ToString()
+        };
+    }
+
+    private void PublishStatus()
+    {
+        _liveEventStream.Publish("replay", GetStatus().ToPayload());
+    }
+
+    // Callers hold _lock for everything below
+
+    private void EnsureSession()
+    {
+        if (_events.Count == 0)
+            throw new InvalidOperationException("No journal replay is loaded");
+    }
+
+    private DateTime CurrentPosition()
+    {
+        if (_state != ReplayState.Playing)
+            return _position;
+
+        var position = _position + _clock.Elapsed * _speed;
+        return position > _rangeEnd ? _rangeEnd : position;
+    }
+
+    // Events at the new position play next
+    private void MoveTo(DateTime position)
+    {
+        SetPlayhead(position, FirstIndexFrom(position < _rangeStart ? _rangeStart : position));
+    }
+
+    // Freezes the running clock where it is without changing which event plays next
+    private void HoldPosition()
+    {
+        SetPlayhead(CurrentPosition(), _nextIndex);
+    }
+
+    private int FirstIndexFrom(DateTime position)
+    {
+        var index = _events.FindIndex(e => e.Timestamp >= position);
+        return index < 0 ? _events.Count : index;
+    }
+
+    // Explicit index so events sharing a timestamp with the one just played aren't played twice
+    private void SetPlayhead(DateTime position, int nextIndex)
+    {
+        _position = position;
+        _nextIndex = nextIndex;
+        _clock.Restart();
+    }
+
+    private bool HasNextInRange()
+    {
+        return _nextIndex < _events.Count && _events[_nextIndex].Timestamp <= _rangeEnd;
+    }
+
+    private void StartRun()
+    {
+        _state = ReplayState.Playing;
+        _clock.Restart();
+        _runTokenSource = new CancellationTokenSource();
+        var token = _runTokenSource.Token;
+        _ = Task.Run(() => RunAsync(token));
+    }
+
+    private void CancelRun()
+    {
+        _runTokenSource?.Cancel();
+        _runTokenSource = null;
+    }
+
+    private void RestartRunIfPlaying()
+    {
+        if (_state != ReplayState.Playing)
+            return;
+
+        CancelRun();
+        StartRun();
+    }
+
+    private static DateTime Clamp(DateTime value, DateTime min, DateTime max)
+    {
+        if (value < min) return min;
+        return value > max ? max : value;
+    }
+}
+
+public class ReplayStatus
+{
+    public ReplayState State { get; set; }
+    public string Source { get; set; } = string.Empty;
+    public double Speed { get; set; }
+    public bool Loop { get; set; }
+    public int TotalEvents { get; set; }
+    public int EventsInRange { get; set; }
+    public int EventsPlayed { get; set; }
+    public DateTime? SessionStart { get; set; }
+    public DateTime? SessionEnd { get; set; }
+    public DateTime? RangeStart { get; set; }
+    public DateTime? RangeEnd { get; set; }
+    public DateTime? Position { get; set; }
+    public int CurrentIndex { get; set; } = -1; // Last event at or before the playhead
+    public string? NextEvent { get; set; }
+    public DateTime? NextEventTime { get; set; }
+
+    // The journal API and the live event stream speak snake_case
+    public object ToPayload()
+    {
+        return new
+        {
+            is_replaying = State == ReplayState.Playing,
+            state = State.ToString().ToLowerInvariant(),
+            source = Source,
+            speed = Speed,
+            loop = Loop,
+            total_events = TotalEvents,
+            events_in_range = EventsInRange,
+            events_played = EventsPlayed,
+            session_start = SessionStart,
+            session_end = SessionEnd,
+            range_start = RangeStart,
+            range_end = RangeEnd,
+            position = Position,
+            current_index = CurrentIndex,
+            next_event = NextEvent,
+            next_event_time = NextEventTime,
+            min_speed = JournalReplayService.MinSpeed,
+            max_speed = JournalReplayService.MaxSpeed
+        };
+    }
+}
+
+public class JournalParseResult
+{
+    public List<JournalEvent> Events { get; set; } = new();
+    public int LineCount { get; set; } // Non-blank lines
+    public int SkippedLines { get; set; }
+    public List<JournalParseError> Errors { get; set; } = new(); // The first few skipped lines
+
+    public object ToPayload()
+    {
+        return new
+        {
+            events_parsed = Events.Count,
+            lines = LineCount,
+            skipped_lines = SkippedLines,
+            errors = Errors.Select(error => new { line = error.Line, message = error.Message })
+        };
+    }
+}
+
+public class JournalParseError
+{
+    public int Line { get; set; }
+    public string Message { get; set; } = string.Empty;
+}
+
+public class ReplayEventEntry
+{
+    public int Index { get; set; }
+    public DateTime Timestamp { get; set; }
+    public string Event { get; set; } = string.Empty;
+    public Dictionary<string, string> Fields { get; set; } = new();
+    public ReplayEventOutcome? Outcome { get; set; }
+
+    public object ToPayload()
+    {
+        return new
+        {
+            index = Index,
+            timestamp = Timestamp,
+            @event = Event,
+            fields = Fields,
+            outcome = Outcome?.ToPayload()
+        };
+    }
+}
+
+public class ReplayEventOutcome
+{
+    public EventProcessingResult Result { get; set; }
+    public string? PatternName { get; set; }
+    public string? PatternType { get; set; }
+    public int? BaseIntensity { get; set; } // Before contextual adjustments
+    public int? Intensity { get; set; } // After event and contextual adjustments
+    public int? PlayedIntensity { get; set; } // After damage scaling and the global cap; null when nothing played
+    public int? Duration { get; set; } // Milliseconds of the pattern that played
+    public DateTime ProcessedAt { get; set; }
+
+    public object ToPayload()
+    {
+        return new
+        {
+            result = LiveEventStreamService.ToSnakeCase(Result.ToString()),
+            pattern = PatternName,
+            pattern_type = PatternType,
+            base_intensity = BaseIntensity,
+            intensity = Intensity,
+            played_intensity = PlayedIntensity,
+            duration = Duration,
+            processed_at = ProcessedAt
+        };
+    }
+}
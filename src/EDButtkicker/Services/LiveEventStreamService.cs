@@ -0,0 +1,236 @@
+using Microsoft.AspNetCore.Http;
+using Microsoft.Extensions.Logging;
+using System.Text.Json;
+using System.Threading.Channels;
+using EDButtkicker.Configuration;
+
+namespace EDButtkicker.Services;
+
+/// <summary>
+/// Pushes processed journal events to connected dashboards over Server-Sent Events
+/// </summary>
+public class LiveEventStreamService
+{
+    private static readonly TimeSpan HeartbeatInterval = TimeSpan.FromSeconds(15);
+    private const int ReconnectDelayMs = 3000;
+    private const int ClientBufferSize = 256;
+    private static readonly TimeSpan HistoryWindow = TimeSpan.FromMinutes(10);
+    private const int MaxHistoryEntries = 1000;
+
+    private readonly ILogger<LiveEventStreamService> _logger;
+    private readonly AppSettings _settings;
+    private readonly List<Channel<string>> _clients = new();
+    private readonly object _clientsLock = new object();
+
+    // Recently processed events so dashboards can draw activity from before they connected
+    private readonly List<(DateTime ProcessedAt, object Payload)> _history = new();
+    private readonly object _historyLock = new object();
+    private long _nextEventId;
+
+    public LiveEventStreamService(
+        ILogger<LiveEventStreamService> logger,
+        AppSettings settings,
+        EventMappingService eventMapping)
+    {
+        _logger = logger;
+        _settings = settings;
+
+        eventMapping.EventProcessed += OnEventProcessed;
+    }
+
+    public int ClientCount
+    {
+        get
+        {
+            lock (_clientsLock)
+            {
+                return _clients.Count;
+            }
+        }
+    }
+
+    public void Publish(string eventName, object payload)
+    {
+        var message = FormatMessage(eventName, payload);
+
+        lock (_clientsLock)
+        {
+            foreach (var client in _clients)
+            {
+                // Bounded channels drop the oldest message when a slow client falls behind
+                client.Writer.TryWrite(message);
+            }
+        }
+    }
+
+    public List<object> GetHistory(TimeSpan window)
+    {
+        var cutoff = DateTime.UtcNow - (window < HistoryWindow ? window : HistoryWindow);
+
+        lock (_historyLock)
+        {
+            return _history
+                .Where(entry => entry.ProcessedAt >= cutoff)
+                .Select(entry => entry.Payload)
+                .ToList();
+        }
+    }
+
+    public void PublishStatus()
+    {
+        Publish("status", GetStatusPayload());
+    }
+
+    public async Task StreamAsync(HttpContext context)
+    {
+        var cancellationToken = context.RequestAborted;
+        var channel = Channel.CreateBounded<string>(new BoundedChannelOptions(ClientBufferSize)
+        {
+            FullMode = BoundedChannelFullMode.DropOldest,
+            SingleReader = true
+        });
+
+        lock (_clientsLock)
+        {
+            _clients.Add(channel);
+        }
+
+        _logger.LogDebug("Live event stream client connected ({Count} total)", ClientCount);
+
+        try
+        {
+            context.Response.ContentType = "text/event-stream";
+            context.Response.Headers["Cache-Control"] = "no-cache";
+            context.Response.Headers["X-Accel-Buffering"] = "no";
+
+            // Tell EventSource how long to wait before reconnecting on its own
+            await WriteAsync(context, $"retry: {ReconnectDelayMs}\n\n", cancellationToken);
+            await WriteAsync(context, FormatMessage("status", GetStatusPayload()), cancellationToken);
+
+            while (!cancellationToken.IsCancellationRequested)
+            {
+                using var heartbeat = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+                heartbeat.CancelAfter(HeartbeatInterval);
+
+                bool hasMessages;
+                try
+                {
+                    hasMessages = await channel.Reader.WaitToReadAsync(heartbeat.Token);
+                }
+                catch (OperationCanceledException) when (!cancellationToken.IsCancellationRequested)
+                {
+                    // Comment lines keep proxies and the browser from timing out an idle stream
+                    await WriteAsync(context, ": keep-alive\n\n", cancellationToken);
+                    continue;
+                }
+
+                if (!hasMessages)
+                    break;
+
+                while (channel.Reader.TryRead(out var message))
+                {
+                    await WriteAsync(context, message, cancellationToken);
+                }
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // Client disconnected
+        }
+        catch (IOException ex)
+        {
+            _logger.LogDebug("Live event stream write failed: {Error}", ex.Message);
+        }
+        finally
+        {
+            lock (_clientsLock)
+            {
+                _clients.Remove(channel);
+            }
+            channel.Writer.TryComplete();
+
+            _logger.LogDebug("Live event stream client disconnected ({Count} remaining)", ClientCount);
+        }
+    }
+
+    private void OnEventProcessed(EventProcessedEventArgs args)
+    {
+        var journalEvent = args.JournalEvent;
+        var pattern = args.Pattern;
+
+        var payload = new
+        {
+            id = Interlocked.Increment(ref _nextEventId),
+            timestamp = journalEvent.Timestamp,
+            @event = journalEvent.Event,
+            star_system = journalEvent.StarSystem,
+            station_name = journalEvent.StationName,
+            health = journalEvent.Health,
+            hull_damage = journalEvent.HullDamage,
+            result = ToSnakeCase(args.Result.ToString()),
+            replay = args.IsReplay,
+            processed_at = args.ProcessedAt,
+            pattern = pattern == null ? null : new
+            {
+                name = pattern.Name,
+                type = pattern.Pattern.ToString(),
+                frequency = pattern.Frequency,
+                duration = pattern.Duration,
+                base_intensity = args.BaseIntensity,
+                intensity = pattern.Intensity,
+                played_intensity = args.PlayedIntensity,
+                definition = pattern
+            }
+        };
+
+        AddToHistory(args.ProcessedAt, payload);
+        Publish("journal", payload);
+    }
+
+    private void AddToHistory(DateTime processedAt, object payload)
+    {
+        lock (_historyLock)
+        {
+            _history.Add((processedAt, payload));
+
+            var cutoff = DateTime.UtcNow - HistoryWindow;
+            var expired = _history.FindIndex(entry => entry.ProcessedAt >= cutoff);
+            if (expired < 0)
+                expired = _history.Count;
+            expired = Math.Max(expired, _history.Count - MaxHistoryEntries);
+
+            if (expired > 0)
+                _history.RemoveRange(0, expired);
+        }
+    }
+
+    private object GetStatusPayload()
+    {
+        var journalPath = _settings.EliteDangerous.JournalPath;
+        var monitoring = !string.IsNullOrEmpty(journalPath) && Directory.Exists(journalPath);
+
+        return new
+        {
+            journal_path = journalPath,
+            monitoring = monitoring,
+            server_time = DateTime.UtcNow
+        };
+    }
+
+    private static string FormatMessage(string eventName, object payload)
+    {
+        return $"event: {eventName}\ndata: {JsonSerializer.Serialize(payload)}\n\n";
+    }
+
+    internal static string ToSnakeCase(string value)
+    {
+        return string.Concat(value.Select((c, i) =>
+            i > 0 && char.IsUpper(c) ? "_" + char.ToLowerInvariant(c) : char.ToLowerInvariant(c).ToString()));
+    }
+
+    private static async Task WriteAsync(HttpContext context, string text, CancellationToken cancellationToken)
+    {
+        await context.Response.WriteAsync(text, cancellationToken);
+        await context.Response.Body.FlushAsync(cancellationToken);
+    }
+}
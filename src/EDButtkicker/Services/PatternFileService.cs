@@ -19,6 +19,8 @@ public class PatternFileService
 
     public event Action<PatternFileChangeEventArgs>? PatternFilesChanged;
 
+    public string PatternsPath => _patternsPath;
+
     public PatternFileService(ILogger<PatternFileService> logger)
     {
         _logger = logger;
@@ -138,6 +140,51 @@ public class PatternFileService
         }
     }
 
+    /// <summary>
+    /// Checks pattern file JSON against patterns/schema.json, then that the loader can read it.
+    /// Returns the problems found with their JSON paths; an empty list means the file is valid.
+    /// </summary>
+    public List<string> ValidatePatternFileJson(string json)
+    {
+        JsonDocument document;
+        try
+        {
+            document = JsonDocument.Parse(json, new JsonDocumentOptions { AllowTrailingCommas = true });
+        }
+        catch (JsonException ex)
+        {
+            return new List<string> { ex.Message };
+        }
+
+        using (document)
+        {
+            var schemaPath = Path.Combine(_patternsPath, "schema.json");
+            if (File.Exists(schemaPath))
+            {
+                using var schema = JsonDocument.Parse(File.ReadAllText(schemaPath));
+                var errors = PatternSchemaValidator.Validate(schema.RootElement, document.RootElement);
+                if (errors.Any())
+                    return errors;
+            }
+            else
+            {
+                _logger.LogWarning("Pattern schema not found at {SchemaPath}; only checking that the file loads", schemaPath);
+            }
+        }
+
+        // The schema allows a few forms the models can't take, such as the "Pulse" pattern type
+        try
+        {
+            JsonSerializer.Deserialize<PatternFile>(json, _jsonOptions);
+        }
+        catch (JsonException ex)
+        {
+            return new List<string> { ex.Message };
+        }
+
+        return new List<string>();
+    }
+
     private async Task<PatternFile?> LoadPatternFileAsync(string filePath)
     {
         try
@@ -249,11 +296,27 @@ public class PatternFileService
                 ShipCount = kv.Value.Ships.Count,
                 PatternCount = kv.Value.Ships.Values.Sum(ship => ship.Events?.Count ?? 0),
                 Created = kv.Value.Metadata.Created,
-                IsValid = true
+                IsValid = true,
+                IsCustom = IsCustomPath(kv.Key),
+                Ships = kv.Value.Ships.Select(ship => new PatternPackShip
+                {
+                    ShipType = ship.Key,
+                    DisplayName = ship.Value.DisplayName ?? ship.Key,
+                    Class = ship.Value.Class ?? "medium",
+                    Role = ship.Value.Role ?? "multipurpose",
+                    Events = ship.Value.Events ?? new Dictionary<string, HapticPattern>()
+                }).ToList()
             }).OrderBy(p => p.Name).ToList();
         }
     }
 
+    // Packs under Custom/ belong to the user; the rest ship with the app or came from the community
+    public static bool IsCustomPath(string relativePath)
+    {
+        var firstSegment = relativePath.Split(Path.DirectorySeparatorChar, Path.AltDirectorySeparatorChar)[0];
+        return string.Equals(firstSegment, "Custom", StringComparison.OrdinalIgnoreCase);
+    }
+
     public List<string> GetAllShipTypes()
     {
         lock (_lock)
@@ -562,6 +625,17 @@ public class PatternPackInfo
     public int PatternCount { get; set; }
     public DateTime? Created { get; set; }
     public bool IsValid { get; set; }
+    public bool IsCustom { get; set; }
+    public List<PatternPackShip> Ships { get; set; } = new();
+}
+
+public class PatternPackShip
+{
+    public string ShipType { get; set; } = string.Empty;
+    public string DisplayName { get; set; } = string.Empty;
+    public string Class { get; set; } = string.Empty;
+    public string Role { get; set; } = string.Empty;
+    public Dictionary<string, HapticPattern> Events { get; set; } = new();
 }
 
 public class PatternFileChangeEventArgs
@@ -0,0 +1,218 @@
+using System.Globalization;
+using System.Text.Json;
+using System.Text.RegularExpressions;
+
+namespace EDButtkicker.Services;
+
+/// <summary>
+/// Validates pattern pack JSON against patterns/schema.json on the server, following the same
+/// draft-07 keywords and extra rules as wwwroot/js/pattern-schema.js so the browser and the
+/// server agree on what a valid pack is.
+/// </summary>
+public static class PatternSchemaValidator
+{
+    private const string PatternRef = "#/definitions/hapticPattern";
+
+    /// <summary>
+    /// Returns one "path: message" entry per problem; an empty list means the data matches the schema.
+    /// </summary>
+    public static List<string> Validate(JsonElement schema, JsonElement data)
+    {
+        var errors = new List<string>();
+        ValidateNode(data, schema, schema, "", errors);
+        return errors;
+    }
+
+    private static void ValidateNode(JsonElement value, JsonElement node, JsonElement schema, string path, List<string> errors)
+    {
+        if (node.ValueKind != JsonValueKind.Object)
+            return;
+
+        if (node.TryGetProperty("$ref", out var reference))
+        {
+            var target = ResolveRef(schema, reference.GetString() ?? "");
+            if (target.HasValue)
+                ValidateNode(value, target.Value, schema, path, errors);
+            if (reference.GetString() == PatternRef)
+                CheckPattern(value, path, errors);
+            return;
+        }
+
+        if (node.TryGetProperty("type", out var type) && !MatchesType(value, type.GetString()))
+        {
+            AddError(errors, path, $"Expected {type.GetString()}, found {DescribeType(value)}");
+            return;
+        }
+
+        if (node.TryGetProperty("enum", out var options) &&
+            !options.EnumerateArray().Any(option => JsonElementEquals(option, value)))
+        {
+            AddError(errors, path, $"Must be one of {string.Join(", ", options.EnumerateArray().Select(option => option.ToString()))}");
+        }
+
+        if (value.ValueKind == JsonValueKind.Number)
+        {
+            var number = value.GetDouble();
+            if (node.TryGetProperty("minimum", out var minimum) && number < minimum.GetDouble())
+                AddError(errors, path, $"Must be at least {minimum.GetRawText()}");
+            else if (node.TryGetProperty("maximum", out var maximum) && number > maximum.GetDouble())
+                AddError(errors, path, $"Must be at most {maximum.GetRawText()}");
+        }
+
+        if (value.ValueKind == JsonValueKind.String)
+        {
+            var text = value.GetString() ?? "";
+            if (node.TryGetProperty("pattern", out var pattern) && !Regex.IsMatch(text, pattern.GetString() ?? ""))
+                AddError(errors, path, $"Must match {pattern.GetString()}");
+            if (node.TryGetProperty("format", out var format) && format.GetString() == "date-time" &&
+                !DateTimeOffset.TryParse(text, CultureInfo.InvariantCulture, DateTimeStyles.None, out _))
+                AddError(errors, path, "Must be a date and time such as 2024-08-31T12:00:00Z");
+        }
+
+        if (value.ValueKind == JsonValueKind.Array && node.TryGetProperty("items", out var items))
+        {
+            var index = 0;
+            foreach (var item in value.EnumerateArray())
+            {
+                ValidateNode(item, items, schema, $"{path}[{index}]", errors);
+                index++;
+            }
+        }
+
+        if (value.ValueKind == JsonValueKind.Object)
+        {
+            node.TryGetProperty("properties", out var properties);
+            node.TryGetProperty("patternProperties", out var patternProperties);
+
+            if (node.TryGetProperty("required", out var required))
+            {
+                foreach (var key in required.EnumerateArray().Select(key => key.GetString() ?? ""))
+                {
+                    if (!value.TryGetProperty(key, out _))
+                        AddError(errors, ChildPath(path, key), "Required field is missing");
+                }
+            }
+
+            foreach (var property in value.EnumerateObject())
+            {
+                var childPath = ChildPath(path, property.Name);
+                if (properties.ValueKind == JsonValueKind.Object && properties.TryGetProperty(property.Name, out var propertyNode))
+                {
+                    ValidateNode(property.Value, propertyNode, schema, childPath, errors);
+                    continue;
+                }
+                if (patternProperties.ValueKind != JsonValueKind.Object)
+                    continue;
+
+                var match = patternProperties.EnumerateObject().FirstOrDefault(option => Regex.IsMatch(property.Name, option.Name));
+                if (match.Value.ValueKind != JsonValueKind.Undefined)
+                {
+                    ValidateNode(property.Value, match.Value, schema, childPath, errors);
+                }
+                else
+                {
+                    var names = string.Join(" or ", patternProperties.EnumerateObject().Select(option => option.Name));
+                    AddError(errors, childPath, $"Name \"{property.Name}\" must match {names}");
+                }
+            }
+        }
+
+        if (node.TryGetProperty("anyOf", out var anyOf))
+        {
+            var forms = anyOf.EnumerateArray().ToList();
+            var matchesOne = forms.Any(option =>
+            {
+                var optionErrors = new List<string>();
+                ValidateNode(value, option, schema, path, optionErrors);
+                return optionErrors.Count == 0;
+            });
+
+            if (!matchesOne)
+            {
+                var requiredForms = forms
+                    .Where(option => option.TryGetProperty("required", out _))
+                    .Select(option => string.Join(" + ", option.GetProperty("required").EnumerateArray().Select(key => key.GetString())))
+                    .ToList();
+                AddError(errors, path, requiredForms.Count == forms.Count
+                    ? $"Needs one of: {string.Join(", ", requiredForms)}"
+                    : "Does not match any of the allowed forms");
+            }
+        }
+    }
+
+    // Rules the schema can't express
+    private static void CheckPattern(JsonElement pattern, string path, List<string> errors)
+    {
+        if (pattern.ValueKind != JsonValueKind.Object ||
+            !pattern.TryGetProperty("customCurvePoints", out var points) || points.ValueKind != JsonValueKind.Array)
+            return;
+
+        double? previous = null;
+        foreach (var point in points.EnumerateArray())
+        {
+            if (point.ValueKind != JsonValueKind.Object || !point.TryGetProperty("time", out var time) ||
+                time.ValueKind != JsonValueKind.Number)
+                continue;
+
+            if (previous.HasValue && time.GetDouble() < previous.Value)
+            {
+                AddError(errors, ChildPath(path, "customCurvePoints"), "Curve points must be in time order");
+                return;
+            }
+            previous = time.GetDouble();
+        }
+    }
+
+    private static JsonElement? ResolveRef(JsonElement schema, string reference)
+    {
+        var node = schema;
+        foreach (var key in reference.TrimStart('#').Split('/', StringSplitOptions.RemoveEmptyEntries))
+        {
+            if (node.ValueKind != JsonValueKind.Object || !node.TryGetProperty(key, out node))
+                return null;
+        }
+        return node;
+    }
+
+    private static bool MatchesType(JsonElement value, string? type)
+    {
+        return type switch
+        {
+            "integer" => value.ValueKind == JsonValueKind.Number && Math.Floor(value.GetDouble()) == value.GetDouble(),
+            "number" => value.ValueKind == JsonValueKind.Number,
+            "string" => value.ValueKind == JsonValueKind.String,
+            "boolean" => value.ValueKind is JsonValueKind.True or JsonValueKind.False,
+            "array" => value.ValueKind == JsonValueKind.Array,
+            "object" => value.ValueKind == JsonValueKind.Object,
+            "null" => value.ValueKind == JsonValueKind.Null,
+            _ => true
+        };
+    }
+
+    private static string DescribeType(JsonElement value)
+    {
+        return value.ValueKind switch
+        {
+            JsonValueKind.Number => Math.Floor(value.GetDouble()) == value.GetDouble() ? "integer" : "number",
+            JsonValueKind.True or JsonValueKind.False => "boolean",
+            _ => value.ValueKind.ToString().ToLowerInvariant()
+        };
+    }
+
+    private static bool JsonElementEquals(JsonElement a, JsonElement b)
+    {
+        if (a.ValueKind == JsonValueKind.Number && b.ValueKind == JsonValueKind.Number)
+            return a.GetDouble() == b.GetDouble();
+        return a.ValueKind == b.ValueKind && a.GetRawText() == b.GetRawText();
+    }
+
+    private static string ChildPath(string path, string key)
+    {
+        return string.IsNullOrEmpty(path) ? key : $"{path}.{key}";
+    }
+
+    private static void AddError(List<string> errors, string path, string message)
+    {
+        errors.Add($"{(string.IsNullOrEmpty(path) ? "(pack)" : path)}: {message}");
+    }
+}
@@ -7,6 +7,25 @@ namespace EDButtkicker.Services;
 
 public class PatternSelectionService
 {
+    // Event groups resolution rules can target, matching the categories in the pattern editor
+    public static readonly Dictionary<string, string[]> EventGroups = new(StringComparer.OrdinalIgnoreCase)
+    {
+        ["combat"] = new[]
+        {
+            "HullDamage", "ShieldDown", "ShieldsUp", "UnderAttack", "ShipTargeted", "Interdicted", "Interdiction",
+            "FighterDestroyed", "LaunchFighter", "DockFighter", "ShipDestroyed", "Died", "HeatWarning", "HeatDamage"
+        },
+        ["exploration"] = new[]
+        {
+            "FSDJump", "FSDChargingJump", "StartJump", "SupercruiseEntry", "SupercruiseExit", "JetConeBoost",
+            "FuelScoop", "Scan", "Touchdown", "Liftoff", "Boost"
+        },
+        ["docking"] = new[] { "Docked", "Undocked", "DockingRequested", "DockingGranted", "DockingDenied" },
+        ["trading"] = new[] { "Market", "CargoScoop", "CollectCargo", "EjectCargo" }
+    };
+
+    private const int MaxHistoryEntries = 500;
+
     private readonly ILogger<PatternSelectionService> _logger;
     private readonly string _selectionsPath;
     private readonly JsonSerializerOptions _jsonOptions;
@@ -137,7 +156,9 @@ public class PatternSelectionService
         }
     }
 
-    public void SetActivePattern(string shipType, string eventName, string sourceId)
+    // Changes are recorded in the history; changes made together (one auto-resolve run) share a batchId
+    public bool SetActivePattern(string shipType, string eventName, string sourceId,
+        SelectionChangeKind kind = SelectionChangeKind.Manual, string changedBy = "Manual selection", string? batchId = null)
     {
         lock (_lock)
         {
@@ -154,6 +175,28 @@ public class PatternSelectionService
                 var sourceInfo = sources.First(s => s.SourceId == sourceId);
                 _logger.LogInformation("Pattern selection changed for {ShipType}.{EventName}: {SourceName}", 
                     shipType, eventName, sourceInfo.SourceName);
+
+                if (previousSelection != sourceId)
+                {
+                    _selections.History.Add(new SelectionHistoryEntry
+                    {
+                        BatchId = batchId ?? Guid.NewGuid().ToString("N"),
+                        ShipType = shipType.ToLowerInvariant(),
+                        EventName = eventName.ToLowerInvariant(),
+                        PreviousSourceId = previousSelection,
+                        PreviousSourceName = sources.FirstOrDefault(s => s.SourceId == previousSelection)?.SourceName,
+                        NewSourceId = sourceId,
+                        NewSourceName = sourceInfo.SourceName,
+                        Kind = kind,
+                        ChangedBy = changedBy,
+                        Timestamp = DateTime.UtcNow
+                    });
+
+                    if (_selections.History.Count > MaxHistoryEntries)
+                    {
+                        _selections.History.RemoveRange(0, _selections.History.Count - MaxHistoryEntries);
+                    }
+                }
                 
                 // Notify subscribers
                 SelectionChanged?.Invoke(new PatternSelectionChangedEventArgs
@@ -164,15 +207,151 @@ public class PatternSelectionService
                     PreviousSourceId = previousSelection,
                     SourceInfo = sourceInfo
                 });
+                return true;
             }
             else
             {
                 _logger.LogWarning("Attempted to select non-existent pattern source: {SourceId} for {ShipType}.{EventName}", 
                     sourceId, shipType, eventName);
+                return false;
             }
         }
     }
 
+    // Newest first; both filters are optional
+    public List<SelectionHistoryEntry> GetHistory(string? shipType = null, string? eventName = null)
+    {
+        lock (_lock)
+        {
+            return _selections.History
+                .Where(entry => string.IsNullOrEmpty(shipType) || entry.ShipType.Equals(shipType, StringComparison.OrdinalIgnoreCase))
+                .Where(entry => string.IsNullOrEmpty(eventName) || entry.EventName.Equals(eventName, StringComparison.OrdinalIgnoreCase))
+                .Reverse()
+                .ToList();
+        }
+    }
+
+    // Puts back the pattern that was active before the latest change to this ship/event
+    public SelectionHistoryEntry? UndoLastChange(string shipType, string eventName)
+    {
+        lock (_lock)
+        {
+            var last = GetHistory(shipType, eventName).FirstOrDefault();
+            if (last?.PreviousSourceId == null) return null;
+
+            if (!SetActivePattern(shipType, eventName, last.PreviousSourceId,
+                    SelectionChangeKind.Revert, $"Undo of {last.ChangedBy}"))
+            {
+                return null;
+            }
+
+            last.Reverted = true;
+            return _selections.History.Last();
+        }
+    }
+
+    // Reverts every change of the most recent auto-resolve or rules run that hasn't been reverted.
+    // Ship/events changed again since then are left as they are.
+    public List<SelectionHistoryEntry> RevertLastAutoResolve()
+    {
+        lock (_lock)
+        {
+            var batch = _selections.History
+                .LastOrDefault(entry => !entry.Reverted &&
+                    (entry.Kind == SelectionChangeKind.AutoResolve || entry.Kind == SelectionChangeKind.Rules))
+                ?.BatchId;
+            if (batch == null) return new List<SelectionHistoryEntry>();
+
+            var revertBatchId = Guid.NewGuid().ToString("N");
+            var reverted = new List<SelectionHistoryEntry>();
+
+            foreach (var entry in _selections.History.Where(e => e.BatchId == batch).Reverse().ToList())
+            {
+                entry.Reverted = true;
+
+                var key = GetSelectionKey(entry.ShipType, entry.EventName);
+                if (entry.PreviousSourceId == null ||
+                    _selections.ActiveSelections.GetValueOrDefault(key) != entry.NewSourceId)
+                {
+                    continue;
+                }
+
+                if (SetActivePattern(entry.ShipType, entry.EventName, entry.PreviousSourceId,
+                        SelectionChangeKind.Revert, $"Revert of {entry.ChangedBy}", revertBatchId))
+                {
+                    reverted.Add(_selections.History.Last());
+                }
+            }
+
+            return reverted;
+        }
+    }
+
+    public SelectionExport ExportSelections()
+    {
+        lock (_lock)
+        {
+            return new SelectionExport
+            {
+                ExportedAt = DateTime.UtcNow,
+                Selections = _selections.ActiveSelections
+                    .Select(kvp =>
+                    {
+                        var parts = kvp.Key.Split('|');
+                        var source = _selections.AvailablePatterns.GetValueOrDefault(kvp.Key)?
+                            .FirstOrDefault(s => s.SourceId == kvp.Value);
+                        return new ExportedSelection
+                        {
+                            ShipType = parts[0],
+                            EventName = parts.Length > 1 ? parts[1] : string.Empty,
+                            SourceId = kvp.Value,
+                            SourceName = source?.SourceName ?? string.Empty,
+                            PackName = source?.PackName ?? string.Empty
+                        };
+                    })
+                    .OrderBy(selection => selection.ShipType)
+                    .ThenBy(selection => selection.EventName)
+                    .ToList()
+            };
+        }
+    }
+
+    // Applies an export from this or another install. A selection is skipped when its source
+    // isn't loaded here; a source with the same pack name counts as the same source.
+    public SelectionImportResult ImportSelections(SelectionExport export)
+    {
+        lock (_lock)
+        {
+            var result = new SelectionImportResult();
+            var batchId = Guid.NewGuid().ToString("N");
+
+            foreach (var selection in export.Selections)
+            {
+                var key = GetSelectionKey(selection.ShipType, selection.EventName);
+                var sources = _selections.AvailablePatterns.GetValueOrDefault(key) ?? new List<PatternSourceInfo>();
+                var source = sources.FirstOrDefault(s => s.SourceId == selection.SourceId) ??
+                    sources.FirstOrDefault(s => !string.IsNullOrEmpty(selection.PackName) &&
+                        s.PackName.Equals(selection.PackName, StringComparison.OrdinalIgnoreCase));
+
+                if (source == null)
+                {
+                    result.Skipped.Add(selection);
+                }
+                else if (_selections.ActiveSelections.GetValueOrDefault(key) == source.SourceId)
+                {
+                    result.UnchangedCount++;
+                }
+                else if (SetActivePattern(selection.ShipType, selection.EventName, source.SourceId,
+                             SelectionChangeKind.Import, "Imported selections", batchId))
+                {
+                    result.AppliedCount++;
+                }
+            }
+
+            return result;
+        }
+    }
+
     public string? GetActivePatternSource(string shipType, string eventName)
     {
         lock (_lock)
@@ -295,6 +474,140 @@ public class PatternSelectionService
         }
     }
 
+    public HashSet<string> GetAllSourceIds()
+    {
+        lock (_lock)
+        {
+            return _selections.AvailablePatterns.Values
+                .SelectMany(sources => sources.Select(s => s.SourceId))
+                .ToHashSet();
+        }
+    }
+
+    public ConflictResolutionRuleSet GetResolutionRules()
+    {
+        lock (_lock)
+        {
+            return _selections.ResolutionRules;
+        }
+    }
+
+    public void SetResolutionRules(ConflictResolutionRuleSet ruleSet)
+    {
+        lock (_lock)
+        {
+            _selections.ResolutionRules = ruleSet;
+            _selections.LastUpdated = DateTime.UtcNow;
+        }
+    }
+
+    // Works out what every conflict resolves to under the rules, first matching rule wins.
+    // Conflicts no rule decides keep their current pattern. Selections only change when apply is set.
+    public List<RuleResolution> ResolveConflictsWithRules(List<ConflictResolutionRule> rules, bool apply)
+    {
+        var resolutions = new List<RuleResolution>();
+        var batchId = Guid.NewGuid().ToString("N");
+
+        foreach (var conflict in GetConflicts().Conflicts)
+        {
+            var match = rules
+                .Where(rule => rule.Enabled && RuleApplies(rule, conflict.ShipType, conflict.EventName))
+                .Select(rule => (Rule: rule, Pattern: PickCandidate(rule, conflict.AvailablePatterns)))
+                .FirstOrDefault(m => m.Pattern != null);
+
+            var resolution = new RuleResolution
+            {
+                ShipType = conflict.ShipType,
+                EventName = conflict.EventName,
+                CurrentPattern = conflict.ActivePattern,
+                ResolvedPattern = match.Pattern ?? conflict.ActivePattern,
+                RuleName = match.Rule?.Name ?? string.Empty,
+                Changed = match.Pattern != null && match.Pattern.SourceId != conflict.ActivePattern?.SourceId
+            };
+            resolutions.Add(resolution);
+
+            if (apply && resolution.Changed)
+            {
+                SetActivePattern(conflict.ShipType, conflict.EventName, match.Pattern!.SourceId,
+                    SelectionChangeKind.Rules, $"Rule: {match.Rule!.Name}", batchId);
+            }
+        }
+
+        return resolutions;
+    }
+
+    private static bool RuleApplies(ConflictResolutionRule rule, string shipType, string eventName)
+    {
+        if (rule.ShipTypes.Count > 0 &&
+            !rule.ShipTypes.Any(ship => ship.Equals(shipType, StringComparison.OrdinalIgnoreCase)))
+        {
+            return false;
+        }
+
+        if (!string.IsNullOrEmpty(rule.EventGroup))
+        {
+            return EventGroups.TryGetValue(rule.EventGroup, out var events) &&
+                events.Contains(eventName, StringComparer.OrdinalIgnoreCase);
+        }
+
+        return true;
+    }
+
+    // The candidate a rule prefers, or null when none of them qualify so the next rule is tried
+    private static PatternSourceInfo? PickCandidate(ConflictResolutionRule rule, List<PatternSourceInfo> candidates)
+    {
+        switch (rule.Prefer)
+        {
+            case RulePreference.LatestModified:
+                return candidates.OrderByDescending(p => p.LastModified).FirstOrDefault();
+
+            case RulePreference.LatestVersion:
+                return candidates
+                    .OrderByDescending(p => Version.TryParse(p.Version, out var v) ? v : new Version(0, 0))
+                    .ThenByDescending(p => p.LastModified)
+                    .FirstOrDefault();
+
+            case RulePreference.CustomPacks:
+                return candidates
+                    .Where(p => p.IsCustom)
+                    .OrderByDescending(p => p.LastModified)
+                    .FirstOrDefault();
+        }
+
+        // Values are in order of preference
+        foreach (var value in rule.Values.Select(v => v.Trim()).Where(v => v.Length > 0))
+        {
+            var pick = candidates
+                .Where(p => MatchesPreference(rule.Prefer, p, value))
+                .OrderByDescending(p => p.LastModified)
+                .FirstOrDefault();
+            if (pick != null) return pick;
+        }
+
+        return null;
+    }
+
+    private static bool MatchesPreference(RulePreference prefer, PatternSourceInfo source, string value)
+    {
+        switch (prefer)
+        {
+            case RulePreference.Pack:
+                // A pack name, or a folder such as Community/Cinematic
+                var folder = value.Replace('\\', '/').TrimEnd('/');
+                return source.PackName.Equals(value, StringComparison.OrdinalIgnoreCase) ||
+                    source.FilePath.StartsWith(folder + "/", StringComparison.OrdinalIgnoreCase) ||
+                    source.FilePath.Equals(folder, StringComparison.OrdinalIgnoreCase);
+            case RulePreference.Author:
+                return source.Author.Equals(value, StringComparison.OrdinalIgnoreCase);
+            case RulePreference.Tag:
+                return source.Tags.Any(tag => tag.Equals(value, StringComparison.OrdinalIgnoreCase));
+            case RulePreference.SourceType:
+                return source.SourceType.ToString().Equals(value, StringComparison.OrdinalIgnoreCase);
+            default:
+                return false;
+        }
+    }
+
     public PatternSelectionStats GetStats()
     {
         lock (_lock)
@@ -342,6 +655,8 @@ public class PatternSelections
 {
     public Dictionary<string, List<PatternSourceInfo>> AvailablePatterns { get; set; } = new();
     public Dictionary<string, string> ActiveSelections { get; set; } = new();
+    public ConflictResolutionRuleSet ResolutionRules { get; set; } = new();
+    public List<SelectionHistoryEntry> History { get; set; } = new(); // oldest first
     public DateTime LastUpdated { get; set; } = DateTime.UtcNow;
 
     public int GetTotalSelections()
@@ -358,6 +673,8 @@ public class PatternSourceInfo
     public string PackName { get; set; } = string.Empty;
     public string Author { get; set; } = string.Empty;
     public string Version { get; set; } = string.Empty;
+    public string FilePath { get; set; } = string.Empty; // relative to the patterns folder, '/' separated
+    public bool IsCustom { get; set; }
     public DateTime LastModified { get; set; }
     public string? Description { get; set; }
     public List<string> Tags { get; set; } = new();
@@ -410,4 +727,88 @@ public class PatternSelectionStats
     public int UserCustomPatterns { get; set; }
     public int DefaultPatterns { get; set; }
     public DateTime LastUpdated { get; set; }
-}
\ No newline at end of file
+}
+
+public class ConflictResolutionRuleSet
+{
+    public List<ConflictResolutionRule> Rules { get; set; } = new();
+    public bool ApplyOnRefresh { get; set; } // re-run the rules when refresh-sources finds new patterns
+}
+
+public class ConflictResolutionRule
+{
+    public string Name { get; set; } = string.Empty;
+    public bool Enabled { get; set; } = true;
+    public string EventGroup { get; set; } = string.Empty; // a key of EventGroups, empty for every event
+    public List<string> ShipTypes { get; set; } = new(); // empty for every ship
+    public RulePreference Prefer { get; set; }
+    public List<string> Values { get; set; } = new(); // packs, authors, tags or source types, best first
+}
+
+public enum RulePreference
+{
+    CustomPacks,    // Packs under Custom/
+    Pack,           // By pack name or folder
+    Author,
+    Tag,
+    SourceType,
+    LatestModified,
+    LatestVersion
+}
+
+public class RuleResolution
+{
+    public string ShipType { get; set; } = string.Empty;
+    public string EventName { get; set; } = string.Empty;
+    public PatternSourceInfo? CurrentPattern { get; set; }
+    public PatternSourceInfo? ResolvedPattern { get; set; }
+    public string RuleName { get; set; } = string.Empty; // empty when no rule matched
+    public bool Changed { get; set; }
+}
+
+public enum SelectionChangeKind
+{
+    Manual,
+    AutoResolve,
+    Rules,
+    Revert,
+    Import
+}
+
+public class SelectionHistoryEntry
+{
+    public string BatchId { get; set; } = string.Empty;
+    public string ShipType { get; set; } = string.Empty;
+    public string EventName { get; set; } = string.Empty;
+    public string? PreviousSourceId { get; set; }
+    public string? PreviousSourceName { get; set; }
+    public string NewSourceId { get; set; } = string.Empty;
+    public string NewSourceName { get; set; } = string.Empty;
+    public SelectionChangeKind Kind { get; set; }
+    public string ChangedBy { get; set; } = string.Empty; // e.g. "Auto-resolve: LatestModified", "Rule: Combat"
+    public DateTime Timestamp { get; set; }
+    public bool Reverted { get; set; }
+}
+
+public class SelectionExport
+{
+    public int FormatVersion { get; set; } = 1;
+    public DateTime ExportedAt { get; set; }
+    public List<ExportedSelection> Selections { get; set; } = new();
+}
+
+public class ExportedSelection
+{
+    public string ShipType { get; set; } = string.Empty;
+    public string EventName { get; set; } = string.Empty;
+    public string SourceId { get; set; } = string.Empty;
+    public string SourceName { get; set; } = string.Empty;
+    public string PackName { get; set; } = string.Empty;
+}
+
+public class SelectionImportResult
+{
+    public int AppliedCount { get; set; }
+    public int UnchangedCount { get; set; }
+    public List<ExportedSelection> Skipped { get; set; } = new(); // sources not loaded on this install
+}
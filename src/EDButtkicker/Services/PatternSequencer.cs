@@ -25,9 +25,11 @@ public class PatternSequencer
     {
         _availablePatterns.Clear();
         
-        foreach (var mapping in mappingsConfig.EventMappings.Values)
+        // Chains refer to patterns by mapping key (e.g. "PostJumpStabilization") or by pattern name
+        foreach (var mapping in mappingsConfig.EventMappings)
         {
-            _availablePatterns[mapping.Pattern.Name] = mapping.Pattern;
+            _availablePatterns[mapping.Value.Pattern.Name] = mapping.Value.Pattern;
+            _availablePatterns.TryAdd(mapping.Key, mapping.Value.Pattern);
         }
         
         _logger.LogInformation("Loaded {Count} patterns for sequencing", _availablePatterns.Count);
@@ -37,7 +39,7 @@ public class PatternSequencer
     {
         try
         {
-            if (rootPattern.Pattern == PatternType.Sequence && rootPattern.ChainedPatterns.Any())
+            if (rootPattern.ChainedPatterns.Any())
             {
                 _logger.LogDebug("Executing pattern sequence: {PatternName} -> [{ChainedPatterns}]", 
                     rootPattern.Name, string.Join(", ", rootPattern.ChainedPatterns));
@@ -47,13 +49,14 @@ public class PatternSequencer
                 
                 // Schedule chained patterns with delays
                 var chainTasks = new List<Task>();
-                int totalDelay = rootPattern.Duration;
+                int previousEnd = rootPattern.Duration;
 
-                foreach (var chainedPatternName in rootPattern.ChainedPatterns)
+                for (var i = 0; i < rootPattern.ChainedPatterns.Count; i++)
                 {
+                    var chainedPatternName = rootPattern.ChainedPatterns[i];
                     if (_availablePatterns.TryGetValue(chainedPatternName, out var chainedPattern))
                     {
-                        var delay = totalDelay;
+                        var delay = Math.Max(0, previousEnd + GetChainGap(rootPattern, i));
                         chainTasks.Add(Task.Run(async () =>
                         {
                             await Task.Delay(delay);
@@ -63,7 +66,7 @@ public class PatternSequencer
                             await _audioEngine.PlayHapticPattern(contextualPattern, journalEvent);
                         }));
                         
-                        totalDelay += chainedPattern.Duration + 100; // 100ms gap between patterns
+                        previousEnd = delay + chainedPattern.Duration;
                         _logger.LogDebug("Scheduled pattern '{PatternName}' with {Delay}ms delay", 
                             chainedPatternName, delay);
                     }
@@ -78,6 +81,12 @@ public class PatternSequencer
             }
             else
             {
+                if (rootPattern.Pattern == PatternType.Sequence)
+                {
+                    _logger.LogWarning("Sequence pattern {PatternName} has no chained patterns; playing it on its own",
+                        rootPattern.Name);
+                }
+
                 // Single pattern execution
                 await _audioEngine.PlayHapticPattern(rootPattern, journalEvent);
             }
@@ -88,6 +97,14 @@ public class PatternSequencer
         }
     }
 
+    // Milliseconds between the end of the previous pattern and the start of chained pattern i; negative overlaps.
+    // Without ChainGaps the first chained pattern follows straight on and later ones are 100ms apart.
+    public static int GetChainGap(HapticPattern pattern, int index)
+    {
+        if (index < pattern.ChainGaps.Count) return pattern.ChainGaps[index];
+        return index == 0 ? 0 : 100;
+    }
+
     public async Task ExecuteConditionalPattern(HapticPattern pattern, JournalEvent journalEvent)
     {
         try
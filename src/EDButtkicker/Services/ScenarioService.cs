@@ -0,0 +1,499 @@
+using Microsoft.Extensions.Logging;
+using System.Text.Json;
+using System.Text.Json.Nodes;
+using System.Text.Json.Serialization;
+using EDButtkicker.Models;
+
+namespace EDButtkicker.Services;
+
+/// <summary>
+/// Named scenarios: ordered journal events with relative timings (e.g. interdiction, shields down,
+/// five hull hits, jump out) saved as JSON in AppData/EDButtkicker/scenarios. A scenario runs as a
+/// journal replay, so the transport and event list work on it, and its report says which patterns
+/// fired, which events were rate limited and how much haptic energy the run put out.
+/// </summary>
+public class ScenarioService
+{
+    public const string SourcePrefix = "Scenario: ";
+
+    private const int MaxRepeat = 100;
+    private const int MaxScenarioEvents = 1000;
+    private const int MaxNameLength = 80;
+
+    private readonly ILogger<ScenarioService> _logger;
+    private readonly JournalReplayService _replay;
+    private readonly string _scenariosPath;
+    private readonly JsonSerializerOptions _jsonOptions;
+    private readonly object _lock = new object();
+
+    // The scenario behind the current replay session, if the last session started was one
+    private Scenario? _running;
+    private string? _runningSource;
+
+    public ScenarioService(ILogger<ScenarioService> logger, JournalReplayService replay)
+    {
+        _logger = logger;
+        _replay = replay;
+
+        var appDataPath = Environment.GetFolderPath(Environment.SpecialFolder.ApplicationData);
+        _scenariosPath = Path.Combine(appDataPath, "EDButtkicker", "scenarios");
+
+        _jsonOptions = new JsonSerializerOptions
+        {
+            WriteIndented = true,
+            PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+            PropertyNameCaseInsensitive = true,
+            AllowTrailingCommas = true,
+            ReadCommentHandling = JsonCommentHandling.Skip
+        };
+
+        if (!Directory.Exists(_scenariosPath))
+        {
+            Directory.CreateDirectory(_scenariosPath);
+            WriteExampleScenarios();
+        }
+
+        _logger.LogDebug("ScenarioService initialized with path: {ScenariosPath}", _scenariosPath);
+    }
+
+    public List<ScenarioSummary> GetScenarios()
+    {
+        var summaries = new List<ScenarioSummary>();
+        foreach (var file in Directory.GetFiles(_scenariosPath, "*.json").OrderBy(f => f, StringComparer.OrdinalIgnoreCase))
+        {
+            try
+            {
+                var scenario = ReadScenario(file);
+                if (scenario == null) continue;
+
+                summaries.Add(new ScenarioSummary
+                {
+                    Name = scenario.Name,
+                    Description = scenario.Description,
+                    StepCount = scenario.Steps.Count,
+                    EventCount = scenario.Steps.Sum(step => Math.Max(1, step.Repeat)),
+                    Duration = GetDuration(scenario),
+                    LastModified = File.GetLastWriteTimeUtc(file)
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Skipping unreadable scenario file {File}", file);
+            }
+        }
+        return summaries;
+    }
+
+    public Scenario? GetScenario(string name)
+    {
+        var file = GetScenarioFile(name);
+        return File.Exists(file) ? ReadScenario(file) : null;
+    }
+
+    public async Task<Scenario> SaveScenarioAsync(Scenario scenario)
+    {
+        Validate(scenario);
+        scenario.Name = scenario.Name.Trim();
+
+        var json = JsonSerializer.Serialize(scenario, _jsonOptions);
+        await File.WriteAllTextAsync(GetScenarioFile(scenario.Name), json);
+
+        _logger.LogInformation("Saved scenario {Name} with {StepCount} steps", scenario.Name, scenario.Steps.Count);
+        return scenario;
+    }
+
+    public bool DeleteScenario(string name)
+    {
+        var file = GetScenarioFile(name);
+        if (!File.Exists(file))
+            return false;
+
+        File.Delete(file);
+        _logger.LogInformation("Deleted scenario {Name}", name);
+        return true;
+    }
+
+    /// <summary>
+    /// Loads the scenario into the journal replay and starts it. Returns the number of events.
+    /// </summary>
+    public int Run(Scenario scenario, double? speed = null)
+    {
+        Validate(scenario);
+
+        var events = BuildEvents(scenario, DateTime.UtcNow);
+        var source = SourcePrefix + scenario.Name.Trim();
+
+        lock (_lock)
+        {
+            _running = scenario;
+            _runningSource = source;
+        }
+
+        var count = _replay.Load(events, source, speed: speed, loop: false);
+        _logger.LogInformation("Running scenario {Name}: {Count} events", scenario.Name, count);
+        return count;
+    }
+
+    /// <summary>
+    /// The scenario's events on a journal clock starting at <paramref name="start"/>. Each step's
+    /// delay counts from the previous step's last event; repeats are spaced by the step interval.
+    /// </summary>
+    public static List<JournalEvent> BuildEvents(Scenario scenario, DateTime start)
+    {
+        var events = new List<JournalEvent>();
+        var time = start;
+
+        foreach (var step in scenario.Steps)
+        {
+            time = time.AddMilliseconds(step.Delay);
+            for (var i = 0; i < Math.Max(1, step.Repeat); i++)
+            {
+                if (i > 0) time = time.AddMilliseconds(step.Interval);
+
+                var journalEvent = JsonSerializer.Deserialize<JournalEvent>(step.Event.GetRawText())!;
+                journalEvent.Timestamp = time;
+                events.Add(journalEvent);
+            }
+        }
+
+        return events;
+    }
+
+    /// <summary>
+    /// A scenario from the events in the replay range, keeping their spacing. Not saved.
+    /// </summary>
+    public Scenario CaptureFromReplay(string name, string? description = null)
+    {
+        var events = _replay.GetEventsInRange();
+        if (events.Count == 0)
+            throw new InvalidOperationException("No journal replay is loaded");
+        if (events.Count > MaxScenarioEvents)
+            throw new InvalidOperationException(
+                $"The replay range has {events.Count} events; narrow it to {MaxScenarioEvents} or fewer to make a scenario");
+
+        var eventOptions = new JsonSerializerOptions { DefaultIgnoreCondition = JsonIgnoreCondition.WhenWritingNull };
+        var scenario = new Scenario
+        {
+            Name = string.IsNullOrWhiteSpace(name) ? $"Captured {DateTime.Now:yyyy-MM-dd HH.mm}" : name.Trim(),
+            Description = description ?? $"Captured from {_replay.GetStatus().Source}"
+        };
+
+        DateTime? previous = null;
+        foreach (var journalEvent in events)
+        {
+            // Timings live on the step; the run stamps events with its own clock
+            var node = JsonSerializer.SerializeToNode(journalEvent, eventOptions)!.AsObject();
+            node.Remove("timestamp");
+
+            scenario.Steps.Add(new ScenarioStep
+            {
+                Delay = previous == null ? 0 : (int)(journalEvent.Timestamp - previous.Value).TotalMilliseconds,
+                Event = JsonSerializer.SerializeToElement(node)
+            });
+            previous = journalEvent.Timestamp;
+        }
+
+        return scenario;
+    }
+
+    /// <summary>
+    /// What the running (or last run) scenario has done so far; null once another replay replaced it
+    /// </summary>
+    public ScenarioReport? GetReport()
+    {
+        Scenario? scenario;
+        string? source;
+        lock (_lock)
+        {
+            scenario = _running;
+            source = _runningSource;
+        }
+
+        var status = _replay.GetStatus();
+        if (scenario == null || status.Source != source)
+            return null;
+
+        var entries = _replay.GetEvents();
+        var start = status.SessionStart ?? DateTime.UtcNow;
+        var report = new ScenarioReport
+        {
+            Name = scenario.Name,
+            State = status.State,
+            Complete = status.State == ReplayState.Stopped && status.EventsPlayed == status.EventsInRange,
+            TotalEvents = entries.Count,
+            EventsPlayed = status.EventsPlayed
+        };
+
+        var patterns = new Dictionary<string, ScenarioPatternCount>();
+        foreach (var entry in entries)
+        {
+            var outcome = entry.Outcome;
+            var energy = GetEnergy(outcome);
+
+            report.Events.Add(new ScenarioEventResult
+            {
+                Index = entry.Index,
+                Offset = (int)(entry.Timestamp - start).TotalMilliseconds,
+                Event = entry.Event,
+                Outcome = outcome,
+                Energy = energy
+            });
+
+            switch (outcome?.Result)
+            {
+                case EventProcessingResult.Triggered:
+                    report.Triggered++;
+                    report.Energy += energy;
+                    var patternName = outcome.PatternName ?? entry.Event;
+                    if (!patterns.TryGetValue(patternName, out var count))
+                    {
+                        count = new ScenarioPatternCount { Pattern = patternName };
+                        patterns[patternName] = count;
+                    }
+                    count.Count++;
+                    count.Energy += energy;
+                    if (!count.Events.Contains(entry.Event)) count.Events.Add(entry.Event);
+                    break;
+                case EventProcessingResult.RateLimited:
+                    report.RateLimited++;
+                    break;
+                case EventProcessingResult.Unmapped:
+                    report.Unmapped++;
+                    break;
+                case EventProcessingResult.Disabled:
+                    report.Disabled++;
+                    break;
+            }
+        }
+
+        report.Patterns = patterns.Values.OrderByDescending(p => p.Energy).ToList();
+        return report;
+    }
+
+    // Intensity-seconds: played intensity as a fraction of full scale times the pattern's length
+    private static double GetEnergy(ReplayEventOutcome? outcome)
+    {
+        if (outcome?.Result != EventProcessingResult.Triggered || outcome.PlayedIntensity == null || outcome.Duration == null)
+            return 0;
+
+        return outcome.PlayedIntensity.Value / 100.0 * outcome.Duration.Value / 1000.0;
+    }
+
+    private static int GetDuration(Scenario scenario)
+    {
+        return (scenario.Steps ?? new List<ScenarioStep>()).Sum(step => step.Delay + Math.Max(0, Math.Max(1, step.Repeat) - 1) * step.Interval);
+    }
+
+    private static void Validate(Scenario scenario)
+    {
+        if (string.IsNullOrWhiteSpace(scenario.Name))
+            throw new ArgumentException("The scenario needs a name");
+        if (scenario.Name.Trim().Length > MaxNameLength)
+            throw new ArgumentException($"Scenario names are limited to {MaxNameLength} characters");
+        if (scenario.Steps == null || scenario.Steps.Count == 0)
+            throw new ArgumentException("The scenario has no steps");
+
+        for (var i = 0; i < scenario.Steps.Count; i++)
+        {
+            var step = scenario.Steps[i];
+            var label = $"Step {i + 1}";
+
+            if (step == null)
+                throw new ArgumentException($"{label}: the step is empty");
+            if (step.Event.ValueKind != JsonValueKind.Object)
+                throw new ArgumentException($"{label}: \"event\" must be a journal event object");
+            if (!step.Event.TryGetProperty("event", out var eventName) || eventName.ValueKind != JsonValueKind.String ||
+                string.IsNullOrWhiteSpace(eventName.GetString()))
+                throw new ArgumentException($"{label}: the journal event needs an \"event\" name");
+
+            // The replay deserializes each event the same way, so a field of the wrong type fails here
+            try
+            {
+                JsonSerializer.Deserialize<JournalEvent>(step.Event.GetRawText());
+            }
+            catch (JsonException ex)
+            {
+                throw new ArgumentException($"{label}: {ex.Message}");
+            }
+            if (step.Delay < 0 || step.Interval < 0)
+                throw new ArgumentException($"{label}: delay and interval can't be negative");
+            if (step.Repeat < 1 || step.Repeat > MaxRepeat)
+                throw new ArgumentException($"{label}: repeat must be between 1 and {MaxRepeat}");
+        }
+
+        var eventCount = scenario.Steps.Sum(step => step.Repeat);
+        if (eventCount > MaxScenarioEvents)
+            throw new ArgumentException($"The scenario has {eventCount} events; the limit is {MaxScenarioEvents}");
+    }
+
+    private Scenario? ReadScenario(string file)
+    {
+        var scenario = JsonSerializer.Deserialize<Scenario>(File.ReadAllText(file), _jsonOptions);
+        if (scenario == null)
+            return null;
+
+        if (string.IsNullOrWhiteSpace(scenario.Name))
+            scenario.Name = Path.GetFileNameWithoutExtension(file);
+        // A hand-edited file may say "steps": null; list and open it as empty rather than failing
+        scenario.Steps = scenario.Steps?.Where(step => step != null).ToList() ?? new List<ScenarioStep>();
+        return scenario;
+    }
+
+    // One file per scenario, named after it with characters the file system won't take replaced
+    private string GetScenarioFile(string name)
+    {
+        var invalid = Path.GetInvalidFileNameChars();
+        var fileName = new string(name.Trim().Select(c => invalid.Contains(c) ? '_' : c).ToArray());
+        return Path.Combine(_scenariosPath, $"{fileName}.json");
+    }
+
+    private void WriteExampleScenarios()
+    {
+        var examples = new[]
+        {
+            new Scenario
+            {
+                Name = "Combat - interdiction escape",
+                Description = "Interdicted, shields drop, five hull hits, then a hyperspace jump out",
+                Steps =
+                {
+                    Step(0, """{"event":"Interdicted","Submitted":false,"Interdictor":"Kurt Wagner","IsPlayer":false}"""),
+                    Step(3000, """{"event":"UnderAttack","Target":"You"}"""),
+                    Step(1500, """{"event":"ShieldState","ShieldsUp":false}"""),
+                    Step(1000, """{"event":"HullDamage","Health":0.72,"PlayerPilot":true,"Fighter":false,"HullDamage":0.28}""", repeat: 5, interval: 1200),
+                    Step(2000, """{"event":"StartJump","JumpType":"Hyperspace","StarSystem":"Deciat","StarClass":"K"}"""),
+                    Step(5000, """{"event":"FSDJump","StarSystem":"Deciat","Body":"Deciat","JumpDist":42.3,"FuelUsed":3.2,"FuelLevel":28.8}""")
+                }
+            },
+            new Scenario
+            {
+                Name = "Exploration - jump, scoop and land",
+                Description = "A supercruise exit, a fuel scoop, a touchdown and liftoff, and a neutron-boosted jump",
+                Steps =
+                {
+                    Step(0, """{"event":"StartJump","JumpType":"Hyperspace","StarSystem":"Colonia","StarClass":"F"}"""),
+                    Step(5000, """{"event":"FSDJump","StarSystem":"Colonia","Body":"Colonia","JumpDist":61.7,"FuelUsed":4.1,"FuelLevel":24.0}"""),
+                    Step(3000, """{"event":"FuelScoop","Scooped":0.498,"Total":28.5,"Rate":5}""", repeat: 3, interval: 2500),
+                    Step(4000, """{"event":"SupercruiseExit","StarSystem":"Colonia","Body":"Colonia 3 c","BodyType":"Planet"}"""),
+                    Step(6000, """{"event":"Touchdown","PlayerControlled":true,"Body":"Colonia 3 c","Latitude":-12.5,"Longitude":87.2,"Ship":"krait_mkii"}"""),
+                    Step(8000, """{"event":"Liftoff","PlayerControlled":true,"Body":"Colonia 3 c","Latitude":-12.5,"Longitude":87.2,"Ship":"krait_mkii"}"""),
+                    Step(5000, """{"event":"JetConeBoost","BoostValue":4.0,"Boost":4.0}""")
+                }
+            }
+        };
+
+        foreach (var example in examples)
+        {
+            try
+            {
+                File.WriteAllText(GetScenarioFile(example.Name), JsonSerializer.Serialize(example, _jsonOptions));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Could not write example scenario {Name}", example.Name);
+            }
+        }
+    }
+
+    private static ScenarioStep Step(int delay, string eventJson, int repeat = 1, int interval = 1000)
+    {
+        return new ScenarioStep
+        {
+            Delay = delay,
+            Repeat = repeat,
+            Interval = interval,
+            Event = JsonDocument.Parse(eventJson).RootElement.Clone()
+        };
+    }
+}
+
+public class Scenario
+{
+    public string Name { get; set; } = string.Empty;
+    public string? Description { get; set; }
+    public List<ScenarioStep> Steps { get; set; } = new();
+}
+
+public class ScenarioStep
+{
+    public int Delay { get; set; } // Milliseconds after the previous step's last event
+    public int Repeat { get; set; } = 1;
+    public int Interval { get; set; } = 1000; // Milliseconds between repeats
+    public JsonElement Event { get; set; } // The journal event; its timestamp is set when the scenario runs
+}
+
+public class ScenarioSummary
+{
+    public string Name { get; set; } = string.Empty;
+    public string? Description { get; set; }
+    public int StepCount { get; set; }
+    public int EventCount { get; set; }
+    public int Duration { get; set; } // Milliseconds from the first event to the last
+    public DateTime LastModified { get; set; }
+}
+
+public class ScenarioReport
+{
+    public string Name { get; set; } = string.Empty;
+    public ReplayState State { get; set; }
+    public bool Complete { get; set; }
+    public int TotalEvents { get; set; }
+    public int EventsPlayed { get; set; }
+    public int Triggered { get; set; }
+    public int RateLimited { get; set; }
+    public int Unmapped { get; set; }
+    public int Disabled { get; set; }
+    public double Energy { get; set; } // Intensity-seconds over every pattern that played
+    public List<ScenarioPatternCount> Patterns { get; set; } = new();
+    public List<ScenarioEventResult> Events { get; set; } = new();
+
+    // Snake_case like the replay payloads it sits beside
+    public object ToPayload()
+    {
+        return new
+        {
+            name = Name,
+            state = State.ToString().ToLowerInvariant(),
+            complete = Complete,
+            total_events = TotalEvents,
+            events_played = EventsPlayed,
+            triggered = Triggered,
+            rate_limited = RateLimited,
+            unmapped = Unmapped,
+            disabled = Disabled,
+            energy = Math.Round(Energy, 2),
+            patterns = Patterns.Select(pattern => new
+            {
+                pattern = pattern.Pattern,
+                events = pattern.Events,
+                count = pattern.Count,
+                energy = Math.Round(pattern.Energy, 2)
+            }),
+            events = Events.Select(result => new
+            {
+                index = result.Index,
+                offset = result.Offset,
+                @event = result.Event,
+                outcome = result.Outcome?.ToPayload(),
+                energy = Math.Round(result.Energy, 2)
+            })
+        };
+    }
+}
+
+public class ScenarioPatternCount
+{
+    public string Pattern { get; set; } = string.Empty;
+    public List<string> Events { get; set; } = new();
+    public int Count { get; set; }
+    public double Energy { get; set; }
+}
+
+public class ScenarioEventResult
+{
+    public int Index { get; set; }
+    public int Offset { get; set; } // Milliseconds from the scenario start
+    public string Event { get; set; } = string.Empty;
+    public ReplayEventOutcome? Outcome { get; set; }
+    public double Energy { get; set; }
+}
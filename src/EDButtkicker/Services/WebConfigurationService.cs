@@ -20,6 +20,9 @@ public class WebConfigurationService : BackgroundService
     private readonly EventMappingService _eventMapping;
     private readonly PatternSequencer _patternSequencer;
     private readonly ContextualIntelligenceService _contextualIntelligence;
+    private readonly LiveEventStreamService _liveEventStream;
+    private readonly PatternFileService _patternFiles;
+    private readonly PatternSelectionService _patternSelection;
     private IWebHost? _webHost;
     private readonly int _port = 47811; // Elite Dangerous Buttkicker - uncommon port
 
@@ -29,7 +32,10 @@ public class WebConfigurationService : BackgroundService
         AudioEngineService audioEngine,
         EventMappingService eventMapping,
         PatternSequencer patternSequencer,
-        ContextualIntelligenceService contextualIntelligence)
+        ContextualIntelligenceService contextualIntelligence,
+        LiveEventStreamService liveEventStream,
+        PatternFileService patternFiles,
+        PatternSelectionService patternSelection)
     {
         _logger = logger;
         _settings = settings;
@@ -37,6 +43,16 @@ public class WebConfigurationService : BackgroundService
         _eventMapping = eventMapping;
         _patternSequencer = patternSequencer;
         _contextualIntelligence = contextualIntelligence;
+        _liveEventStream = liveEventStream;
+        _patternFiles = patternFiles;
+        _patternSelection = patternSelection;
+
+        // Keep the dashboard's recent event list fed with live journal events (replays are already in it)
+        _eventMapping.EventProcessed += args =>
+        {
+            if (!args.IsReplay)
+                JournalApiController.AddRecentEvent(args.JournalEvent);
+        };
     }
 
     protected override async Task ExecuteAsync(CancellationToken stoppingToken)
@@ -56,13 +72,21 @@ public class WebConfigurationService : BackgroundService
                     services.AddSingleton(_audioEngine);
                     services.AddSingleton(_eventMapping);
                     services.AddSingleton(_patternSequencer);
-                    services.AddSingleton<PatternFileService>();
+                    services.AddSingleton(_liveEventStream);
+                    // Share the app's pattern services so edits and selections made here take effect in game
+                    services.AddSingleton(_patternFiles);
+                    services.AddSingleton(_patternSelection);
+                    services.AddSingleton(_contextualIntelligence);
                     services.AddSingleton<ConfigurationApiController>();
                     services.AddSingleton<PatternApiController>();
                     services.AddSingleton<PatternFilesController>();
                     services.AddSingleton<PatternEditorController>();
+                    services.AddSingleton<PatternSelectionController>();
                     services.AddSingleton<AudioApiController>();
+                    services.AddSingleton<JournalReplayService>();
                     services.AddSingleton<JournalApiController>();
+                    services.AddSingleton<ScenarioService>();
+                    services.AddSingleton<ScenarioApiController>();
                     services.AddSingleton<ContextualIntelligenceApiController>();
                 })
                 .Configure(app =>
@@ -182,12 +206,30 @@ public class WebConfigurationService : BackgroundService
                                 await controller!.GetRecentEvents(context);
                                 return;
                             }
+                            else if (path == "/api/journal/events/stream" && method == "GET")
+                            {
+                                var controller = context.RequestServices.GetService<JournalApiController>();
+                                await controller!.StreamJournalEvents(context);
+                                return;
+                            }
+                            else if (path == "/api/journal/activity" && method == "GET")
+                            {
+                                var controller = context.RequestServices.GetService<JournalApiController>();
+                                await controller!.GetHapticActivity(context);
+                                return;
+                            }
                             else if (path == "/api/journal/replay/start" && method == "POST")
                             {
                                 var controller = context.RequestServices.GetService<JournalApiController>();
                                 await controller!.StartJournalReplay(context);
                                 return;
                             }
+                            else if (path == "/api/journal/replay/upload" && method == "POST")
+                            {
+                                var controller = context.RequestServices.GetService<JournalApiController>();
+                                await controller!.UploadJournalReplay(context);
+                                return;
+                            }
                             else if (path == "/api/journal/replay/stop" && method == "POST")
                             {
                                 var controller = context.RequestServices.GetService<JournalApiController>();
@@ -200,6 +242,105 @@ public class WebConfigurationService : BackgroundService
                                 await controller!.GetJournalReplayStatus(context);
                                 return;
                             }
+                            else if (path == "/api/journal/replay/pause" && method == "POST")
+                            {
+                                var controller = context.RequestServices.GetService<JournalApiController>();
+                                await controller!.PauseJournalReplay(context);
+                                return;
+                            }
+                            else if (path == "/api/journal/replay/resume" && method == "POST")
+                            {
+                                var controller = context.RequestServices.GetService<JournalApiController>();
+                                await controller!.ResumeJournalReplay(context);
+                                return;
+                            }
+                            else if (path == "/api/journal/replay/seek" && method == "POST")
+                            {
+                                var controller = context.RequestServices.GetService<JournalApiController>();
+                                await controller!.SeekJournalReplay(context);
+                                return;
+                            }
+                            else if (path == "/api/journal/replay/speed" && method == "POST")
+                            {
+                                var controller = context.RequestServices.GetService<JournalApiController>();
+                                await controller!.SetJournalReplaySpeed(context);
+                                return;
+                            }
+                            else if (path == "/api/journal/replay/range" && method == "POST")
+                            {
+                                var controller = context.RequestServices.GetService<JournalApiController>();
+                                await controller!.SetJournalReplayRange(context);
+                                return;
+                            }
+                            else if (path == "/api/journal/replay/step" && method == "POST")
+                            {
+                                var controller = context.RequestServices.GetService<JournalApiController>();
+                                await controller!.StepJournalReplay(context);
+                                return;
+                            }
+                            else if (path == "/api/journal/replay/events" && method == "GET")
+                            {
+                                var controller = context.RequestServices.GetService<JournalApiController>();
+                                await controller!.GetJournalReplayEvents(context);
+                                return;
+                            }
+                            else if (path == "/api/journal/replay/fire" && method == "POST")
+                            {
+                                var controller = context.RequestServices.GetService<JournalApiController>();
+                                await controller!.FireJournalReplayEvent(context);
+                                return;
+                            }
+                            else if (path == "/api/journal/compose" && method == "POST")
+                            {
+                                var controller = context.RequestServices.GetService<JournalApiController>();
+                                await controller!.ComposeJournalEvent(context);
+                                return;
+                            }
+                            // Scenario API
+                            else if (path == "/api/scenarios" && method == "GET")
+                            {
+                                var controller = context.RequestServices.GetService<ScenarioApiController>();
+                                await controller!.GetScenarios(context);
+                                return;
+                            }
+                            else if (path == "/api/scenarios" && method == "POST")
+                            {
+                                var controller = context.RequestServices.GetService<ScenarioApiController>();
+                                await controller!.SaveScenario(context);
+                                return;
+                            }
+                            else if (path == "/api/scenarios/run" && method == "POST")
+                            {
+                                var controller = context.RequestServices.GetService<ScenarioApiController>();
+                                await controller!.RunScenario(context);
+                                return;
+                            }
+                            else if (path == "/api/scenarios/report" && method == "GET")
+                            {
+                                var controller = context.RequestServices.GetService<ScenarioApiController>();
+                                await controller!.GetScenarioReport(context);
+                                return;
+                            }
+                            else if (path == "/api/scenarios/capture" && method == "POST")
+                            {
+                                var controller = context.RequestServices.GetService<ScenarioApiController>();
+                                await controller!.CaptureScenario(context);
+                                return;
+                            }
+                            else if (path.StartsWith("/api/scenarios/") && method == "GET")
+                            {
+                                var name = Uri.UnescapeDataString(path.Substring("/api/scenarios/".Length));
+                                var controller = context.RequestServices.GetService<ScenarioApiController>();
+                                await controller!.GetScenario(context, name);
+                                return;
+                            }
+                            else if (path.StartsWith("/api/scenarios/") && method == "DELETE")
+                            {
+                                var name = Uri.UnescapeDataString(path.Substring("/api/scenarios/".Length));
+                                var controller = context.RequestServices.GetService<ScenarioApiController>();
+                                await controller!.DeleteScenario(context, name);
+                                return;
+                            }
                             // Pattern Files API
                             else if (path == "/api/PatternFiles/reload" && method == "POST")
                             {
@@ -225,6 +366,109 @@ public class WebConfigurationService : BackgroundService
                                 await controller!.GetPatternPacks(context);
                                 return;
                             }
+                            else if (path.StartsWith("/api/PatternFiles/packs/") && method == "DELETE")
+                            {
+                                var fileName = Uri.UnescapeDataString(path.Substring("/api/PatternFiles/packs/".Length));
+                                var controller = context.RequestServices.GetService<PatternFilesController>();
+                                await controller!.DeletePatternFileHttpContext(context, fileName);
+                                return;
+                            }
+                            // Pattern Selection API
+                            else if (path == "/api/patternselection/conflicts" && method == "GET")
+                            {
+                                var controller = context.RequestServices.GetService<PatternSelectionController>();
+                                await controller!.GetConflictsHttpContext(context);
+                                return;
+                            }
+                            else if (path.StartsWith("/api/patternselection/available/") && method == "GET")
+                            {
+                                var parts = path.Substring("/api/patternselection/available/".Length).Split('/');
+                                if (parts.Length == 2)
+                                {
+                                    var controller = context.RequestServices.GetService<PatternSelectionController>();
+                                    await controller!.GetAvailablePatternsHttpContext(context,
+                                        Uri.UnescapeDataString(parts[0]), Uri.UnescapeDataString(parts[1]));
+                                    return;
+                                }
+                            }
+                            else if (path == "/api/patternselection/select" && method == "POST")
+                            {
+                                var controller = context.RequestServices.GetService<PatternSelectionController>();
+                                await controller!.SelectPatternHttpContext(context);
+                                return;
+                            }
+                            else if (path == "/api/patternselection/stats" && method == "GET")
+                            {
+                                var controller = context.RequestServices.GetService<PatternSelectionController>();
+                                await controller!.GetStatsHttpContext(context);
+                                return;
+                            }
+                            else if (path == "/api/patternselection/refresh-sources" && method == "POST")
+                            {
+                                var controller = context.RequestServices.GetService<PatternSelectionController>();
+                                await controller!.RefreshSourcesHttpContext(context);
+                                return;
+                            }
+                            else if (path == "/api/patternselection/auto-resolve" && method == "POST")
+                            {
+                                var controller = context.RequestServices.GetService<PatternSelectionController>();
+                                await controller!.AutoResolveConflictsHttpContext(context);
+                                return;
+                            }
+                            else if (path == "/api/patternselection/rules" && method == "GET")
+                            {
+                                var controller = context.RequestServices.GetService<PatternSelectionController>();
+                                await controller!.GetResolutionRulesHttpContext(context);
+                                return;
+                            }
+                            else if (path == "/api/patternselection/rules" && method == "POST")
+                            {
+                                var controller = context.RequestServices.GetService<PatternSelectionController>();
+                                await controller!.SaveResolutionRulesHttpContext(context);
+                                return;
+                            }
+                            else if (path == "/api/patternselection/rules/preview" && method == "POST")
+                            {
+                                var controller = context.RequestServices.GetService<PatternSelectionController>();
+                                await controller!.PreviewResolutionRulesHttpContext(context);
+                                return;
+                            }
+                            else if (path == "/api/patternselection/rules/apply" && method == "POST")
+                            {
+                                var controller = context.RequestServices.GetService<PatternSelectionController>();
+                                await controller!.ApplyResolutionRulesHttpContext(context);
+                                return;
+                            }
+                            else if (path == "/api/patternselection/history" && method == "GET")
+                            {
+                                var controller = context.RequestServices.GetService<PatternSelectionController>();
+                                await controller!.GetHistoryHttpContext(context);
+                                return;
+                            }
+                            else if (path == "/api/patternselection/undo" && method == "POST")
+                            {
+                                var controller = context.RequestServices.GetService<PatternSelectionController>();
+                                await controller!.UndoSelectionHttpContext(context);
+                                return;
+                            }
+                            else if (path == "/api/patternselection/revert-last-auto-resolve" && method == "POST")
+                            {
+                                var controller = context.RequestServices.GetService<PatternSelectionController>();
+                                await controller!.RevertLastAutoResolveHttpContext(context);
+                                return;
+                            }
+                            else if (path == "/api/patternselection/export" && method == "GET")
+                            {
+                                var controller = context.RequestServices.GetService<PatternSelectionController>();
+                                await controller!.ExportSelectionsHttpContext(context);
+                                return;
+                            }
+                            else if (path == "/api/patternselection/import" && method == "POST")
+                            {
+                                var controller = context.RequestServices.GetService<PatternSelectionController>();
+                                await controller!.ImportSelectionsHttpContext(context);
+                                return;
+                            }
                             // Pattern Editor API
                             else if (path == "/api/PatternEditor/templates" && method == "GET")
                             {
@@ -244,6 +488,12 @@ public class WebConfigurationService : BackgroundService
                                 await controller!.SavePatternHttpContext(context);
                                 return;
                             }
+                            else if (path == "/api/PatternEditor/schema" && method == "GET")
+                            {
+                                var controller = context.RequestServices.GetService<PatternEditorController>();
+                                await controller!.GetPatternSchemaHttpContext(context);
+                                return;
+                            }
                             else if (path == "/api/PatternEditor/validate" && method == "POST")
                             {
                                 var controller = context.RequestServices.GetService<PatternEditorController>();
@@ -258,7 +508,7 @@ public class WebConfigurationService : BackgroundService
                             }
                             else if (path.StartsWith("/api/PatternEditor/load/") && method == "GET")
                             {
-                                var fileName = path.Substring("/api/PatternEditor/load/".Length);
+                                var fileName = Uri.UnescapeDataString(path.Substring("/api/PatternEditor/load/".Length));
                                 var controller = context.RequestServices.GetService<PatternEditorController>();
                                 await controller!.LoadPatternForEditingHttpContext(context, fileName);
                                 return;
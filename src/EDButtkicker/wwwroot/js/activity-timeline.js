@@ -0,0 +1,415 @@
+// Scrolling view of recent haptic output on the dashboard.
+// Events arrive from the live stream (or /api/journal/activity while polling) and are drawn
+// with the envelope that actually played, after contextual and damage adjustments.
+class ActivityTimeline {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.windowMinutes = 2;
+        this.maxHistoryMinutes = 10;
+        this.events = [];
+        this.eventIds = new Set();
+        this.clockOffset = 0; // Server clock minus browser clock, in ms
+        this.paused = false;
+        this.pausedAt = 0;
+        this.running = false;
+        this.frame = null;
+        this.lastDraw = 0;
+        this.hoverX = null;
+        this.envelopeStep = 20; // ms between envelope samples
+        this.labelHeight = 18;
+        this.axisHeight = 16;
+        this.overlapHeight = 5;
+        this.palette = ['#ff6b35', '#00bcd4', '#4caf50', '#f7931e', '#9c27b0', '#03a9f4', '#cddc39', '#e91e63'];
+        this.colors = {
+            background: 'rgba(0, 0, 0, 0.3)',
+            grid: 'rgba(255, 255, 255, 0.08)',
+            text: '#b0b8c4',
+            output: '#ffffff',
+            overlap: '#ff9800',
+            rateLimited: '#f44336',
+            disabled: '#9e9e9e',
+            unmapped: 'rgba(255, 255, 255, 0.2)'
+        };
+
+        this.resize = this.resize.bind(this);
+        this.tick = this.tick.bind(this);
+
+        window.addEventListener('resize', this.resize);
+        this.canvas.addEventListener('mousemove', (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            this.hoverX = e.clientX - rect.left;
+            this.draw();
+        });
+        this.canvas.addEventListener('mouseleave', () => {
+            this.hoverX = null;
+            this.draw();
+        });
+
+        this.resize();
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.resize();
+        this.frame = requestAnimationFrame(this.tick);
+    }
+
+    stop() {
+        this.running = false;
+        if (this.frame) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+    }
+
+    tick(timestamp) {
+        if (!this.running) return;
+
+        // A pixel covers at least 60 ms even on the shortest window, so ~10 fps scrolls smoothly
+        if (!this.paused && timestamp - this.lastDraw >= 100) {
+            this.lastDraw = timestamp;
+            this.draw();
+        }
+        this.frame = requestAnimationFrame(this.tick);
+    }
+
+    resize() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        if (!width || !height) return;
+
+        this.canvas.width = Math.round(width * ratio);
+        this.canvas.height = Math.round(height * ratio);
+        this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        this.width = width;
+        this.height = height;
+        this.draw();
+    }
+
+    setWindow(minutes) {
+        this.windowMinutes = Math.min(Math.max(parseInt(minutes, 10) || 2, 1), this.maxHistoryMinutes);
+        this.draw();
+    }
+
+    togglePause() {
+        this.paused = !this.paused;
+        this.pausedAt = this.now();
+        this.draw();
+        return this.paused;
+    }
+
+    setServerTime(serverTime) {
+        const parsed = Date.parse(serverTime);
+        if (!isNaN(parsed)) {
+            this.clockOffset = parsed - Date.now();
+        }
+    }
+
+    now() {
+        return this.paused ? this.pausedAt : Date.now();
+    }
+
+    async load() {
+        try {
+            const response = await fetch(`/api/journal/activity?minutes=${this.maxHistoryMinutes}`);
+            const data = await response.json();
+
+            if (data.server_time) this.setServerTime(data.server_time);
+            (data.events || []).forEach(event => this.addEvent(event, false));
+            this.draw();
+        } catch (error) {
+            console.error('Error loading haptic activity:', error);
+        }
+    }
+
+    addEvent(event, redraw = true) {
+        if (event.id !== undefined) {
+            if (this.eventIds.has(event.id)) return;
+            this.eventIds.add(event.id);
+        }
+
+        // Position on the server's processing time so replayed events show when they played
+        const at = Date.parse(event.processed_at || event.timestamp) - this.clockOffset;
+        const envelope = event.result === 'triggered' ? this.buildEnvelope(event) : null;
+
+        this.events.push({
+            at,
+            event,
+            envelope,
+            end: envelope ? at + envelope.length * this.envelopeStep : at,
+            color: this.colorFor(event.event)
+        });
+        this.events.sort((a, b) => a.at - b.at);
+        this.prune();
+
+        if (redraw) this.draw();
+    }
+
+    prune() {
+        const cutoff = Date.now() - this.maxHistoryMinutes * 60000;
+        while (this.events.length > 0 && this.events[0].end < cutoff) {
+            const removed = this.events.shift();
+            if (removed.event.id !== undefined) this.eventIds.delete(removed.event.id);
+        }
+    }
+
+    buildEnvelope(event) {
+        const pattern = event.pattern;
+        if (!pattern || !pattern.definition || typeof PatternSynth === 'undefined') return null;
+
+        const intensity = pattern.played_intensity ?? pattern.intensity;
+        const definition = Object.assign({}, pattern.definition, { Intensity: intensity });
+        const result = PatternSynth.synthesize(definition, { sampleRate: 2000 });
+
+        // Peak over one carrier period so the envelope doesn't ripple with the waveform
+        const halfWindow = Math.max(this.envelopeStep, 1000 / Math.max(1, pattern.frequency || 40)) / 2;
+        const envelope = [];
+        for (let t = 0; t < result.duration; t += this.envelopeStep) {
+            envelope.push(PatternSynth.peakBetween(result, t - halfWindow, t + halfWindow));
+        }
+        return envelope;
+    }
+
+    colorFor(eventType) {
+        let hash = 0;
+        for (let i = 0; i < eventType.length; i++) {
+            hash = (hash * 31 + eventType.charCodeAt(i)) | 0;
+        }
+        return this.palette[Math.abs(hash) % this.palette.length];
+    }
+
+    envelopeAt(entry, time) {
+        if (!entry.envelope || time < entry.at || time >= entry.end) return 0;
+        return entry.envelope[Math.floor((time - entry.at) / this.envelopeStep)] || 0;
+    }
+
+    draw() {
+        if (!this.width || !this.height) return;
+
+        const ctx = this.ctx;
+        const width = this.width;
+        const now = this.now();
+        const windowMs = this.windowMinutes * 60000;
+        const start = now - windowMs;
+        const plotTop = this.labelHeight;
+        const plotBottom = this.height - this.axisHeight - this.overlapHeight;
+        const plotHeight = plotBottom - plotTop;
+        const toX = (time) => width - ((now - time) / windowMs) * width;
+        const toY = (value) => plotBottom - Math.min(value, 1) * plotHeight;
+
+        ctx.clearRect(0, 0, width, this.height);
+        ctx.fillStyle = this.colors.background;
+        ctx.fillRect(0, 0, width, this.height);
+
+        this.drawGrid(toX, now, windowMs, plotTop, plotBottom);
+
+        const visible = this.events.filter(entry => entry.end >= start && entry.at <= now);
+
+        // Individual pattern envelopes
+        visible.filter(entry => entry.envelope).forEach(entry => {
+            ctx.beginPath();
+            ctx.moveTo(toX(entry.at), plotBottom);
+            entry.envelope.forEach((value, i) => {
+                ctx.lineTo(toX(entry.at + i * this.envelopeStep), toY(value));
+            });
+            ctx.lineTo(toX(entry.end), plotBottom);
+            ctx.closePath();
+
+            ctx.globalAlpha = 0.3;
+            ctx.fillStyle = entry.color;
+            ctx.fill();
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = entry.color;
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        });
+
+        this.drawOutput(visible, toY, start, windowMs, plotBottom);
+        this.drawMarkers(visible, toX, plotTop, plotBottom);
+        this.drawHover(visible, toX, now, windowMs);
+    }
+
+    drawGrid(toX, now, windowMs, plotTop, plotBottom) {
+        const ctx = this.ctx;
+        const step = windowMs <= 60000 ? 10000 : windowMs <= 300000 ? 30000 : 60000;
+
+        ctx.strokeStyle = this.colors.grid;
+        ctx.fillStyle = this.colors.text;
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.lineWidth = 1;
+
+        for (let offset = 0; offset <= windowMs; offset += step) {
+            const x = Math.round(toX(now - offset)) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(x, plotTop);
+            ctx.lineTo(x, plotBottom);
+            ctx.stroke();
+
+            const seconds = offset / 1000;
+            const label = offset === 0 ? 'now' : seconds >= 60 && seconds % 60 === 0 ? `-${seconds / 60}m` : `-${seconds}s`;
+            ctx.fillText(label, Math.min(Math.max(x, 14), this.width - 14), this.height - 4);
+        }
+
+        // Full-scale reference line
+        ctx.beginPath();
+        ctx.moveTo(0, plotTop + 0.5);
+        ctx.lineTo(this.width, plotTop + 0.5);
+        ctx.stroke();
+    }
+
+    drawOutput(visible, toY, start, windowMs, plotBottom) {
+        const ctx = this.ctx;
+        const playing = visible.filter(entry => entry.envelope);
+        if (playing.length === 0) return;
+
+        const msPerPixel = windowMs / this.width;
+        let drawing = false;
+
+        // Summed output where patterns overlap, plus a strip marking the overlap itself
+        ctx.strokeStyle = this.colors.output;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+
+        for (let x = 0; x < this.width; x++) {
+            const time = start + x * msPerPixel;
+            let sum = 0;
+            let active = 0;
+
+            playing.forEach(entry => {
+                const value = this.envelopeAt(entry, time);
+                if (value > 0) {
+                    sum += value;
+                    active++;
+                }
+            });
+
+            if (active > 1) {
+                if (drawing) {
+                    ctx.lineTo(x, toY(sum));
+                } else {
+                    ctx.moveTo(x, toY(sum));
+                    drawing = true;
+                }
+                ctx.fillStyle = this.colors.overlap;
+                ctx.fillRect(x, plotBottom, 1, this.overlapHeight);
+            } else {
+                drawing = false;
+            }
+        }
+
+        ctx.stroke();
+    }
+
+    drawMarkers(visible, toX, plotTop, plotBottom) {
+        const ctx = this.ctx;
+        let lastLabelEnd = -Infinity;
+
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'left';
+
+        visible.forEach(entry => {
+            const x = Math.round(toX(entry.at)) + 0.5;
+
+            switch (entry.event.result) {
+                case 'triggered':
+                    ctx.strokeStyle = entry.color;
+                    ctx.beginPath();
+                    ctx.moveTo(x, plotTop - 4);
+                    ctx.lineTo(x, plotBottom);
+                    ctx.stroke();
+                    break;
+                case 'rate_limited':
+                case 'disabled':
+                    ctx.strokeStyle = entry.event.result === 'rate_limited' ? this.colors.rateLimited : this.colors.disabled;
+                    ctx.setLineDash([3, 3]);
+                    ctx.beginPath();
+                    ctx.moveTo(x, plotTop);
+                    ctx.lineTo(x, plotBottom);
+                    ctx.stroke();
+                    ctx.setLineDash([]);
+
+                    // Cross at the top so dropped events stand out from played ones
+                    ctx.beginPath();
+                    ctx.moveTo(x - 3, plotTop - 7);
+                    ctx.lineTo(x + 3, plotTop - 1);
+                    ctx.moveTo(x + 3, plotTop - 7);
+                    ctx.lineTo(x - 3, plotTop - 1);
+                    ctx.stroke();
+                    break;
+                default:
+                    ctx.strokeStyle = this.colors.unmapped;
+                    ctx.beginPath();
+                    ctx.moveTo(x, plotBottom - 4);
+                    ctx.lineTo(x, plotBottom);
+                    ctx.stroke();
+                    return;
+            }
+
+            // Label played and dropped events when there is room
+            const label = entry.event.event;
+            const labelWidth = ctx.measureText(label).width;
+            if (x + 4 > lastLabelEnd && x + 4 + labelWidth < this.width) {
+                ctx.fillStyle = entry.event.result === 'triggered' ? entry.color : ctx.strokeStyle;
+                ctx.fillText(label, x + 4, plotTop - 6);
+                lastLabelEnd = x + 4 + labelWidth + 6;
+            }
+        });
+    }
+
+    drawHover(visible, toX, now, windowMs) {
+        if (this.hoverX === null) return;
+
+        const ctx = this.ctx;
+        const time = now - ((this.width - this.hoverX) / this.width) * windowMs;
+        const tolerance = (4 / this.width) * windowMs;
+        const hits = visible.filter(entry =>
+            (entry.envelope && time >= entry.at && time < entry.end) || Math.abs(entry.at - time) <= tolerance);
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+        ctx.beginPath();
+        ctx.moveTo(this.hoverX + 0.5, 0);
+        ctx.lineTo(this.hoverX + 0.5, this.height - this.axisHeight);
+        ctx.stroke();
+
+        if (hits.length === 0) return;
+
+        const lines = hits.map(entry => this.describe(entry));
+        ctx.font = '11px sans-serif';
+        const boxWidth = Math.max(...lines.map(line => ctx.measureText(line).width)) + 12;
+        const boxHeight = lines.length * 14 + 8;
+        const boxX = this.hoverX + boxWidth + 10 > this.width ? this.hoverX - boxWidth - 6 : this.hoverX + 6;
+        const boxY = this.labelHeight + 4;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+        ctx.textAlign = 'left';
+        lines.forEach((line, i) => {
+            ctx.fillStyle = hits[i].event.result === 'triggered' ? hits[i].color : this.colors.text;
+            ctx.fillText(line, boxX + 6, boxY + 16 + i * 14);
+        });
+    }
+
+    describe(entry) {
+        const event = entry.event;
+        const pattern = event.pattern;
+        const replay = event.replay ? ' (replay)' : '';
+
+        switch (event.result) {
+            case 'triggered': {
+                const played = pattern.played_intensity ?? pattern.intensity;
+                const adjusted = pattern.base_intensity !== played ? ` (base ${pattern.base_intensity}%)` : '';
+                return `${event.event}${replay}: ${pattern.name}, ${played}%${adjusted}, ${pattern.duration} ms`;
+            }
+            case 'rate_limited':
+                return `${event.event}${replay}: rate limited`;
+            case 'disabled':
+                return `${event.event}${replay}: pattern disabled`;
+            default:
+                return `${event.event}${replay}: no pattern mapped`;
+        }
+    }
+}
@@ -1,6 +1,16 @@
 // Elite Dangerous Buttkicker Configuration Interface
 class ButtkickerApp {
     constructor() {
+        this.recentEvents = [];
+        this.eventStream = null;
+        this.streamConnected = false;
+        this.streamRetryDelay = 1000;
+        this.streamReconnectTimer = null;
+        this.fallbackPollInterval = null;
+        this.activityTimeline = null;
+        this.patternLibrary = null;
+        this.packImporter = null;
+        this.patternModal = null;
         this.init();
         this.loadDashboard();
     }
@@ -21,9 +31,164 @@ class ButtkickerApp {
             });
         });
 
-        // System status check
+        // Haptic activity view on the dashboard
+        const activityCanvas = document.getElementById('activityTimelineCanvas');
+        if (activityCanvas && typeof ActivityTimeline !== 'undefined') {
+            this.activityTimeline = new ActivityTimeline(activityCanvas);
+            if (this.isTabActive('dashboard')) this.activityTimeline.start();
+        }
+
+        const libraryPanel = document.getElementById('library');
+        if (libraryPanel && typeof PatternLibrary !== 'undefined') {
+            this.patternLibrary = new PatternLibrary(libraryPanel, {
+                notify: (message, type) => this.showToast(message, type)
+            });
+        }
+
+        const packDropZone = document.getElementById('packDropZone');
+        if (packDropZone && typeof PackImporter !== 'undefined') {
+            this.packImporter = new PackImporter(packDropZone, document.getElementById('packImportPreview'), {
+                notify: (message, type) => this.showToast(message, type),
+                onImported: () => this.patternLibrary?.load()
+            });
+        }
+
+        const replayEvents = document.getElementById('replayEvents');
+        if (replayEvents && typeof ReplayEventList !== 'undefined') {
+            this.replayEvents = new ReplayEventList(replayEvents, {
+                notify: (message, type) => this.showToast(message, type)
+            });
+        }
+
+        const eventComposer = document.getElementById('eventComposer');
+        if (eventComposer && typeof EventComposer !== 'undefined') {
+            this.eventComposer = new EventComposer(eventComposer, {
+                notify: (message, type) => this.showToast(message, type)
+            });
+        }
+
+        const scenarioRunner = document.getElementById('scenarioRunner');
+        if (scenarioRunner && typeof ScenarioRunner !== 'undefined') {
+            this.scenarioRunner = new ScenarioRunner(scenarioRunner, {
+                notify: (message, type) => this.showToast(message, type),
+                onStarted: () => startReplayStatusUpdates()
+            });
+        }
+
+        // System status check, then live updates (falls back to polling while the stream is down)
         this.updateSystemStatus();
-        setInterval(() => this.updateSystemStatus(), 10000); // Every 10 seconds
+        this.connectEventStream();
+    }
+
+    connectEventStream() {
+        if (typeof EventSource === 'undefined') {
+            this.startFallbackPolling();
+            return;
+        }
+
+        if (this.eventStream) {
+            this.eventStream.close();
+        }
+
+        const stream = new EventSource('/api/journal/events/stream');
+        this.eventStream = stream;
+
+        stream.addEventListener('open', () => {
+            this.streamConnected = true;
+            this.streamRetryDelay = 1000;
+            this.stopFallbackPolling();
+            this.updateStreamBadge();
+
+            // Catch up on anything missed while disconnected
+            if (this.isTabActive('dashboard')) {
+                this.loadDashboard();
+            }
+            stopReplayStatusUpdates();
+            refreshReplayStatus();
+        });
+
+        stream.addEventListener('status', (e) => {
+            const status = JSON.parse(e.data);
+            this.applyJournalStatus(true, status);
+            if (this.activityTimeline) this.activityTimeline.setServerTime(status.server_time);
+        });
+        stream.addEventListener('journal', (e) => this.handleLiveEvent(JSON.parse(e.data)));
+        stream.addEventListener('replay', (e) => applyReplayStatus(JSON.parse(e.data)));
+        stream.addEventListener('replay_event', (e) => {
+            this.replayEvents?.handleReplayEvent(JSON.parse(e.data));
+            this.scenarioRunner?.handleReplayEvent();
+        });
+
+        stream.addEventListener('error', () => {
+            this.streamConnected = false;
+            this.updateStreamBadge();
+            this.startFallbackPolling();
+
+            // EventSource retries on its own unless the connection was refused outright
+            if (stream.readyState === EventSource.CLOSED) {
+                this.scheduleStreamReconnect();
+            }
+        });
+    }
+
+    scheduleStreamReconnect() {
+        if (this.streamReconnectTimer) return;
+
+        this.streamReconnectTimer = setTimeout(() => {
+            this.streamReconnectTimer = null;
+            this.connectEventStream();
+        }, this.streamRetryDelay);
+
+        this.streamRetryDelay = Math.min(this.streamRetryDelay * 2, 30000);
+    }
+
+    startFallbackPolling() {
+        if (this.fallbackPollInterval) return;
+
+        this.fallbackPollInterval = setInterval(() => {
+            this.updateSystemStatus();
+            if (this.isTabActive('dashboard')) {
+                this.loadDashboard();
+            }
+        }, 10000); // Every 10 seconds
+
+        if (replayRunning) {
+            startReplayStatusUpdates();
+        }
+    }
+
+    stopFallbackPolling() {
+        if (this.fallbackPollInterval) {
+            clearInterval(this.fallbackPollInterval);
+            this.fallbackPollInterval = null;
+        }
+    }
+
+    updateStreamBadge() {
+        const badge = document.getElementById('eventStreamBadge');
+        if (!badge) return;
+
+        badge.className = `stream-badge ${this.streamConnected ? 'live' : 'polling'}`;
+        badge.textContent = this.streamConnected ? 'Live' : 'Polling';
+    }
+
+    isTabActive(tabName) {
+        const panel = document.getElementById(tabName);
+        return !!panel && panel.classList.contains('active');
+    }
+
+    handleLiveEvent(event) {
+        if (this.activityTimeline) this.activityTimeline.addEvent(event);
+
+        this.recentEvents.unshift(event);
+        this.recentEvents.length = Math.min(this.recentEvents.length, 20);
+        this.renderRecentEvents();
+
+        const totalEventsEl = document.getElementById('totalEvents');
+        const lastEventTimeEl = document.getElementById('lastEventTime');
+
+        if (totalEventsEl) totalEventsEl.textContent = (parseInt(totalEventsEl.textContent, 10) || 0) + 1;
+        if (lastEventTimeEl) lastEventTimeEl.textContent = this.formatDateTime(event.timestamp);
     }
 
     switchTab(tabName) {
@@ -37,6 +202,15 @@ class ButtkickerApp {
             panel.classList.toggle('active', panel.id === tabName);
         });
 
+        // Only animate the activity view while it is on screen
+        if (this.activityTimeline) {
+            if (tabName === 'dashboard') {
+                this.activityTimeline.start();
+            } else {
+                this.activityTimeline.stop();
+            }
+        }
+
         // Load tab content
         switch (tabName) {
             case 'dashboard':
@@ -45,11 +219,15 @@ class ButtkickerApp {
             case 'patterns':
                 this.loadPatterns();
                 break;
+            case 'library':
+                if (this.patternLibrary) this.patternLibrary.load();
+                break;
             case 'audio':
                 this.loadAudioConfig();
                 break;
             case 'journal':
                 this.loadJournalConfig();
+                if (this.scenarioRunner) this.scenarioRunner.load();
                 break;
             case 'context':
                 this.loadContextualIntelligence();
@@ -70,29 +248,7 @@ class ButtkickerApp {
             const config = await configResponse.json();
             const journal = await journalResponse.json();
 
-            // Update header status
-            const statusElement = document.getElementById('systemStatus');
-            const statusIcon = statusElement.querySelector('.status-icon');
-            const statusText = statusElement.querySelector('.status-text');
-
-            if (configResponse.ok && journalResponse.ok) {
-                statusIcon.className = 'fas fa-circle status-icon online';
-                statusText.textContent = journal.monitoring ? 'Connected' : 'Ready';
-            } else {
-                statusIcon.className = 'fas fa-circle status-icon warning';
-                statusText.textContent = 'Partial Connection';
-            }
-
-            // Update dashboard status indicators
-            const audioStatus = document.getElementById('audioStatus');
-            const journalStatus = document.getElementById('journalStatus');
-            const voiceStatus = document.getElementById('voiceStatus');
-            const webStatus = document.getElementById('webStatus');
-
-            if (audioStatus) audioStatus.className = 'status-indicator online';
-            if (journalStatus) journalStatus.className = `status-indicator ${journal.monitoring ? 'online' : 'offline'}`;
-            if (voiceStatus) voiceStatus.className = 'status-indicator online';
-            if (webStatus) webStatus.className = 'status-indicator online';
+            this.applyJournalStatus(configResponse.ok && journalResponse.ok, journal);
 
         } catch (error) {
             console.error('Error updating system status:', error);
@@ -105,9 +261,36 @@ class ButtkickerApp {
         }
     }
 
+    applyJournalStatus(ok, journal) {
+        // Update header status
+        const statusElement = document.getElementById('systemStatus');
+        const statusIcon = statusElement.querySelector('.status-icon');
+        const statusText = statusElement.querySelector('.status-text');
+
+        if (ok) {
+            statusIcon.className = 'fas fa-circle status-icon online';
+            statusText.textContent = journal.monitoring ? 'Connected' : 'Ready';
+        } else {
+            statusIcon.className = 'fas fa-circle status-icon warning';
+            statusText.textContent = 'Partial Connection';
+        }
+
+        // Update dashboard status indicators
+        const audioStatus = document.getElementById('audioStatus');
+        const journalStatus = document.getElementById('journalStatus');
+        const voiceStatus = document.getElementById('voiceStatus');
+        const webStatus = document.getElementById('webStatus');
+
+        if (audioStatus) audioStatus.className = 'status-indicator online';
+        if (journalStatus) journalStatus.className = `status-indicator ${journal.monitoring ? 'online' : 'offline'}`;
+        if (voiceStatus) voiceStatus.className = 'status-indicator online';
+        if (webStatus) webStatus.className = 'status-indicator online';
+    }
+
     async loadDashboard() {
         try {
             await this.loadRecentEvents();
+            if (this.activityTimeline) await this.activityTimeline.load();
             
             // Update stats
             const stats = await this.getSystemStats();
@@ -162,27 +345,8 @@ class ButtkickerApp {
             const response = await fetch('/api/journal/events/recent?limit=20');
             const data = await response.json();
 
-            const eventsList = document.getElementById('recentEventsList');
-            if (!eventsList) return;
-
-            if (!data.events || data.events.length === 0) {
-                eventsList.innerHTML = '<div class="loading">No recent events found</div>';
-                return;
-            }
-
-            eventsList.innerHTML = data.events.map(event => `
-                <div class="event-item">
-                    <div class="event-info">
-                        <div class="event-type">${event.event}</div>
-                        <div class="event-details">
-                            ${event.star_system ? `System: ${event.star_system}` : ''}
-                            ${event.station_name ? ` | Station: ${event.station_name}` : ''}
-                            ${event.health ? ` | Health: ${Math.round(event.health * 100)}%` : ''}
-                        </div>
-                    </div>
-                    <div class="event-time">${this.formatDateTime(event.timestamp)}</div>
-                </div>
-            `).join('');
+            this.recentEvents = data.events || [];
+            this.renderRecentEvents();
 
         } catch (error) {
             console.error('Error loading recent events:', error);
@@ -193,6 +357,57 @@ class ButtkickerApp {
         }
     }
 
+    renderRecentEvents() {
+        const eventsList = document.getElementById('recentEventsList');
+        if (!eventsList) return;
+
+        if (this.recentEvents.length === 0) {
+            eventsList.innerHTML = '<div class="loading">No recent events found</div>';
+            return;
+        }
+
+        // Pattern details are only known for events that arrived over the live stream
+        eventsList.innerHTML = this.recentEvents.map(event => `
+            <div class="event-item">
+                <div class="event-info">
+                    <div class="event-type">
+                        ${event.event}
+                        ${event.replay ? '<span class="event-tag">Replay</span>' : ''}
+                    </div>
+                    <div class="event-details">
+                        ${event.star_system ? `System: ${event.star_system}` : ''}
+                        ${event.station_name ? ` | Station: ${event.station_name}` : ''}
+                        ${event.health ? ` | Health: ${Math.round(event.health * 100)}%` : ''}
+                    </div>
+                    ${this.renderEventOutcome(event)}
+                </div>
+                <div class="event-time">${this.formatDateTime(event.timestamp)}</div>
+            </div>
+        `).join('');
+    }
+
+    renderEventOutcome(event) {
+        if (!event.result) return '';
+
+        switch (event.result) {
+            case 'triggered':
+                return `
+                    <div class="event-pattern">
+                        <i class="fas fa-wave-square"></i> ${event.pattern.name}
+                        (${event.pattern.type}, ${event.pattern.duration} ms) &middot;
+                        Intensity ${event.pattern.intensity}%${event.pattern.base_intensity !== event.pattern.intensity
+                            ? ` <span class="event-tag">base ${event.pattern.base_intensity}%</span>` : ''}
+                    </div>
+                `;
+            case 'rate_limited':
+                return `<div class="event-pattern muted"><i class="fas fa-hourglass-half"></i> Rate limited</div>`;
+            case 'disabled':
+                return `<div class="event-pattern muted"><i class="fas fa-ban"></i> Pattern disabled</div>`;
+            default:
+                return '';
+        }
+    }
+
     async loadPatterns() {
         try {
             const response = await fetch('/api/patterns');
@@ -213,6 +428,7 @@ class ButtkickerApp {
                         <div class="pattern-enabled ${pattern.Enabled ? 'active' : ''}" 
                              onclick="togglePattern('${eventType}')"></div>
                     </div>
+                    <canvas class="pattern-thumbnail" width="400" height="48" data-event-type="${eventType}"></canvas>
                     <div class="pattern-details">
                         <div class="pattern-detail">
                             <span class="label">Event:</span>
@@ -250,6 +466,11 @@ class ButtkickerApp {
                 </div>
             `).join('');
 
+            patternsGrid.querySelectorAll('.pattern-thumbnail').forEach(canvas => {
+                const pattern = data.patterns[canvas.dataset.eventType];
+                if (pattern) PatternSynth.drawThumbnail(canvas, pattern.Pattern, { color: '#ff6b35' });
+            });
+
             // Also update quick test grid if pattern tester is open
             this.updateQuickTestGrid(data.patterns);
 
@@ -317,6 +538,215 @@ class ButtkickerApp {
         }
     }
 
+    // Pattern modal: edit an event's mapping in a timeline editor, or create one for a new event
+    async openPatternModal(eventType = null) {
+        // Other mappings are what a pattern can chain to, so they are loaded for new patterns too
+        let patterns = {};
+        try {
+            const response = await fetch('/api/patterns');
+            const data = await response.json();
+            patterns = data.patterns || {};
+        } catch (error) {
+            console.error('Error loading patterns:', error);
+        }
+
+        const mapping = eventType ? patterns[eventType] || null : null;
+        if (eventType) {
+            if (!mapping) {
+                this.showToast(`Could not load the pattern for ${eventType}`, 'error');
+                return;
+            }
+        }
+
+        document.getElementById('patternModalTitle').textContent = mapping ? `Edit Pattern: ${eventType}` : 'New Pattern';
+        const eventInput = document.getElementById('patternEventType');
+        eventInput.value = eventType || '';
+        eventInput.readOnly = !!mapping;
+        document.getElementById('patternName').value = mapping ? mapping.Pattern.Name : '';
+        document.getElementById('patternEnabled').checked = mapping ? mapping.Enabled : true;
+
+        // Show the modal first so the editor canvas can measure itself
+        document.getElementById('patternModal').classList.add('active');
+        this.destroyPatternModalEditor();
+
+        const basePattern = mapping ? this.toHapticPattern(mapping.Pattern) : null;
+        const editor = new TimelineEditor();
+        editor.initialize(document.getElementById('patternEditor'), basePattern);
+        editor.on('onPlaybackError', (message) => this.showToast(message, 'error'));
+        editor.setChainSources(this.getChainSources(patterns, eventType));
+
+        this.patternModal = { eventType, isNew: !mapping, basePattern: basePattern || {}, editor, schemaErrors: null };
+        this.hidePatternSchemaErrors();
+        (mapping ? editor.canvas : eventInput)?.focus();
+    }
+
+    // The sequencer finds chained patterns by pattern name or by event mapping key
+    getChainSources(patterns, eventType) {
+        const sources = {};
+        Object.entries(patterns)
+            .filter(([key]) => key !== eventType)
+            .forEach(([key, mapping]) => {
+                const pattern = this.toHapticPattern(mapping.Pattern);
+                sources[key] = pattern;
+                if (pattern.Name && !sources[pattern.Name]) sources[pattern.Name] = pattern;
+            });
+        return sources;
+    }
+
+    // /api/patterns reports the pattern type as PatternType; HapticPattern calls it Pattern
+    toHapticPattern(summary) {
+        const { PatternType, ...pattern } = summary;
+        return {
+            ...pattern,
+            Pattern: PatternType,
+            Layers: pattern.Layers || [],
+            CustomCurvePoints: pattern.CustomCurvePoints || []
+        };
+    }
+
+    // Timeline output on top of the loaded pattern, so settings the editor doesn't show survive a save
+    buildModalPattern() {
+        const { editor, basePattern } = this.patternModal;
+        const name = document.getElementById('patternName').value.trim();
+        return { ...basePattern, ...editor.getHapticPattern(), Name: name || basePattern.Name || 'Custom Pattern' };
+    }
+
+    async savePatternModal() {
+        if (!this.patternModal) return;
+
+        const { isNew } = this.patternModal;
+        const eventType = document.getElementById('patternEventType').value.trim();
+        if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(eventType)) {
+            this.showToast('Enter a journal event name such as FSDJump', 'error');
+            return;
+        }
+        if (!document.getElementById('patternName').value.trim()) {
+            this.showToast('Enter a name for the pattern', 'error');
+            return;
+        }
+
+        // Point at fields outside the pattern file schema before the server rejects or clamps them
+        if (!(await this.checkPatternSchema())) return;
+
+        try {
+            const url = isNew ? '/api/patterns' : `/api/patterns/${encodeURIComponent(this.patternModal.eventType)}`;
+            const response = await fetch(url, {
+                method: isNew ? 'POST' : 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    eventType,
+                    enabled: document.getElementById('patternEnabled').checked,
+                    pattern: this.buildModalPattern()
+                })
+            });
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.error || `Failed to save pattern (${response.status})`);
+            }
+
+            this.showToast(`Pattern for ${eventType} saved`, 'success');
+            this.closePatternModal();
+            await this.loadPatterns();
+        } catch (error) {
+            console.error('Error saving pattern:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // Validate the modal's pattern as a pack-file event; returns true when it matches the schema
+    async checkPatternSchema() {
+        let schema;
+        try {
+            schema = await PatternSchema.load();
+        } catch (error) {
+            // The server still validates what it saves
+            console.error('Error loading pattern schema:', error);
+            return true;
+        }
+
+        const packEvent = PatternPack.toPackEvent(this.buildModalPattern());
+        const errors = PatternSchema.validate(schema, packEvent, PatternSchema.PATTERN_REF);
+        this.patternModal.schemaErrors = errors.length > 0 ? { packEvent, errors } : null;
+
+        if (errors.length === 0) {
+            this.hidePatternSchemaErrors();
+            return true;
+        }
+
+        const container = document.getElementById('patternSchemaErrors');
+        container.innerHTML = `
+            <h4><i class="fas fa-exclamation-triangle"></i> Fix these fields before saving</h4>
+            ${PatternSchema.renderErrors(errors)}
+            ${errors.some(error => error.fix)
+                ? '<div class="schema-actions"><button class="btn btn-sm btn-secondary" onclick="app.fixPatternSchemaErrors()">Apply Automatic Fixes</button></div>'
+                : ''}
+        `;
+        container.style.display = 'block';
+        this.showToast(`${errors.length} ${errors.length === 1 ? 'field does' : 'fields do'} not match the pattern schema`, 'error');
+        return false;
+    }
+
+    // Load the fixed pattern into the editor; the fixed values also become the base the save builds on
+    async fixPatternSchemaErrors() {
+        const schemaErrors = this.patternModal?.schemaErrors;
+        if (!schemaErrors) return;
+
+        const { data, fixed } = PatternSchema.applyFixes(schemaErrors.packEvent, schemaErrors.errors);
+        const pattern = PatternPack.toHapticPattern(data);
+        this.patternModal.basePattern = pattern;
+        this.patternModal.editor.setHapticPattern(pattern);
+
+        this.showToast(`Applied ${fixed} automatic ${fixed === 1 ? 'fix' : 'fixes'}`, 'success');
+        await this.checkPatternSchema();
+    }
+
+    hidePatternSchemaErrors() {
+        const container = document.getElementById('patternSchemaErrors');
+        container.style.display = 'none';
+        container.innerHTML = '';
+    }
+
+    async testPatternModal() {
+        if (!this.patternModal) return;
+
+        const layers = this.patternModal.editor.getAudibleLayerIndexes();
+        if (layers.length === 0) {
+            this.showToast('Every layer is muted or hidden', 'warning');
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/PatternEditor/test', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ pattern: this.buildModalPattern(), layers })
+            });
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.error || 'Error testing pattern');
+            }
+            this.showToast('Testing pattern', 'success');
+        } catch (error) {
+            console.error('Error testing pattern:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    closePatternModal() {
+        this.destroyPatternModalEditor();
+        this.patternModal = null;
+        document.getElementById('patternModal').classList.remove('active');
+    }
+
+    destroyPatternModalEditor() {
+        if (this.patternModal?.editor) {
+            this.patternModal.editor.destroy();
+        }
+        document.getElementById('patternEditor').innerHTML = '';
+    }
+
     updateQuickTestGrid(patterns) {
         const quickTestGrid = document.getElementById('quickTestGrid');
         if (!quickTestGrid || !patterns) return;
@@ -674,6 +1104,21 @@ class ButtkickerApp {
 window.refreshDashboard = () => app.loadDashboard();
 window.loadRecentEvents = () => app.loadRecentEvents();
 
+window.setActivityWindow = (minutes) => {
+    if (app.activityTimeline) app.activityTimeline.setWindow(minutes);
+};
+
+window.toggleActivityPause = () => {
+    if (!app.activityTimeline) return;
+
+    const paused = app.activityTimeline.togglePause();
+    const button = document.getElementById('activityPauseBtn');
+    if (button) {
+        button.innerHTML = `<i class="fas ${paused ? 'fa-play' : 'fa-pause'}"></i>`;
+        button.title = paused ? 'Resume scrolling' : 'Pause scrolling';
+    }
+};
+
 window.togglePattern = async (eventType) => {
     try {
         // This would need to be implemented in the API
@@ -701,14 +1146,16 @@ window.testPattern = async (eventType) => {
     }
 };
 
+window.refreshPatternLibrary = () => {
+    if (app.patternLibrary) app.patternLibrary.load();
+};
+
 window.editPattern = (eventType) => {
-    // Navigate to pattern editor with the specific event type
-    window.location.href = `pattern-editor.html?event=${encodeURIComponent(eventType)}&mode=edit`;
+    app.openPatternModal(eventType);
 };
 
 window.createNewPattern = () => {
-    // TODO: Implement new pattern creation
-    app.showToast('New pattern creation - Coming soon!', 'warning');
+    app.openPatternModal();
 };
 
 window.selectAudioDevice = async (deviceId) => {
@@ -838,16 +1285,15 @@ window.importConfiguration = () => {
 
 // Pattern editor modal functions
 window.closePatternModal = () => {
-    document.getElementById('patternModal').classList.remove('active');
+    app.closePatternModal();
 };
 
 window.savePattern = () => {
-    app.showToast('Pattern saved - Coming soon!', 'warning');
-    closePatternModal();
+    app.savePatternModal();
 };
 
 window.testCurrentPattern = () => {
-    app.showToast('Testing current pattern - Coming soon!', 'warning');
+    app.testPatternModal();
 };
 
 window.refreshPatterns = () => {
@@ -1126,7 +1572,7 @@ window.startJournalReplay = async () => {
     try {
         const selectedJournalFile = document.getElementById('journalFileSelect')?.value;
         
-        const requestBody = {};
+        const requestBody = getReplayStartOptions();
         if (selectedJournalFile && selectedJournalFile !== '') {
             requestBody.journalFile = selectedJournalFile;
         }
@@ -1138,18 +1584,7 @@ window.startJournalReplay = async () => {
         });
 
         if (response.ok) {
-            const result = await response.json();
-            app.showToast(`Journal replay started with ${result.events_count} events from ${result.source}!`, 'success');
-            updateReplayUI(true);
-            
-            // Update source display
-            const replaySource = document.getElementById('replaySource');
-            if (replaySource) {
-                replaySource.textContent = result.source || 'recent_events';
-            }
-            
-            // Update status every 2 seconds while replaying
-            startReplayStatusUpdates();
+            handleReplayStarted(await response.json());
         } else {
             const error = await response.json();
             app.showToast(error.error || 'Error starting journal replay', 'error');
@@ -1160,63 +1595,242 @@ window.startJournalReplay = async () => {
     }
 };
 
+// Replay settings that go along with starting a replay; an uploaded journal has its own timeline,
+// so a range typed for the current one is left out
+function getReplayStartOptions(includeRange = true) {
+    const options = {
+        speed: parseFloat(document.getElementById('replaySpeed')?.value || '1'),
+        loop: !!document.getElementById('replayLoop')?.checked
+    };
+
+    // A range typed in before starting limits the new replay to it
+    if (includeRange && replayRangeEdited) {
+        options.start = fromReplayInputValue(document.getElementById('replayRangeStart')?.value);
+        options.end = fromReplayInputValue(document.getElementById('replayRangeEnd')?.value);
+    }
+    return options;
+}
+
+function handleReplayStarted(result) {
+    app.showToast(`Journal replay started with ${result.events_count} events from ${result.source}!`, 'success');
+    replayRangeEdited = false;
+    applyReplayStatus(result.status);
+
+    // Track status until the replay finishes
+    startReplayStatusUpdates();
+}
+
+window.uploadJournalReplay = async (file) => {
+    const form = new FormData();
+    form.append('file', file);
+    form.append('options', JSON.stringify(getReplayStartOptions(false)));
+
+    await sendJournalUpload(file.name, { method: 'POST', body: form });
+};
+
+window.togglePastedJournal = () => {
+    const paste = document.getElementById('journalPaste');
+    paste.style.display = paste.style.display === 'none' ? 'flex' : 'none';
+    if (paste.style.display !== 'none') document.getElementById('journalPasteInput').focus();
+};
+
+window.replayPastedJournal = async () => {
+    const content = document.getElementById('journalPasteInput').value;
+    if (!content.trim()) {
+        app.showToast('Paste one journal event per line first', 'error');
+        return;
+    }
+
+    await sendJournalUpload('Pasted events', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...getReplayStartOptions(false), content, name: 'Pasted events' })
+    });
+};
+
+async function sendJournalUpload(name, request) {
+    try {
+        const response = await fetch('/api/journal/replay/upload', request);
+        const result = await response.json().catch(() => ({}));
+        showJournalParseReport(name, result.parse);
+
+        if (!response.ok) {
+            app.showToast(result.error || `Could not replay ${name}`, 'error');
+            return;
+        }
+
+        const replaySource = document.getElementById('replaySource');
+        if (replaySource) replaySource.textContent = result.source;
+        handleReplayStarted(result);
+    } catch (error) {
+        console.error('Error uploading journal for replay:', error);
+        app.showToast(`Could not replay ${name}`, 'error');
+    }
+}
+
+// Lines the server skipped, so a bad paste or a truncated file is obvious
+function showJournalParseReport(name, parse) {
+    const report = document.getElementById('journalParseReport');
+    if (!report) return;
+
+    if (!parse || parse.skipped_lines === 0) {
+        report.style.display = 'none';
+        report.innerHTML = '';
+        return;
+    }
+
+    const escape = (text) => String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const unlisted = parse.skipped_lines - parse.errors.length;
+    report.innerHTML = `
+        <div><i class="fas fa-exclamation-triangle"></i>
+            ${escape(name)}: ${parse.events_parsed} events read, ${parse.skipped_lines} of ${parse.lines} lines skipped</div>
+        <ul>
+            ${parse.errors.map(error => `<li>Line ${error.line}: ${escape(error.message)}</li>`).join('')}
+            ${unlisted > 0 ? `<li>...and ${unlisted} more</li>` : ''}
+        </ul>
+    `;
+    report.style.display = 'block';
+}
+
 window.stopJournalReplay = async () => {
+    if (await sendReplayControl('stop')) {
+        app.showToast('Journal replay stopped', 'info');
+        stopReplayStatusUpdates();
+    }
+};
+
+window.toggleJournalReplay = async () => {
+    const playing = replayStatus?.state === 'playing';
+    if (await sendReplayControl(playing ? 'pause' : 'resume') && !playing) {
+        startReplayStatusUpdates();
+    }
+};
+
+window.stepJournalReplay = async () => {
+    await sendReplayControl('step');
+};
+
+window.seekJournalReplay = async (offsetMs) => {
+    if (!replayStatus?.session_start) return;
+    const position = new Date(parseReplayTime(replayStatus.session_start) + offsetMs).toISOString();
+    await sendReplayControl('seek', { position });
+};
+
+window.setJournalReplaySpeed = async (speed) => {
+    // Before a replay is loaded the speed is just sent along with start
+    if (!replayStatus?.total_events) return;
+    await sendReplayControl('speed', { speed: parseFloat(speed) });
+};
+
+// Sets the range start or end field to where the playhead is
+window.markJournalReplayRange = (edge) => {
+    if (!replayStatus?.position) return;
+    const input = document.getElementById(edge === 'start' ? 'replayRangeStart' : 'replayRangeEnd');
+    input.value = toReplayInputValue(new Date(currentReplayPosition()).toISOString());
+    replayRangeEdited = true;
+};
+
+window.applyJournalReplayRange = async () => {
+    const start = fromReplayInputValue(document.getElementById('replayRangeStart').value);
+    const end = fromReplayInputValue(document.getElementById('replayRangeEnd').value);
+    if (start && end && start > end) {
+        app.showToast('The range must end after it starts', 'error');
+        return;
+    }
+
+    if (await sendReplayControl('range', { start, end, loop: document.getElementById('replayLoop').checked })) {
+        replayRangeEdited = false;
+        app.showToast('Replay range updated', 'success');
+    }
+};
+
+window.clearJournalReplayRange = async () => {
+    if (await sendReplayControl('range', { start: null, end: null, loop: document.getElementById('replayLoop').checked })) {
+        replayRangeEdited = false;
+    }
+};
+
+async function sendReplayControl(action, body = {}) {
     try {
-        const response = await fetch('/api/journal/replay/stop', {
-            method: 'POST'
+        const response = await fetch(`/api/journal/replay/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
         });
 
-        if (response.ok) {
-            app.showToast('Journal replay stopped', 'info');
-            updateReplayUI(false);
-            stopReplayStatusUpdates();
-        } else {
-            const error = await response.json();
-            app.showToast(error.error || 'Error stopping journal replay', 'error');
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            app.showToast(result.error || `Error trying to ${action} the journal replay`, 'error');
+            return false;
         }
+
+        applyReplayStatus(result);
+        return true;
     } catch (error) {
-        console.error('Error stopping journal replay:', error);
-        app.showToast('Error stopping journal replay', 'error');
+        console.error(`Error sending replay ${action}:`, error);
+        app.showToast(`Error trying to ${action} the journal replay`, 'error');
+        return false;
     }
-};
+}
 
 window.refreshReplayStatus = async () => {
     try {
         const response = await fetch('/api/journal/replay/status');
         
         if (response.ok) {
-            const status = await response.json();
-            
-            // Update UI elements
-            const replayStatusText = document.getElementById('replayStatusText');
-            const replayEventCount = document.getElementById('replayEventCount');
-            const replayIndicator = document.getElementById('replayIndicator');
-            
-            if (replayStatusText) {
-                replayStatusText.textContent = status.is_replaying ? 'Running' : 'Stopped';
-            }
-            
-            if (replayEventCount) {
-                replayEventCount.textContent = status.last_5_minutes_events || 0;
-            }
-            
-            if (replayIndicator) {
-                replayIndicator.className = `status-indicator ${status.is_replaying ? 'online' : 'offline'}`;
-            }
-            
-            updateReplayUI(status.is_replaying);
-            
-            // If replay stopped naturally, stop status updates
-            if (!status.is_replaying) {
-                stopReplayStatusUpdates();
-            }
+            applyReplayStatus(await response.json());
         }
     } catch (error) {
         console.error('Error refreshing replay status:', error);
     }
 };
 
-function updateReplayUI(isReplaying) {
+function applyReplayStatus(status) {
+    replayStatus = status;
+    replayStatusReceivedAt = performance.now();
+    replayRunning = status.is_replaying;
+
+    // Update UI elements
+    const replayStatusText = document.getElementById('replayStatusText');
+    const replayEventCount = document.getElementById('replayEventCount');
+    const replayIndicator = document.getElementById('replayIndicator');
+    const replaySource = document.getElementById('replaySource');
+    
+    if (replayStatusText) {
+        replayStatusText.textContent = status.state
+            ? status.state.charAt(0).toUpperCase() + status.state.slice(1)
+            : (status.is_replaying ? 'Running' : 'Stopped');
+    }
+    
+    if (replayEventCount) {
+        replayEventCount.textContent = `${status.events_played || 0} of ${status.events_in_range || 0}`;
+    }
+    
+    if (replayIndicator) {
+        const indicator = status.is_replaying ? 'online' : status.state === 'paused' ? 'warning' : 'offline';
+        replayIndicator.className = `status-indicator ${indicator}`;
+    }
+
+    if (replaySource && status.source) {
+        replaySource.textContent = status.source;
+    }
+    
+    updateReplayUI(status);
+    app?.replayEvents?.setStatus(status);
+    app?.scenarioRunner?.setStatus(status);
+    
+    // If replay stopped naturally, stop status updates
+    if (!status.is_replaying) {
+        stopReplayStatusUpdates();
+    } else if (!replayPositionInterval) {
+        // Started or resumed somewhere else
+        replayPositionInterval = setInterval(updateReplayPosition, 250);
+    }
+}
+
+function updateReplayUI(status) {
+    const isReplaying = status.is_replaying;
+    const loaded = (status.total_events || 0) > 0;
     const startBtn = document.getElementById('startReplayBtn');
     const stopBtn = document.getElementById('stopReplayBtn');
     
@@ -1226,14 +1840,118 @@ function updateReplayUI(isReplaying) {
     }
     
     if (stopBtn) {
-        stopBtn.disabled = !isReplaying;
+        stopBtn.disabled = !loaded || (status.state === 'stopped' && !isReplaying);
     }
+
+    const playPauseBtn = document.getElementById('replayPlayPauseBtn');
+    if (!playPauseBtn) return;
+
+    playPauseBtn.disabled = !loaded;
+    playPauseBtn.innerHTML = isReplaying ? '<i class="fas fa-pause"></i>' : '<i class="fas fa-play"></i>';
+    document.getElementById('replayStepBtn').disabled = !loaded;
+    document.getElementById('replayApplyRangeBtn').disabled = !loaded;
+    document.getElementById('replayClearRangeBtn').disabled = !loaded;
+    document.getElementById('replayNextEvent').textContent = status.next_event
+        ? `${status.next_event} at ${formatReplayTime(status.next_event_time)}`
+        : '-';
+
+    const speedSelect = document.getElementById('replaySpeed');
+    if (loaded && document.activeElement !== speedSelect) {
+        speedSelect.value = String(status.speed);
+    }
+    if (loaded) {
+        document.getElementById('replayLoop').checked = status.loop;
+    }
+
+    // Range fields follow the replay unless the user is editing them
+    if (loaded && !replayRangeEdited) {
+        document.getElementById('replayRangeStart').value = toReplayInputValue(status.range_start);
+        document.getElementById('replayRangeEnd').value = toReplayInputValue(status.range_end);
+    }
+
+    const seek = document.getElementById('replaySeek');
+    seek.disabled = !loaded;
+    if (loaded) {
+        const sessionStart = parseReplayTime(status.session_start);
+        const duration = parseReplayTime(status.session_end) - sessionStart;
+        seek.max = duration;
+        document.getElementById('replayDuration').textContent = formatReplayOffset(duration);
+
+        // Shade the part of the bar the range covers
+        const range = document.getElementById('replaySeekRange');
+        const left = duration > 0 ? (parseReplayTime(status.range_start) - sessionStart) / duration : 0;
+        const right = duration > 0 ? (parseReplayTime(status.range_end) - sessionStart) / duration : 1;
+        range.style.left = `${left * 100}%`;
+        range.style.width = `${Math.max(0, right - left) * 100}%`;
+    }
+
+    updateReplayPosition();
+}
+
+// Journal time of the playhead, moved on locally between status updates while playing
+function currentReplayPosition() {
+    const position = parseReplayTime(replayStatus.position);
+    if (replayStatus.state !== 'playing') return position;
+
+    const elapsed = (performance.now() - replayStatusReceivedAt) * replayStatus.speed;
+    return Math.min(position + elapsed, parseReplayTime(replayStatus.range_end));
+}
+
+function updateReplayPosition() {
+    if (!replayStatus?.position || replaySeeking) return;
+
+    const offset = currentReplayPosition() - parseReplayTime(replayStatus.session_start);
+    document.getElementById('replaySeek').value = offset;
+    document.getElementById('replayPosition').textContent = formatReplayOffset(offset);
+}
+
+// C# writes UTC journal times with a Z, but don't let a missing one turn them into local time
+function parseReplayTime(value) {
+    if (!value) return 0;
+    return Date.parse(/Z|[+-]\d\d:\d\d$/.test(value) ? value : `${value}Z`);
+}
+
+function formatReplayTime(value) {
+    return new Date(parseReplayTime(value)).toISOString().substring(11, 19);
+}
+
+function formatReplayOffset(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+// datetime-local inputs hold the journal's UTC time without a zone
+function toReplayInputValue(value) {
+    return value ? new Date(parseReplayTime(value)).toISOString().substring(0, 19) : '';
+}
+
+function fromReplayInputValue(value) {
+    return value ? new Date(`${value}Z`).toISOString() : null;
 }
 
 let replayStatusInterval;
+let replayPositionInterval;
+let replayRunning = false;
+let replayStatus = null;
+let replayStatusReceivedAt = 0;
+let replaySeeking = false;
+let replayRangeEdited = false;
 
 function startReplayStatusUpdates() {
     stopReplayStatusUpdates(); // Clear any existing interval
+    replayRunning = true;
+
+    // The playhead only moves locally; the server reports where it is on every change
+    replayPositionInterval = setInterval(updateReplayPosition, 250);
+
+    // The live event stream pushes replay state changes; only poll without it
+    if (app.streamConnected) {
+        refreshReplayStatus();
+        return;
+    }
     replayStatusInterval = setInterval(refreshReplayStatus, 2000); // Every 2 seconds
 }
 
@@ -1242,8 +1960,44 @@ function stopReplayStatusUpdates() {
         clearInterval(replayStatusInterval);
         replayStatusInterval = null;
     }
+    if (replayPositionInterval) {
+        clearInterval(replayPositionInterval);
+        replayPositionInterval = null;
+    }
 }
 
+document.addEventListener('DOMContentLoaded', () => {
+    const seek = document.getElementById('replaySeek');
+    if (seek) {
+        // Dragging only moves the label; letting go seeks
+        seek.addEventListener('input', () => {
+            replaySeeking = true;
+            document.getElementById('replayPosition').textContent = formatReplayOffset(parseInt(seek.value));
+        });
+        seek.addEventListener('change', async () => {
+            replaySeeking = false;
+            await seekJournalReplay(parseInt(seek.value));
+        });
+    }
+
+    ['replayRangeStart', 'replayRangeEnd'].forEach(id => {
+        document.getElementById(id)?.addEventListener('input', () => { replayRangeEdited = true; });
+    });
+
+    const uploadInput = document.getElementById('journalUploadInput');
+    uploadInput?.addEventListener('change', () => {
+        if (uploadInput.files[0]) uploadJournalReplay(uploadInput.files[0]);
+        uploadInput.value = '';
+    });
+
+    // A different file has a different timeline, so a typed range no longer applies
+    document.getElementById('journalFileSelect')?.addEventListener('change', () => {
+        replayRangeEdited = false;
+        document.getElementById('replayRangeStart').value = '';
+        document.getElementById('replayRangeEnd').value = '';
+    });
+});
+
 // Journal File Management Functions
 window.refreshJournalFiles = async () => {
     try {
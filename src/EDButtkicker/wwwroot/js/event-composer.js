@@ -0,0 +1,370 @@
+// Builds a journal event from a per-event form, sends it through the live pipeline
+// (/api/journal/compose) and shows what became of the mapped pattern at each stage: the mapping
+// as configured, the event's own adjustments, contextual intelligence and the output intensity.
+// Fields marked "read by EDButtkicker" are not written by the game for that event but change
+// what the pipeline does with it.
+class EventComposer {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.notify = options.notify || (() => {});
+        this.values = {};
+        this.edited = false;
+
+        this.eventSelect = container.querySelector('.composer-event');
+        this.fields = container.querySelector('.composer-fields');
+        this.json = container.querySelector('.composer-json');
+        this.jsonStatus = container.querySelector('.composer-json-status');
+        this.result = container.querySelector('.composer-result');
+
+        this.eventSelect.innerHTML = Object.keys(EventComposer.TEMPLATES)
+            .map(name => `<option value="${name}">${name}</option>`)
+            .join('');
+
+        this.eventSelect.addEventListener('change', () => this.selectEvent(this.eventSelect.value));
+        this.fields.addEventListener('input', (e) => this.updateField(e.target));
+        this.fields.addEventListener('change', (e) => this.updateField(e.target));
+        this.json.addEventListener('input', () => this.markEdited());
+        container.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (button?.dataset.action === 'inject') this.inject();
+            if (button?.dataset.action === 'reset') this.selectEvent(this.eventSelect.value);
+        });
+
+        this.selectEvent(this.eventSelect.value);
+    }
+
+    static get SHIPS() {
+        return ['sidewinder', 'eagle', 'hauler', 'courier', 'cobramkiii', 'python', 'krait_mkii',
+            'anaconda', 'federation_corvette', 'cutter'];
+    }
+
+    // Example values for what Elite writes with each event, plus the extras the pipeline reads
+    static get TEMPLATES() {
+        const ship = { name: 'Ship', type: 'select', options: EventComposer.SHIPS, value: 'anaconda', extra: true,
+            note: 'From the last Loadout; large hulls hit harder, small ones lighter' };
+
+        return {
+            HullDamage: [
+                { name: 'Health', type: 'number', value: 0.65, min: 0, max: 1, step: 0.01, note: 'Hull left (0-1); lower is rougher' },
+                { name: 'PlayerPilot', type: 'bool', value: true },
+                { name: 'Fighter', type: 'bool', value: false },
+                { name: 'HullDamage', type: 'number', value: 0.35, min: 0, max: 1, step: 0.01, extra: true,
+                    note: 'Damage taken (0-1), for patterns that scale intensity from damage' }
+            ],
+            FSDJump: [
+                { name: 'StarSystem', type: 'text', value: 'Deciat' },
+                { name: 'SystemAddress', type: 'number', value: 6681123623626, step: 1 },
+                { name: 'Body', type: 'text', value: 'Deciat' },
+                { name: 'JumpDist', type: 'number', value: 42.3, min: 0, step: 0.1, note: 'Light years; longer jumps are stronger' },
+                { name: 'FuelUsed', type: 'number', value: 3.2, min: 0, step: 0.1 },
+                { name: 'FuelLevel', type: 'number', value: 28.8, min: 0, step: 0.1 }
+            ],
+            StartJump: [
+                { name: 'JumpType', type: 'select', options: ['Hyperspace', 'Supercruise'], value: 'Hyperspace' },
+                { name: 'StarSystem', type: 'text', value: 'Deciat' },
+                { name: 'StarClass', type: 'text', value: 'K' }
+            ],
+            SupercruiseEntry: [
+                { name: 'StarSystem', type: 'text', value: 'Deciat' }
+            ],
+            SupercruiseExit: [
+                { name: 'StarSystem', type: 'text', value: 'Deciat' },
+                { name: 'Body', type: 'text', value: 'Garay Terminal' },
+                { name: 'BodyType', type: 'select', options: ['Station', 'Planet', 'Star', 'PlanetaryRing'], value: 'Station' }
+            ],
+            Docked: [
+                { name: 'StationName', type: 'text', value: 'Garay Terminal' },
+                { name: 'StationType', type: 'select', options: ['Coriolis', 'Orbis', 'Ocellus', 'Outpost', 'FleetCarrier', 'CraterOutpost'], value: 'Orbis' },
+                { name: 'StarSystem', type: 'text', value: 'Deciat' },
+                { name: 'DistFromStarLS', type: 'number', value: 1283.4, min: 0, step: 0.1 },
+                ship
+            ],
+            Undocked: [
+                { name: 'StationName', type: 'text', value: 'Garay Terminal' },
+                { name: 'StationType', type: 'select', options: ['Coriolis', 'Orbis', 'Ocellus', 'Outpost', 'FleetCarrier', 'CraterOutpost'], value: 'Orbis' },
+                ship
+            ],
+            Touchdown: [
+                { name: 'PlayerControlled', type: 'bool', value: true },
+                { name: 'Body', type: 'text', value: 'Deciat 6 a' },
+                { name: 'Latitude', type: 'number', value: -12.5, step: 0.01 },
+                { name: 'Longitude', type: 'number', value: 87.2, step: 0.01 },
+                ship
+            ],
+            Liftoff: [
+                { name: 'PlayerControlled', type: 'bool', value: true },
+                { name: 'Body', type: 'text', value: 'Deciat 6 a' },
+                { name: 'Latitude', type: 'number', value: -12.5, step: 0.01 },
+                { name: 'Longitude', type: 'number', value: 87.2, step: 0.01 },
+                ship
+            ],
+            ShipTargeted: [
+                { name: 'TargetLocked', type: 'bool', value: true },
+                { name: 'Ship', type: 'select', options: EventComposer.SHIPS, value: 'python' },
+                { name: 'ScanStage', type: 'number', value: 3, min: 0, max: 3, step: 1 },
+                { name: 'PilotName_Localised', type: 'text', value: 'Kurt Wagner' },
+                { name: 'PilotRank', type: 'text', value: 'Deadly' },
+                { name: 'ShieldHealth', type: 'number', value: 62.5, min: 0, max: 100, step: 0.1 },
+                { name: 'HullHealth', type: 'number', value: 88, min: 0, max: 100, step: 0.1 },
+                { name: 'LegalStatus', type: 'select', options: ['Clean', 'Wanted', 'Lawless'], value: 'Wanted' }
+            ],
+            UnderAttack: [
+                { name: 'Target', type: 'select', options: ['You', 'Fighter', 'Mothership'], value: 'You' }
+            ],
+            ShieldState: [
+                { name: 'ShieldsUp', type: 'bool', value: false }
+            ],
+            HeatWarning: [
+                { name: 'Heat', type: 'number', value: 0.85, min: 0, max: 2, step: 0.01, extra: true, note: 'Heat level (1 = 100%); above 0.8 is stronger' }
+            ],
+            HeatDamage: [
+                { name: 'Heat', type: 'number', value: 1.05, min: 0, max: 2, step: 0.01, extra: true, note: 'Heat level (1 = 100%); above 0.8 is stronger' }
+            ],
+            FuelScoop: [
+                { name: 'Scooped', type: 'number', value: 0.498, min: 0, step: 0.001 },
+                { name: 'Total', type: 'number', value: 32, min: 0, step: 0.1 },
+                { name: 'Rate', type: 'number', value: 5, min: 0, step: 0.1, extra: true, note: 'Scoop rate; faster is stronger' }
+            ],
+            JetConeBoost: [
+                { name: 'BoostValue', type: 'number', value: 4, min: 1, step: 0.1 },
+                { name: 'Boost', type: 'number', value: 4, min: 0, step: 0.1, extra: true, note: 'Above 2 lengthens and strengthens the pattern' }
+            ],
+            Interdicted: [
+                { name: 'Submitted', type: 'bool', value: false },
+                { name: 'Interdictor', type: 'text', value: 'Kurt Wagner' },
+                { name: 'IsPlayer', type: 'bool', value: false },
+                { name: 'Faction', type: 'text', value: 'Deciat Corp.' }
+            ],
+            Interdiction: [
+                { name: 'Success', type: 'bool', value: true },
+                { name: 'Interdicted', type: 'text', value: 'Kurt Wagner' },
+                { name: 'IsPlayer', type: 'bool', value: false }
+            ],
+            LaunchFighter: [
+                { name: 'Loadout', type: 'text', value: 'starter' },
+                { name: 'ID', type: 'number', value: 1, min: 0, step: 1 },
+                { name: 'PlayerControlled', type: 'bool', value: true }
+            ],
+            DockFighter: [
+                { name: 'ID', type: 'number', value: 1, min: 0, step: 1 }
+            ],
+            FighterDestroyed: [
+                { name: 'ID', type: 'number', value: 1, min: 0, step: 1 }
+            ]
+        };
+    }
+
+    selectEvent(eventName) {
+        const template = EventComposer.TEMPLATES[eventName] || [];
+        this.values = Object.fromEntries(template.map(field => [field.name, field.value]));
+        this.renderFields(template);
+        this.syncJson();
+    }
+
+    renderFields(template) {
+        this.fields.innerHTML = template.length === 0
+            ? '<div class="help-text">Elite writes no other fields for this event.</div>'
+            : template.map(field => `
+                <label class="composer-field ${field.extra ? 'extra' : ''}" title="${this.escape(field.note || '')}">
+                    <span class="composer-field-name">${this.escape(field.name)}${field.extra ? ' <span class="composer-extra">read by EDButtkicker</span>' : ''}</span>
+                    ${this.renderInput(field)}
+                    ${field.note ? `<small class="help-text">${this.escape(field.note)}</small>` : ''}
+                </label>
+            `).join('');
+    }
+
+    renderInput(field) {
+        const value = this.values[field.name];
+        switch (field.type) {
+            case 'bool':
+                return `<input type="checkbox" data-field="${field.name}" data-type="bool" ${value ? 'checked' : ''}>`;
+            case 'select':
+                return `
+                    <select data-field="${field.name}">
+                        ${field.options.map(option => `<option value="${this.escape(option)}" ${option === value ? 'selected' : ''}>${this.escape(option)}</option>`).join('')}
+                    </select>
+                `;
+            case 'number':
+                return `<input type="number" data-field="${field.name}" data-type="number" value="${value}"
+                               ${field.min != null ? `min="${field.min}"` : ''} ${field.max != null ? `max="${field.max}"` : ''} step="${field.step ?? 'any'}">`;
+            default:
+                return `<input type="text" data-field="${field.name}" value="${this.escape(value)}">`;
+        }
+    }
+
+    updateField(input) {
+        const name = input.dataset.field;
+        if (!name) return;
+
+        switch (input.dataset.type) {
+            case 'bool':
+                this.values[name] = input.checked;
+                break;
+            case 'number':
+                // An empty number box leaves the field out rather than sending NaN
+                this.values[name] = input.value === '' ? undefined : parseFloat(input.value);
+                break;
+            default:
+                this.values[name] = input.value;
+        }
+        this.syncJson();
+    }
+
+    // The journal line the form describes, stamped with the current time
+    buildEvent() {
+        const event = { timestamp: new Date().toISOString().replace(/\.\d{3}Z$/, 'Z'), event: this.eventSelect.value };
+        Object.entries(this.values).forEach(([name, value]) => {
+            if (value !== undefined) event[name] = value;
+        });
+        return event;
+    }
+
+    syncJson() {
+        this.json.value = JSON.stringify(this.buildEvent(), null, 2);
+        this.edited = false;
+        this.jsonStatus.textContent = '';
+    }
+
+    markEdited() {
+        this.edited = true;
+        this.jsonStatus.textContent = 'Edited by hand; changing the form replaces these edits';
+    }
+
+    async inject() {
+        let event;
+        if (this.edited) {
+            try {
+                event = JSON.parse(this.json.value);
+            } catch (error) {
+                this.notify(`The journal line is not valid JSON: ${error.message}`, 'error');
+                return;
+            }
+            if (!event || typeof event !== 'object' || Array.isArray(event) || !event.event) {
+                this.notify('The journal line needs an "event" name', 'error');
+                return;
+            }
+        } else {
+            // Restamp so the event reads as happening now
+            this.syncJson();
+            event = JSON.parse(this.json.value);
+        }
+
+        const button = this.container.querySelector('button[data-action="inject"]');
+        button.disabled = true;
+
+        try {
+            const response = await fetch('/api/journal/compose', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(event)
+            });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) throw new Error(result.error || 'Failed to inject event');
+
+            this.renderResult(result);
+            this.notify(`Injected ${result.event}: ${this.describeResult(result)}`, result.result === 'triggered' ? 'success' : 'info');
+        } catch (error) {
+            console.error('Error injecting composed event:', error);
+            this.notify(error.message, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    renderResult(result) {
+        const stages = result.stages || [];
+
+        this.result.innerHTML = `
+            <div class="composer-result-header">
+                <strong>${this.escape(result.event)}</strong>
+                <span class="composer-result-text ${this.escape(result.result)}">${this.escape(this.describeResult(result))}</span>
+            </div>
+            ${stages.length > 0 ? `
+                <table class="composer-stages">
+                    <thead>
+                        <tr><th>Stage</th><th>Pattern</th><th>Intensity</th><th>Frequency</th><th>Duration</th><th>Fade in / out</th></tr>
+                    </thead>
+                    <tbody>
+                        ${stages.map((stage, index) => this.renderStage(stage, stages[index - 1])).join('')}
+                        ${this.renderOutput(result, stages[stages.length - 1])}
+                    </tbody>
+                </table>
+            ` : ''}
+            <div class="composer-context help-text">${this.describeContext(result.context)}</div>
+        `;
+        this.result.style.display = 'block';
+    }
+
+    // Values that differ from the stage before are highlighted
+    renderStage(stage, previous) {
+        const cell = (value, previousValue, suffix = '') => {
+            const changed = previous && value !== previousValue;
+            return `<td class="${changed ? 'changed' : ''}">${value ?? ''}${value != null ? suffix : ''}</td>`;
+        };
+
+        return `
+            <tr>
+                <td>${this.escape(stage.label)}</td>
+                <td>${this.escape(stage.name || '')} <span class="replay-pattern-type">${this.escape(stage.type || '')}</span></td>
+                ${cell(stage.intensity, previous?.intensity, '%')}
+                ${cell(stage.frequency, previous?.frequency, ' Hz')}
+                ${cell(stage.duration, previous?.duration, ' ms')}
+                <td class="${previous && (stage.fade_in !== previous.fade_in || stage.fade_out !== previous.fade_out) ? 'changed' : ''}">
+                    ${stage.fade_in ?? 0} / ${stage.fade_out ?? 0} ms
+                </td>
+            </tr>
+        `;
+    }
+
+    // What the audio engine plays: damage scaling for damage-driven patterns, then the output cap
+    renderOutput(result, last) {
+        const played = result.played_intensity;
+        const notes = [];
+        if (last?.intensity_from_damage) {
+            notes.push(result.hull_damage != null
+                ? `scaled by hull damage ${result.hull_damage} (${last.min_intensity}-${last.max_intensity}%)`
+                : 'follows hull damage, but the event has none');
+        }
+        if (played != null && last?.intensity != null && played < last.intensity && played === result.max_intensity) {
+            notes.push(`capped at the ${result.max_intensity}% maximum`);
+        }
+
+        return `
+            <tr class="composer-output">
+                <td>Output</td>
+                <td class="help-text">${this.escape(notes.join('; '))}</td>
+                <td class="${played !== last?.intensity ? 'changed' : ''}">${played ?? ''}${played != null ? '%' : ''}</td>
+                <td colspan="3"></td>
+            </tr>
+        `;
+    }
+
+    describeResult(result) {
+        switch (result.result) {
+            case 'triggered': return `played ${result.mapped_pattern} at ${result.played_intensity}%`;
+            case 'unmapped': return 'no pattern is mapped to this event';
+            case 'disabled': return `the mapping (${result.mapped_pattern}) is disabled`;
+            case 'rate_limited': return 'rate limited; the same event fired moments ago, try again shortly';
+            default: return result.result;
+        }
+    }
+
+    describeContext(context) {
+        if (!context) return '';
+        if (!context.enabled) return 'Contextual intelligence is off, so it leaves the pattern as it is.';
+        if (!context.adaptive_intensity) return 'Adaptive intensity is off, so contextual intelligence leaves the pattern as it is.';
+
+        const situation = [context.dangerous ? 'dangerous' : '', context.routine ? 'routine' : ''].filter(Boolean).join(', ');
+        return `Context after this event: ${this.escape(context.state)}, threat ${this.escape(context.threat_level)}, ` +
+            `hull ${Math.round((context.hull_integrity ?? 1) * 100)}%, intensity ×${context.multiplier}` +
+            (situation ? ` (${situation})` : '');
+    }
+
+    escape(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
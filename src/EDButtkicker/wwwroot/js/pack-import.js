@@ -0,0 +1,322 @@
+// Drop zone for importing pattern packs on the Library tab.
+// A dropped file is parsed and checked before anything is uploaded: schema problems,
+// packs that need a newer EDButtkicker (metadata.compatibility), and for each ship/event
+// whether it is new or overrides patterns already loaded (from /api/PatternFiles/packs and
+// /api/patternselection/conflicts). Only the ships and events left checked are imported, and
+// only once they match the schema, since the server rejects packs that don't.
+class PackImporter {
+    constructor(dropZone, preview, options = {}) {
+        this.dropZone = dropZone;
+        this.preview = preview;
+        this.notify = options.notify || (() => {});
+        this.onImported = options.onImported || (() => {});
+        this.pending = null; // { fileName, data, analysis, selected: Set of "ship|event" keys }
+
+        this.fileInput = dropZone.querySelector('input[type="file"]');
+        dropZone.querySelector('[data-action="browse"]').addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', () => {
+            if (this.fileInput.files[0]) this.readFile(this.fileInput.files[0]);
+            this.fileInput.value = '';
+        });
+
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            dropZone.classList.add('drag-over');
+        });
+        dropZone.addEventListener('dragleave', (e) => {
+            if (!dropZone.contains(e.relatedTarget)) dropZone.classList.remove('drag-over');
+        });
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('drag-over');
+            const file = [...e.dataTransfer.files].find(f => f.name.toLowerCase().endsWith('.json'));
+            if (file) {
+                this.readFile(file);
+            } else {
+                this.notify('Drop a pattern pack .json file', 'error');
+            }
+        });
+
+        this.preview.addEventListener('change', (e) => {
+            if (e.target.matches('input[data-ship]')) this.toggleShip(e.target.dataset.ship, e.target.checked);
+            if (e.target.matches('input[data-key]')) this.toggleEvent(e.target.dataset.key, e.target.checked);
+        });
+        this.preview.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (button?.dataset.action === 'import') this.importSelected();
+            if (button?.dataset.action === 'fix') this.applyFixes();
+            if (button?.dataset.action === 'cancel') this.cancel();
+        });
+    }
+
+    async readFile(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            this.notify(`${file.name} is not valid JSON: ${error.message}`, 'error');
+            return;
+        }
+
+        if (!data || typeof data !== 'object' || !data.ships || typeof data.ships !== 'object') {
+            this.notify(`${file.name} is not a pattern pack (no ships)`, 'error');
+            return;
+        }
+
+        try {
+            const analysis = await this.analyze(file.name, data);
+            this.pending = {
+                fileName: file.name,
+                data,
+                analysis,
+                selected: new Set(analysis.events.map(event => event.key))
+            };
+            this.render();
+        } catch (error) {
+            console.error('Error checking pattern pack:', error);
+            this.notify(`Could not check ${file.name}: ${error.message}`, 'error');
+        }
+    }
+
+    // Everything the preview shows, gathered up front
+    async analyze(fileName, data) {
+        const [packsData, conflictData, schema, config] = await Promise.all([
+            this.fetchJson('/api/PatternFiles/packs'),
+            this.fetchJson('/api/patternselection/conflicts').catch(() => ({ conflicts: [] })),
+            PatternSchema.load().catch(() => null),
+            this.fetchJson('/api/config').catch(() => ({}))
+        ]);
+
+        const packs = packsData.Packs || [];
+        const conflicts = new Map((conflictData.conflicts || []).map(conflict =>
+            [this.eventKey(conflict.shipType, conflict.eventName), conflict]));
+
+        const issues = [];
+        const metadata = data.metadata || {};
+
+        const appVersion = config.Version;
+        if (metadata.compatibility && appVersion && this.compareVersions(metadata.compatibility, appVersion) > 0) {
+            issues.push(`Needs EDButtkicker ${metadata.compatibility} or later; this is ${appVersion}. Newer pattern features may be ignored.`);
+        }
+
+        const importPath = `imports/${fileName}`;
+        const sameFile = packs.find(pack => this.normalizePath(pack.FilePath).toLowerCase() === importPath.toLowerCase());
+        if (sameFile) {
+            issues.push(`Replaces ${importPath} (${sameFile.Name} v${sameFile.Version}).`);
+        }
+
+        const sameName = packs.filter(pack => pack !== sameFile && pack.Name === metadata.name);
+        sameName.forEach(pack => {
+            issues.push(`${this.normalizePath(pack.FilePath)} is also named "${pack.Name}" (v${pack.Version}); pattern selection treats their events as the same source.`);
+        });
+
+        const events = Object.entries(data.ships).flatMap(([shipType, ship]) =>
+            Object.keys(ship?.events || {}).map(eventType => {
+                const key = this.eventKey(shipType, eventType);
+                const existing = packs.filter(pack => pack !== sameFile && (pack.Ships || []).some(s =>
+                    Object.keys(s.Events || {}).some(name => this.eventKey(s.ShipType, name) === key)));
+                return { key, shipType, eventType, existing, conflict: conflicts.get(key) || null };
+            }));
+
+        return { issues, schema, events };
+    }
+
+    // Schema errors in what would be uploaded, so unchecking a broken event clears its errors
+    schemaErrors() {
+        const { schema } = this.pending.analysis;
+        return schema ? PatternSchema.validate(schema, this.buildSelectedPack()) : [];
+    }
+
+    render() {
+        const { fileName, data, analysis, selected } = this.pending;
+        const metadata = data.metadata || {};
+        const schemaErrors = this.schemaErrors();
+        const fixable = schemaErrors.some(error => error.fix);
+
+        const ships = Object.entries(data.ships).map(([shipType, ship]) => {
+            const events = analysis.events.filter(event => event.shipType === shipType);
+            const checkedCount = events.filter(event => selected.has(event.key)).length;
+
+            return `
+                <div class="import-ship">
+                    <label class="import-ship-header">
+                        <input type="checkbox" data-ship="${this.escape(shipType)}"
+                               ${checkedCount === events.length && events.length > 0 ? 'checked' : ''}
+                               ${events.length === 0 ? 'disabled' : ''}>
+                        <strong>${this.escape(ship?.displayName || shipType)}</strong>
+                        <span class="import-muted">${this.escape(ship?.class || '')} · ${checkedCount} of ${events.length} events</span>
+                    </label>
+                    ${events.map(event => `
+                        <label class="import-event">
+                            <input type="checkbox" data-key="${this.escape(event.key)}" ${selected.has(event.key) ? 'checked' : ''}>
+                            <span class="import-event-name">${this.escape(event.eventType)}</span>
+                            ${this.renderStatus(event)}
+                        </label>
+                    `).join('')}
+                </div>
+            `;
+        }).join('');
+
+        this.preview.innerHTML = `
+            <div class="import-header">
+                <div>
+                    <div class="pattern-name">${this.escape(metadata.name || fileName)}
+                        <span class="library-pack-version">${metadata.version ? `v${this.escape(metadata.version)}` : ''}</span>
+                    </div>
+                    <div class="library-pack-meta">by ${this.escape(metadata.author || 'Unknown')} · ${this.escape(fileName)}</div>
+                </div>
+                <div class="pattern-actions">
+                    <button class="btn btn-sm ${analysis.issues.length > 0 ? 'btn-accent' : ''}" data-action="import"
+                            ${selected.size === 0 || schemaErrors.length > 0 ? 'disabled' : ''}>
+                        <i class="fas fa-file-import"></i> ${analysis.issues.length > 0 ? 'Import Anyway' : 'Import'} (${selected.size})
+                    </button>
+                    <button class="btn btn-sm btn-secondary" data-action="cancel">Cancel</button>
+                </div>
+            </div>
+            ${analysis.issues.length > 0 ? `
+                <ul class="import-issues">
+                    ${analysis.issues.map(issue => `<li><i class="fas fa-exclamation-triangle"></i> ${this.escape(issue)}</li>`).join('')}
+                </ul>
+            ` : ''}
+            ${schemaErrors.length > 0 ? `
+                <div class="schema-errors">
+                    <h4><i class="fas fa-exclamation-triangle"></i> ${schemaErrors.length} ${schemaErrors.length === 1 ? 'field does' : 'fields do'} not match the pattern file schema</h4>
+                    ${PatternSchema.renderErrors(schemaErrors)}
+                    <p class="import-muted">Fix these or uncheck the events they belong to before importing.</p>
+                    ${fixable ? `
+                        <div class="schema-actions">
+                            <button class="btn btn-sm" data-action="fix">Apply Automatic Fixes</button>
+                        </div>
+                    ` : ''}
+                </div>
+            ` : ''}
+            <div class="import-ships">${ships}</div>
+        `;
+        this.preview.style.display = 'block';
+    }
+
+    renderStatus(event) {
+        if (event.existing.length === 0 && !event.conflict) {
+            return '<span class="import-status new">New</span>';
+        }
+
+        const packNames = event.existing.map(pack => pack.Name).join(', ');
+        const active = event.conflict?.activePattern;
+        const detail = [
+            packNames ? `also in ${packNames}` : '',
+            active ? `active: ${active.sourceName}` : ''
+        ].filter(Boolean).join('; ');
+
+        return `<span class="import-status override" title="${this.escape(detail)}">Overrides</span>
+                <span class="import-muted">${this.escape(detail)}</span>`;
+    }
+
+    toggleShip(shipType, checked) {
+        this.pending.analysis.events
+            .filter(event => event.shipType === shipType)
+            .forEach(event => (checked ? this.pending.selected.add(event.key) : this.pending.selected.delete(event.key)));
+        this.render();
+    }
+
+    toggleEvent(key, checked) {
+        if (checked) {
+            this.pending.selected.add(key);
+        } else {
+            this.pending.selected.delete(key);
+        }
+        this.render();
+    }
+
+    // The dropped pack trimmed to the checked events; unchecked ships are left out
+    buildSelectedPack() {
+        const { data, analysis, selected } = this.pending;
+        const pack = JSON.parse(JSON.stringify(data));
+
+        Object.keys(pack.ships).forEach(shipType => {
+            const ship = pack.ships[shipType];
+            analysis.events
+                .filter(event => event.shipType === shipType && !selected.has(event.key))
+                .forEach(event => delete ship.events[event.eventType]);
+            if (Object.keys(ship?.events || {}).length === 0) delete pack.ships[shipType];
+        });
+
+        return pack;
+    }
+
+    // Fix the dropped pack in place and show the fixed version; what can't be fixed stays listed
+    applyFixes() {
+        const { analysis } = this.pending;
+        if (!analysis.schema) return;
+
+        const { data, fixed } = PatternSchema.applyFixes(this.pending.data, PatternSchema.validate(analysis.schema, this.pending.data));
+        this.pending.data = data;
+        this.notify(`Applied ${fixed} automatic ${fixed === 1 ? 'fix' : 'fixes'}`, 'success');
+        this.render();
+    }
+
+    async importSelected() {
+        if (!this.pending || this.pending.selected.size === 0 || this.schemaErrors().length > 0) return;
+
+        const { fileName } = this.pending;
+        const pack = this.buildSelectedPack();
+        const form = new FormData();
+        form.append('file', new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' }), fileName);
+
+        try {
+            const response = await fetch('/api/PatternFiles/import', { method: 'POST', body: form });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) throw new Error(result.error || 'Failed to import pattern pack');
+
+            // Register the new patterns with pattern selection so conflicts show up right away
+            await fetch('/api/patternselection/refresh-sources', { method: 'POST' }).catch(() => null);
+
+            this.notify(`Imported ${this.pending.selected.size} patterns from ${fileName}`, 'success');
+            this.cancel();
+            await this.onImported();
+        } catch (error) {
+            console.error('Error importing pattern pack:', error);
+            this.notify(error.message, 'error');
+        }
+    }
+
+    cancel() {
+        this.pending = null;
+        this.preview.innerHTML = '';
+        this.preview.style.display = 'none';
+    }
+
+    async fetchJson(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`${url} returned ${response.status}`);
+        return response.json();
+    }
+
+    // Pattern selection keys ship/event pairs case-insensitively
+    eventKey(shipType, eventType) {
+        return `${shipType}|${eventType}`.toLowerCase();
+    }
+
+    // Compares dotted versions numerically; missing parts count as 0
+    compareVersions(a, b) {
+        const left = String(a).split('.').map(part => parseInt(part, 10) || 0);
+        const right = String(b).split('.').map(part => parseInt(part, 10) || 0);
+        for (let i = 0; i < Math.max(left.length, right.length); i++) {
+            const diff = (left[i] || 0) - (right[i] || 0);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    }
+
+    normalizePath(filePath) {
+        return (filePath || '').replace(/\\/g, '/');
+    }
+
+    escape(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
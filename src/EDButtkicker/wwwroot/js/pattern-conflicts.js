@@ -3,10 +3,26 @@ class PatternConflictsManager {
         this.conflictData = null;
         this.stats = null;
         this.selectedResolutionStrategy = null;
+        this.candidatePatterns = new Map(); // "ship|event" -> { sourceId: HapticPattern }, loaded on first compare
+        this.audition = null; // { card, stopped } while candidates play back to back
+        this.palette = ['#ff6b35', '#00bcd4', '#4caf50', '#f7931e', '#9c27b0', '#03a9f4', '#cddc39', '#e91e63'];
+        
+        this.rulesEditor = new ResolutionRulesEditor(
+            document.getElementById('resolutionRules'),
+            document.getElementById('rulesPreview'),
+            {
+                notify: (message, type) => this.showNotification(message, type),
+                onApplied: async () => {
+                    await this.loadConflicts();
+                    await this.loadStats();
+                }
+            }
+        );
         
         this.initializeEventHandlers();
         this.loadConflicts();
         this.loadStats();
+        this.rulesEditor.load();
     }
 
     initializeEventHandlers() {
@@ -23,6 +39,48 @@ class PatternConflictsManager {
             this.autoResolveConflicts();
         });
 
+        // Selection history actions
+        document.getElementById('revertAutoResolveBtn').addEventListener('click', () => {
+            this.revertLastAutoResolve();
+        });
+        document.getElementById('exportSelectionsBtn').addEventListener('click', () => {
+            this.exportSelections();
+        });
+        const importInput = document.getElementById('importSelectionsInput');
+        document.getElementById('importSelectionsBtn').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            if (importInput.files[0]) this.importSelections(importInput.files[0]);
+            importInput.value = '';
+        });
+
+        // Compare, audition and apply buttons on the conflict cards
+        document.getElementById('conflictsList').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const card = button.closest('.conflict-card');
+            switch (button.dataset.action) {
+                case 'compare':
+                    this.toggleCompare(card);
+                    break;
+                case 'play':
+                    this.playCandidate(card, button.dataset.sourceId);
+                    break;
+                case 'audition':
+                    this.auditionCandidates(card);
+                    break;
+                case 'apply':
+                    this.selectPattern(card.querySelector('.pattern-option.chosen'));
+                    break;
+                case 'history':
+                    this.toggleHistory(card);
+                    break;
+                case 'undo':
+                    this.undoSelection(card);
+                    break;
+            }
+        });
+
         // Pattern selection handlers will be added dynamically
     }
 
@@ -32,6 +90,7 @@ class PatternConflictsManager {
             if (!response.ok) throw new Error('Failed to load conflicts');
             
             this.conflictData = await response.json();
+            this.candidatePatterns.clear();
             this.renderConflicts();
             this.updateConflictCount();
         } catch (error) {
@@ -120,11 +179,12 @@ class PatternConflictsManager {
                 </div>
                 <div class="conflict-body">
                     <div class="pattern-options">
-                        ${conflict.availablePatterns.map(pattern => `
+                        ${conflict.availablePatterns.map((pattern, index) => `
                             <div class="pattern-option ${pattern.sourceId === activePatternId ? 'active' : ''}" 
                                  data-source-id="${pattern.sourceId}">
                                 <input type="radio" name="pattern_${conflict.shipType}_${conflict.eventName}" 
                                        value="${pattern.sourceId}" ${pattern.sourceId === activePatternId ? 'checked' : ''}>
+                                <span class="candidate-letter" style="background: ${this.candidateColor(index)}">${this.candidateLetter(index)}</span>
                                 <div class="pattern-info">
                                     <div class="pattern-name">${pattern.sourceName}</div>
                                     <div class="pattern-details">
@@ -140,24 +200,376 @@ class PatternConflictsManager {
                                         ${pattern.version ? `<span>v${pattern.version}</span>` : ''}
                                     </div>
                                 </div>
+                                <button class="btn btn-secondary btn-sm" data-action="play" data-source-id="${pattern.sourceId}" title="Play on the Buttkicker">
+                                    <i class="fas fa-play"></i>
+                                </button>
                             </div>
                         `).join('')}
                     </div>
+                    <div class="conflict-history" style="display: none;"></div>
+                    <div class="conflict-compare" style="display: none;">
+                        <canvas class="compare-chart" width="640" height="140"></canvas>
+                        <div class="compare-table"></div>
+                    </div>
+                    <div class="conflict-actions">
+                        <button class="btn btn-secondary" data-action="compare"><i class="fas fa-chart-area"></i> Compare</button>
+                        <button class="btn btn-secondary" data-action="audition">
+                            <i class="fas fa-play-circle"></i> Play ${conflict.availablePatterns.map((_, index) => this.candidateLetter(index)).join('/')}
+                        </button>
+                        <button class="btn btn-secondary" data-action="history"><i class="fas fa-history"></i> History</button>
+                        <button class="btn btn-primary" data-action="apply" disabled><i class="fas fa-check"></i> Use Selected</button>
+                    </div>
                 </div>
             </div>
         `;
     }
 
+    candidateLetter(index) {
+        return String.fromCharCode(65 + index);
+    }
+
+    candidateColor(index) {
+        return this.palette[index % this.palette.length];
+    }
+
+    getConflict(card) {
+        const key = `${card.dataset.shipType}|${card.dataset.event}`;
+        return this.conflictData?.conflicts.find(conflict => `${conflict.shipType}|${conflict.eventName}` === key) || null;
+    }
+
+    // Full HapticPatterns for every candidate, keyed by source id
+    async loadCandidatePatterns(card) {
+        const key = `${card.dataset.shipType}|${card.dataset.event}`;
+        if (!this.candidatePatterns.has(key)) {
+            const response = await fetch(`/api/patternselection/available/${encodeURIComponent(card.dataset.shipType)}/${encodeURIComponent(card.dataset.event)}`);
+            if (!response.ok) throw new Error('Failed to load candidate patterns');
+            const data = await response.json();
+            this.candidatePatterns.set(key, data.patterns || {});
+        }
+        return this.candidatePatterns.get(key);
+    }
+
+    async toggleCompare(card) {
+        const panel = card.querySelector('.conflict-compare');
+        if (panel.style.display !== 'none') {
+            panel.style.display = 'none';
+            return;
+        }
+
+        try {
+            const patterns = await this.loadCandidatePatterns(card);
+            const candidates = this.getConflict(card).availablePatterns.map((source, index) => ({
+                source,
+                pattern: patterns[source.sourceId] || null,
+                letter: this.candidateLetter(index),
+                color: this.candidateColor(index)
+            }));
+
+            panel.style.display = 'block';
+            this.drawEnvelopes(panel.querySelector('.compare-chart'), candidates);
+            panel.querySelector('.compare-table').innerHTML = this.renderParameterTable(candidates);
+        } catch (error) {
+            console.error('Error comparing patterns:', error);
+            this.showError('Failed to load the competing patterns');
+        }
+    }
+
+    // Every candidate's output envelope on one shared time axis
+    drawEnvelopes(canvas, candidates) {
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+        const axisHeight = 16;
+        const plotHeight = height - axisHeight - 4;
+
+        const rendered = candidates
+            .filter(candidate => candidate.pattern)
+            .map(candidate => ({ ...candidate, result: PatternSynth.synthesize(candidate.pattern, { sampleRate: 1000 }) }));
+        const maxDuration = Math.max(1, ...rendered.map(candidate => candidate.result.duration));
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+        ctx.fillRect(0, 0, width, height);
+
+        // Time grid with a label every quarter
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+        ctx.fillStyle = '#b0b8c4';
+        ctx.font = '10px sans-serif';
+        for (let i = 0; i <= 4; i++) {
+            const x = Math.min(width - 1, Math.round((i / 4) * width)) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, plotHeight + 4);
+            ctx.stroke();
+            ctx.textAlign = i === 0 ? 'left' : i === 4 ? 'right' : 'center';
+            ctx.fillText(`${Math.round((i / 4) * maxDuration)}ms`, x, height - 4);
+        }
+
+        rendered.forEach(candidate => {
+            ctx.strokeStyle = candidate.color;
+            ctx.fillStyle = `${candidate.color}33`;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.moveTo(0, plotHeight + 4);
+
+            for (let x = 0; x < width; x++) {
+                const start = (x / width) * maxDuration;
+                const end = ((x + 1) / width) * maxDuration;
+                const peak = start < candidate.result.duration ? PatternSynth.peakBetween(candidate.result, start, end) : 0;
+                ctx.lineTo(x, plotHeight + 4 - peak * plotHeight);
+            }
+
+            ctx.lineTo(width, plotHeight + 4);
+            ctx.fill();
+            ctx.stroke();
+        });
+    }
+
+    // Side-by-side parameters; rows where the candidates differ are highlighted
+    renderParameterTable(candidates) {
+        const read = (pattern, key) => pattern?.[key] ?? pattern?.[key.charAt(0).toUpperCase() + key.slice(1)];
+        const rows = [
+            ['Pattern', pattern => read(pattern, 'pattern')],
+            ['Frequency', pattern => `${read(pattern, 'frequency')} Hz`],
+            ['Intensity', pattern => `${read(pattern, 'intensity')}%`],
+            ['Duration', pattern => `${read(pattern, 'duration')} ms`],
+            ['Fade in / out', pattern => `${read(pattern, 'fadeIn') || 0} / ${read(pattern, 'fadeOut') || 0} ms`],
+            ['Intensity curve', pattern => read(pattern, 'intensityCurve') || 'Linear'],
+            ['Layers', pattern => (read(pattern, 'layers') || []).length],
+            ['Chained patterns', pattern => (read(pattern, 'chainedPatterns') || []).length],
+            ['Damage scaling', pattern => (read(pattern, 'intensityFromDamage')
+                ? `${read(pattern, 'minIntensity')}-${read(pattern, 'maxIntensity')}%`
+                : 'Off')]
+        ];
+
+        return `
+            <table class="compare-parameters">
+                <thead>
+                    <tr>
+                        <th></th>
+                        ${candidates.map(candidate => `
+                            <th><span class="candidate-letter" style="background: ${candidate.color}">${candidate.letter}</span> ${this.escape(candidate.source.packName || candidate.source.sourceName)}</th>
+                        `).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(([label, format]) => {
+                        const values = candidates.map(candidate => (candidate.pattern ? String(format(candidate.pattern)) : 'Unavailable'));
+                        const differs = new Set(values).size > 1;
+                        return `
+                            <tr class="${differs ? 'differs' : ''}">
+                                <td>${label}</td>
+                                ${values.map(value => `<td>${this.escape(value)}</td>`).join('')}
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    async toggleHistory(card, forceOpen = false) {
+        const panel = card.querySelector('.conflict-history');
+        if (panel.style.display !== 'none' && !forceOpen) {
+            panel.style.display = 'none';
+            return;
+        }
+
+        try {
+            const query = new URLSearchParams({ shipType: card.dataset.shipType, eventName: card.dataset.event });
+            const response = await fetch(`/api/patternselection/history?${query}`);
+            if (!response.ok) throw new Error('Failed to load selection history');
+
+            panel.innerHTML = this.renderHistory(await response.json());
+            panel.style.display = 'block';
+        } catch (error) {
+            console.error('Error loading selection history:', error);
+            this.showError(error.message);
+        }
+    }
+
+    renderHistory(entries) {
+        if (entries.length === 0) {
+            return '<div class="text-secondary small">No changes recorded yet.</div>';
+        }
+
+        const canUndo = !!entries[0].previousSourceId;
+        return `
+            <ul class="history-list">
+                ${entries.map(entry => `
+                    <li class="history-entry ${entry.reverted ? 'reverted' : ''}">
+                        <span class="history-time">${new Date(entry.timestamp).toLocaleString()}</span>
+                        <span>${this.escape(entry.previousSourceName || 'None')} → <strong>${this.escape(entry.newSourceName)}</strong></span>
+                        <span class="history-by">${this.escape(entry.changedBy)}${entry.reverted ? ' (undone)' : ''}</span>
+                    </li>
+                `).join('')}
+            </ul>
+            <button class="btn btn-secondary btn-sm" data-action="undo" ${canUndo ? '' : 'disabled'}>
+                <i class="fas fa-undo"></i> Undo Last Change
+            </button>
+        `;
+    }
+
+    async undoSelection(card) {
+        try {
+            const response = await fetch('/api/patternselection/undo', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ shipType: card.dataset.shipType, eventName: card.dataset.event })
+            });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) throw new Error(result.error || 'Failed to undo selection');
+
+            this.showSuccess(`Restored ${result.newSourceName}`);
+            this.updatePatternSelection(card, result.newSourceId);
+            await this.toggleHistory(card, true);
+            await this.loadStats();
+        } catch (error) {
+            console.error('Error undoing selection:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async revertLastAutoResolve() {
+        try {
+            const response = await fetch('/api/patternselection/revert-last-auto-resolve', { method: 'POST' });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) throw new Error(result.error || 'Failed to revert auto-resolve');
+
+            if (result.revertedCount === 0) {
+                this.showError('No auto-resolve changes left to revert');
+                return;
+            }
+
+            this.showSuccess(`Reverted ${result.revertedCount} ${result.revertedCount === 1 ? 'selection' : 'selections'}`);
+            await this.loadConflicts();
+            await this.loadStats();
+        } catch (error) {
+            console.error('Error reverting auto-resolve:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async exportSelections() {
+        try {
+            const response = await fetch('/api/patternselection/export');
+            if (!response.ok) throw new Error('Failed to export selections');
+
+            const data = await response.json();
+            const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `pattern-selections-${new Date().toISOString().slice(0, 10)}.json`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error exporting selections:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async importSelections(file) {
+        try {
+            const response = await fetch('/api/patternselection/import', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: await file.text()
+            });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) throw new Error(result.error || 'Failed to import selections');
+
+            const skipped = result.skipped.length > 0
+                ? `; skipped ${result.skipped.length} whose packs aren't installed (${[...new Set(result.skipped.map(s => s.packName || s.sourceName))].join(', ')})`
+                : '';
+            this.showSuccess(`Applied ${result.appliedCount} selections, ${result.unchangedCount} already matched${skipped}`);
+            await this.loadConflicts();
+            await this.loadStats();
+        } catch (error) {
+            console.error('Error importing selections:', error);
+            this.showError(error.message);
+        }
+    }
+
+    escape(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    async playCandidate(card, sourceId) {
+        try {
+            const patterns = await this.loadCandidatePatterns(card);
+            const pattern = patterns[sourceId];
+            if (!pattern) throw new Error('This pattern is no longer available');
+            await this.testPattern(pattern);
+        } catch (error) {
+            console.error('Error playing pattern:', error);
+            this.showError(error.message);
+        }
+    }
+
+    // Play every candidate in turn with a short gap, highlighting the one on the device
+    async auditionCandidates(card) {
+        if (this.audition) {
+            const wasThisCard = this.audition.card === card;
+            this.audition.stopped = true;
+            if (wasThisCard) return;
+        }
+
+        const audition = { card, stopped: false };
+        this.audition = audition;
+        const button = card.querySelector('button[data-action="audition"]');
+        const label = button.innerHTML;
+        button.innerHTML = '<i class="fas fa-stop"></i> Stop';
+
+        try {
+            const patterns = await this.loadCandidatePatterns(card);
+            for (const source of this.getConflict(card).availablePatterns) {
+                const pattern = patterns[source.sourceId];
+                if (audition.stopped) break;
+                if (!pattern) continue;
+
+                const option = card.querySelector(`.pattern-option[data-source-id="${source.sourceId}"]`);
+                option?.classList.add('playing');
+                await this.testPattern(pattern);
+                await new Promise(resolve => setTimeout(resolve, (pattern.duration || 1000) + 600));
+                option?.classList.remove('playing');
+            }
+        } catch (error) {
+            console.error('Error auditioning patterns:', error);
+            this.showError(error.message);
+        } finally {
+            card.querySelectorAll('.pattern-option.playing').forEach(option => option.classList.remove('playing'));
+            button.innerHTML = label;
+            if (this.audition === audition) this.audition = null;
+        }
+    }
+
+    async testPattern(pattern) {
+        const response = await fetch('/api/PatternEditor/test', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ pattern })
+        });
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || 'Failed to play pattern');
+        }
+    }
+
     attachConflictHandlers() {
         // Attach click handlers to pattern options
         document.querySelectorAll('.pattern-option').forEach(option => {
             option.addEventListener('click', (e) => {
                 if (e.target.type === 'radio') return; // Let radio handle itself
+                if (e.target.closest('button')) return; // Play buttons don't change the choice
                 
                 const radio = option.querySelector('input[type="radio"]');
                 if (radio) {
                     radio.checked = true;
-                    this.selectPattern(option);
+                    this.choosePattern(option);
                 }
             });
         });
@@ -167,13 +579,24 @@ class PatternConflictsManager {
             radio.addEventListener('change', (e) => {
                 if (e.target.checked) {
                     const option = e.target.closest('.pattern-option');
-                    this.selectPattern(option);
+                    this.choosePattern(option);
                 }
             });
         });
     }
 
+    // Mark a candidate; nothing changes until "Use Selected" is pressed
+    choosePattern(optionElement) {
+        const conflictCard = optionElement.closest('.conflict-card');
+        conflictCard.querySelectorAll('.pattern-option').forEach(option => {
+            option.classList.toggle('chosen', option === optionElement);
+        });
+        conflictCard.querySelector('button[data-action="apply"]').disabled = optionElement.classList.contains('active');
+    }
+
     async selectPattern(optionElement) {
+        if (!optionElement) return;
+
         try {
             const conflictCard = optionElement.closest('.conflict-card');
             const shipType = conflictCard.dataset.shipType;
@@ -218,6 +641,8 @@ class PatternConflictsManager {
                 option.classList.remove('active');
             }
         });
+        conflictCard.querySelectorAll('.pattern-option.chosen').forEach(option => option.classList.remove('chosen'));
+        conflictCard.querySelector('button[data-action="apply"]').disabled = true;
     }
 
     selectResolutionStrategy(optionElement) {
@@ -352,7 +777,10 @@ async function refreshSources() {
         const result = await response.json();
         
         if (window.conflictsManager) {
-            window.conflictsManager.showSuccess(`${result.message} - Found ${result.totalSources} sources, ${result.totalConflicts} conflicts`);
+            const ruleChanges = result.ruleResolutions?.length
+                ? `, rules changed ${result.ruleResolutions.length}`
+                : '';
+            window.conflictsManager.showSuccess(`${result.message} - Found ${result.totalSources} sources, ${result.totalConflicts} conflicts${ruleChanges}`);
             await window.conflictsManager.loadConflicts();
             await window.conflictsManager.loadStats();
         }
@@ -15,6 +15,15 @@ async function formatServerError(response) {
     return msg;
 }
 
+// Helper function for putting file contents into innerHTML
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 class PatternWizard {
     constructor() {
         this.currentStep = 1;
@@ -22,6 +31,8 @@ class PatternWizard {
         this.selectedShip = null;
         this.selectedEvents = [];
         this.eventPatterns = {};
+        this.shipStates = {}; // every ship in the pack; the fields above are the working copy of selectedShip
+        this.copyPanelOpen = false;
         this.templates = [];
         this.shipTypes = [];
         this.eventTypes = [];
@@ -32,6 +43,7 @@ class PatternWizard {
         this.loadedPatternFile = null;
         this.originalFileName = null;
         this.eventSettings = {};
+        this.sourceEvents = {}; // selectedShip's events as loaded from the file
 
         // Timeline editor properties
         this.timelineEditors = {};
@@ -39,6 +51,11 @@ class PatternWizard {
         this.advancedPatterns = {};
         this.currentTimelineEditor = null;
         this.currentTimelineEvent = null;
+        this.timelineBaseline = null; // getHapticPattern() JSON of the open timeline as it was loaded
+        this.packDiffResolve = null; // pending confirmPackChanges() answer
+        this.packSchema = null; // patterns/schema.json, loaded in init()
+        this.packSchemaErrors = null; // { data, errors } from the last failed pack check
+        this.advancedSchemaErrors = {}; // eventType -> schema errors from validateAdvancedPatterns()
 
         this.init();
     }
@@ -48,6 +65,11 @@ class PatternWizard {
             await this.loadData();
             this.setupEventListeners();
             this.renderStep1();
+
+            // Validation falls back to the server's checks if the schema can't be fetched
+            PatternSchema.load()
+                .then(schema => { this.packSchema = schema; })
+                .catch(error => console.error('Failed to load pattern schema:', error));
         } catch (error) {
             console.error('Failed to initialize wizard:', error);
             this.showError('Failed to initialize pattern wizard');
@@ -344,8 +366,8 @@ class PatternWizard {
         if (!this.validateCurrentStep()) return;
 
         // Save advanced patterns when leaving step 4
-        if (this.currentStep === 4 && this.advancedMode && this.currentTimelineEditor && this.currentTimelineEvent) {
-            this.advancedPatterns[this.currentTimelineEvent] = this.currentTimelineEditor.getHapticPattern();
+        if (this.currentStep === 4 && this.advancedMode) {
+            this.captureTimelinePattern();
         }
 
         if (this.currentStep < this.totalSteps) {
@@ -357,8 +379,8 @@ class PatternWizard {
 
     previousStep() {
         // Save advanced patterns when leaving step 4
-        if (this.currentStep === 4 && this.advancedMode && this.currentTimelineEditor && this.currentTimelineEvent) {
-            this.advancedPatterns[this.currentTimelineEvent] = this.currentTimelineEditor.getHapticPattern();
+        if (this.currentStep === 4 && this.advancedMode) {
+            this.captureTimelinePattern();
         }
 
         if (this.currentStep > 1) {
@@ -385,6 +407,8 @@ class PatternWizard {
             case 4: this.renderStep4(); break;
             case 5: this.renderStep5(); break;
         }
+
+        this.renderPackShips();
     }
 
     updateProgress() {
@@ -451,39 +475,40 @@ class PatternWizard {
     validateAdvancedPatterns() {
         const validationErrors = [];
         const validationContainer = this.getOrCreateValidationContainer();
+        this.advancedSchemaErrors = {};
 
         // Save current timeline editor pattern if active
-        if (this.currentTimelineEditor && this.currentTimelineEvent) {
-            this.advancedPatterns[this.currentTimelineEvent] = this.currentTimelineEditor.getHapticPattern();
-        }
+        this.captureTimelinePattern();
 
         // Validate each selected event
         for (const eventType of this.selectedEvents) {
-            const pattern = this.advancedPatterns[eventType] || (this.currentTimelineEvent === eventType ? this.currentTimelineEditor?.getHapticPattern() : null);
+            const pattern = this.advancedPatterns[eventType];
+            const title = this.eventDefinitions[eventType]?.title || eventType;
 
-            if (!pattern) {
-                validationErrors.push(`${this.eventDefinitions[eventType]?.title || eventType}: No advanced pattern defined`);
-                continue;
-            }
+            // Events never edited on the timeline are saved from their basic settings
+            if (!pattern) continue;
 
             // Validate pattern has at least one layer
             if (!pattern.Layers || pattern.Layers.length === 0) {
-                validationErrors.push(`${this.eventDefinitions[eventType]?.title || eventType}: Pattern must have at least one layer`);
+                validationErrors.push(`${title}: Pattern must have at least one layer`);
                 continue;
             }
 
-            // Validate layer properties
-            for (let i = 0; i < pattern.Layers.length; i++) {
-                const layer = pattern.Layers[i];
-                const layerName = `${this.eventDefinitions[eventType]?.title || eventType} Layer ${i + 1}`;
-
-                if (!layer.Frequency || layer.Frequency < 10 || layer.Frequency > 200) {
-                    validationErrors.push(`${layerName}: Frequency must be between 10-200 Hz`);
+            // Ranges and types come from patterns/schema.json, checked on the event as it will be saved
+            if (this.packSchema) {
+                const schemaErrors = PatternSchema.validate(this.packSchema, this.resolvePackEvent(eventType), PatternSchema.PATTERN_REF);
+                schemaErrors.forEach(error => {
+                    validationErrors.push(`${title}: ${error.path || 'pattern'} - ${error.message}`);
+                });
+                if (schemaErrors.length > 0) {
+                    this.advancedSchemaErrors[eventType] = schemaErrors;
                 }
+            }
 
-                if (layer.Amplitude < 0 || layer.Amplitude > 1) {
-                    validationErrors.push(`${layerName}: Amplitude must be between 0-1`);
-                }
+            // Layer timing against the pattern duration, which the schema can't express
+            for (let i = 0; i < pattern.Layers.length; i++) {
+                const layer = pattern.Layers[i];
+                const layerName = `${title} Layer ${i + 1}`;
 
                 // Calculate effective duration (0 means use pattern duration)
                 const layerEffectiveDuration = layer.Duration === 0 ?
@@ -507,43 +532,19 @@ class PatternWizard {
             // Validate custom curve points
             if (pattern.IntensityCurve === 'Custom') {
                 if (!pattern.CustomCurvePoints || pattern.CustomCurvePoints.length < 2) {
-                    validationErrors.push(`${this.eventDefinitions[eventType]?.title || eventType}: Custom curve requires at least 2 points`);
+                    validationErrors.push(`${title}: Custom curve requires at least 2 points`);
                 } else {
                     const points = pattern.CustomCurvePoints;
 
                     // Check first point starts at 0 and last ends at 1
                     if (points[0].Time !== 0) {
-                        validationErrors.push(`${this.eventDefinitions[eventType]?.title || eventType}: First curve point must start at time 0`);
+                        validationErrors.push(`${title}: First curve point must start at time 0`);
                     }
                     if (points[points.length - 1].Time !== 1) {
-                        validationErrors.push(`${this.eventDefinitions[eventType]?.title || eventType}: Last curve point must end at time 1`);
-                    }
-
-                    // Check points are monotonic increasing by time
-                    for (let i = 1; i < points.length; i++) {
-                        if (points[i].Time <= points[i - 1].Time) {
-                            validationErrors.push(`${this.eventDefinitions[eventType]?.title || eventType}: Curve points must be ordered by increasing time`);
-                            break;
-                        }
-                    }
-
-                    // Check points are within valid ranges
-                    for (let i = 0; i < points.length; i++) {
-                        const point = points[i];
-                        if (point.Time < 0 || point.Time > 1) {
-                            validationErrors.push(`${this.eventDefinitions[eventType]?.title || eventType}: Curve point ${i + 1} time must be between 0-1`);
-                        }
-                        if (point.Intensity < 0 || point.Intensity > 1) {
-                            validationErrors.push(`${this.eventDefinitions[eventType]?.title || eventType}: Curve point ${i + 1} intensity must be between 0-1`);
-                        }
+                        validationErrors.push(`${title}: Last curve point must end at time 1`);
                     }
                 }
             }
-
-            // Validate overall pattern properties
-            if (pattern.Duration <= 0 || pattern.Duration > 30000) {
-                validationErrors.push(`${this.eventDefinitions[eventType]?.title || eventType}: Duration must be between 1-30000ms`);
-            }
         }
 
         // Display validation results
@@ -552,6 +553,22 @@ class PatternWizard {
         return validationErrors.length === 0;
     }
 
+    // Apply the schema's automatic fixes to the advanced patterns that failed validation
+    fixAdvancedPatterns() {
+        Object.entries(this.advancedSchemaErrors || {}).forEach(([eventType, errors]) => {
+            const { data } = PatternSchema.applyFixes(this.resolvePackEvent(eventType), errors);
+            this.advancedPatterns[eventType] = PatternPack.toHapticPattern(data);
+        });
+
+        // Reload the open timeline so it shows the fixed values
+        const openEvent = this.currentTimelineEvent;
+        if (openEvent && this.advancedSchemaErrors?.[openEvent]) {
+            this.closeTimelineEditor();
+            this.initializeTimelineForEvent(openEvent);
+        }
+        this.validateAdvancedPatterns();
+    }
+
     getOrCreateValidationContainer() {
         let container = document.getElementById('advancedValidation');
         if (!container) {
@@ -576,9 +593,11 @@ class PatternWizard {
             `;
             container.style.display = 'block';
         } else {
+            const fixable = Object.values(this.advancedSchemaErrors || {}).some(list => list.some(error => error.fix));
             container.innerHTML = `
                 <h4>Pattern Validation Errors:</h4>
-                ${errors.map(error => `<div class="validation-error"><i class="fas fa-exclamation-triangle"></i> ${error}</div>`).join('')}
+                ${errors.map(error => `<div class="validation-error"><i class="fas fa-exclamation-triangle"></i> ${escapeHtml(error)}</div>`).join('')}
+                ${fixable ? '<button class="btn btn-sm" onclick="wizard.fixAdvancedPatterns()">Apply Automatic Fixes</button>' : ''}
                 <div class="validation-help">
                     <i class="fas fa-info-circle"></i>
                     Please fix these issues before proceeding. Switch between events using the dropdown above to edit each pattern.
@@ -604,6 +623,9 @@ class PatternWizard {
             this.selectedEvents = [];
             this.eventPatterns = {};
             this.eventSettings = {};
+            this.advancedPatterns = {};
+            this.sourceEvents = {};
+            this.shipStates = {};
             this.renderStep1();
         }
 
@@ -706,46 +728,19 @@ class PatternWizard {
         this.loadedPatternFile = patternData;
         this.originalFileName = fileName;
 
-        // Get the first ship from the pattern (assuming single ship for wizard)
         const shipKeys = Object.keys(patternData.ships || {});
         if (shipKeys.length === 0) {
             this.showError('No ship data found in pattern file');
             return;
         }
 
-        // Show notice for multi-ship patterns
-        if (shipKeys.length > 1) {
-            this.showSuccess(`Multi-ship pattern loaded. Editing first ship: ${this.formatShipName(shipKeys[0])}. Other ships: ${shipKeys.slice(1).map(s => this.formatShipName(s)).join(', ')}`);
-        }
-
-        const firstShipKey = shipKeys[0];
-        const shipData = patternData.ships[firstShipKey];
-
-        // Set selected ship
-        this.selectedShip = firstShipKey;
-
-        // Set selected events and patterns
-        this.selectedEvents = Object.keys(shipData.events || {});
-        this.eventPatterns = {};
-        this.eventSettings = {};
-
-        Object.entries(shipData.events || {}).forEach(([eventType, eventData]) => {
-            this.eventPatterns[eventType] = eventData.pattern;
-            this.eventSettings[eventType] = {
-                frequency: eventData.frequency || 40,
-                intensity: eventData.intensity || 70,
-                duration: eventData.duration || 500,
-                fadeIn: eventData.fadeIn || 0,
-                fadeOut: eventData.fadeOut || 0
-            };
-        });
-
-        // Add missing eventDefinitions for loaded events to prevent undefined access in later steps
-        this.selectedEvents.forEach(eventType => {
-            if (!this.eventDefinitions[eventType]) {
-                this.eventDefinitions[eventType] = this.createEventDefinition(eventType);
-            }
+        // Every ship in the pack is editable; start on the first one
+        this.closeTimelineEditor();
+        this.shipStates = {};
+        shipKeys.forEach(shipKey => {
+            this.shipStates[shipKey] = this.createShipState(shipKey, patternData.ships[shipKey]);
         });
+        this.restoreShipState(shipKeys[0]);
 
         // Pre-populate save form with existing metadata
         if (patternData.metadata) {
@@ -813,11 +808,276 @@ class PatternWizard {
     }
 
     selectShip(shipType) {
-        this.selectedShip = shipType;
+        // Once the pack has several ships, picking one switches to it; before that it just sets the pack's ship
+        if (Object.keys(this.shipStates).length > 1) {
+            this.switchShip(shipType);
+        } else {
+            this.shipStates = {};
+            this.selectedShip = shipType;
+        }
         this.renderStep1();
         this.updateStep1NextButton();
     }
 
+    // Multi-ship packs
+    createShipState(shipKey, shipData = {}) {
+        const { events = {}, ...info } = shipData;
+        const state = {
+            info: {
+                displayName: this.formatShipName(shipKey),
+                class: this.determineShipClass(shipKey),
+                role: this.determineShipRole(shipKey),
+                ...info
+            },
+            selectedEvents: Object.keys(events),
+            eventPatterns: {},
+            eventSettings: {},
+            advancedPatterns: {},
+            // Events as written in the file; saving writes over these so unedited fields survive
+            sourceEvents: JSON.parse(JSON.stringify(events))
+        };
+
+        Object.entries(events).forEach(([eventType, eventData]) => {
+            state.eventPatterns[eventType] = eventData.pattern;
+            state.eventSettings[eventType] = {
+                frequency: eventData.frequency ?? 40,
+                intensity: eventData.intensity ?? 70,
+                duration: eventData.duration ?? 500,
+                fadeIn: eventData.fadeIn ?? 0,
+                fadeOut: eventData.fadeOut ?? 0
+            };
+        });
+
+        return state;
+    }
+
+    cloneEventState(source) {
+        return JSON.parse(JSON.stringify({
+            selectedEvents: source.selectedEvents,
+            eventPatterns: source.eventPatterns,
+            eventSettings: source.eventSettings,
+            advancedPatterns: source.advancedPatterns,
+            sourceEvents: source.sourceEvents || {}
+        }));
+    }
+
+    // Write the working copy back to the selected ship's entry
+    stashShipState() {
+        if (!this.selectedShip) return;
+
+        this.captureTimelinePattern();
+
+        const existing = this.shipStates[this.selectedShip];
+        this.shipStates[this.selectedShip] = {
+            info: existing ? existing.info : this.createShipState(this.selectedShip).info,
+            ...this.cloneEventState(this)
+        };
+    }
+
+    restoreShipState(shipKey) {
+        Object.assign(this, this.cloneEventState(this.shipStates[shipKey]));
+        this.selectedShip = shipKey;
+
+        // Loaded events may not be in the built-in list; later steps need a definition for each
+        this.selectedEvents.forEach(eventType => {
+            if (!this.eventDefinitions[eventType]) {
+                this.eventDefinitions[eventType] = this.createEventDefinition(eventType);
+            }
+        });
+    }
+
+    closeTimelineEditor() {
+        if (this.currentTimelineEditor) {
+            this.currentTimelineEditor.destroy();
+            this.currentTimelineEditor = null;
+        }
+        this.currentTimelineEvent = null;
+    }
+
+    switchShip(shipKey) {
+        if (shipKey === this.selectedShip) return;
+
+        this.stashShipState();
+        if (!this.shipStates[shipKey]) {
+            this.shipStates[shipKey] = this.createShipState(shipKey);
+        }
+
+        // The open timeline belongs to the ship being left
+        this.closeTimelineEditor();
+        this.restoreShipState(shipKey);
+
+        // A ship without events has nothing to show past event selection
+        if (this.currentStep > 2 && this.selectedEvents.length === 0) {
+            this.currentStep = 2;
+            this.updateProgress();
+        }
+        this.showStep(this.currentStep);
+    }
+
+    addShip(shipKey) {
+        if (!shipKey || this.shipStates[shipKey]) return;
+
+        this.stashShipState();
+        this.shipStates[shipKey] = this.createShipState(shipKey);
+        this.switchShip(shipKey);
+    }
+
+    removeShip(shipKey) {
+        const ships = Object.keys(this.shipStates);
+        if (ships.length < 2 || !this.shipStates[shipKey]) return;
+
+        const eventCount = this.getShipEventCount(shipKey);
+        if (!confirm(`Remove ${this.formatShipName(shipKey)} and its ${eventCount} events from this pack?`)) return;
+
+        if (shipKey === this.selectedShip) {
+            this.switchShip(ships.find(ship => ship !== shipKey));
+        }
+        delete this.shipStates[shipKey];
+        this.renderPackShips();
+    }
+
+    getShipEventCount(shipKey) {
+        if (shipKey === this.selectedShip) return this.selectedEvents.length;
+        return this.shipStates[shipKey]?.selectedEvents.length || 0;
+    }
+
+    toggleCopyPanel() {
+        this.copyPanelOpen = !this.copyPanelOpen;
+        this.renderPackShips();
+    }
+
+    // Copy the selected ship's events onto other ships, replacing events they share and keeping the rest
+    copyEventsToShips() {
+        const targets = [...document.querySelectorAll('#shipCopyTargets input:checked')].map(input => input.value);
+        if (targets.length === 0) {
+            this.showError('Choose at least one ship to copy the events to');
+            return;
+        }
+
+        this.stashShipState();
+        const source = this.cloneEventState(this.shipStates[this.selectedShip]);
+
+        targets.forEach(shipKey => {
+            const target = this.shipStates[shipKey];
+            source.selectedEvents.forEach(eventType => {
+                if (!target.selectedEvents.includes(eventType)) {
+                    target.selectedEvents.push(eventType);
+                }
+                target.eventPatterns[eventType] = source.eventPatterns[eventType];
+                if (source.eventSettings[eventType]) {
+                    target.eventSettings[eventType] = { ...source.eventSettings[eventType] };
+                }
+                if (source.advancedPatterns[eventType]) {
+                    target.advancedPatterns[eventType] = JSON.parse(JSON.stringify(source.advancedPatterns[eventType]));
+                } else {
+                    delete target.advancedPatterns[eventType];
+                }
+                if (source.sourceEvents[eventType]) {
+                    target.sourceEvents[eventType] = JSON.parse(JSON.stringify(source.sourceEvents[eventType]));
+                } else {
+                    delete target.sourceEvents[eventType];
+                }
+            });
+        });
+
+        this.copyPanelOpen = false;
+        this.showSuccess(`Copied ${source.selectedEvents.length} events to ${targets.map(ship => this.formatShipName(ship)).join(', ')}`);
+        this.renderPackShips();
+    }
+
+    renderPackShips() {
+        const container = document.getElementById('packShips');
+        if (!container) return;
+
+        if (this.selectedShip && !this.shipStates[this.selectedShip]) {
+            this.stashShipState();
+        }
+
+        const ships = Object.keys(this.shipStates);
+        if (this.currentStep === 1 || ships.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const available = this.shipTypes.filter(shipType => !this.shipStates[shipType]);
+        const others = ships.filter(ship => ship !== this.selectedShip);
+
+        container.style.display = 'block';
+        container.innerHTML = `
+            <div class="pack-ships-header">
+                <span class="pack-ships-label">Ships in this pack</span>
+                <div class="pack-ships-actions">
+                    <select id="addShipSelect" aria-label="Ship to add">
+                        <option value="">Add a ship...</option>
+                        ${available.map(shipType => `<option value="${shipType}">${this.formatShipName(shipType)}</option>`).join('')}
+                    </select>
+                    <button class="btn btn-sm" onclick="wizard.addShip(document.getElementById('addShipSelect').value)">Add</button>
+                    <button class="btn btn-sm btn-secondary" onclick="wizard.toggleCopyPanel()" ${others.length === 0 ? 'disabled' : ''}>Copy events to...</button>
+                </div>
+            </div>
+            <div class="pack-ship-list">
+                ${ships.map(ship => `
+                    <div class="pack-ship ${ship === this.selectedShip ? 'selected' : ''}" onclick="wizard.switchShip('${ship}')">
+                        <span class="pack-ship-name">${this.formatShipName(ship)}</span>
+                        <span class="pack-ship-count">${this.getShipEventCount(ship)} events</span>
+                        ${ships.length > 1 ? `<button class="pack-ship-remove" title="Remove from pack" onclick="event.stopPropagation(); wizard.removeShip('${ship}')">&times;</button>` : ''}
+                    </div>
+                `).join('')}
+            </div>
+            ${this.copyPanelOpen && others.length > 0 ? `
+                <div class="ship-copy-panel">
+                    <div>Copy the ${this.selectedEvents.length} events of <strong>${this.formatShipName(this.selectedShip)}</strong> to:</div>
+                    <div class="ship-copy-targets" id="shipCopyTargets">
+                        ${others.map(ship => `
+                            <label><input type="checkbox" value="${ship}"> ${this.formatShipName(ship)}</label>
+                        `).join('')}
+                    </div>
+                    <button class="btn btn-sm" onclick="wizard.copyEventsToShips()">Copy Events</button>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    // Build every ship's events, resolving each the same way the selected ship's are
+    buildShipsData() {
+        this.stashShipState();
+        const currentShip = this.selectedShip;
+        const timelineEvent = this.currentTimelineEvent;
+        // The stash already captured the open timeline, so resolve from advancedPatterns only
+        this.currentTimelineEvent = null;
+
+        const ships = {};
+        try {
+            Object.keys(this.shipStates).forEach(shipKey => {
+                this.restoreShipState(shipKey);
+                const events = {};
+                this.selectedEvents.forEach(eventType => {
+                    events[eventType] = this.resolvePackEvent(eventType);
+                });
+                ships[shipKey] = { ...this.shipStates[shipKey].info, events };
+            });
+        } finally {
+            this.restoreShipState(currentShip);
+            this.currentTimelineEvent = timelineEvent;
+        }
+
+        return ships;
+    }
+
+    // Pack-file form of an event, written over the loaded entry when there is one
+    resolvePackEvent(eventType) {
+        const source = this.sourceEvents[eventType];
+        const pattern = this.resolveEventPattern(eventType);
+        if (!source) {
+            pattern.Name = eventType;
+        }
+        return PatternPack.toPackEvent(pattern, source);
+    }
+
+    describePackShips() {
+        return Object.keys(this.shipStates).map(ship => this.formatShipName(ship)).join(', ');
+    }
+
     filterShips(searchTerm) {
         const cards = document.querySelectorAll('.ship-card');
         cards.forEach(card => {
@@ -933,6 +1193,11 @@ class PatternWizard {
             `;
         }).join('');
 
+        container.querySelectorAll('.pattern-thumbnail').forEach(canvas => {
+            const template = this.templates.find(t => t.pattern === canvas.dataset.template);
+            if (template) PatternSynth.drawThumbnail(canvas, template.defaultSettings);
+        });
+
         this.updateStep3NextButton();
     }
 
@@ -942,6 +1207,7 @@ class PatternWizard {
                  onclick="wizard.selectPattern('${eventType}', '${template.pattern}')">
                 <div class="template-name">${template.name}</div>
                 <div class="template-description">${template.description}</div>
+                <canvas class="pattern-thumbnail" width="180" height="40" data-template="${template.pattern}"></canvas>
                 <button class="template-test" onclick="event.stopPropagation(); wizard.testTemplate('${template.pattern}')">
                     ▶️ Try This
                 </button>
@@ -1008,12 +1274,22 @@ class PatternWizard {
                             🎧 Test Pattern
                         </button>
                     </div>
+                    <canvas class="pattern-thumbnail" id="${eventType}_preview" width="600" height="40"></canvas>
                     <div class="tuning-controls">
                         ${this.renderTuningControls(eventType, settings)}
                     </div>
                 </div>
             `;
         }).join('');
+
+        this.selectedEvents.forEach(eventType => this.drawEventPreview(eventType));
+    }
+
+    drawEventPreview(eventType) {
+        const canvas = document.getElementById(`${eventType}_preview`);
+        if (canvas) {
+            PatternSynth.drawThumbnail(canvas, this.resolveEventPattern(eventType));
+        }
     }
 
     renderTuningControls(eventType, settings) {
@@ -1070,16 +1346,23 @@ class PatternWizard {
             const unit = setting === 'intensity' ? '%' : setting === 'frequency' ? 'Hz' : 'ms';
             displayElement.textContent = `${numValue}${unit}`;
         }
+
+        this.drawEventPreview(eventType);
     }
 
     async testEventPattern(eventType) {
         try {
             const pattern = this.resolveEventPattern(eventType);
 
+            // Let the open timeline's mute/solo/hide state decide which layers are heard
+            const request = this.advancedMode && this.currentTimelineEditor && this.currentTimelineEvent === eventType
+                ? { pattern: pattern, layers: this.currentTimelineEditor.getAudibleLayerIndexes() }
+                : { pattern: pattern };
+
             const response = await fetch('/api/PatternEditor/test', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ pattern: pattern })
+                body: JSON.stringify(request)
             });
 
             if (response.ok) {
@@ -1097,8 +1380,8 @@ class PatternWizard {
     resolveEventPattern(eventType) {
         if (this.advancedMode) {
             // Save current timeline editor pattern if it matches this event
-            if (this.currentTimelineEditor && this.currentTimelineEvent === eventType) {
-                this.advancedPatterns[eventType] = this.currentTimelineEditor.getHapticPattern();
+            if (this.currentTimelineEvent === eventType) {
+                this.captureTimelinePattern();
             }
 
             // Return advanced pattern if available
@@ -1171,8 +1454,11 @@ class PatternWizard {
         const editorContainer = document.getElementById('currentTimelineEditor');
 
         // Save current pattern if switching events
-        if (this.currentTimelineEditor && this.currentTimelineEvent) {
-            this.advancedPatterns[this.currentTimelineEvent] = this.currentTimelineEditor.getHapticPattern();
+        this.captureTimelinePattern();
+
+        // Release the previous editor's listeners and audio before replacing it
+        if (this.currentTimelineEditor) {
+            this.currentTimelineEditor.destroy();
         }
 
         // Create new editor for the event
@@ -1188,12 +1474,15 @@ class PatternWizard {
         }
 
         this.currentTimelineEditor.setHapticPattern(pattern);
+        this.currentTimelineEditor.setChainSources(this.getChainSources(eventType));
+        this.timelineBaseline = JSON.stringify(this.currentTimelineEditor.getHapticPattern());
 
         // Set up callbacks
         this.currentTimelineEditor.on('onPatternChanged', () => {
-            this.advancedPatterns[eventType] = this.currentTimelineEditor.getHapticPattern();
+            this.captureTimelinePattern();
             this.markPatternAsModified();
         });
+        this.currentTimelineEditor.on('onPlaybackError', (message) => this.showError(message));
 
         this.currentTimelineEvent = eventType;
 
@@ -1203,6 +1492,30 @@ class PatternWizard {
         }
     }
 
+    // The pack's other events, which the sequencer finds by event name or pattern name
+    getChainSources(eventType) {
+        const sources = {};
+        this.selectedEvents
+            .filter(event => event !== eventType)
+            .forEach(event => {
+                const pattern = this.advancedPatterns[event] || this.buildHapticPattern(event);
+                sources[event] = pattern;
+                if (pattern.Name && !sources[pattern.Name]) sources[pattern.Name] = pattern;
+            });
+        return sources;
+    }
+
+    // An event is only rewritten from the timeline once it has been edited there,
+    // so opening a loaded pack in advanced mode doesn't reformat events nobody touched
+    captureTimelinePattern() {
+        if (!this.currentTimelineEditor || !this.currentTimelineEvent) return;
+
+        const pattern = this.currentTimelineEditor.getHapticPattern();
+        if (JSON.stringify(pattern) !== this.timelineBaseline) {
+            this.advancedPatterns[this.currentTimelineEvent] = pattern;
+        }
+    }
+
     switchTimelineEvent(eventType) {
         this.initializeTimelineForEvent(eventType);
 
@@ -1222,8 +1535,8 @@ class PatternWizard {
     getPatternFromEditor(eventType) {
         if (this.advancedMode) {
             // Save current timeline editor pattern if it matches the requested event
-            if (this.currentTimelineEditor && this.currentTimelineEvent === eventType) {
-                this.advancedPatterns[eventType] = this.currentTimelineEditor.getHapticPattern();
+            if (this.currentTimelineEvent === eventType) {
+                this.captureTimelinePattern();
             }
 
             // Return advanced pattern if available
@@ -1278,9 +1591,24 @@ class PatternWizard {
     buildHapticPattern(eventType) {
         const settings = this.eventSettings?.[eventType] || this.getDefaultSettingsForEvent(eventType);
 
+        // Loaded events keep their layers, curves and other fields; the basic settings only tune them
+        const source = this.sourceEvents?.[eventType];
+        if (source) {
+            return {
+                ...PatternPack.toHapticPattern(source),
+                Pattern: this.eventPatterns[eventType] ?? source.pattern,
+                Frequency: settings.frequency,
+                Intensity: settings.intensity,
+                Duration: settings.duration,
+                FadeIn: settings.fadeIn,
+                FadeOut: settings.fadeOut
+            };
+        }
+
         // Build basic pattern structure
         const pattern = {
             Name: `${eventType} Pattern`,
+            Pattern: this.eventPatterns[eventType],
             Duration: settings.duration || 500,
             Frequency: settings.frequency || 40,
             Intensity: settings.intensity || 70,
@@ -1334,103 +1662,93 @@ class PatternWizard {
 
     renderSummary() {
         const container = document.getElementById('patternSummary');
-        const eventCount = this.selectedEvents.length;
-        const shipName = this.formatShipName(this.selectedShip);
-        
+        this.stashShipState();
+        const ships = Object.keys(this.shipStates);
+        const eventCount = ships.reduce((total, ship) => total + this.getShipEventCount(ship), 0);
+
         container.innerHTML = `
             <div class="summary-title">Pattern Pack Summary</div>
             <div class="summary-item">
-                <span>Ship:</span>
-                <span>${shipName}</span>
+                <span>${ships.length > 1 ? 'Ships:' : 'Ship:'}</span>
+                <span>${this.describePackShips()}</span>
             </div>
             <div class="summary-item">
                 <span>Events:</span>
                 <span>${eventCount} custom patterns</span>
             </div>
-            <div class="summary-item">
-                <span>Selected Events:</span>
-                <span>${this.selectedEvents.map(e => this.eventDefinitions[e].title).join(', ')}</span>
-            </div>
+            ${ships.map(ship => `
+                <div class="summary-item">
+                    <span>${this.formatShipName(ship)}:</span>
+                    <span>${this.shipStates[ship].selectedEvents.map(e => this.eventDefinitions[e]?.title || e).join(', ') || 'No events'}</span>
+                </div>
+            `).join('')}
         `;
     }
 
-    async saveWizardPattern() {
-        if (!this.validateCurrentStep()) return;
+    // The pack as it will be written: the loaded file (if any) with fresh metadata and every ship
+    buildPackData() {
+        const packName = document.getElementById('finalPackName').value.trim();
+        const author = document.getElementById('finalAuthor').value.trim();
+        const description = document.getElementById('finalDescription').value.trim();
 
-        try {
-            const packName = document.getElementById('finalPackName').value.trim();
-            const author = document.getElementById('finalAuthor').value.trim();
-            const description = document.getElementById('finalDescription').value.trim();
+        const ships = this.buildShipsData();
+        let patternData;
 
-            let patternData;
+        if (this.isEditMode && this.loadedPatternFile) {
+            // Update existing pattern data
+            patternData = { ...this.loadedPatternFile };
 
-            if (this.isEditMode && this.loadedPatternFile) {
-                // Update existing pattern data
-                patternData = { ...this.loadedPatternFile };
+            // Update metadata
+            patternData.metadata = {
+                ...patternData.metadata,
+                name: packName,
+                author: author,
+                description: description || patternData.metadata?.description || `Custom haptic patterns for ${this.describePackShips()}`,
+                lastModified: new Date().toISOString()
+                // Preserve original created date and version
+            };
+
+            // Ships removed in the wizard are dropped from the file
+            patternData.ships = ships;
 
-                // Update metadata
-                patternData.metadata = {
-                    ...patternData.metadata,
+        } else {
+            // Build new pattern data
+            patternData = {
+                metadata: {
                     name: packName,
                     author: author,
-                    description: description || patternData.metadata?.description || `Custom haptic patterns for ${this.formatShipName(this.selectedShip)}`,
+                    description: description || `Custom haptic patterns for ${this.describePackShips()}`,
+                    version: '1.0.0',
+                    tags: ['custom', 'wizard-generated'],
+                    created: new Date().toISOString(),
                     lastModified: new Date().toISOString()
-                    // Preserve original created date and version
-                };
+                },
+                ships
+            };
+        }
 
-                // Update ship events
-                const shipKey = this.selectedShip;
-                if (!patternData.ships[shipKey]) {
-                    patternData.ships[shipKey] = {
-                        displayName: this.formatShipName(shipKey),
-                        class: this.determineShipClass(shipKey),
-                        role: this.determineShipRole(shipKey),
-                        events: {}
-                    };
-                }
+        return patternData;
+    }
 
-                // Clear existing events and add updated ones
-                patternData.ships[shipKey].events = {};
-                this.selectedEvents.forEach(eventType => {
-                    const resolvedPattern = this.resolveEventPattern(eventType);
-                    resolvedPattern.Name = eventType; // Set proper HapticPattern.Name casing
-                    patternData.ships[shipKey].events[eventType] = {
-                        ...resolvedPattern,
-                        pattern: this.eventPatterns[eventType]
-                    };
-                });
+    async saveWizardPattern() {
+        if (!this.validateCurrentStep()) return;
 
-            } else {
-                // Build new pattern data
-                patternData = {
-                    metadata: {
-                        name: packName,
-                        author: author,
-                        description: description || `Custom haptic patterns for ${this.formatShipName(this.selectedShip)}`,
-                        version: '1.0.0',
-                        tags: ['custom', 'wizard-generated'],
-                        created: new Date().toISOString(),
-                        lastModified: new Date().toISOString()
-                    },
-                    ships: {
-                        [this.selectedShip]: {
-                            displayName: this.formatShipName(this.selectedShip),
-                            class: this.determineShipClass(this.selectedShip),
-                            role: this.determineShipRole(this.selectedShip),
-                            events: {}
-                        }
-                    }
-                };
+        try {
+            const packName = document.getElementById('finalPackName').value.trim();
+            const patternData = this.buildPackData();
 
-                // Add event patterns
-                this.selectedEvents.forEach(eventType => {
-                    const resolvedPattern = this.resolveEventPattern(eventType);
-                    resolvedPattern.Name = eventType; // Set proper HapticPattern.Name casing
-                    patternData.ships[this.selectedShip].events[eventType] = {
-                        ...resolvedPattern,
-                        pattern: this.eventPatterns[eventType]
-                    };
-                });
+            // Check the whole pack against patterns/schema.json before writing it; the server rejects it otherwise
+            if (!(await this.checkPackSchema(patternData))) {
+                return;
+            }
+
+            // Show what would change in the loaded file before overwriting it
+            if (this.isEditMode && this.loadedPatternFile) {
+                const changes = PatternPack.diff(this.loadedPatternFile, patternData)
+                    .filter(change => change.path !== 'metadata.lastModified');
+                if (changes.length > 0 && !(await this.confirmPackChanges(changes))) {
+                    return;
+                }
             }
 
             // Save pattern
@@ -1460,6 +1778,92 @@ class PatternWizard {
         }
     }
 
+    // Show schema errors for the pack on step 5; returns true when there are none
+    async checkPackSchema(patternData = this.buildPackData()) {
+        const container = document.getElementById('packSchemaErrors');
+        const schema = this.packSchema || await PatternSchema.load().catch(error => {
+            console.error('Failed to load pattern schema:', error);
+            return null;
+        });
+
+        // Without the schema there is nothing to check against; the server still accepts the pack
+        const errors = schema ? PatternSchema.validate(schema, patternData) : [];
+        this.packSchemaErrors = errors.length > 0 ? { data: patternData, errors } : null;
+
+        if (errors.length === 0) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return true;
+        }
+
+        const fixable = errors.some(error => error.fix);
+        container.innerHTML = `
+            <h4><i class="fas fa-exclamation-triangle"></i> ${errors.length} ${errors.length === 1 ? 'field does' : 'fields do'} not match the pattern file schema</h4>
+            ${PatternSchema.renderErrors(errors)}
+            ${fixable ? `
+                <div class="schema-actions">
+                    <button class="btn btn-sm" onclick="wizard.fixPackSchemaErrors()">Apply Automatic Fixes</button>
+                </div>
+            ` : ''}
+        `;
+        container.style.display = 'block';
+        return false;
+    }
+
+    // Fix what can be fixed and load the fixed ships back into the wizard
+    async fixPackSchemaErrors() {
+        if (!this.packSchemaErrors) return;
+
+        const { data, fixed } = PatternSchema.applyFixes(this.packSchemaErrors.data, this.packSchemaErrors.errors);
+        const currentShip = this.selectedShip;
+
+        this.closeTimelineEditor();
+        this.shipStates = {};
+        Object.entries(data.ships || {}).forEach(([shipKey, ship]) => {
+            this.shipStates[shipKey] = this.createShipState(shipKey, ship);
+        });
+        this.restoreShipState(this.shipStates[currentShip] ? currentShip : Object.keys(this.shipStates)[0]);
+
+        this.showSuccess(`Applied ${fixed} automatic ${fixed === 1 ? 'fix' : 'fixes'}`);
+        this.renderSummary();
+        this.renderPackShips();
+        await this.checkPackSchema();
+    }
+
+    // List what saving would change and wait for the user to confirm or cancel
+    confirmPackChanges(changes) {
+        const noun = changes.length === 1 ? 'value' : 'values';
+        document.getElementById('packDiffSummary').textContent =
+            `Saving will change ${changes.length} ${noun} in ${this.originalFileName || 'this pattern file'}:`;
+        document.getElementById('packDiffList').innerHTML = changes.map(change => `
+            <div class="pack-diff-item ${change.change}">
+                <span class="pack-diff-path">${escapeHtml(change.path)}</span>
+                <span class="pack-diff-values">
+                    ${change.change === 'added' ? '' : `<span class="pack-diff-before">${escapeHtml(this.formatDiffValue(change.before))}</span>`}
+                    ${change.change === 'changed' ? '&rarr;' : ''}
+                    ${change.change === 'removed' ? '' : `<span class="pack-diff-after">${escapeHtml(this.formatDiffValue(change.after))}</span>`}
+                </span>
+            </div>
+        `).join('');
+        document.getElementById('packDiffModal').style.display = 'block';
+
+        return new Promise(resolve => {
+            this.packDiffResolve = resolve;
+        });
+    }
+
+    resolvePackDiff(confirmed) {
+        document.getElementById('packDiffModal').style.display = 'none';
+        const resolve = this.packDiffResolve;
+        this.packDiffResolve = null;
+        if (resolve) resolve(confirmed);
+    }
+
+    formatDiffValue(value) {
+        const text = JSON.stringify(value);
+        return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+    }
+
     showSuccessScreen() {
         document.querySelectorAll('.wizard-step').forEach(step => {
             step.classList.remove('active');
@@ -1476,10 +1880,15 @@ class PatternWizard {
     startOver() {
         // Reset wizard state
         this.currentStep = 1;
+        this.closeTimelineEditor();
         this.selectedShip = null;
         this.selectedEvents = [];
         this.eventPatterns = {};
         this.eventSettings = {};
+        this.advancedPatterns = {};
+        this.sourceEvents = {};
+        this.shipStates = {};
+        this.copyPanelOpen = false;
 
         // Reset edit mode state
         this.isEditMode = false;
@@ -1542,7 +1951,7 @@ class PatternWizard {
         const shipLower = shipType.toLowerCase();
         if (combatShips.includes(shipLower)) return 'combat';
         if (explorerShips.includes(shipLower)) return 'exploration';
-        if (traderShips.includes(shipLower)) return 'trading';
+        if (traderShips.includes(shipLower)) return 'transport';
         return 'multipurpose';
     }
 
@@ -0,0 +1,389 @@
+// Library tab: every event pattern in every loaded pack, searchable and filterable.
+// Packs come from /api/PatternFiles/packs with their events as HapticPatterns, which are
+// previewed with PatternSynth and played through /api/PatternEditor/test. Copies and
+// deletes edit the pack file as written (via /api/PatternEditor/load and /save) so fields
+// the models don't know about survive.
+class PatternLibrary {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.notify = options.notify || (() => {});
+        this.packs = [];
+        this.entries = [];
+        this.filters = { search: '', tag: '', shipClass: '', eventType: '', author: '' };
+        this.myPack = localStorage.getItem('patternLibraryMyPack') || '';
+        this.renderLimit = 150; // event rows drawn at once; thumbnails are synthesized per row
+        this.loaded = false;
+
+        this.elements = {
+            search: container.querySelector('#librarySearch'),
+            tag: container.querySelector('#libraryTag'),
+            shipClass: container.querySelector('#libraryShipClass'),
+            eventType: container.querySelector('#libraryEventType'),
+            author: container.querySelector('#libraryAuthor'),
+            myPack: container.querySelector('#libraryMyPack'),
+            summary: container.querySelector('#librarySummary'),
+            results: container.querySelector('#libraryResults')
+        };
+
+        this.elements.search.addEventListener('input', () => {
+            this.filters.search = this.elements.search.value;
+            this.render();
+        });
+        ['tag', 'shipClass', 'eventType', 'author'].forEach(key => {
+            this.elements[key].addEventListener('change', () => {
+                this.filters[key] = this.elements[key].value;
+                this.render();
+            });
+        });
+        this.elements.myPack.addEventListener('change', () => {
+            this.myPack = this.elements.myPack.value;
+            localStorage.setItem('patternLibraryMyPack', this.myPack);
+        });
+        this.elements.results.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (button) this.handleAction(button.dataset.action, Number(button.dataset.entry));
+        });
+    }
+
+    async load() {
+        try {
+            const response = await fetch('/api/PatternFiles/packs');
+            if (!response.ok) throw new Error(`Failed to load pattern packs (${response.status})`);
+
+            const data = await response.json();
+            this.packs = data.Packs || [];
+            this.entries = this.packs.flatMap(pack => (pack.Ships || []).flatMap(ship =>
+                Object.entries(ship.Events || {}).map(([eventType, pattern]) => ({
+                    pack,
+                    ship,
+                    eventType,
+                    pattern,
+                    searchText: [
+                        pack.Name, pack.Author, pack.Description, ...(pack.Tags || []),
+                        ship.ShipType, ship.DisplayName, ship.Class, ship.Role,
+                        eventType, pattern.Name, pattern.Pattern
+                    ].filter(Boolean).join(' ').toLowerCase()
+                }))));
+            this.loaded = true;
+
+            this.renderFilterOptions(data.Stats || {});
+            this.render();
+        } catch (error) {
+            console.error('Error loading pattern library:', error);
+            this.elements.summary.textContent = '';
+            this.elements.results.innerHTML = `<div class="loading">${this.escape(error.message)}</div>`;
+        }
+    }
+
+    renderFilterOptions(stats) {
+        const unique = values => [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+        this.fillSelect('tag', 'All tags', stats.Tags || unique(this.packs.flatMap(pack => pack.Tags || [])));
+        this.fillSelect('shipClass', 'All ship classes', unique(this.entries.map(entry => entry.ship.Class)));
+        this.fillSelect('eventType', 'All events', unique(this.entries.map(entry => entry.eventType)));
+        this.fillSelect('author', 'All authors', unique(stats.Authors || this.packs.map(pack => pack.Author)));
+
+        // Copies go into one of the user's own packs, or a new one; saving only writes directly under Custom/
+        const customPacks = this.packs.filter(pack =>
+            pack.IsCustom && this.normalizePath(pack.FilePath).split('/').length === 2);
+        if (this.myPack && !customPacks.some(pack => this.normalizePath(pack.FilePath) === this.myPack)) {
+            this.myPack = '';
+        }
+        this.elements.myPack.innerHTML = [
+            '<option value="">New pack…</option>',
+            ...customPacks.map(pack => `<option value="${this.escape(this.normalizePath(pack.FilePath))}">${this.escape(pack.Name)}</option>`)
+        ].join('');
+        this.elements.myPack.value = this.myPack;
+    }
+
+    // Keeps the current choice when it is still available
+    fillSelect(key, allLabel, values) {
+        const select = this.elements[key];
+        select.innerHTML = [
+            `<option value="">${allLabel}</option>`,
+            ...values.map(value => `<option value="${this.escape(value)}">${this.escape(value)}</option>`)
+        ].join('');
+        select.value = values.includes(this.filters[key]) ? this.filters[key] : '';
+        this.filters[key] = select.value;
+    }
+
+    getMatchingEntries() {
+        const words = this.filters.search.toLowerCase().split(/\s+/).filter(Boolean);
+        const { tag, shipClass, eventType, author } = this.filters;
+
+        return this.entries.filter(entry =>
+            words.every(word => entry.searchText.includes(word)) &&
+            (!tag || (entry.pack.Tags || []).includes(tag)) &&
+            (!shipClass || entry.ship.Class === shipClass) &&
+            (!eventType || entry.eventType === eventType) &&
+            (!author || entry.pack.Author === author));
+    }
+
+    render() {
+        if (!this.loaded) return;
+
+        const matches = this.getMatchingEntries();
+        const shown = matches.slice(0, this.renderLimit);
+        const packCount = new Set(matches.map(entry => entry.pack)).size;
+
+        const counts = `${matches.length} ${matches.length === 1 ? 'pattern' : 'patterns'} in ${packCount} ${packCount === 1 ? 'pack' : 'packs'}`;
+        this.elements.summary.textContent = matches.length === shown.length
+            ? counts
+            : `Showing ${shown.length} of ${counts}; refine the search to see the rest`;
+
+        if (shown.length === 0) {
+            this.elements.results.innerHTML = `<div class="loading">${this.entries.length === 0
+                ? 'No pattern packs are loaded'
+                : 'No patterns match the current search and filters'}</div>`;
+            return;
+        }
+
+        // One card per pack, listing its matching events
+        const groups = new Map();
+        shown.forEach(entry => {
+            if (!groups.has(entry.pack)) groups.set(entry.pack, []);
+            groups.get(entry.pack).push(entry);
+        });
+
+        this.elements.results.innerHTML = [...groups.entries()].map(([pack, entries]) => `
+            <div class="library-pack">
+                <div class="library-pack-header">
+                    <div>
+                        <div class="pattern-name">${this.escape(pack.Name)}
+                            <span class="library-pack-version">v${this.escape(pack.Version)}</span>
+                            ${pack.IsCustom ? '<span class="library-badge">My pack</span>' : ''}
+                        </div>
+                        <div class="library-pack-meta">by ${this.escape(pack.Author || 'Unknown')} · ${this.escape(this.normalizePath(pack.FilePath))}</div>
+                    </div>
+                    <div class="library-tags">
+                        ${(pack.Tags || []).map(tag => `<span class="library-tag">${this.escape(tag)}</span>`).join('')}
+                    </div>
+                </div>
+                ${pack.Description ? `<div class="library-pack-description">${this.escape(pack.Description)}</div>` : ''}
+                <div class="library-events">
+                    ${entries.map(entry => this.renderEntry(entry)).join('')}
+                </div>
+            </div>
+        `).join('');
+
+        this.elements.results.querySelectorAll('canvas[data-entry]').forEach(canvas => {
+            const entry = this.entries[Number(canvas.dataset.entry)];
+            PatternSynth.drawThumbnail(canvas, entry.pattern, { color: '#ff6b35' });
+        });
+    }
+
+    renderEntry(entry) {
+        const index = this.entries.indexOf(entry);
+        const { pattern } = entry;
+
+        return `
+            <div class="library-event">
+                <canvas class="library-thumbnail" width="240" height="40" data-entry="${index}"></canvas>
+                <div class="library-event-info">
+                    <div class="library-event-name">${this.escape(entry.eventType)}</div>
+                    <div class="library-event-meta">
+                        ${this.escape(entry.ship.DisplayName)} (${this.escape(entry.ship.Class)}) ·
+                        ${this.escape(pattern.Name || pattern.Pattern)} · ${pattern.Frequency} Hz · ${pattern.Duration} ms
+                    </div>
+                </div>
+                <div class="pattern-actions">
+                    <button class="btn btn-sm" data-action="test" data-entry="${index}" title="Play on the Buttkicker">
+                        <i class="fas fa-play"></i>
+                    </button>
+                    <button class="btn btn-sm btn-secondary" data-action="duplicate" data-entry="${index}" title="Copy into my pack">
+                        <i class="fas fa-copy"></i>
+                    </button>
+                    ${entry.pack.IsCustom ? `
+                        <button class="btn btn-sm btn-danger" data-action="delete" data-entry="${index}" title="Delete from this pack">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    handleAction(action, index) {
+        const entry = this.entries[index];
+        if (!entry) return;
+
+        switch (action) {
+            case 'test':
+                this.testEntry(entry);
+                break;
+            case 'duplicate':
+                this.duplicateEntry(entry);
+                break;
+            case 'delete':
+                this.deleteEntry(entry);
+                break;
+        }
+    }
+
+    async testEntry(entry) {
+        try {
+            const response = await fetch('/api/PatternEditor/test', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ pattern: entry.pattern })
+            });
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.error || 'Error testing pattern');
+            }
+            this.notify(`Testing ${entry.eventType} from ${entry.pack.Name}`, 'success');
+        } catch (error) {
+            console.error('Error testing library pattern:', error);
+            this.notify(error.message, 'error');
+        }
+    }
+
+    async duplicateEntry(entry) {
+        try {
+            const source = await this.fetchPackFile(entry.pack.FilePath);
+            const sourceShip = source.ships?.[entry.ship.ShipType];
+            const sourceEvent = sourceShip?.events?.[entry.eventType];
+            if (!sourceEvent) throw new Error(`${entry.eventType} is no longer in ${entry.pack.Name}`);
+
+            const target = await this.resolveMyPack();
+            if (!target) return;
+
+            if (target.filePath === this.normalizePath(entry.pack.FilePath)) {
+                this.notify(`${entry.eventType} is already in ${target.data.metadata.name}`, 'warning');
+                return;
+            }
+
+            const { events, ...shipInfo } = sourceShip;
+            target.data.ships = target.data.ships || {};
+            const ship = target.data.ships[entry.ship.ShipType] || { ...shipInfo, events: {} };
+            ship.events = ship.events || {};
+
+            if (ship.events[entry.eventType] &&
+                !confirm(`Replace ${entry.eventType} for ${entry.ship.DisplayName} in "${target.data.metadata.name}"?`)) {
+                return;
+            }
+
+            ship.events[entry.eventType] = JSON.parse(JSON.stringify(sourceEvent));
+            target.data.ships[entry.ship.ShipType] = ship;
+
+            await this.savePackFile(target.data, target.filePath);
+            this.notify(`Copied ${entry.eventType} into ${target.data.metadata.name}`, 'success');
+            await this.load();
+        } catch (error) {
+            console.error('Error copying library pattern:', error);
+            this.notify(error.message, 'error');
+        }
+    }
+
+    async deleteEntry(entry) {
+        if (!entry.pack.IsCustom) return;
+        if (!confirm(`Delete ${entry.eventType} for ${entry.ship.DisplayName} from "${entry.pack.Name}"?`)) return;
+
+        try {
+            const filePath = this.normalizePath(entry.pack.FilePath);
+            const data = await this.fetchPackFile(filePath);
+            const ship = data.ships?.[entry.ship.ShipType];
+            if (ship?.events) delete ship.events[entry.eventType];
+            if (ship && Object.keys(ship.events || {}).length === 0) delete data.ships[entry.ship.ShipType];
+
+            // A pack without ships can't be loaded, so the last pattern takes the file with it
+            if (Object.keys(data.ships || {}).length === 0) {
+                if (!confirm(`That was the last pattern in "${entry.pack.Name}". Delete the pack file?`)) return;
+                await this.deletePackFile(filePath);
+            } else {
+                await this.savePackFile(data, filePath);
+            }
+
+            this.notify(`Deleted ${entry.eventType} from ${entry.pack.Name}`, 'success');
+            await this.load();
+        } catch (error) {
+            console.error('Error deleting library pattern:', error);
+            this.notify(error.message, 'error');
+        }
+    }
+
+    // The selected pack, or a new one named by the user; null if they cancel
+    async resolveMyPack() {
+        if (this.myPack) {
+            return { filePath: this.myPack, data: await this.fetchPackFile(this.myPack) };
+        }
+
+        const name = prompt('Name for your new pattern pack:', 'My Patterns');
+        if (!name || !name.trim()) return null;
+        const author = prompt('Author name:', localStorage.getItem('patternEditorAuthor') || '');
+        if (!author || !author.trim()) return null;
+        localStorage.setItem('patternEditorAuthor', author.trim());
+
+        const now = new Date().toISOString();
+        return {
+            filePath: null,
+            data: {
+                metadata: {
+                    name: name.trim(),
+                    author: author.trim(),
+                    description: 'Patterns collected from the pattern library',
+                    version: '1.0.0',
+                    tags: ['custom'],
+                    created: now,
+                    lastModified: now
+                },
+                ships: {}
+            }
+        };
+    }
+
+    async fetchPackFile(filePath) {
+        const path = this.normalizePath(filePath).split('/').map(encodeURIComponent).join('/');
+        const response = await fetch(`/api/PatternEditor/load/${path}`);
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || `Failed to load ${filePath}`);
+        }
+        return response.json();
+    }
+
+    // Saves into Custom/; a new pack (no filePath) gets a generated file name and becomes "my pack"
+    async savePackFile(data, filePath) {
+        const response = await fetch('/api/PatternEditor/save', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                patternFile: data,
+                saveToCustom: true,
+                fileName: filePath ? filePath.split('/').pop() : null
+            })
+        });
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(result.error || 'Failed to save pattern pack');
+
+        if (!filePath && result.fileName) {
+            this.myPack = `Custom/${result.fileName}`;
+            localStorage.setItem('patternLibraryMyPack', this.myPack);
+        }
+        return result;
+    }
+
+    async deletePackFile(filePath) {
+        const path = filePath.split('/').map(encodeURIComponent).join('/');
+        const response = await fetch(`/api/PatternFiles/packs/${path}`, { method: 'DELETE' });
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || 'Failed to delete pattern pack');
+        }
+    }
+
+    // FilePath uses the server's directory separator
+    normalizePath(filePath) {
+        return (filePath || '').replace(/\\/g, '/');
+    }
+
+    escape(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
@@ -0,0 +1,169 @@
+// Conversion between pattern pack files and the editors' HapticPattern objects.
+// Pack files follow patterns/schema.json: camelCase keys, with layers written as
+// intensity (0-1) and delay. The editors work on PascalCase HapticPatterns whose
+// layers use Amplitude and StartTime. Fields an editor doesn't know about are
+// carried through untouched, and values go back under the key the file used, so
+// opening and re-saving a pack changes only what was edited.
+const PatternPack = (() => {
+    // Pack-file spellings of PatternLayer fields
+    const LAYER_ALIASES = { intensity: 'Amplitude', delay: 'StartTime' };
+
+    // HapticPattern defaults (Models/HapticPattern.cs); a default is not written where the file had no value
+    const PATTERN_DEFAULTS = {
+        FadeIn: 0,
+        FadeOut: 0,
+        IntensityFromDamage: false,
+        MaxIntensity: 100,
+        MinIntensity: 10,
+        IntensityCurve: 'Linear',
+        Waveform: 'Sine',
+        Layers: [],
+        ChainedPatterns: [],
+        ChainGaps: [],
+        Conditions: {},
+        EnableVoiceAnnouncement: false,
+        VoiceMessage: '',
+        EnableAudioCue: false,
+        AudioCueFile: '',
+        CustomCurvePoints: []
+    };
+    const LAYER_DEFAULTS = { Waveform: 'Sine', Amplitude: 1, PhaseOffset: 0, Curve: 'Linear', StartTime: 0, FadeIn: 0, FadeOut: 0 };
+    const POINT_DEFAULTS = { Curve: 'Linear' };
+
+    // Fields whose contents are free-form and keep their keys as written
+    const OPAQUE_FIELDS = ['Conditions'];
+
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    function pascalKey(key) {
+        return key.charAt(0).toUpperCase() + key.slice(1);
+    }
+
+    function camelKey(key) {
+        return key.charAt(0).toLowerCase() + key.slice(1);
+    }
+
+    function isEqual(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    // What a field holds decides how its keys are converted and which defaults apply
+    function childKind(key) {
+        if (key === 'Layers') return 'layer';
+        if (key === 'CustomCurvePoints') return 'point';
+        if (key === 'ChainedPatterns') return 'pattern';
+        return 'value';
+    }
+
+    function defaultsFor(kind) {
+        if (kind === 'pattern') return PATTERN_DEFAULTS;
+        if (kind === 'layer') return LAYER_DEFAULTS;
+        if (kind === 'point') return POINT_DEFAULTS;
+        return {};
+    }
+
+    function toEditorValue(value, kind) {
+        if (Array.isArray(value)) return value.map(item => toEditorValue(item, kind));
+        if (!isObject(value)) return clone(value);
+
+        const result = {};
+        Object.entries(value).forEach(([key, child]) => {
+            const editorKey = kind === 'layer' && LAYER_ALIASES[key] ? LAYER_ALIASES[key] : pascalKey(key);
+            if (OPAQUE_FIELDS.includes(editorKey)) {
+                result[editorKey] = clone(child);
+            } else {
+                result[editorKey] = toEditorValue(child, childKind(editorKey));
+            }
+        });
+        return result;
+    }
+
+    // The key an editor field was stored under in the original object, or its camelCase form
+    function packKeyFor(editorKey, original, kind) {
+        if (original) {
+            const written = Object.keys(original).find(key => {
+                const alias = kind === 'layer' ? LAYER_ALIASES[key] : null;
+                return (alias || pascalKey(key)) === editorKey;
+            });
+            if (written) return written;
+        }
+        return camelKey(editorKey);
+    }
+
+    function toPackValue(value, original, kind) {
+        if (Array.isArray(value)) {
+            return value.map((item, index) => toPackValue(item, Array.isArray(original) ? original[index] : undefined, kind));
+        }
+        if (!isObject(value)) return clone(value);
+
+        const source = isObject(original) ? original : null;
+        const defaults = defaultsFor(kind);
+        // Start from the original so keys the editor never saw stay where they were
+        const result = source ? clone(source) : {};
+
+        Object.entries(value).forEach(([editorKey, child]) => {
+            if (child === undefined) return;
+
+            const key = packKeyFor(editorKey, source, kind);
+            const hadValue = source && Object.prototype.hasOwnProperty.call(source, key);
+            if (!hadValue && editorKey in defaults && isEqual(child, defaults[editorKey])) return;
+
+            if (OPAQUE_FIELDS.includes(editorKey)) {
+                result[key] = clone(child);
+            } else {
+                result[key] = toPackValue(child, hadValue ? source[key] : undefined, childKind(editorKey));
+            }
+        });
+        return result;
+    }
+
+    // Pack-file event -> PascalCase HapticPattern with Amplitude/StartTime layers
+    function toHapticPattern(eventData) {
+        return toEditorValue(eventData || {}, 'pattern');
+    }
+
+    // HapticPattern -> pack-file event, written over the event it was loaded from (if any)
+    function toPackEvent(pattern, original) {
+        return toPackValue(pattern, original, 'pattern');
+    }
+
+    // Every path where two pack files differ, as { path, change, before, after }
+    function diff(before, after, path = '') {
+        if (isEqual(before, after)) return [];
+
+        if (before === undefined) return [{ path, change: 'added', before, after }];
+        if (after === undefined) return [{ path, change: 'removed', before, after }];
+
+        const bothArrays = Array.isArray(before) && Array.isArray(after);
+        const bothObjects = isObject(before) && isObject(after);
+        if (!bothArrays && !bothObjects) return [{ path, change: 'changed', before, after }];
+
+        const keys = bothArrays
+            ? Array.from({ length: Math.max(before.length, after.length) }, (_, index) => index)
+            : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+        return keys.flatMap(key => {
+            const childPath = bothArrays ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+            return diff(before[key], after[key], childPath);
+        });
+    }
+
+    return {
+        toHapticPattern,
+        toPackEvent,
+        diff
+    };
+})();
+
+if (typeof window !== 'undefined') {
+    window.PatternPack = PatternPack;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PatternPack;
+}
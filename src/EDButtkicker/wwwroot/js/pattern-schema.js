@@ -0,0 +1,239 @@
+// Validation of pattern packs against patterns/schema.json in the browser, so the
+// editors can point at the exact field that is wrong before anything is saved.
+// Covers the draft-07 keywords the schema uses, plus checks it can't express
+// (curve points in time order). Each error carries a JSON path and, where the
+// right value is obvious, a fix that applyFixes() can make.
+const PatternSchema = (() => {
+    const SCHEMA_URL = '/api/PatternEditor/schema';
+    const PATTERN_REF = '#/definitions/hapticPattern';
+
+    let schemaRequest = null;
+
+    // Fetched once per page; a failed request is retried on the next call
+    function load() {
+        if (!schemaRequest) {
+            schemaRequest = fetch(SCHEMA_URL)
+                .then(response => {
+                    if (!response.ok) throw new Error(`Failed to load pattern schema (${response.status})`);
+                    return response.json();
+                })
+                .catch(error => {
+                    schemaRequest = null;
+                    throw error;
+                });
+        }
+        return schemaRequest;
+    }
+
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function resolveRef(schema, ref) {
+        return ref.replace(/^#\/?/, '').split('/').filter(Boolean)
+            .reduce((node, key) => (node ? node[key] : undefined), schema);
+    }
+
+    function formatPath(segments) {
+        return segments.reduce((path, key) =>
+            typeof key === 'number' ? `${path}[${key}]` : (path ? `${path}.${key}` : key), '');
+    }
+
+    function matchesType(value, type) {
+        switch (type) {
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'array': return Array.isArray(value);
+            case 'object': return isObject(value);
+            case 'null': return value === null;
+            default: return typeof value === type;
+        }
+    }
+
+    function describeType(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number' && !Number.isInteger(value)) return 'number';
+        return typeof value === 'number' ? 'integer' : typeof value;
+    }
+
+    function clampToRange(value, node) {
+        let result = value;
+        if (node.minimum !== undefined) result = Math.max(node.minimum, result);
+        if (node.maximum !== undefined) result = Math.min(node.maximum, result);
+        return result;
+    }
+
+    function addError(errors, segments, message, fix = null) {
+        errors.push({ path: formatPath(segments), segments, message, fix });
+    }
+
+    function validateNode(value, node, schema, segments, errors) {
+        if (!node) return;
+
+        if (node.$ref) {
+            validateNode(value, resolveRef(schema, node.$ref), schema, segments, errors);
+            if (node.$ref === PATTERN_REF) checkPattern(value, segments, errors);
+            return;
+        }
+
+        if (node.type && !matchesType(value, node.type)) {
+            // A fractional value where a whole number belongs only needs rounding
+            const fix = node.type === 'integer' && matchesType(value, 'number')
+                ? { action: 'set', value: clampToRange(Math.round(value), node), label: 'Round' }
+                : null;
+            addError(errors, segments, `Expected ${node.type}, found ${describeType(value)}`, fix);
+            return;
+        }
+
+        if (node.enum && !node.enum.includes(value)) {
+            const match = typeof value === 'string'
+                ? node.enum.find(option => typeof option === 'string' && option.toLowerCase() === value.toLowerCase())
+                : undefined;
+            addError(errors, segments, `Must be one of ${node.enum.join(', ')}`,
+                match !== undefined ? { action: 'set', value: match, label: `Use "${match}"` } : null);
+        }
+
+        if (typeof value === 'number') {
+            if (node.minimum !== undefined && value < node.minimum) {
+                addError(errors, segments, `Must be at least ${node.minimum}`,
+                    { action: 'set', value: node.minimum, label: `Clamp to ${node.minimum}` });
+            } else if (node.maximum !== undefined && value > node.maximum) {
+                addError(errors, segments, `Must be at most ${node.maximum}`,
+                    { action: 'set', value: node.maximum, label: `Clamp to ${node.maximum}` });
+            }
+        }
+
+        if (typeof value === 'string') {
+            if (node.pattern && !new RegExp(node.pattern).test(value)) {
+                addError(errors, segments, `Must match ${node.pattern}`);
+            }
+            if (node.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+                addError(errors, segments, 'Must be a date and time such as 2024-08-31T12:00:00Z');
+            }
+        }
+
+        if (Array.isArray(value) && node.items) {
+            value.forEach((item, index) => validateNode(item, node.items, schema, [...segments, index], errors));
+        }
+
+        if (isObject(value)) {
+            (node.required || []).forEach(key => {
+                if (value[key] !== undefined) return;
+                const fallback = node.properties?.[key]?.default;
+                addError(errors, [...segments, key], 'Required field is missing',
+                    fallback !== undefined ? { action: 'set', value: fallback, label: 'Use default' } : null);
+            });
+
+            Object.entries(value).forEach(([key, child]) => {
+                if (node.properties?.[key]) {
+                    validateNode(child, node.properties[key], schema, [...segments, key], errors);
+                    return;
+                }
+                if (!node.patternProperties) return;
+
+                const match = Object.entries(node.patternProperties).find(([pattern]) => new RegExp(pattern).test(key));
+                if (match) {
+                    validateNode(child, match[1], schema, [...segments, key], errors);
+                } else {
+                    addError(errors, [...segments, key], `Name "${key}" must match ${Object.keys(node.patternProperties).join(' or ')}`);
+                }
+            });
+        }
+
+        if (node.anyOf) {
+            const matchesOne = node.anyOf.some(option => {
+                const optionErrors = [];
+                validateNode(value, option, schema, segments, optionErrors);
+                return optionErrors.length === 0;
+            });
+            if (!matchesOne) {
+                const required = node.anyOf.map(option => option.required?.join(' + ')).filter(Boolean);
+                addError(errors, segments, required.length === node.anyOf.length
+                    ? `Needs one of: ${required.join(', ')}`
+                    : 'Does not match any of the allowed forms');
+            }
+        }
+    }
+
+    // Rules the schema can't express
+    function checkPattern(pattern, segments, errors) {
+        const points = isObject(pattern) ? pattern.customCurvePoints : null;
+        if (!Array.isArray(points)) return;
+
+        const ordered = points.every((point, index) =>
+            index === 0 || !(point?.time < points[index - 1]?.time));
+        if (!ordered) {
+            addError(errors, [...segments, 'customCurvePoints'], 'Curve points must be in time order',
+                { action: 'sort', key: 'time', label: 'Sort by time' });
+        }
+    }
+
+    // Validate a pack (or, with ref, a fragment such as one event) against the loaded schema
+    function validate(schema, data, ref = null) {
+        const errors = [];
+        validateNode(data, ref ? { $ref: ref } : schema, schema, [], errors);
+        return errors;
+    }
+
+    // Apply every available fix to a copy of data; values are set before lists are re-sorted
+    function applyFixes(data, errors) {
+        const result = JSON.parse(JSON.stringify(data));
+        const fixable = errors.filter(error => error.fix);
+        const ordered = [
+            ...fixable.filter(error => error.fix.action === 'set'),
+            ...fixable.filter(error => error.fix.action === 'sort')
+        ];
+
+        ordered.forEach(({ segments, fix }) => {
+            if (segments.length === 0) return;
+            const parent = segments.slice(0, -1).reduce((node, key) => (node ? node[key] : undefined), result);
+            const key = segments[segments.length - 1];
+            if (!parent || typeof parent !== 'object') return;
+
+            if (fix.action === 'set') {
+                parent[key] = fix.value;
+            } else if (fix.action === 'sort' && Array.isArray(parent[key])) {
+                parent[key].sort((a, b) => (a?.[fix.key] ?? 0) - (b?.[fix.key] ?? 0));
+            }
+        });
+
+        return { data: result, fixed: ordered.length };
+    }
+
+    // Error list markup shared by the wizard and the Patterns tab
+    function renderErrors(errors) {
+        const escape = text => String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+        return `
+            <ul class="schema-error-list">
+                ${errors.map(error => `
+                    <li class="schema-error">
+                        <code class="schema-error-path">${escape(error.path || '(pack)')}</code>
+                        <span class="schema-error-message">${escape(error.message)}</span>
+                        ${error.fix ? `<span class="schema-error-fix">${escape(error.fix.label)}</span>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    return {
+        PATTERN_REF,
+        load,
+        validate,
+        applyFixes,
+        renderErrors
+    };
+})();
+
+if (typeof window !== 'undefined') {
+    window.PatternSchema = PatternSchema;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PatternSchema;
+}
@@ -0,0 +1,369 @@
+// Pattern synthesis shared by the timeline editor, wizard previews and dashboard.
+// Follows AudioEngineService, MultiLayerPatternGenerator and IntensityCurveProcessor
+// so the waveform we draw or preview is the one the device plays.
+const PatternSynth = (() => {
+    const PATTERN_TYPES = ['SharpPulse', 'BuildupRumble', 'SustainedRumble', 'Oscillating', 'Impact', 'Fade', 'MultiLayer', 'Sequence'];
+    const CURVE_TYPES = ['Linear', 'Exponential', 'Logarithmic', 'Sine', 'Bounce', 'Custom'];
+    const WAVEFORM_TYPES = ['Sine', 'Square', 'Triangle', 'Sawtooth', 'Noise'];
+    const SEGMENT_TYPES = ['Linear', 'Exponential', 'Logarithmic', 'Sine', 'Bounce', 'Bezier'];
+    const TWO_PI = Math.PI * 2;
+    // WaveOutEvent's default 300 ms latency over two buffers: the device pulls 150 ms at a time
+    const DEVICE_BLOCK_SECONDS = 0.15;
+
+    // Oscillation rate and depth keyed by pattern name, as in AudioEngineService.ApplyOscillating
+    const OSCILLATION = {
+        'Overheating Warning': { frequency: 3.0, depth: 0.6 },
+        'Heat Damage': { frequency: 5.0, depth: 0.8 },
+        'Being Interdicted': { frequency: 2.5, depth: 0.7 },
+        'Neutron Boost': { frequency: 1.5, depth: 0.4 }
+    };
+    const DEFAULT_OSCILLATION = { frequency: 2.0, depth: 0.5 };
+
+    // Patterns arrive PascalCase from the editors and camelCase from some API responses
+    function read(source, key, fallback) {
+        if (!source) return fallback;
+        const camelKey = key.charAt(0).toLowerCase() + key.slice(1);
+        const value = source[key] !== undefined ? source[key] : source[camelKey];
+        return value === undefined || value === null ? fallback : value;
+    }
+
+    // Enums may be serialized as names or as numeric indexes
+    function enumName(value, names, fallback) {
+        if (typeof value === 'number') return names[value] || fallback;
+        if (typeof value === 'string') {
+            const match = names.find(name => name.toLowerCase() === value.toLowerCase());
+            return match || fallback;
+        }
+        return fallback;
+    }
+
+    // Small deterministic PRNG (mulberry32) so Noise renders identically every time
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    function waveformSample(waveform, phase, random) {
+        const normalizedPhase = (((phase % TWO_PI) + TWO_PI) % TWO_PI) / TWO_PI;
+
+        switch (waveform) {
+            case 'Square':
+                return Math.sin(phase) >= 0 ? 1 : -1;
+            case 'Triangle':
+                return normalizedPhase < 0.5 ? 4 * normalizedPhase - 1 : 3 - 4 * normalizedPhase;
+            case 'Sawtooth':
+                return 2 * normalizedPhase - 1;
+            case 'Noise':
+                return random() * 2 - 1;
+            case 'Sine':
+            default:
+                return Math.sin(phase);
+        }
+    }
+
+    function bounceOut(t) {
+        if (t < 1 / 2.75) return 7.5625 * t * t;
+        if (t < 2 / 2.75) return 7.5625 * (t -= 1.5 / 2.75) * t + 0.75;
+        if (t < 2.5 / 2.75) return 7.5625 * (t -= 2.25 / 2.75) * t + 0.9375;
+        return 7.5625 * (t -= 2.625 / 2.75) * t + 0.984375;
+    }
+
+    function cubicBezier(u, p0, p1, p2, p3) {
+        const inv = 1 - u;
+        return inv * inv * inv * p0 + 3 * inv * inv * u * p1 + 3 * inv * u * u * p2 + u * u * u * p3;
+    }
+
+    /**
+     * Interpolate one curve segment, as IntensityCurveProcessor.CalculateSegment.
+     * Bezier handles hold x as fractions of the segment and y1/y2 as offsets from
+     * the start/end value, in the same units as the values passed in.
+     */
+    function segmentValue(curve, t, startValue, endValue, handles) {
+        t = Math.max(0, Math.min(1, t));
+
+        switch (enumName(curve, SEGMENT_TYPES, 'Linear')) {
+            case 'Exponential':
+                return startValue + (endValue - startValue) * t * t;
+            case 'Logarithmic':
+                return startValue + (endValue - startValue) * Math.sqrt(t);
+            case 'Sine':
+                return startValue + (endValue - startValue) * 0.5 * (1 - Math.cos(t * Math.PI));
+            case 'Bounce':
+                return startValue + (endValue - startValue) * bounceOut(t);
+            case 'Bezier': {
+                const x1 = Math.max(0, Math.min(1, read(handles, 'X1', 0.33)));
+                const x2 = Math.max(0, Math.min(1, read(handles, 'X2', 0.67)));
+                const y1 = startValue + read(handles, 'Y1', 0);
+                const y2 = endValue + read(handles, 'Y2', 0);
+
+                // X is monotonic with clamped handles, so bisect for the parameter at t
+                let low = 0;
+                let high = 1;
+                let u = t;
+                for (let i = 0; i < 24; i++) {
+                    u = (low + high) / 2;
+                    if (cubicBezier(u, 0, x1, x2, 1) < t) low = u; else high = u;
+                }
+                return cubicBezier(u, startValue, y1, y2, endValue);
+            }
+            case 'Linear':
+            default:
+                return startValue + (endValue - startValue) * t;
+        }
+    }
+
+    function customCurveValue(time, points) {
+        if (!points || points.length === 0) return time;
+
+        const sortedPoints = points
+            .map(point => ({
+                time: read(point, 'Time', 0),
+                intensity: read(point, 'Intensity', 0),
+                curve: read(point, 'Curve', 'Linear'),
+                handles: read(point, 'Handles', null)
+            }))
+            .sort((a, b) => a.time - b.time);
+
+        if (!sortedPoints.some(point => point.time <= 0.001)) {
+            sortedPoints.unshift({ time: 0, intensity: 0 });
+        }
+        if (!sortedPoints.some(point => point.time >= 0.999)) {
+            sortedPoints.push({ time: 1, intensity: 1 });
+        }
+
+        for (let i = 0; i < sortedPoints.length - 1; i++) {
+            const p1 = sortedPoints[i];
+            const p2 = sortedPoints[i + 1];
+            if (time >= p1.time && time <= p2.time) {
+                const span = p2.time - p1.time;
+                const t = span > 0 ? (time - p1.time) / span : 0;
+                return Math.max(0, Math.min(1, segmentValue(p1.curve, t, p1.intensity, p2.intensity, p1.handles)));
+            }
+        }
+
+        return time;
+    }
+
+    // Port of IntensityCurveProcessor.CalculateIntensity; time and result are 0..1
+    function calculateIntensity(curve, time, baseIntensity, customPoints) {
+        time = Math.max(0, Math.min(1, time));
+
+        let curveValue;
+        switch (enumName(curve, CURVE_TYPES, 'Linear')) {
+            case 'Exponential':
+                curveValue = Math.pow(time, 2.5);
+                break;
+            case 'Logarithmic':
+                curveValue = time <= 0 ? 0 : Math.log(time * 9 + 1) / Math.log(10);
+                break;
+            case 'Sine':
+                curveValue = Math.sin(time * Math.PI);
+                break;
+            case 'Bounce': {
+                const c2 = 1.70158 * 1.525;
+                curveValue = time < 0.5
+                    ? (Math.pow(2 * time, 2) * ((c2 + 1) * 2 * time - c2)) / 2
+                    : (Math.pow(2 * time - 2, 2) * ((c2 + 1) * (time * 2 - 2) + c2) + 2) / 2;
+                break;
+            }
+            case 'Custom':
+                curveValue = customCurveValue(time, customPoints);
+                break;
+            case 'Linear':
+            default:
+                curveValue = time;
+                break;
+        }
+
+        return Math.max(0, Math.min(1, baseIntensity * curveValue));
+    }
+
+    // MultiLayer/Sequence mixing from MultiLayerPatternGenerator.Read
+    function mixLayers(pattern, samples, sampleRate, duration, seed, layerIndexes, blockSize) {
+        let layers = read(pattern, 'Layers', []) || [];
+
+        // The server synthesizes a single base layer when none are defined
+        if (layers.length === 0) {
+            layers = [{
+                Waveform: read(pattern, 'Waveform', 'Sine'),
+                Frequency: read(pattern, 'Frequency', 40),
+                Amplitude: 1,
+                PhaseOffset: 0,
+                Curve: read(pattern, 'IntensityCurve', 'Linear')
+            }];
+        }
+
+        const baseIntensity = read(pattern, 'Intensity', 50) / 100;
+        const customPoints = read(pattern, 'CustomCurvePoints', []);
+
+        layers.forEach((layer, index) => {
+            if (layerIndexes && !layerIndexes.includes(index)) return;
+
+            const waveform = enumName(read(layer, 'Waveform', 'Sine'), WAVEFORM_TYPES, 'Sine');
+            const frequency = read(layer, 'Frequency', 40);
+            // The device's generator scales by the clamped amplitude and the mixer scales by it again
+            const amplitude = Math.max(0, Math.min(1, read(layer, 'Amplitude', 1))) * read(layer, 'Amplitude', 1);
+            const phaseOffset = read(layer, 'PhaseOffset', 0) * Math.PI / 180;
+            const curve = read(layer, 'Curve', 'Linear');
+            const startTime = read(layer, 'StartTime', 0);
+            const layerDuration = read(layer, 'Duration', 0) > 0 ? read(layer, 'Duration', 0) : duration;
+            const endTime = startTime + layerDuration;
+            const fadeIn = read(layer, 'FadeIn', 0);
+            const fadeOut = read(layer, 'FadeOut', 0);
+
+            // Seed per layer index so a layer rendered alone matches its share of the mix
+            const random = createRandom(seed + index * 7919);
+            const startSample = Math.max(0, Math.ceil((startTime / 1000) * sampleRate));
+            // Each layer's generator only runs for the blocks that overlap the layer and counts its
+            // own samples, so its phase starts at the block the layer begins in, not at startTime
+            const generatorStart = Math.floor(((startTime / 1000) * sampleRate) / blockSize) * blockSize;
+            const endSample = Math.min(samples.length, Math.ceil((endTime / 1000) * sampleRate));
+
+            for (let i = startSample; i < endSample; i++) {
+                const timeMs = (i * 1000) / sampleRate;
+                const layerTime = timeMs - startTime;
+                const phase = TWO_PI * frequency * ((i - generatorStart) / sampleRate) + phaseOffset;
+
+                let fade = 1;
+                if (fadeIn > 0 && timeMs < startTime + fadeIn) {
+                    fade *= layerTime / fadeIn;
+                }
+                if (fadeOut > 0 && timeMs > endTime - fadeOut) {
+                    fade *= (endTime - timeMs) / fadeOut;
+                }
+
+                const intensity = calculateIntensity(curve, layerTime / layerDuration, baseIntensity, customPoints);
+                samples[i] += waveformSample(waveform, phase, random) * amplitude * intensity * fade;
+            }
+        });
+
+        const maxIntensity = read(pattern, 'MaxIntensity', 100) / 100;
+        for (let i = 0; i < samples.length; i++) {
+            samples[i] = Math.max(-maxIntensity, Math.min(maxIntensity, samples[i]));
+        }
+    }
+
+    // Single sine generator path from AudioEngineService.CreateStandardPattern
+    function renderStandard(pattern, patternType, samples, sampleRate) {
+        const intensity = read(pattern, 'Intensity', 50);
+        const frequency = read(pattern, 'Frequency', 40);
+        const gain = Math.min((intensity / 100) * 2, 1);
+        const curve = enumName(read(pattern, 'IntensityCurve', 'Linear'), CURVE_TYPES, 'Linear');
+        const customPoints = read(pattern, 'CustomCurvePoints', []);
+        const oscillation = OSCILLATION[read(pattern, 'Name', '')] || DEFAULT_OSCILLATION;
+
+        for (let i = 0; i < samples.length; i++) {
+            const time = i / sampleRate;
+            let value = Math.sin(TWO_PI * frequency * time) * gain;
+
+            if (patternType === 'Oscillating') {
+                const modulation = (Math.sin(TWO_PI * oscillation.frequency * time) + 1) * 0.5;
+                value *= 1 - oscillation.depth + oscillation.depth * modulation;
+            }
+
+            if (curve !== 'Linear') {
+                value *= calculateIntensity(curve, i / samples.length, intensity / 100, customPoints);
+            }
+
+            samples[i] = value;
+        }
+    }
+
+    /**
+     * Render a HapticPattern to mono samples in the range -1..1.
+     * Options: sampleRate (default 2000), seed (default 1), layers, an optional
+     * list of layer indexes to render on their own, and blockSize, the samples the
+     * device reads at a time (default 150 ms), which decides where offset layers start
+     * their waveform.
+     */
+    function synthesize(pattern, options = {}) {
+        const sampleRate = options.sampleRate || 2000;
+        const seed = options.seed === undefined ? 1 : options.seed;
+        const duration = Math.max(1, read(pattern, 'Duration', 1000));
+        const samples = new Float32Array(Math.max(1, Math.floor((duration / 1000) * sampleRate)));
+        const patternType = enumName(read(pattern, 'Pattern', read(pattern, 'PatternType', 0)), PATTERN_TYPES, 'SharpPulse');
+
+        if (patternType === 'MultiLayer' || patternType === 'Sequence' || options.layers) {
+            const blockSize = options.blockSize || Math.max(1, Math.round(sampleRate * DEVICE_BLOCK_SECONDS));
+            mixLayers(pattern, samples, sampleRate, duration, seed, options.layers || null, blockSize);
+        } else {
+            renderStandard(pattern, patternType, samples, sampleRate);
+        }
+
+        return { samples, sampleRate, duration };
+    }
+
+    // Peak absolute value of the samples between two times in milliseconds
+    function peakBetween(result, startMs, endMs) {
+        const start = Math.max(0, Math.floor((startMs / 1000) * result.sampleRate));
+        const end = Math.min(result.samples.length, Math.max(start + 1, Math.ceil((endMs / 1000) * result.sampleRate)));
+
+        let peak = 0;
+        for (let i = start; i < end; i++) {
+            const value = Math.abs(result.samples[i]);
+            if (value > peak) peak = value;
+        }
+        return peak;
+    }
+
+    // Draw a mirrored min/max thumbnail of a pattern into a canvas
+    function drawThumbnail(canvas, pattern, options = {}) {
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return;
+
+        const width = canvas.width;
+        const height = canvas.height;
+        const centerY = height / 2;
+        const result = options.result || synthesize(pattern, options);
+        const samplesPerColumn = result.samples.length / width;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.strokeStyle = options.color || '#00bcd4';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+
+        for (let x = 0; x < width; x++) {
+            const start = Math.floor(x * samplesPerColumn);
+            const end = Math.max(start + 1, Math.floor((x + 1) * samplesPerColumn));
+
+            let min = 0;
+            let max = 0;
+            for (let i = start; i < end && i < result.samples.length; i++) {
+                min = Math.min(min, result.samples[i]);
+                max = Math.max(max, result.samples[i]);
+            }
+
+            ctx.moveTo(x + 0.5, centerY - max * centerY * 0.9);
+            ctx.lineTo(x + 0.5, centerY - min * centerY * 0.9 + 1);
+        }
+
+        ctx.stroke();
+    }
+
+    return {
+        PATTERN_TYPES,
+        CURVE_TYPES,
+        WAVEFORM_TYPES,
+        SEGMENT_TYPES,
+        createRandom,
+        waveformSample,
+        calculateIntensity,
+        segmentValue,
+        synthesize,
+        peakBetween,
+        drawThumbnail
+    };
+})();
+
+if (typeof window !== 'undefined') {
+    window.PatternSynth = PatternSynth;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PatternSynth;
+}
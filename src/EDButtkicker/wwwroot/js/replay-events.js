@@ -0,0 +1,212 @@
+// Every event of the loaded journal replay in a scrolling table: its key fields, and once it has
+// played, the pattern the mapping pipeline chose and the intensity it ended up at. The row at the
+// playhead is highlighted; clicking a row fires just that event (/api/journal/replay/fire).
+class ReplayEventList {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.notify = options.notify || (() => {});
+        this.events = [];
+        this.sessionKey = null;
+        this.currentIndex = -1;
+
+        this.body = container.querySelector('tbody');
+        this.scroller = container.querySelector('.replay-events-scroll');
+        this.filter = container.querySelector('.replay-events-filter');
+        this.follow = container.querySelector('input[data-field="follow"]');
+        this.count = container.querySelector('.replay-events-count');
+
+        this.filter.addEventListener('input', () => this.applyFilter());
+        this.body.addEventListener('click', (e) => {
+            const row = e.target.closest('tr[data-index]');
+            if (row) this.fire(parseInt(row.dataset.index, 10));
+        });
+    }
+
+    async load() {
+        try {
+            const response = await fetch('/api/journal/replay/events');
+            if (!response.ok) throw new Error('Failed to load replay events');
+
+            const data = await response.json();
+            this.events = data.events || [];
+            this.sessionKey = this.getSessionKey(data.status);
+            this.currentIndex = data.status?.current_index ?? -1;
+            this.render();
+        } catch (error) {
+            console.error('Error loading replay events:', error);
+            this.notify('Failed to load replay events', 'error');
+        }
+    }
+
+    // Replay status from the stream or a poll; a different session reloads the table
+    setStatus(status) {
+        if (!status) return;
+
+        const key = this.getSessionKey(status);
+        if (key !== this.sessionKey) {
+            this.sessionKey = key;
+            this.load();
+            return;
+        }
+        this.setCurrent(status.current_index ?? -1);
+    }
+
+    // A replayed event: what it did, and where the playhead is now
+    handleReplayEvent(message) {
+        const event = this.events[message.index];
+        if (!event) return;
+
+        event.outcome = message.outcome;
+        this.updateRow(message.index);
+        this.setCurrent(message.current_index);
+    }
+
+    getSessionKey(status) {
+        return status?.total_events ? `${status.source}|${status.session_start}|${status.total_events}` : null;
+    }
+
+    setCurrent(index) {
+        if (index === this.currentIndex) return;
+
+        this.body.querySelector('tr.current')?.classList.remove('current');
+        this.currentIndex = index;
+
+        const row = this.body.querySelector(`tr[data-index="${index}"]`);
+        if (!row) return;
+
+        row.classList.add('current');
+        if (this.follow.checked && row.style.display !== 'none') {
+            // Keep the playhead row in view without jumping the whole page
+            const top = row.offsetTop - this.scroller.clientHeight / 2;
+            this.scroller.scrollTop = Math.max(0, top);
+        }
+    }
+
+    async fire(index) {
+        const row = this.body.querySelector(`tr[data-index="${index}"]`);
+        row?.classList.add('firing');
+
+        try {
+            const response = await fetch('/api/journal/replay/fire', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ index })
+            });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) throw new Error(result.error || 'Failed to fire event');
+
+            if (result.outcome) {
+                this.events[index].outcome = result.outcome;
+                this.updateRow(index);
+            }
+            this.notify(`Fired ${this.events[index].event}: ${this.describeResult(result.outcome)}`,
+                result.outcome?.result === 'triggered' ? 'success' : 'info');
+        } catch (error) {
+            console.error('Error firing replay event:', error);
+            this.notify(error.message, 'error');
+        } finally {
+            setTimeout(() => row?.classList.remove('firing'), 300);
+        }
+    }
+
+    render() {
+        this.body.innerHTML = this.events.length === 0
+            ? '<tr class="replay-events-empty"><td colspan="5">Start a replay to list its events</td></tr>'
+            : this.events.map(event => this.renderRow(event)).join('');
+
+        this.applyFilter();
+        const index = this.currentIndex;
+        this.currentIndex = null;
+        this.setCurrent(index);
+    }
+
+    renderRow(event) {
+        const outcome = event.outcome;
+        const fields = Object.entries(event.fields || {})
+            .map(([name, value]) => `<span class="replay-field"><span class="replay-field-name">${this.escape(name)}</span> ${this.escape(value)}</span>`)
+            .join('');
+
+        return `
+            <tr data-index="${event.index}" class="${outcome ? `played ${outcome.result}` : ''}" title="Click to fire this event">
+                <td class="replay-event-time">${this.formatTime(event.timestamp)}</td>
+                <td class="replay-event-name">${this.escape(event.event)}</td>
+                <td class="replay-event-fields">${fields}</td>
+                <td class="replay-event-pattern">${this.renderPattern(outcome)}</td>
+                <td class="replay-event-intensity">${this.renderIntensity(outcome)}</td>
+            </tr>
+        `;
+    }
+
+    renderPattern(outcome) {
+        if (!outcome) return '';
+        if (outcome.result === 'unmapped') return '<span class="replay-result">Unmapped</span>';
+
+        const note = outcome.result === 'triggered' ? '' : ` <span class="replay-result">${this.describeResult(outcome)}</span>`;
+        return `${this.escape(outcome.pattern || '')} <span class="replay-pattern-type">${this.escape(outcome.pattern_type || '')}</span>${note}`;
+    }
+
+    // Base intensity, then where event and context adjustments and the output cap took it
+    renderIntensity(outcome) {
+        if (!outcome || outcome.result !== 'triggered') return '';
+
+        const played = outcome.played_intensity ?? outcome.intensity;
+        const adjusted = outcome.base_intensity != null && played !== outcome.base_intensity;
+        return adjusted
+            ? `<span class="replay-intensity-base">${outcome.base_intensity}%</span> → ${played}%`
+            : `${played ?? ''}%`;
+    }
+
+    updateRow(index) {
+        const row = this.body.querySelector(`tr[data-index="${index}"]`);
+        if (!row) return;
+
+        const wasCurrent = row.classList.contains('current');
+        const hidden = row.style.display;
+        row.outerHTML = this.renderRow(this.events[index]);
+
+        const updated = this.body.querySelector(`tr[data-index="${index}"]`);
+        updated.style.display = hidden;
+        if (wasCurrent) updated.classList.add('current');
+    }
+
+    applyFilter() {
+        const query = this.filter.value.trim().toLowerCase();
+        let shown = 0;
+
+        this.body.querySelectorAll('tr[data-index]').forEach(row => {
+            const event = this.events[parseInt(row.dataset.index, 10)];
+            const matches = !query || event.event.toLowerCase().includes(query) ||
+                Object.values(event.fields || {}).some(value => String(value).toLowerCase().includes(query));
+            row.style.display = matches ? '' : 'none';
+            if (matches) shown++;
+        });
+
+        this.count.textContent = this.events.length === 0
+            ? ''
+            : query ? `${shown} of ${this.events.length} events` : `${this.events.length} events`;
+    }
+
+    describeResult(outcome) {
+        switch (outcome?.result) {
+            case 'triggered': return `${outcome.pattern} at ${outcome.played_intensity ?? outcome.intensity}%`;
+            case 'unmapped': return 'no pattern mapped';
+            case 'disabled': return 'mapping disabled';
+            case 'rate_limited': return 'rate limited';
+            default: return 'processed';
+        }
+    }
+
+    // Journal time is UTC
+    formatTime(value) {
+        const time = Date.parse(/Z|[+-]\d\d:\d\d$/.test(value) ? value : `${value}Z`);
+        return new Date(time).toISOString().substring(11, 19);
+    }
+
+    escape(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
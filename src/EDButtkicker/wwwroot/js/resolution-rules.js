@@ -0,0 +1,288 @@
+// Ordered rules for settling pattern conflicts, e.g. "my packs for combat events,
+// Community/Cinematic for exploration, newest file otherwise". The first enabled rule that
+// covers a conflict and finds a qualifying pattern decides it; the rest are left alone.
+// Rules are stored with the pattern selections and can be re-applied on refresh-sources.
+class ResolutionRulesEditor {
+    constructor(container, preview, options = {}) {
+        this.container = container;
+        this.preview = preview;
+        this.notify = options.notify || (() => {});
+        this.onApplied = options.onApplied || (() => {});
+        this.rules = [];
+        this.eventGroups = {};
+        this.dirty = false;
+
+        this.list = container.querySelector('.rules-list');
+        this.applyOnRefresh = container.querySelector('input[data-field="applyOnRefresh"]');
+
+        this.list.addEventListener('input', (e) => this.updateField(e.target));
+        this.list.addEventListener('change', (e) => this.updateField(e.target));
+        this.applyOnRefresh.addEventListener('change', () => this.markDirty());
+
+        container.addEventListener('click', (e) => this.handleAction(e.target.closest('button[data-action]')));
+        preview.addEventListener('click', (e) => this.handleAction(e.target.closest('button[data-action]')));
+    }
+
+    static get PREFERENCES() {
+        return {
+            CustomPacks: { label: 'My packs (Custom/)', values: false },
+            Pack: { label: 'Pack or folder', values: true, placeholder: 'Community/Cinematic, Heavy Ship Patterns' },
+            Author: { label: 'Author', values: true, placeholder: 'CMDR MovieMaker' },
+            Tag: { label: 'Tag', values: true, placeholder: 'cinematic, combat' },
+            SourceType: { label: 'Source type', values: true, placeholder: 'FileSystem, Default' },
+            LatestModified: { label: 'Newest file', values: false },
+            LatestVersion: { label: 'Highest version', values: false }
+        };
+    }
+
+    async load() {
+        try {
+            const response = await fetch('/api/patternselection/rules');
+            if (!response.ok) throw new Error('Failed to load resolution rules');
+
+            const data = await response.json();
+            this.rules = data.rules || [];
+            this.eventGroups = data.eventGroups || {};
+            this.applyOnRefresh.checked = !!data.applyOnRefresh;
+            this.dirty = false;
+            this.render();
+        } catch (error) {
+            console.error('Error loading resolution rules:', error);
+            this.notify('Failed to load resolution rules', 'error');
+        }
+    }
+
+    handleAction(button) {
+        if (!button) return;
+
+        const index = parseInt(button.dataset.index, 10);
+        switch (button.dataset.action) {
+            case 'add-rule':
+                this.rules.push({
+                    name: `Rule ${this.rules.length + 1}`,
+                    enabled: true,
+                    eventGroup: '',
+                    shipTypes: [],
+                    prefer: 'LatestModified',
+                    values: []
+                });
+                this.markDirty();
+                this.render();
+                break;
+            case 'move-up':
+            case 'move-down': {
+                const target = button.dataset.action === 'move-up' ? index - 1 : index + 1;
+                if (target < 0 || target >= this.rules.length) return;
+                [this.rules[index], this.rules[target]] = [this.rules[target], this.rules[index]];
+                this.markDirty();
+                this.render();
+                break;
+            }
+            case 'remove-rule':
+                this.rules.splice(index, 1);
+                this.markDirty();
+                this.render();
+                break;
+            case 'save-rules':
+                this.save();
+                break;
+            case 'preview-rules':
+                this.dryRun();
+                break;
+            case 'apply-rules':
+                this.apply();
+                break;
+            case 'close-preview':
+                this.closePreview();
+                break;
+        }
+    }
+
+    // Inputs carry data-index and data-field; lists are typed comma separated
+    updateField(input) {
+        const rule = this.rules[parseInt(input.dataset.index, 10)];
+        if (!rule || !input.dataset.field) return;
+
+        switch (input.dataset.field) {
+            case 'enabled':
+                rule.enabled = input.checked;
+                break;
+            case 'shipTypes':
+            case 'values':
+                rule[input.dataset.field] = input.value.split(',').map(value => value.trim()).filter(Boolean);
+                break;
+            default:
+                rule[input.dataset.field] = input.value;
+        }
+
+        // Changing what a rule prefers changes which inputs it needs
+        if (input.dataset.field === 'prefer' || input.dataset.field === 'enabled') this.render();
+        this.markDirty();
+    }
+
+    markDirty() {
+        this.dirty = true;
+        this.container.querySelector('button[data-action="save-rules"]').disabled = false;
+    }
+
+    ruleSet() {
+        return { rules: this.rules, applyOnRefresh: this.applyOnRefresh.checked };
+    }
+
+    render() {
+        const preferences = ResolutionRulesEditor.PREFERENCES;
+
+        this.list.innerHTML = this.rules.length === 0
+            ? '<div class="text-secondary small">No rules yet. Conflicts keep the pattern you chose.</div>'
+            : this.rules.map((rule, index) => {
+                const preference = preferences[rule.prefer] || preferences.LatestModified;
+                return `
+                    <div class="rule-card ${rule.enabled ? '' : 'disabled'}">
+                        <div class="rule-header">
+                            <span class="rule-order">${index + 1}</span>
+                            <input type="text" class="rule-name" data-index="${index}" data-field="name" value="${this.escape(rule.name)}">
+                            <input type="checkbox" data-index="${index}" data-field="enabled" title="Enabled" ${rule.enabled ? 'checked' : ''}>
+                        </div>
+                        <div class="rule-fields">
+                            <label>For
+                                <select data-index="${index}" data-field="eventGroup">
+                                    <option value="">Every event</option>
+                                    ${Object.keys(this.eventGroups).map(group => `
+                                        <option value="${this.escape(group)}" ${group === rule.eventGroup ? 'selected' : ''}
+                                                title="${this.escape(this.eventGroups[group].join(', '))}">${this.escape(group)} events</option>
+                                    `).join('')}
+                                </select>
+                            </label>
+                            <label>Ships
+                                <input type="text" data-index="${index}" data-field="shipTypes" placeholder="Every ship"
+                                       value="${this.escape((rule.shipTypes || []).join(', '))}">
+                            </label>
+                            <label>Prefer
+                                <select data-index="${index}" data-field="prefer">
+                                    ${Object.entries(preferences).map(([value, option]) => `
+                                        <option value="${value}" ${value === rule.prefer ? 'selected' : ''}>${option.label}</option>
+                                    `).join('')}
+                                </select>
+                            </label>
+                            ${preference.values ? `
+                                <label>In order
+                                    <input type="text" data-index="${index}" data-field="values" placeholder="${this.escape(preference.placeholder)}"
+                                           value="${this.escape((rule.values || []).join(', '))}">
+                                </label>
+                            ` : ''}
+                        </div>
+                        <div class="rule-controls">
+                            <button class="btn btn-secondary btn-sm" data-action="move-up" data-index="${index}" title="Move up" ${index === 0 ? 'disabled' : ''}>
+                                <i class="fas fa-arrow-up"></i>
+                            </button>
+                            <button class="btn btn-secondary btn-sm" data-action="move-down" data-index="${index}" title="Move down" ${index === this.rules.length - 1 ? 'disabled' : ''}>
+                                <i class="fas fa-arrow-down"></i>
+                            </button>
+                            <button class="btn btn-danger btn-sm" data-action="remove-rule" data-index="${index}" title="Remove">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+
+        this.container.querySelector('button[data-action="save-rules"]').disabled = !this.dirty;
+    }
+
+    async save() {
+        try {
+            const result = await this.post('/api/patternselection/rules', this.ruleSet());
+            this.rules = result.rules || [];
+            this.dirty = false;
+            this.render();
+            this.notify(`Saved ${this.rules.length} resolution ${this.rules.length === 1 ? 'rule' : 'rules'}`, 'success');
+            return true;
+        } catch (error) {
+            console.error('Error saving resolution rules:', error);
+            this.notify(error.message, 'error');
+            return false;
+        }
+    }
+
+    // Runs the rules as they are in the editor, saved or not, without changing anything
+    async dryRun() {
+        try {
+            const result = await this.post('/api/patternselection/rules/preview', this.ruleSet());
+            this.renderPreview(result);
+        } catch (error) {
+            console.error('Error previewing resolution rules:', error);
+            this.notify(error.message, 'error');
+        }
+    }
+
+    async apply() {
+        if (this.dirty && !(await this.save())) return;
+
+        try {
+            const result = await this.post('/api/patternselection/rules/apply', {});
+            this.renderPreview(result);
+            this.notify(`Rules changed ${result.changedCount} of ${result.resolutions.length} conflicts`, 'success');
+            await this.onApplied();
+        } catch (error) {
+            console.error('Error applying resolution rules:', error);
+            this.notify(error.message, 'error');
+        }
+    }
+
+    renderPreview(result) {
+        const resolutions = result.resolutions || [];
+
+        this.preview.innerHTML = `
+            <div class="rules-preview-header">
+                <h3>${result.applied ? 'Applied rules' : 'Dry run'}: ${result.changedCount} of ${resolutions.length} conflicts ${result.applied ? 'changed' : 'would change'}</h3>
+                <div>
+                    ${result.applied ? '' : `<button class="btn btn-accent btn-sm" data-action="apply-rules" ${result.changedCount === 0 ? 'disabled' : ''}>Apply</button>`}
+                    <button class="btn btn-secondary btn-sm" data-action="close-preview">Close</button>
+                </div>
+            </div>
+            ${resolutions.length === 0 ? '<div class="text-secondary">No conflicts to resolve.</div>' : `
+                <table class="compare-parameters rules-preview-table">
+                    <thead>
+                        <tr><th>Ship</th><th>Event</th><th>Current</th><th>${result.applied ? 'Now' : 'Would use'}</th><th>Rule</th></tr>
+                    </thead>
+                    <tbody>
+                        ${resolutions.map(resolution => `
+                            <tr class="${resolution.changed ? 'differs' : 'unchanged'}">
+                                <td>${this.escape(resolution.shipType)}</td>
+                                <td>${this.escape(resolution.eventName)}</td>
+                                <td>${this.escape(resolution.currentPattern?.sourceName || 'None')}</td>
+                                <td>${resolution.changed ? this.escape(resolution.resolvedPattern?.sourceName) : 'No change'}</td>
+                                <td>${this.escape(resolution.ruleName || 'No rule matched')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+        `;
+        this.preview.style.display = 'block';
+    }
+
+    closePreview() {
+        this.preview.innerHTML = '';
+        this.preview.style.display = 'none';
+    }
+
+    async post(url, body) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(result.error || `${url} returned ${response.status}`);
+        return result;
+    }
+
+    escape(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
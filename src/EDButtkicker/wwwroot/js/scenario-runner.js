@@ -0,0 +1,456 @@
+// Named scenarios on the Journal tab: ordered journal events with relative timings, saved as JSON
+// (/api/scenarios) and run through the journal replay. While a scenario plays, its report shows
+// which patterns fired, which events were rate limited and the total haptic energy; a finished
+// run is kept so the next run of the same scenario, e.g. after a pack change, can be compared.
+class ScenarioRunner {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.notify = options.notify || (() => {});
+        this.onStarted = options.onStarted || (() => {});
+        this.scenarios = [];
+        this.scenario = null;
+        this.dirty = false;
+        this.report = null;
+        this.baseline = null; // The previous finished run of the scenario on screen
+        this.finishedRuns = {}; // Scenario name -> last finished report
+        this.reportTimer = null;
+
+        this.select = container.querySelector('.scenario-select');
+        this.editor = container.querySelector('.scenario-editor');
+        this.reportPanel = container.querySelector('.scenario-report');
+        this.speed = container.querySelector('.scenario-speed');
+        this.templateSelect = container.querySelector('.scenario-add-event');
+
+        const templates = typeof EventComposer !== 'undefined' ? Object.keys(EventComposer.TEMPLATES) : [];
+        this.templateSelect.innerHTML = '<option value="">Add step...</option>' +
+            templates.map(name => `<option value="${name}">${name}</option>`).join('') +
+            '<option value="__custom">Other event</option>';
+
+        this.select.addEventListener('change', () => this.open(this.select.value));
+        this.templateSelect.addEventListener('change', () => {
+            if (this.templateSelect.value) this.addStep(this.templateSelect.value);
+            this.templateSelect.value = '';
+        });
+        this.editor.addEventListener('input', (e) => this.updateField(e.target));
+        this.editor.addEventListener('change', (e) => this.updateField(e.target, true));
+        container.addEventListener('click', (e) => this.handleAction(e.target.closest('button[data-action]')));
+    }
+
+    async load(selectName = null) {
+        try {
+            const data = await this.fetchJson('/api/scenarios');
+            this.scenarios = data.scenarios || [];
+            this.renderSelect();
+
+            const name = selectName ?? this.scenario?.name ?? this.scenarios[0]?.name;
+            if (name && this.scenarios.some(s => s.name === name)) {
+                this.select.value = name;
+                if (!this.scenario || this.scenario.name !== name || !this.dirty) await this.open(name);
+            } else if (!this.scenario) {
+                this.newScenario();
+            }
+        } catch (error) {
+            console.error('Error loading scenarios:', error);
+            this.notify('Failed to load scenarios', 'error');
+        }
+    }
+
+    renderSelect() {
+        this.select.innerHTML = this.scenarios.length === 0
+            ? '<option value="">No saved scenarios</option>'
+            : this.scenarios.map(s => `
+                <option value="${this.escape(s.name)}" title="${this.escape(s.description || '')}">
+                    ${this.escape(s.name)} (${s.eventCount} events, ${this.formatDuration(s.duration)})
+                </option>
+            `).join('');
+    }
+
+    async open(name) {
+        if (!name) return;
+        if (this.dirty && !confirm('Discard unsaved changes to this scenario?')) {
+            this.select.value = this.scenario?.name ?? '';
+            return;
+        }
+
+        try {
+            this.setScenario(await this.fetchJson(`/api/scenarios/${encodeURIComponent(name)}`));
+        } catch (error) {
+            console.error('Error opening scenario:', error);
+            this.notify(`Failed to open scenario ${name}`, 'error');
+        }
+    }
+
+    setScenario(scenario, dirty = false) {
+        this.scenario = scenario;
+        this.scenario.steps = this.scenario.steps || [];
+        this.dirty = dirty;
+        this.render();
+    }
+
+    newScenario() {
+        this.setScenario({ name: '', description: '', steps: [] });
+    }
+
+    handleAction(button) {
+        if (!button) return;
+
+        const index = parseInt(button.dataset.index, 10);
+        const steps = this.scenario?.steps || [];
+        switch (button.dataset.action) {
+            case 'new-scenario':
+                if (this.dirty && !confirm('Discard unsaved changes to this scenario?')) return;
+                this.newScenario();
+                break;
+            case 'save-scenario':
+                this.save();
+                break;
+            case 'delete-scenario':
+                this.remove();
+                break;
+            case 'capture-scenario':
+                this.capture();
+                break;
+            case 'run-scenario':
+                this.run();
+                break;
+            case 'move-up':
+            case 'move-down': {
+                const target = button.dataset.action === 'move-up' ? index - 1 : index + 1;
+                if (target < 0 || target >= steps.length) return;
+                [steps[index], steps[target]] = [steps[target], steps[index]];
+                this.markDirty();
+                this.render();
+                break;
+            }
+            case 'remove-step':
+                steps.splice(index, 1);
+                this.markDirty();
+                this.render();
+                break;
+        }
+    }
+
+    // A new step from the composer's example fields for that event
+    addStep(eventName) {
+        if (!this.scenario) this.newScenario();
+
+        const event = eventName === '__custom' ? { event: '' } : { event: eventName };
+        if (eventName !== '__custom') {
+            (EventComposer.TEMPLATES[eventName] || []).forEach(field => { event[field.name] = field.value; });
+        }
+
+        this.scenario.steps.push({ delay: this.scenario.steps.length === 0 ? 0 : 2000, repeat: 1, interval: 1000, event });
+        this.markDirty();
+        this.render();
+    }
+
+    // Inputs carry data-field, and data-index for steps. Event JSON is only taken once it parses.
+    updateField(input, committed = false) {
+        const field = input.dataset.field;
+        if (!field || !this.scenario) return;
+
+        if (input.dataset.index === undefined) {
+            this.scenario[field] = input.value;
+            this.markDirty();
+            return;
+        }
+
+        const step = this.scenario.steps[parseInt(input.dataset.index, 10)];
+        if (!step) return;
+
+        if (field === 'event') {
+            try {
+                const event = JSON.parse(input.value);
+                if (!event || typeof event !== 'object' || Array.isArray(event)) throw new Error('not an object');
+                step.event = event;
+                input.classList.remove('invalid');
+                input.closest('.scenario-step').querySelector('.scenario-step-event').textContent = event.event || '?';
+            } catch {
+                input.classList.add('invalid');
+                return;
+            }
+        } else {
+            const value = parseInt(input.value, 10);
+            if (Number.isNaN(value)) return;
+            step[field] = value;
+            // A repeat count decides whether the interval input is shown
+            if (field === 'repeat' && committed) this.render();
+        }
+        this.markDirty();
+    }
+
+    markDirty() {
+        this.dirty = true;
+        this.container.querySelector('button[data-action="save-scenario"]').disabled = false;
+    }
+
+    render() {
+        const scenario = this.scenario;
+        const steps = scenario?.steps || [];
+        let offset = 0;
+
+        this.editor.innerHTML = `
+            <div class="scenario-meta">
+                <input type="text" data-field="name" placeholder="Scenario name" value="${this.escape(scenario?.name)}">
+                <input type="text" data-field="description" placeholder="What it covers" value="${this.escape(scenario?.description)}">
+            </div>
+            <div class="scenario-steps">
+                ${steps.length === 0 ? '<div class="help-text">No steps yet. Add events below or capture the replay range.</div>' : ''}
+                ${steps.map((step, index) => {
+                    offset += step.delay || 0;
+                    const at = offset;
+                    offset += Math.max(0, (step.repeat || 1) - 1) * (step.interval || 0);
+                    return `
+                        <div class="scenario-step">
+                            <span class="scenario-step-order">${index + 1}</span>
+                            <span class="scenario-step-at help-text" title="Time from the start">${this.formatDuration(at)}</span>
+                            <label>After <input type="number" min="0" step="100" data-index="${index}" data-field="delay" value="${step.delay ?? 0}"> ms</label>
+                            <strong class="scenario-step-event">${this.escape(step.event?.event || '?')}</strong>
+                            <label>× <input type="number" min="1" max="100" data-index="${index}" data-field="repeat" value="${step.repeat ?? 1}"></label>
+                            ${(step.repeat || 1) > 1 ? `
+                                <label>every <input type="number" min="0" step="100" data-index="${index}" data-field="interval" value="${step.interval ?? 1000}"> ms</label>
+                            ` : ''}
+                            <div class="scenario-step-controls">
+                                <button class="btn btn-secondary btn-sm" data-action="move-up" data-index="${index}" title="Move up" ${index === 0 ? 'disabled' : ''}>
+                                    <i class="fas fa-arrow-up"></i>
+                                </button>
+                                <button class="btn btn-secondary btn-sm" data-action="move-down" data-index="${index}" title="Move down" ${index === steps.length - 1 ? 'disabled' : ''}>
+                                    <i class="fas fa-arrow-down"></i>
+                                </button>
+                                <button class="btn btn-danger btn-sm" data-action="remove-step" data-index="${index}" title="Remove">
+                                    <i class="fas fa-trash"></i>
+                                </button>
+                            </div>
+                            <textarea class="scenario-step-json" rows="1" spellcheck="false" data-index="${index}" data-field="event">${this.escape(JSON.stringify(step.event))}</textarea>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+
+        this.container.querySelector('button[data-action="save-scenario"]').disabled = !this.dirty;
+        this.container.querySelector('button[data-action="delete-scenario"]').disabled =
+            !scenario?.name || !this.scenarios.some(s => s.name === scenario.name);
+    }
+
+    async save() {
+        if (this.editor.querySelector('.invalid')) {
+            this.notify('Fix the highlighted event JSON before saving', 'error');
+            return false;
+        }
+
+        try {
+            const result = await this.post('/api/scenarios', this.scenario);
+            this.dirty = false;
+            this.scenario = result.scenario;
+            await this.load(result.scenario.name);
+            this.notify(`Saved scenario ${result.scenario.name}`, 'success');
+            return true;
+        } catch (error) {
+            console.error('Error saving scenario:', error);
+            this.notify(error.message, 'error');
+            return false;
+        }
+    }
+
+    async remove() {
+        const name = this.scenario?.name;
+        if (!name || !confirm(`Delete scenario "${name}"?`)) return;
+
+        try {
+            const response = await fetch(`/api/scenarios/${encodeURIComponent(name)}`, { method: 'DELETE' });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) throw new Error(result.error || 'Failed to delete scenario');
+
+            this.scenario = null;
+            this.dirty = false;
+            await this.load();
+            this.notify(`Deleted scenario ${name}`, 'success');
+        } catch (error) {
+            console.error('Error deleting scenario:', error);
+            this.notify(error.message, 'error');
+        }
+    }
+
+    // The loaded replay's range, with its spacing, as a new unsaved scenario
+    async capture() {
+        if (this.dirty && !confirm('Discard unsaved changes to this scenario?')) return;
+
+        try {
+            const result = await this.post('/api/scenarios/capture', { name: '' });
+            this.setScenario(result.scenario, true);
+            this.notify(`Captured ${result.scenario.steps.length} events; name the scenario and save it`, 'success');
+        } catch (error) {
+            console.error('Error capturing scenario:', error);
+            this.notify(error.message, 'error');
+        }
+    }
+
+    // Runs the scenario as it is in the editor, saved or not
+    async run() {
+        if (!this.scenario || this.scenario.steps.length === 0) {
+            this.notify('Add some steps before running the scenario', 'error');
+            return;
+        }
+        if (this.editor.querySelector('.invalid')) {
+            this.notify('Fix the highlighted event JSON before running', 'error');
+            return;
+        }
+
+        try {
+            const scenario = { ...this.scenario, name: this.scenario.name || 'Untitled scenario' };
+            const result = await this.post('/api/scenarios/run', { scenario, speed: parseFloat(this.speed.value) });
+
+            this.baseline = this.finishedRuns[result.name] || null;
+            this.report = result.report;
+            this.renderReport();
+            this.notify(`Running scenario ${result.name} (${result.event_count} events)`, 'success');
+            this.onStarted(result);
+        } catch (error) {
+            console.error('Error running scenario:', error);
+            this.notify(error.message, 'error');
+        }
+    }
+
+    // Replay status and events from the stream; only scenario sessions refresh the report
+    setStatus(status) {
+        if (status?.source?.startsWith('Scenario: ')) this.scheduleReport();
+    }
+
+    handleReplayEvent() {
+        if (this.report && !this.report.complete) this.scheduleReport();
+    }
+
+    scheduleReport() {
+        if (this.reportTimer) return;
+        this.reportTimer = setTimeout(() => {
+            this.reportTimer = null;
+            this.refreshReport();
+        }, 300);
+    }
+
+    async refreshReport() {
+        try {
+            const data = await this.fetchJson('/api/scenarios/report');
+            if (!data.report) return;
+
+            this.report = data.report;
+            if (this.report.complete) this.finishedRuns[this.report.name] = this.report;
+            this.renderReport();
+        } catch (error) {
+            console.error('Error loading scenario report:', error);
+        }
+    }
+
+    renderReport() {
+        const report = this.report;
+        if (!report) {
+            this.reportPanel.style.display = 'none';
+            return;
+        }
+
+        const baseline = this.baseline?.name === report.name ? this.baseline : null;
+        const previousPatterns = new Map((baseline?.patterns || []).map(p => [p.pattern, p]));
+        const rateLimited = (report.events || []).filter(e => e.outcome?.result === 'rate_limited');
+        const state = report.complete ? 'Finished' : report.state === 'playing' ? 'Running' : 'Stopped early';
+
+        this.reportPanel.innerHTML = `
+            <div class="scenario-report-header">
+                <strong>${this.escape(report.name)}</strong>
+                <span class="help-text">${state} · ${report.events_played} of ${report.total_events} events</span>
+            </div>
+            <div class="scenario-report-stats">
+                ${this.renderStat('Fired', report.triggered, baseline?.triggered)}
+                ${this.renderStat('Rate limited', report.rate_limited, baseline?.rate_limited)}
+                ${this.renderStat('Unmapped', report.unmapped, baseline?.unmapped)}
+                ${this.renderStat('Disabled', report.disabled, baseline?.disabled)}
+                ${this.renderStat('Haptic energy', report.energy, baseline?.energy, ' s')}
+            </div>
+            ${baseline ? '<div class="help-text">Changes are against the previous finished run of this scenario.</div>' : ''}
+            ${report.patterns.length > 0 ? `
+                <table class="scenario-report-table">
+                    <thead>
+                        <tr><th>Pattern</th><th>Events</th><th>Fired</th><th title="Intensity × seconds">Energy</th></tr>
+                    </thead>
+                    <tbody>
+                        ${report.patterns.map(pattern => {
+                            const previous = previousPatterns.get(pattern.pattern);
+                            return `
+                                <tr>
+                                    <td>${this.escape(pattern.pattern)}</td>
+                                    <td class="help-text">${this.escape(pattern.events.join(', '))}</td>
+                                    <td>${pattern.count}${this.renderChange(pattern.count, baseline ? previous?.count ?? 0 : null)}</td>
+                                    <td>${pattern.energy.toFixed(2)} s${this.renderChange(pattern.energy, baseline ? previous?.energy ?? 0 : null)}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                        ${[...previousPatterns.values()].filter(p => !report.patterns.some(r => r.pattern === p.pattern)).map(p => `
+                            <tr class="scenario-report-gone">
+                                <td>${this.escape(p.pattern)}</td>
+                                <td class="help-text">${this.escape(p.events.join(', '))}</td>
+                                <td colspan="2">Fired ${p.count} times last run, not this one</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : ''}
+            ${rateLimited.length > 0 ? `
+                <div class="scenario-report-limited">
+                    <i class="fas fa-exclamation-triangle"></i> Rate limited:
+                    ${rateLimited.map(e => `${this.escape(e.event)} at ${this.formatDuration(e.offset)}`).join(', ')}
+                </div>
+            ` : ''}
+        `;
+        this.reportPanel.style.display = 'block';
+    }
+
+    renderStat(label, value, previous, suffix = '') {
+        const shown = Number.isInteger(value) ? value : value.toFixed(2);
+        return `
+            <div class="scenario-stat">
+                <span class="scenario-stat-value">${shown}${suffix}${this.renderChange(value, previous)}</span>
+                <span class="help-text">${label}</span>
+            </div>
+        `;
+    }
+
+    renderChange(value, previous) {
+        if (previous == null) return '';
+        const diff = Math.round((value - previous) * 100) / 100;
+        if (diff === 0) return '';
+        return ` <span class="scenario-change ${diff > 0 ? 'up' : 'down'}">${diff > 0 ? '+' : ''}${diff}</span>`;
+    }
+
+    formatDuration(ms) {
+        const seconds = (ms || 0) / 1000;
+        return seconds >= 60
+            ? `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`
+            : `${seconds.toFixed(1)}s`;
+    }
+
+    async fetchJson(url) {
+        const response = await fetch(url);
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(result.error || `${url} returned ${response.status}`);
+        return result;
+    }
+
+    async post(url, body) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(result.error || `${url} returned ${response.status}`);
+        return result;
+    }
+
+    escape(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
@@ -1,3 +1,79 @@
+// Undo/redo stack of { label, undo, redo, mergeKey } commands
+class TimelineHistory {
+    constructor(limit = 100) {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.limit = limit;
+        this.onChange = () => {};
+    }
+
+    push(command) {
+        const top = this.undoStack[this.undoStack.length - 1];
+
+        // Consecutive commands with the same merge key (slider drags, key repeats) collapse into one step
+        if (command.mergeKey && top && !top.sealed && top.mergeKey === command.mergeKey) {
+            top.redo = command.redo;
+        } else {
+            this.undoStack.push(command);
+            if (this.undoStack.length > this.limit) {
+                this.undoStack.shift();
+            }
+        }
+
+        this.redoStack = [];
+        this.onChange();
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return false;
+
+        command.sealed = true;
+        command.undo();
+        this.redoStack.push(command);
+        this.onChange();
+        return true;
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return false;
+
+        command.redo();
+        this.undoStack.push(command);
+        this.onChange();
+        return true;
+    }
+
+    // Stop the most recent command from absorbing further merges
+    seal() {
+        const top = this.undoStack[this.undoStack.length - 1];
+        if (top) top.sealed = true;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.onChange();
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    peekUndo() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+
+    peekRedo() {
+        return this.redoStack[this.redoStack.length - 1] || null;
+    }
+}
+
 class TimelineEditor {
     constructor() {
         this.container = null;
@@ -14,21 +90,50 @@ class TimelineEditor {
         this.lastPanX = 0;
         this.spacePressed = false;
         this.currentTime = 0;
+        this.previewTarget = 'local';
+        this.audioContext = null;
+        this.audioSource = null;
+        this.playbackClockStart = 0;
+        this.playbackOffset = 0;
+        this.playbackFrame = null;
         this.duration = 3000;
         this.zoom = 1.0;
         this.panX = 0;
         this.gridTimeStep = 250;
         this.gridIntensityStep = 10;
+        this.gridTimeSteps = [50, 100, 125, 250, 500, 1000];
+        this.gridIntensitySteps = [1, 5, 10, 20, 25];
+        this.snapModes = new Set(); // 'grid', 'points', 'layers', 'fades'
+        this.snapThreshold = 8; // pixels
+        this.snapBypass = false;
+        this.snapGuide = null;
         this.globalCurveType = 'Linear';
+        this.loadedPattern = null; // last pattern passed to setHapticPattern
         this.renderScheduled = false;
         this.layerColors = ['#ff6b35', '#f7931e', '#00bcd4', '#4caf50', '#ff9800'];
         this.waveformTypes = ['Sine', 'Square', 'Triangle', 'Sawtooth', 'Noise'];
         this.curveTypes = ['Linear', 'Exponential', 'Logarithmic', 'Sine', 'Bounce', 'Custom'];
+        this.segmentCurveTypes = ['Linear', 'Exponential', 'Logarithmic', 'Sine', 'Bounce', 'Bezier'];
+        this.selectedHandle = null;
+        this.selectedPoints = new Set();
+        this.groupDrag = null;
+        this.layerDrag = null;
+        this.marquee = null;
+        this.lastPointerTime = null;
+        this.chain = []; // [{ ref, gap }]; ref is a pattern name or an inline pattern, gap in ms (negative overlaps)
+        this.chainSources = {}; // patterns the host offers for chaining, by name
+        this.chainSynthCache = new Map();
+        this.chainPlayback = null; // { audioSource, timers, frame, clockStart } while the chain preview runs
+
+        this.history = new TimelineHistory();
+        this.history.onChange = () => this.updateHistoryButtons();
+        this.pendingChange = null;
 
         this.callbacks = {
             onPatternChanged: () => {},
             onLayerAdded: () => {},
-            onLayerRemoved: () => {}
+            onLayerRemoved: () => {},
+            onPlaybackError: () => {}
         };
 
         // Resolve CSS colors for canvas use
@@ -56,6 +161,10 @@ class TimelineEditor {
             this.addDefaultLayer();
         }
 
+        // The initial pattern is the baseline, not an undoable edit
+        this.history.clear();
+        this.updateClipboardButtons();
+
         this.render();
         return this;
     }
@@ -69,6 +178,14 @@ class TimelineEditor {
                         <button id="pauseBtn" class="control-btn" style="display: none;" aria-label="Pause timeline">⏸️</button>
                         <button id="stopBtn" class="control-btn" aria-label="Stop timeline">⏹️</button>
                         <span class="time-display" aria-live="polite" aria-label="Current time">0.0s / ${(this.duration / 1000).toFixed(1)}s</span>
+                        <select id="previewTargetSelect" aria-label="Playback target">
+                            <option value="local">Local preview</option>
+                            <option value="device">Play on device</option>
+                        </select>
+                    </div>
+                    <div class="history-controls" role="group" aria-label="History Controls">
+                        <button id="undoBtn" class="control-btn" aria-label="Undo (Ctrl+Z)" title="Undo (Ctrl+Z)" disabled>↶ Undo</button>
+                        <button id="redoBtn" class="control-btn" aria-label="Redo (Ctrl+Shift+Z)" title="Redo (Ctrl+Shift+Z)" disabled>↷ Redo</button>
                     </div>
                     <div class="duration-controls" role="group" aria-label="Pattern Duration Controls">
                         <label for="durationInput">Duration:</label>
@@ -82,11 +199,36 @@ class TimelineEditor {
                         <button id="resetZoomBtn" class="control-btn" aria-label="Reset zoom">↻</button>
                     </div>
                     <div class="curve-tools" role="group" aria-label="Curve Tools">
-                        <label for="curveTypeSelect">Curve Type:</label>
-                        <select id="curveTypeSelect" aria-label="Select curve type">
-                            ${this.curveTypes.map(type => `<option value="${type}">${type}</option>`).join('')}
+                        <label for="curveTypeSelect">Segment Curve:</label>
+                        <select id="curveTypeSelect" aria-label="Curve of the segment after the selected point, or all segments when none is selected">
+                            ${this.segmentCurveTypes.map(type => `<option value="${type}">${type}</option>`).join('')}
                         </select>
                         <button id="addPointBtn" class="control-btn" aria-label="Add control point">+ Point</button>
+                        <button id="quantizeBtn" class="control-btn" aria-label="Quantize points to the grid" title="Snap every point, or the selected group, to the grid">Quantize</button>
+                        <button id="copyPointsBtn" class="control-btn" aria-label="Copy selected points (Ctrl+C)" title="Copy selected points (Ctrl+C)">Copy</button>
+                        <button id="pastePointsBtn" class="control-btn" aria-label="Paste points (Ctrl+V)" title="Paste points at the cursor (Ctrl+V)" disabled>Paste</button>
+                    </div>
+                    <div class="snap-controls" role="group" aria-label="Snapping (hold Shift while dragging to bypass)">
+                        <span>Snap:</span>
+                        <button class="control-btn" data-snap="grid" aria-pressed="false" title="Snap to grid">Grid</button>
+                        <button class="control-btn" data-snap="points" aria-pressed="false" title="Snap to other points">Points</button>
+                        <button class="control-btn" data-snap="layers" aria-pressed="false" title="Snap to layer start and end">Layers</button>
+                        <button class="control-btn" data-snap="fades" aria-pressed="false" title="Snap to layer fade boundaries">Fades</button>
+                        <select id="gridTimeSelect" aria-label="Grid time step">
+                            ${this.gridTimeSteps.map(step => `<option value="${step}" ${step === this.gridTimeStep ? 'selected' : ''}>${step} ms</option>`).join('')}
+                        </select>
+                        <select id="gridIntensitySelect" aria-label="Grid intensity step">
+                            ${this.gridIntensitySteps.map(step => `<option value="${step}" ${step === this.gridIntensityStep ? 'selected' : ''}>${step}%</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="point-inspector" role="group" aria-label="Selected Point">
+                        <label for="pointTimeInput">Point:</label>
+                        <input type="number" id="pointTimeInput" min="0" max="${this.duration}" step="1" disabled
+                               aria-label="Selected point time in milliseconds" style="width: 70px;">
+                        <span>ms</span>
+                        <input type="number" id="pointIntensityInput" min="0" max="100" step="1" disabled
+                               aria-label="Selected point intensity in percent" style="width: 55px;">
+                        <span>%</span>
                     </div>
                 </div>
 
@@ -94,7 +236,7 @@ class TimelineEditor {
                     <div class="timeline-canvas-wrapper">
                         <canvas id="timelineCanvas" class="timeline-canvas"
                                 role="img"
-                                aria-label="Timeline visualization canvas. Use arrow keys to navigate, Space to pan, mouse to add control points"
+                                aria-label="Timeline visualization canvas. Use arrow keys to navigate, Space to pan, mouse to add control points, drag to select several points"
                                 tabindex="0"></canvas>
                     </div>
 
@@ -115,7 +257,7 @@ class TimelineEditor {
                             </div>
                             <div class="control-group">
                                 <label for="frequencySlider">Frequency: <span id="frequencyValue" aria-live="polite">40</span>Hz</label>
-                                <input type="range" id="frequencySlider" min="20" max="120" value="40" step="1"
+                                <input type="range" id="frequencySlider" min="10" max="100" value="40" step="1"
                                        aria-label="Frequency slider" aria-describedby="frequencyValue">
                             </div>
                             <div class="control-group">
@@ -161,6 +303,19 @@ class TimelineEditor {
                         </div>
                     </div>
                 </div>
+                <div class="sequence-lane" role="region" aria-label="Pattern chain">
+                    <div class="sequence-lane-header">
+                        <h3>Sequence</h3>
+                        <select id="chainAddSelect" aria-label="Chain a pattern after this one">
+                            <option value="">+ Chain pattern...</option>
+                        </select>
+                        <button id="chainPreviewBtn" class="control-btn" aria-label="Preview the whole chain" disabled>▶️ Preview Chain</button>
+                        <span class="chain-total" aria-live="polite"></span>
+                    </div>
+                    <canvas id="sequenceCanvas" class="sequence-canvas" role="img"
+                            aria-label="The pattern and its chained patterns end to end"></canvas>
+                    <div id="chainList" class="chain-list" role="list" aria-label="Chained patterns"></div>
+                </div>
                 <!-- Offscreen aria-live element for control point selection announcements -->
                 <div class="sr-only-announce" role="status" aria-live="polite" style="position: absolute; left: -10000px; width: 1px; height: 1px; overflow: hidden;"></div>
             </div>
@@ -200,15 +355,20 @@ class TimelineEditor {
         this.canvas.addEventListener('mousedown', this.handleCanvasMouseDown.bind(this));
         this.canvas.addEventListener('mousemove', this.handleCanvasMouseMove.bind(this));
         this.canvas.addEventListener('mouseup', this.handleCanvasMouseUp.bind(this));
+        this.canvas.addEventListener('mouseleave', () => { this.lastPointerTime = null; });
         this.canvas.addEventListener('contextmenu', this.handleCanvasContextMenu.bind(this));
         this.canvas.addEventListener('wheel', this.handleCanvasWheel.bind(this));
         this.canvas.addEventListener('keydown', this.handleCanvasKeyDown.bind(this));
 
-        // Global keyboard events for panning
-        window.addEventListener('keydown', this.handleKeyDown.bind(this));
-        window.addEventListener('keyup', this.handleKeyUp.bind(this));
-
-        window.addEventListener('resize', this.handleResize.bind(this));
+        // Global keyboard events for panning, kept so destroy() can remove them
+        this.windowHandlers = {
+            keydown: this.handleKeyDown.bind(this),
+            keyup: this.handleKeyUp.bind(this),
+            resize: this.handleResize.bind(this)
+        };
+        window.addEventListener('keydown', this.windowHandlers.keydown);
+        window.addEventListener('keyup', this.windowHandlers.keyup);
+        window.addEventListener('resize', this.windowHandlers.resize);
     }
 
     setupEventListeners() {
@@ -216,12 +376,14 @@ class TimelineEditor {
         this.boundHandlers = {
             click: this.handleContainerClick.bind(this),
             input: this.handleContainerInput.bind(this),
-            change: this.handleContainerChange.bind(this)
+            change: this.handleContainerChange.bind(this),
+            keydown: this.handleContainerKeyDown.bind(this)
         };
 
         this.container.addEventListener('click', this.boundHandlers.click);
         this.container.addEventListener('input', this.boundHandlers.input);
         this.container.addEventListener('change', this.boundHandlers.change);
+        this.container.addEventListener('keydown', this.boundHandlers.keydown);
     }
 
     // Safe element query with null checking
@@ -235,6 +397,16 @@ class TimelineEditor {
     }
 
     handleContainerClick(e) {
+        const chainButton = e.target.closest && e.target.closest('[data-chain-action]');
+        if (chainButton) {
+            this.handleChainAction(chainButton.dataset.chainAction, parseInt(chainButton.dataset.index));
+            return;
+        }
+        if (e.target === this.safeQuery('#chainPreviewBtn')) {
+            this.toggleChainPreview();
+            return;
+        }
+
         const addLayerBtn = this.safeQuery('#addLayerBtn');
         const removeLayerBtn = this.safeQuery('#removeLayerBtn');
         const duplicateLayerBtn = this.safeQuery('#duplicateLayerBtn');
@@ -245,6 +417,16 @@ class TimelineEditor {
         const zoomOutBtn = this.safeQuery('#zoomOutBtn');
         const resetZoomBtn = this.safeQuery('#resetZoomBtn');
         const addPointBtn = this.safeQuery('#addPointBtn');
+        const undoBtn = this.safeQuery('#undoBtn');
+        const redoBtn = this.safeQuery('#redoBtn');
+        const copyPointsBtn = this.safeQuery('#copyPointsBtn');
+        const pastePointsBtn = this.safeQuery('#pastePointsBtn');
+        const quantizeBtn = this.safeQuery('#quantizeBtn');
+
+        if (e.target.dataset && e.target.dataset.snap) {
+            this.toggleSnapMode(e.target.dataset.snap);
+            return;
+        }
 
         if (e.target === addLayerBtn && addLayerBtn) this.addLayer();
         if (e.target === removeLayerBtn && removeLayerBtn) this.removeSelectedLayer();
@@ -256,6 +438,11 @@ class TimelineEditor {
         if (e.target === zoomOutBtn && zoomOutBtn) this.zoomOut();
         if (e.target === resetZoomBtn && resetZoomBtn) this.resetZoom();
         if (e.target === addPointBtn && addPointBtn) this.addControlPoint();
+        if (e.target === undoBtn && undoBtn) this.undo();
+        if (e.target === redoBtn && redoBtn) this.redo();
+        if (e.target === copyPointsBtn && copyPointsBtn) this.copySelectedPoints();
+        if (e.target === pastePointsBtn && pastePointsBtn) this.pastePoints();
+        if (e.target === quantizeBtn && quantizeBtn) this.quantizePoints();
     }
 
     handleContainerInput(e) {
@@ -298,6 +485,24 @@ class TimelineEditor {
         const layerWaveform = this.safeQuery('#layerWaveform');
         const layerCurve = this.safeQuery('#layerCurve');
         const curveTypeSelect = this.safeQuery('#curveTypeSelect');
+        const previewTargetSelect = this.safeQuery('#previewTargetSelect');
+        const gridTimeSelect = this.safeQuery('#gridTimeSelect');
+        const gridIntensitySelect = this.safeQuery('#gridIntensitySelect');
+        const pointTimeInput = this.safeQuery('#pointTimeInput');
+        const pointIntensityInput = this.safeQuery('#pointIntensityInput');
+
+        // A committed input (slider released, number entered) ends the current merge run
+        this.history.seal();
+
+        if (e.target.id === 'chainAddSelect' && e.target.value) {
+            this.addChainedPattern(e.target.value);
+            e.target.value = '';
+            return;
+        }
+        if (e.target.dataset && e.target.dataset.chainGap !== undefined) {
+            this.setChainGap(parseInt(e.target.dataset.chainGap), parseInt(e.target.value));
+            return;
+        }
 
         if (e.target === layerWaveform && layerWaveform) {
             this.updateLayerProperty('waveform', e.target.value);
@@ -308,6 +513,62 @@ class TimelineEditor {
         if (e.target === curveTypeSelect && curveTypeSelect) {
             this.updateCurveType(e.target.value);
         }
+        if (e.target === previewTargetSelect && previewTargetSelect) {
+            this.setPreviewTarget(e.target.value);
+        }
+        if (e.target === gridTimeSelect && gridTimeSelect) {
+            this.gridTimeStep = parseInt(e.target.value);
+            this.render();
+        }
+        if (e.target === gridIntensitySelect && gridIntensitySelect) {
+            this.gridIntensityStep = parseInt(e.target.value);
+            this.render();
+        }
+        if (e.target === pointTimeInput && pointTimeInput) {
+            this.setSelectedPointValue('time', parseFloat(e.target.value));
+        }
+        if (e.target === pointIntensityInput && pointIntensityInput) {
+            this.setSelectedPointValue('intensity', parseFloat(e.target.value));
+        }
+    }
+
+    handleContainerKeyDown(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+        // Leave text fields to the browser's own undo
+        if (e.target.matches && e.target.matches('input[type="number"], input[type="text"], textarea')) return;
+
+        if (e.code === 'KeyZ') {
+            if (e.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+            e.preventDefault();
+        } else if (e.code === 'KeyY') {
+            this.redo();
+            e.preventDefault();
+        } else if (e.target === this.canvas) {
+            // Selection clipboard only applies while the canvas has focus
+            switch (e.code) {
+                case 'KeyA':
+                    this.setSelection(this.getSortedPoints());
+                    e.preventDefault();
+                    break;
+                case 'KeyC':
+                    this.copySelectedPoints();
+                    e.preventDefault();
+                    break;
+                case 'KeyX':
+                    if (this.copySelectedPoints()) this.removeSelectedPoints('Cut points');
+                    e.preventDefault();
+                    break;
+                case 'KeyV':
+                    this.pastePoints();
+                    e.preventDefault();
+                    break;
+            }
+        }
     }
 
     // Cleanup method to remove event listeners
@@ -316,16 +577,23 @@ class TimelineEditor {
             this.container.removeEventListener('click', this.boundHandlers.click);
             this.container.removeEventListener('input', this.boundHandlers.input);
             this.container.removeEventListener('change', this.boundHandlers.change);
+            this.container.removeEventListener('keydown', this.boundHandlers.keydown);
         }
 
         // Remove window event listeners
-        window.removeEventListener('keydown', this.handleKeyDown.bind(this));
-        window.removeEventListener('keyup', this.handleKeyUp.bind(this));
-        window.removeEventListener('resize', this.handleResize.bind(this));
+        if (this.windowHandlers) {
+            window.removeEventListener('keydown', this.windowHandlers.keydown);
+            window.removeEventListener('keyup', this.windowHandlers.keyup);
+            window.removeEventListener('resize', this.windowHandlers.resize);
+        }
 
-        // Clear intervals
-        if (this.playbackInterval) {
-            clearInterval(this.playbackInterval);
+        // Stop playback and release the audio device
+        this.stopPlaybackClock();
+        this.stopAudioSource();
+        this.stopChainPreview();
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
         }
     }
 
@@ -356,12 +624,15 @@ class TimelineEditor {
             curve: properties.curve || 'Linear',
             color: this.layerColors[this.layers.length % this.layerColors.length],
             visible: true,
-            muted: false
+            muted: false,
+            soloed: false
         };
 
-        this.layers.push(layer);
-        this.updateLayerList();
-        this.selectLayer(layer);
+        this.recordChange('Add layer', () => {
+            this.layers.push(layer);
+            this.updateLayerList();
+            this.selectLayer(layer);
+        });
         this.render();
         this.callbacks.onLayerAdded(layer);
         this.callbacks.onPatternChanged();
@@ -372,8 +643,10 @@ class TimelineEditor {
 
         const index = this.layers.findIndex(l => l.id === this.selectedLayer.id);
         if (index !== -1) {
-            this.layers.splice(index, 1);
-            this.selectedLayer = null;
+            this.recordChange('Remove layer', () => {
+                this.layers.splice(index, 1);
+                this.selectedLayer = null;
+            });
             this.updateLayerList();
             this.updateLayerControls();
             this.render();
@@ -388,8 +661,10 @@ class TimelineEditor {
         const duplicate = { ...this.selectedLayer };
         duplicate.id = Date.now() + Math.random();
         duplicate.startTime += 100; // Offset slightly
-        this.layers.push(duplicate);
-        this.selectLayer(duplicate);
+        this.recordChange('Duplicate layer', () => {
+            this.layers.push(duplicate);
+            this.selectLayer(duplicate);
+        });
         this.updateLayerList();
         this.render();
         this.callbacks.onLayerAdded(duplicate);
@@ -411,11 +686,11 @@ class TimelineEditor {
         }
 
         layerList.innerHTML = this.layers.map((layer, index) => `
-            <div class="layer-item ${this.selectedLayer?.id === layer.id ? 'selected' : ''}"
+            <div class="layer-item ${this.selectedLayer?.id === layer.id ? 'selected' : ''} ${this.isLayerAudible(layer) ? '' : 'silent'}"
                  data-layer-id="${layer.id}"
                  role="listitem"
                  tabindex="0"
-                 aria-label="Layer ${index + 1}: ${layer.waveform} waveform, ${layer.visible ? 'visible' : 'hidden'}, ${layer.muted ? 'muted' : 'unmuted'}"
+                 aria-label="Layer ${index + 1}: ${layer.waveform} waveform, ${layer.visible ? 'visible' : 'hidden'}, ${layer.muted ? 'muted' : 'unmuted'}${layer.soloed ? ', soloed' : ''}"
                  ${this.selectedLayer?.id === layer.id ? 'aria-selected="true"' : 'aria-selected="false"'}>
                 <div class="layer-header">
                     <div class="layer-color" style="background-color: ${layer.color}" aria-hidden="true"></div>
@@ -423,12 +698,19 @@ class TimelineEditor {
                     <div class="layer-toggles" role="group" aria-label="Layer visibility controls">
                         <button class="toggle-btn ${layer.visible ? 'active' : ''}"
                                 data-action="toggle-visible"
+                                title="Show or hide (hidden layers are not played) - V"
                                 aria-label="${layer.visible ? 'Hide layer' : 'Show layer'}"
                                 aria-pressed="${layer.visible}">👁️</button>
                         <button class="toggle-btn ${layer.muted ? 'active' : ''}"
                                 data-action="toggle-muted"
+                                title="Mute - M"
                                 aria-label="${layer.muted ? 'Unmute layer' : 'Mute layer'}"
                                 aria-pressed="${layer.muted}">🔇</button>
+                        <button class="toggle-btn ${layer.soloed ? 'active' : ''}"
+                                data-action="toggle-solo"
+                                title="Solo (play only soloed layers) - S"
+                                aria-label="${layer.soloed ? 'Unsolo layer' : 'Solo layer'}"
+                                aria-pressed="${layer.soloed}">🎧</button>
                     </div>
                 </div>
                 <div class="layer-preview">
@@ -483,7 +765,9 @@ class TimelineEditor {
                         break;
                     case 'KeyV':
                         if (layer) {
-                            layer.visible = !layer.visible;
+                            this.recordChange('Toggle layer visibility', () => {
+                                layer.visible = !layer.visible;
+                            });
                             this.updateLayerList();
                             this.render();
                             this.callbacks.onPatternChanged();
@@ -492,7 +776,20 @@ class TimelineEditor {
                         break;
                     case 'KeyM':
                         if (layer) {
-                            layer.muted = !layer.muted;
+                            this.recordChange('Toggle layer mute', () => {
+                                layer.muted = !layer.muted;
+                            });
+                            this.updateLayerList();
+                            this.render();
+                            this.callbacks.onPatternChanged();
+                            e.preventDefault();
+                        }
+                        break;
+                    case 'KeyS':
+                        if (layer) {
+                            this.recordChange('Toggle layer solo', () => {
+                                layer.soloed = !layer.soloed;
+                            });
                             this.updateLayerList();
                             this.render();
                             this.callbacks.onPatternChanged();
@@ -512,9 +809,17 @@ class TimelineEditor {
                 const action = btn.dataset.action;
 
                 if (action === 'toggle-visible') {
-                    layer.visible = !layer.visible;
+                    this.recordChange('Toggle layer visibility', () => {
+                        layer.visible = !layer.visible;
+                    });
                 } else if (action === 'toggle-muted') {
-                    layer.muted = !layer.muted;
+                    this.recordChange('Toggle layer mute', () => {
+                        layer.muted = !layer.muted;
+                    });
+                } else if (action === 'toggle-solo') {
+                    this.recordChange('Toggle layer solo', () => {
+                        layer.soloed = !layer.soloed;
+                    });
                 }
 
                 this.updateLayerList();
@@ -532,48 +837,10 @@ class TimelineEditor {
             const layer = this.layers[index];
             if (!layer) return;
 
-            const ctx = canvas.getContext('2d');
-            ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-            ctx.strokeStyle = layer.color;
-            ctx.lineWidth = 1;
-            ctx.beginPath();
-
-            const samples = canvas.width;
-            const centerY = canvas.height / 2;
-
-            for (let i = 0; i < samples; i++) {
-                const time = (i / samples) * layer.duration;
-                const phase = (time / 1000) * layer.frequency * 2 * Math.PI + (layer.phase * Math.PI / 180);
-                let value = 0;
-
-                switch (layer.waveform) {
-                    case 'Sine':
-                        value = Math.sin(phase);
-                        break;
-                    case 'Square':
-                        value = Math.sin(phase) > 0 ? 1 : -1;
-                        break;
-                    case 'Triangle':
-                        value = (2 / Math.PI) * Math.asin(Math.sin(phase));
-                        break;
-                    case 'Sawtooth':
-                        value = (2 / Math.PI) * Math.atan(Math.tan(phase / 2));
-                        break;
-                    case 'Noise':
-                        value = Math.random() * 2 - 1;
-                        break;
-                }
-
-                const y = centerY + (value * centerY * 0.8);
-                if (i === 0) {
-                    ctx.moveTo(i, y);
-                } else {
-                    ctx.lineTo(i, y);
-                }
-            }
-
-            ctx.stroke();
+            PatternSynth.drawThumbnail(canvas, null, {
+                result: this.getSynthesis([index]),
+                color: layer.color
+            });
         });
     }
 
@@ -620,7 +887,10 @@ class TimelineEditor {
     updateLayerProperty(property, value) {
         if (!this.selectedLayer) return;
 
-        this.selectedLayer[property] = value;
+        const layer = this.selectedLayer;
+        this.recordChange(`Change layer ${property}`, () => {
+            layer[property] = value;
+        }, `layer:${layer.id}:${property}`);
 
         // Update display value
         const valueElement = this.safeQuery(`#${property}Value`);
@@ -637,6 +907,15 @@ class TimelineEditor {
         // Clamp duration to valid range
         newDuration = Math.max(100, Math.min(30000, newDuration));
 
+        this.recordChange('Change duration', () => this.applyPatternDuration(newDuration), 'duration');
+
+        this.updateLayerList();
+        this.render();
+        this.callbacks.onPatternChanged();
+    }
+
+    applyPatternDuration(newDuration) {
+
         // Update pattern duration
         this.duration = newDuration;
 
@@ -701,10 +980,6 @@ class TimelineEditor {
                 this.controlPoints.push({ time: 1, intensity: this.controlPoints[this.controlPoints.length - 1].intensity });
             }
         }
-
-        this.updateLayerList();
-        this.render();
-        this.callbacks.onPatternChanged();
     }
 
     // Canvas interaction methods
@@ -723,20 +998,69 @@ class TimelineEditor {
             return;
         }
 
+        // Bezier handles sit above the points they belong to
+        const handle = this.findHandleAt(x, y);
+        if (handle) {
+            this.selectedHandle = handle;
+            this.isDragging = true;
+            this.beginChange('Move handle');
+            this.canvas.style.cursor = 'grabbing';
+            return;
+        }
+
         // Check if clicking on a control point
         const point = this.findControlPointAt(x, y);
         if (point) {
-            this.selectedPoint = point;
-            this.updateSelectedPointIndex();
+            if (e.shiftKey && this.selectedPoints.has(point)) {
+                // Shift-click on a selected point drops it from the selection
+                this.togglePointSelection(point);
+                return;
+            }
+
+            if (e.shiftKey) {
+                this.togglePointSelection(point);
+            } else if (!this.selectedPoints.has(point)) {
+                this.setSelection([point]);
+            } else {
+                // Grabbing part of an existing group keeps the group
+                this.selectedPoint = point;
+                this.updateSelectedPointIndex();
+                this.syncCurveSelect();
+            }
+
             this.isDragging = true;
+            // The whole drag becomes a single undo step, committed on mouseup
+            if (this.selectedPoints.size > 1) {
+                this.beginChange(e.altKey ? 'Scale points' : 'Move points');
+                this.startGroupDrag(point, x, y, e.altKey);
+            } else {
+                this.beginChange('Move point');
+            }
             this.canvas.style.cursor = 'grabbing';
             return;
         }
 
+        // Layer bars: body moves the layer, edges resize it, top corners set the fades
+        const layerHit = this.findLayerBarAt(x, y);
+        if (layerHit && e.button === 0) {
+            if (this.selectedLayer !== layerHit.layer) {
+                this.selectLayer(layerHit.layer);
+            }
+            this.startLayerDrag(layerHit, x);
+            this.isDragging = true;
+            this.canvas.style.cursor = layerHit.mode === 'move' ? 'grabbing' : 'ew-resize';
+            return;
+        }
+
         // Add new control point if in add mode
         if (e.ctrlKey || this.container.querySelector('#addPointBtn').classList.contains('active')) {
             this.addControlPointAt(x, y);
+            return;
         }
+
+        // Otherwise drag out a selection rectangle
+        if (e.button !== 0) return;
+        this.marquee = { x0: x, y0: y, x1: x, y1: y, additive: e.shiftKey };
     }
 
     handleCanvasMouseMove(e) {
@@ -744,6 +1068,16 @@ class TimelineEditor {
         const x = e.clientX - rect.left;
         const y = e.clientY - rect.top;
 
+        this.lastPointerTime = this.xToTime(x);
+        this.snapBypass = e.shiftKey;
+
+        if (this.marquee) {
+            this.marquee.x1 = x;
+            this.marquee.y1 = y;
+            this.scheduleRender();
+            return;
+        }
+
         if (this.isPanning) {
             const deltaX = x - this.lastPanX;
             const deltaY = y - this.lastPanY;
@@ -759,6 +1093,27 @@ class TimelineEditor {
             return;
         }
 
+        if (this.isDragging && this.selectedHandle) {
+            this.moveHandle(this.selectedHandle, x, y);
+            this.scheduleRender();
+            this.callbacks.onPatternChanged();
+            return;
+        }
+
+        if (this.isDragging && this.layerDrag) {
+            this.dragLayer(x);
+            this.scheduleRender();
+            this.callbacks.onPatternChanged();
+            return;
+        }
+
+        if (this.isDragging && this.groupDrag) {
+            this.dragSelectedPoints(x, y);
+            this.scheduleRender();
+            this.callbacks.onPatternChanged();
+            return;
+        }
+
         if (this.isDragging && this.selectedPoint) {
             this.moveControlPoint(this.selectedPoint, x, y);
             this.scheduleRender();
@@ -767,16 +1122,30 @@ class TimelineEditor {
         }
 
         // Update cursor based on what's under mouse
-        const point = this.findControlPointAt(x, y);
+        const point = this.findHandleAt(x, y) || this.findControlPointAt(x, y);
+        const layerHit = point ? null : this.findLayerBarAt(x, y);
         if (this.spacePressed) {
             this.canvas.style.cursor = 'move';
+        } else if (layerHit) {
+            this.canvas.style.cursor = layerHit.mode === 'move' ? 'grab' : 'ew-resize';
         } else {
             this.canvas.style.cursor = point ? 'grab' : 'default';
         }
     }
 
     handleCanvasMouseUp(e) {
+        if (this.marquee) {
+            this.finishMarquee();
+        }
+        if (this.isDragging) {
+            this.commitChange();
+        }
         this.isDragging = false;
+        this.groupDrag = null;
+        this.layerDrag = null;
+        this.selectedHandle = null;
+        this.snapGuide = null;
+        this.snapBypass = false;
         this.isPanning = false;
         // Don't clear selectedPoint - keep it for keyboard navigation
 
@@ -820,6 +1189,9 @@ class TimelineEditor {
     }
 
     handleKeyDown(e) {
+        // Leave typing in form fields on the same page alone
+        if (e.target && e.target.matches && e.target.matches('input, textarea, select')) return;
+
         if (e.code === 'Space' && !this.spacePressed) {
             this.spacePressed = true;
             this.canvas.style.cursor = 'move';
@@ -832,6 +1204,9 @@ class TimelineEditor {
             this.spacePressed = false;
             this.canvas.style.cursor = 'default';
         }
+        if (e.code === 'ArrowUp' || e.code === 'ArrowDown') {
+            this.history.seal();
+        }
     }
 
     handleCanvasKeyDown(e) {
@@ -855,7 +1230,12 @@ class TimelineEditor {
                 break;
             case 'ArrowUp':
                 if (this.selectedPoint) {
-                    this.selectedPoint.intensity = Math.min(100, this.selectedPoint.intensity + 5);
+                    const points = this.getSelectedPoints();
+                    this.recordChange('Adjust point intensity', () => {
+                        points.forEach(point => {
+                            point.intensity = Math.min(100, point.intensity + 5);
+                        });
+                    }, 'nudge-point');
                     this.controlPoints.sort((a, b) => a.time - b.time);
                     this.updateSelectedPointIndex();
                     this.scheduleRender();
@@ -869,7 +1249,12 @@ class TimelineEditor {
                 break;
             case 'ArrowDown':
                 if (this.selectedPoint) {
-                    this.selectedPoint.intensity = Math.max(0, this.selectedPoint.intensity - 5);
+                    const points = this.getSelectedPoints();
+                    this.recordChange('Adjust point intensity', () => {
+                        points.forEach(point => {
+                            point.intensity = Math.max(0, point.intensity - 5);
+                        });
+                    }, 'nudge-point');
                     this.controlPoints.sort((a, b) => a.time - b.time);
                     this.updateSelectedPointIndex();
                     this.scheduleRender();
@@ -910,9 +1295,18 @@ class TimelineEditor {
                     e.preventDefault();
                 }
                 break;
+            case 'Escape':
+                if (this.selectedPoints.size > 0) {
+                    this.clearSelection();
+                    e.preventDefault();
+                }
+                break;
             case 'Delete':
             case 'Backspace':
-                if (this.selectedPoint && this.controlPoints.length > 2) {
+                if (this.selectedPoints.size > 1) {
+                    this.removeSelectedPoints();
+                    e.preventDefault();
+                } else if (this.selectedPoint && this.controlPoints.length > 2) {
                     // Remove the selected point and select the nearest remaining point
                     const sortedPoints = this.getSortedPoints();
                     const currentIndex = sortedPoints.findIndex(p => p === this.selectedPoint);
@@ -925,8 +1319,7 @@ class TimelineEditor {
                         const newIndex = Math.min(currentIndex, remainingPoints.length - 1);
                         this.selectControlPointByIndex(newIndex);
                     } else {
-                        this.selectedPoint = null;
-                        this.selectedPointIndex = -1;
+                        this.clearSelection();
                     }
 
                     e.preventDefault();
@@ -1029,14 +1422,16 @@ class TimelineEditor {
     }
 
     addControlPointAt(x, y) {
-        const time = this.xToTime(x);
-        const intensity = this.yToIntensity(y);
+        const { time, intensity } = this.snapPosition(this.xToTime(x), this.yToIntensity(y));
+        this.snapGuide = null;
 
         if (time < 0 || time > this.duration || intensity < 0 || intensity > 100) return;
 
         const point = { time, intensity, curveType: 'Linear' };
-        this.controlPoints.push(point);
-        this.controlPoints.sort((a, b) => a.time - b.time);
+        this.recordChange('Add point', () => {
+            this.controlPoints.push(point);
+            this.controlPoints.sort((a, b) => a.time - b.time);
+        });
 
         // Update selected point index if we have a selection
         this.updateSelectedPointIndex();
@@ -1053,9 +1448,12 @@ class TimelineEditor {
     removeControlPoint(point) {
         const index = this.controlPoints.indexOf(point);
         if (index !== -1) {
-            this.controlPoints.splice(index, 1);
+            this.recordChange('Remove point', () => {
+                this.controlPoints.splice(index, 1);
+            });
 
             // Update selected point index if the removed point was selected
+            this.selectedPoints.delete(point);
             if (point === this.selectedPoint) {
                 this.selectedPoint = null;
                 this.selectedPointIndex = -1;
@@ -1069,92 +1467,443 @@ class TimelineEditor {
     }
 
     moveControlPoint(point, x, y) {
-        point.time = Math.max(0, Math.min(this.duration, this.xToTime(x)));
-        point.intensity = Math.max(0, Math.min(100, this.yToIntensity(y)));
+        const snapped = this.snapPosition(this.xToTime(x), this.yToIntensity(y), new Set([point]));
+        this.recordChange('Move point', () => {
+            point.time = Math.max(0, Math.min(this.duration, snapped.time));
+            point.intensity = Math.max(0, Math.min(100, snapped.intensity));
 
-        // Re-sort points by time
-        this.controlPoints.sort((a, b) => a.time - b.time);
+            // Re-sort points by time
+            this.controlPoints.sort((a, b) => a.time - b.time);
+        });
 
         // Update selected point index after sorting
         this.updateSelectedPointIndex();
     }
 
-    // Coordinate conversion methods with bounds checking
-    timeToX(time) {
-        if (this.duration <= 0 || this.logicalWidth <= 60) return 30;
-        const normalizedTime = Math.max(0, Math.min(this.duration, time));
-        const zoom = Math.max(0.1, Math.min(5, this.zoom));
-        return 30 + ((normalizedTime / this.duration) * (this.logicalWidth - 60) * zoom) + this.panX;
+    // Layer bars sit in lanes along the top margin, one lane per layer
+    getLayerBarRect(index) {
+        const laneHeight = Math.max(6, Math.min(10, Math.floor(26 / Math.max(1, this.layers.length)) - 2));
+        const layer = this.layers[index];
+        const start = layer.startTime || 0;
+        const end = start + (layer.duration || this.duration);
+
+        return {
+            top: 2 + index * (laneHeight + 2),
+            height: laneHeight,
+            startX: this.timeToX(start),
+            endX: this.timeToX(end),
+            fadeInX: this.timeToX(start + (layer.fadeIn || 0)),
+            fadeOutX: this.timeToX(end - (layer.fadeOut || 0))
+        };
     }
 
-    xToTime(x) {
-        if (this.duration <= 0 || this.logicalWidth <= 60 || this.zoom <= 0) return 0;
-        const zoom = Math.max(0.1, Math.min(5, this.zoom));
-        const time = ((x - 30 - this.panX) / ((this.logicalWidth - 60) * zoom)) * this.duration;
-        return Math.max(0, Math.min(this.duration, time));
-    }
+    findLayerBarAt(x, y) {
+        const tolerance = 5;
 
-    intensityToY(intensity) {
-        if (this.logicalHeight <= 60) return this.logicalHeight / 2;
-        const normalizedIntensity = Math.max(0, Math.min(100, intensity));
-        return this.logicalHeight - 30 - ((normalizedIntensity / 100) * (this.logicalHeight - 60));
+        // Later layers are drawn on top, so test them first
+        for (let index = this.layers.length - 1; index >= 0; index--) {
+            const layer = this.layers[index];
+            if (!layer.visible) continue;
+
+            const bar = this.getLayerBarRect(index);
+            if (y < bar.top - 2 || y > bar.top + bar.height + 2) continue;
+            if (x < bar.startX - tolerance || x > bar.endX + tolerance) continue;
+
+            // The upper half of the bar near a fade corner grabs the fade, the rest grabs the edge
+            const upperHalf = y <= bar.top + bar.height / 2;
+            if (upperHalf && Math.abs(x - bar.fadeInX) <= tolerance) return { layer, mode: 'fadeIn' };
+            if (upperHalf && Math.abs(x - bar.fadeOutX) <= tolerance) return { layer, mode: 'fadeOut' };
+            if (Math.abs(x - bar.startX) <= tolerance) return { layer, mode: 'start' };
+            if (Math.abs(x - bar.endX) <= tolerance) return { layer, mode: 'end' };
+            return { layer, mode: 'move' };
+        }
+
+        return null;
     }
 
-    yToIntensity(y) {
-        if (this.logicalHeight <= 60) return 50;
-        const intensity = ((this.logicalHeight - 30 - y) / (this.logicalHeight - 60)) * 100;
-        return Math.max(0, Math.min(100, intensity));
+    startLayerDrag(hit, x) {
+        const labels = {
+            move: 'Move layer',
+            start: 'Resize layer',
+            end: 'Resize layer',
+            fadeIn: 'Change layer fadeIn',
+            fadeOut: 'Change layer fadeOut'
+        };
+
+        this.beginChange(labels[hit.mode]);
+        this.layerDrag = {
+            layer: hit.layer,
+            mode: hit.mode,
+            label: labels[hit.mode],
+            startX: x,
+            origin: {
+                startTime: hit.layer.startTime || 0,
+                duration: hit.layer.duration || this.duration,
+                fadeIn: hit.layer.fadeIn || 0,
+                fadeOut: hit.layer.fadeOut || 0
+            }
+        };
     }
 
-    // Constrain pan and zoom values to reasonable bounds
-    constrainViewport() {
-        // Constrain zoom
-        this.zoom = Math.max(0.1, Math.min(5, this.zoom));
+    dragLayer(x) {
+        const drag = this.layerDrag;
+        const layer = drag.layer;
+        const origin = drag.origin;
+        const minDuration = 100;
+        const maxFade = 1000; // matches the fade sliders
+        const zoom = Math.max(0.1, Math.min(5, this.zoom));
+        const deltaTime = ((x - drag.startX) / ((this.logicalWidth - 60) * zoom)) * this.duration;
+        const originEnd = origin.startTime + origin.duration;
+        const exclude = new Set([layer]);
+        const snapTime = time => {
+            const snapped = Math.round(this.snapPosition(time, 0, exclude).time);
+            // Layers only snap in time, so drop any horizontal guide
+            if (this.snapGuide) this.snapGuide.intensity = null;
+            return snapped;
+        };
 
-        // Constrain pan to prevent getting lost
-        const maxPanX = (this.logicalWidth - 60) * (this.zoom - 1);
-        const maxPanY = (this.logicalHeight - 60) * 0.5;
+        this.recordChange(drag.label, () => {
+            switch (drag.mode) {
+                case 'move': {
+                    const start = snapTime(origin.startTime + deltaTime);
+                    layer.startTime = Math.max(0, Math.min(this.duration - origin.duration, start));
+                    break;
+                }
+                case 'start': {
+                    const start = Math.max(0, Math.min(originEnd - minDuration, snapTime(origin.startTime + deltaTime)));
+                    layer.startTime = start;
+                    layer.duration = originEnd - start;
+                    break;
+                }
+                case 'end': {
+                    const end = Math.max(origin.startTime + minDuration, Math.min(this.duration, snapTime(originEnd + deltaTime)));
+                    layer.duration = end - origin.startTime;
+                    break;
+                }
+                case 'fadeIn': {
+                    const fadeIn = snapTime(origin.startTime + origin.fadeIn + deltaTime) - origin.startTime;
+                    layer.fadeIn = Math.max(0, Math.min(maxFade, origin.duration - origin.fadeOut, fadeIn));
+                    break;
+                }
+                case 'fadeOut': {
+                    const fadeOut = originEnd - snapTime(originEnd - origin.fadeOut + deltaTime);
+                    layer.fadeOut = Math.max(0, Math.min(maxFade, origin.duration - origin.fadeIn, fadeOut));
+                    break;
+                }
+            }
 
-        this.panX = Math.max(-maxPanX, Math.min(maxPanX, this.panX));
-        this.panY = Math.max(-maxPanY, Math.min(maxPanY, this.panY || 0));
-    }
+            // Shortening a layer can leave the fades longer than the layer itself
+            if (layer.fadeIn + layer.fadeOut > layer.duration) {
+                layer.fadeIn = Math.min(layer.fadeIn, layer.duration);
+                layer.fadeOut = layer.duration - layer.fadeIn;
+            }
+        });
 
-    // Control point selection and traversal helpers
-    getSortedPoints() {
-        return [...this.controlPoints].sort((a, b) => a.time - b.time);
+        this.updateLayerControls();
+        this.updateLayerList();
     }
 
-    selectControlPointByIndex(index) {
-        const sortedPoints = this.getSortedPoints();
-        if (index >= 0 && index < sortedPoints.length) {
-            this.selectedPoint = sortedPoints[index];
-            this.selectedPointIndex = index;
-            this.announceSelectedPoint();
-            this.scheduleRender();
+    // Snapping
+    toggleSnapMode(mode) {
+        if (this.snapModes.has(mode)) {
+            this.snapModes.delete(mode);
+        } else {
+            this.snapModes.add(mode);
         }
+
+        this.container.querySelectorAll('[data-snap]').forEach(button => {
+            const active = this.snapModes.has(button.dataset.snap);
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', active);
+        });
     }
 
-    selectNextPoint() {
-        const sortedPoints = this.getSortedPoints();
-        if (sortedPoints.length === 0) return;
+    // Times that points and layer edges snap to, skipping whatever is being moved
+    getSnapTimes(exclude) {
+        const times = [];
 
-        if (this.selectedPointIndex === -1) {
-            this.selectControlPointByIndex(0);
-        } else {
-            const nextIndex = (this.selectedPointIndex + 1) % sortedPoints.length;
-            this.selectControlPointByIndex(nextIndex);
+        if (this.snapModes.has('points')) {
+            this.controlPoints.forEach(point => {
+                if (!exclude.has(point)) times.push(point.time);
+            });
         }
-    }
 
-    selectPrevPoint() {
-        const sortedPoints = this.getSortedPoints();
-        if (sortedPoints.length === 0) return;
+        if (this.snapModes.has('layers') || this.snapModes.has('fades')) {
+            this.layers.forEach(layer => {
+                if (exclude.has(layer)) return;
+                const start = layer.startTime || 0;
+                const end = start + (layer.duration || this.duration);
 
-        if (this.selectedPointIndex === -1) {
-            this.selectControlPointByIndex(sortedPoints.length - 1);
-        } else {
-            const prevIndex = this.selectedPointIndex <= 0 ? sortedPoints.length - 1 : this.selectedPointIndex - 1;
-            this.selectControlPointByIndex(prevIndex);
+                if (this.snapModes.has('layers')) {
+                    times.push(start, end);
+                }
+                if (this.snapModes.has('fades')) {
+                    if (layer.fadeIn > 0) times.push(start + layer.fadeIn);
+                    if (layer.fadeOut > 0) times.push(end - layer.fadeOut);
+                }
+            });
+        }
+
+        if (this.snapModes.has('layers')) {
+            times.push(0, this.duration);
+        }
+
+        return times;
+    }
+
+    // Nearest of the targets within the snap threshold, or of the grid, on one axis
+    snapAxis(value, targets, gridStep, pixelsPerUnit) {
+        let best = null;
+        let bestDistance = this.snapThreshold / pixelsPerUnit;
+
+        targets.forEach(target => {
+            const distance = Math.abs(target - value);
+            if (distance <= bestDistance) {
+                best = target;
+                bestDistance = distance;
+            }
+        });
+
+        if (gridStep) {
+            const gridValue = Math.round(value / gridStep) * gridStep;
+            if (best === null || Math.abs(gridValue - value) < bestDistance) {
+                return { value: gridValue, guide: false };
+            }
+        }
+
+        return best === null ? { value, guide: false } : { value: best, guide: true };
+    }
+
+    snapPosition(time, intensity, exclude = new Set()) {
+        this.snapGuide = null;
+        if (this.snapModes.size === 0 || this.snapBypass) return { time, intensity };
+
+        const zoom = Math.max(0.1, Math.min(5, this.zoom));
+        const pixelsPerMs = ((this.logicalWidth - 60) * zoom) / this.duration;
+        const pixelsPerPercent = (this.logicalHeight - 60) / 100;
+        const useGrid = this.snapModes.has('grid');
+        const intensityTargets = this.snapModes.has('points')
+            ? this.controlPoints.filter(point => !exclude.has(point)).map(point => point.intensity)
+            : [];
+
+        const snappedTime = this.snapAxis(time, this.getSnapTimes(exclude), useGrid ? this.gridTimeStep : 0, pixelsPerMs);
+        const snappedIntensity = this.snapAxis(intensity, intensityTargets, useGrid ? this.gridIntensityStep : 0, pixelsPerPercent);
+
+        // Show a guide when a point lines up with something other than the grid
+        if (snappedTime.guide || snappedIntensity.guide) {
+            this.snapGuide = {
+                time: snappedTime.guide ? snappedTime.value : null,
+                intensity: snappedIntensity.guide ? snappedIntensity.value : null
+            };
+        }
+
+        return {
+            time: Math.max(0, Math.min(this.duration, snappedTime.value)),
+            intensity: Math.max(0, Math.min(100, snappedIntensity.value))
+        };
+    }
+
+    quantizePoints() {
+        const targets = this.selectedPoints.size > 1 ? this.getSelectedPoints() : this.getSortedPoints();
+
+        this.recordChange('Quantize points', () => {
+            targets.forEach(point => {
+                point.time = Math.max(0, Math.min(this.duration, Math.round(point.time / this.gridTimeStep) * this.gridTimeStep));
+                point.intensity = Math.max(0, Math.min(100, Math.round(point.intensity / this.gridIntensityStep) * this.gridIntensityStep));
+            });
+
+            // Points that land on the same time collapse into one
+            const seenTimes = new Set();
+            this.controlPoints = this.controlPoints
+                .sort((a, b) => a.time - b.time)
+                .filter(point => {
+                    if (seenTimes.has(point.time)) return false;
+                    seenTimes.add(point.time);
+                    return true;
+                });
+        });
+
+        this.setSelection(this.getSelectedPoints(), this.controlPoints.includes(this.selectedPoint) ? this.selectedPoint : undefined);
+        this.render();
+        this.callbacks.onPatternChanged();
+    }
+
+    // Numeric entry for the focused point
+    setSelectedPointValue(property, value) {
+        const point = this.selectedPoint;
+        if (!point || isNaN(value)) {
+            this.updatePointInspector();
+            return;
+        }
+
+        const limit = property === 'time' ? this.duration : 100;
+        this.recordChange(property === 'time' ? 'Set point time' : 'Set point intensity', () => {
+            point[property] = Math.max(0, Math.min(limit, value));
+            this.controlPoints.sort((a, b) => a.time - b.time);
+        });
+
+        this.updateSelectedPointIndex();
+        this.render();
+        this.callbacks.onPatternChanged();
+    }
+
+    updatePointInspector() {
+        const timeInput = this.safeQuery('#pointTimeInput');
+        const intensityInput = this.safeQuery('#pointIntensityInput');
+        if (!timeInput || !intensityInput) return;
+
+        // Exact entry only makes sense for a single point
+        const point = this.selectedPoints.size <= 1 ? this.selectedPoint : null;
+        timeInput.disabled = !point;
+        intensityInput.disabled = !point;
+        timeInput.max = this.duration;
+
+        if (!point) {
+            timeInput.value = '';
+            intensityInput.value = '';
+            return;
+        }
+
+        // Leave a field alone while it is being typed into
+        if (document.activeElement !== timeInput) timeInput.value = Math.round(point.time);
+        if (document.activeElement !== intensityInput) intensityInput.value = Math.round(point.intensity);
+    }
+
+    // Bezier handle positions for the segment from point to next, in editor units
+    getHandlePositions(point, next) {
+        const handles = point.handles || this.getDefaultHandles();
+        const span = next.time - point.time;
+        return [
+            { time: point.time + handles.x1 * span, intensity: point.intensity + handles.y1 },
+            { time: point.time + handles.x2 * span, intensity: next.intensity + handles.y2 }
+        ];
+    }
+
+    getDefaultHandles() {
+        return { x1: 0.33, y1: 0, x2: 0.67, y2: 0 };
+    }
+
+    // Returns { point, next, which } for the Bezier handle under the cursor
+    findHandleAt(x, y) {
+        const tolerance = 8;
+        const sortedPoints = this.getSortedPoints();
+
+        for (let i = 0; i < sortedPoints.length - 1; i++) {
+            const point = sortedPoints[i];
+            if (point.curveType !== 'Bezier') continue;
+
+            const next = sortedPoints[i + 1];
+            const positions = this.getHandlePositions(point, next);
+            for (let which = 0; which < 2; which++) {
+                const handleX = this.timeToX(positions[which].time);
+                const handleY = this.intensityToY(positions[which].intensity);
+                if (Math.abs(x - handleX) <= tolerance && Math.abs(y - handleY) <= tolerance) {
+                    return { point, next, which };
+                }
+            }
+        }
+        return null;
+    }
+
+    moveHandle(handle, x, y) {
+        const { point, next, which } = handle;
+        const span = next.time - point.time;
+        if (span <= 0) return;
+
+        this.recordChange('Move handle', () => {
+            const handles = { ...(point.handles || this.getDefaultHandles()) };
+            const fraction = Math.max(0, Math.min(1, (this.xToTime(x) - point.time) / span));
+            const intensity = this.yToIntensity(y);
+
+            if (which === 0) {
+                handles.x1 = fraction;
+                handles.y1 = intensity - point.intensity;
+            } else {
+                handles.x2 = fraction;
+                handles.y2 = intensity - next.intensity;
+            }
+            point.handles = handles;
+        });
+    }
+
+    // Coordinate conversion methods with bounds checking
+    timeToX(time) {
+        if (this.duration <= 0 || this.logicalWidth <= 60) return 30;
+        const normalizedTime = Math.max(0, Math.min(this.duration, time));
+        const zoom = Math.max(0.1, Math.min(5, this.zoom));
+        return 30 + ((normalizedTime / this.duration) * (this.logicalWidth - 60) * zoom) + this.panX;
+    }
+
+    xToTime(x) {
+        if (this.duration <= 0 || this.logicalWidth <= 60 || this.zoom <= 0) return 0;
+        const zoom = Math.max(0.1, Math.min(5, this.zoom));
+        const time = ((x - 30 - this.panX) / ((this.logicalWidth - 60) * zoom)) * this.duration;
+        return Math.max(0, Math.min(this.duration, time));
+    }
+
+    intensityToY(intensity) {
+        if (this.logicalHeight <= 60) return this.logicalHeight / 2;
+        const normalizedIntensity = Math.max(0, Math.min(100, intensity));
+        return this.logicalHeight - 30 - ((normalizedIntensity / 100) * (this.logicalHeight - 60));
+    }
+
+    yToIntensity(y) {
+        if (this.logicalHeight <= 60) return 50;
+        const intensity = ((this.logicalHeight - 30 - y) / (this.logicalHeight - 60)) * 100;
+        return Math.max(0, Math.min(100, intensity));
+    }
+
+    // Constrain pan and zoom values to reasonable bounds
+    constrainViewport() {
+        // Constrain zoom
+        this.zoom = Math.max(0.1, Math.min(5, this.zoom));
+
+        // Constrain pan to prevent getting lost
+        const maxPanX = (this.logicalWidth - 60) * (this.zoom - 1);
+        const maxPanY = (this.logicalHeight - 60) * 0.5;
+
+        this.panX = Math.max(-maxPanX, Math.min(maxPanX, this.panX));
+        this.panY = Math.max(-maxPanY, Math.min(maxPanY, this.panY || 0));
+    }
+
+    // Control point selection and traversal helpers
+    getSortedPoints() {
+        return [...this.controlPoints].sort((a, b) => a.time - b.time);
+    }
+
+    selectControlPointByIndex(index) {
+        const sortedPoints = this.getSortedPoints();
+        if (index >= 0 && index < sortedPoints.length) {
+            this.selectedPoint = sortedPoints[index];
+            this.selectedPoints = new Set([this.selectedPoint]);
+            this.selectedPointIndex = index;
+            this.syncCurveSelect();
+            this.announceSelectedPoint();
+            this.scheduleRender();
+        }
+    }
+
+    selectNextPoint() {
+        const sortedPoints = this.getSortedPoints();
+        if (sortedPoints.length === 0) return;
+
+        if (this.selectedPointIndex === -1) {
+            this.selectControlPointByIndex(0);
+        } else {
+            const nextIndex = (this.selectedPointIndex + 1) % sortedPoints.length;
+            this.selectControlPointByIndex(nextIndex);
+        }
+    }
+
+    selectPrevPoint() {
+        const sortedPoints = this.getSortedPoints();
+        if (sortedPoints.length === 0) return;
+
+        if (this.selectedPointIndex === -1) {
+            this.selectControlPointByIndex(sortedPoints.length - 1);
+        } else {
+            const prevIndex = this.selectedPointIndex <= 0 ? sortedPoints.length - 1 : this.selectedPointIndex - 1;
+            this.selectControlPointByIndex(prevIndex);
         }
     }
 
@@ -1162,7 +1911,9 @@ class TimelineEditor {
         if (!this.selectedPoint) return;
 
         const ariaLiveElement = this.safeQuery('.sr-only-announce');
-        if (ariaLiveElement) {
+        if (ariaLiveElement && this.selectedPoints.size > 1) {
+            ariaLiveElement.textContent = `${this.selectedPoints.size} points selected`;
+        } else if (ariaLiveElement) {
             const sortedPoints = this.getSortedPoints();
             const pointIndex = sortedPoints.findIndex(p => p === this.selectedPoint);
             const text = `Selected point ${pointIndex + 1}/${sortedPoints.length} at ${this.selectedPoint.time} ms, ${this.selectedPoint.intensity.toFixed(0)}%`;
@@ -1180,6 +1931,189 @@ class TimelineEditor {
         this.selectedPointIndex = sortedPoints.findIndex(p => p === this.selectedPoint);
     }
 
+    // Multi-point selection; selectedPoint stays the focused point within the group
+    setSelection(points, primary = points[points.length - 1] || null) {
+        this.selectedPoints = new Set(points);
+        this.selectedPoint = primary;
+        this.updateSelectedPointIndex();
+        this.syncCurveSelect();
+        this.announceSelectedPoint();
+        this.scheduleRender();
+    }
+
+    clearSelection() {
+        this.setSelection([]);
+    }
+
+    togglePointSelection(point) {
+        const points = [...this.selectedPoints];
+        if (!this.selectedPoints.has(point)) {
+            this.setSelection([...points, point], point);
+            return;
+        }
+
+        const remaining = points.filter(p => p !== point);
+        const primary = this.selectedPoint === point ? remaining[remaining.length - 1] : this.selectedPoint;
+        this.setSelection(remaining, primary || null);
+    }
+
+    getSelectedPoints() {
+        return this.getSortedPoints().filter(point => this.selectedPoints.has(point));
+    }
+
+    finishMarquee() {
+        const { x0, y0, x1, y1, additive } = this.marquee;
+        this.marquee = null;
+
+        const left = Math.min(x0, x1);
+        const right = Math.max(x0, x1);
+        const top = Math.min(y0, y1);
+        const bottom = Math.max(y0, y1);
+
+        // A plain click on empty canvas clears the selection
+        if (right - left < 3 && bottom - top < 3) {
+            if (!additive) this.clearSelection();
+            return;
+        }
+
+        const inside = this.controlPoints.filter(point => {
+            const x = this.timeToX(point.time);
+            const y = this.intensityToY(point.intensity);
+            return x >= left && x <= right && y >= top && y <= bottom;
+        });
+
+        this.setSelection(additive ? [...this.selectedPoints, ...inside] : inside);
+    }
+
+    startGroupDrag(anchor, x, y, scale) {
+        const points = [...this.selectedPoints];
+        const times = points.map(point => point.time);
+        const intensities = points.map(point => point.intensity);
+        const bounds = {
+            minTime: Math.min(...times),
+            maxTime: Math.max(...times),
+            minIntensity: Math.min(...intensities),
+            maxIntensity: Math.max(...intensities)
+        };
+
+        this.groupDrag = {
+            anchor,
+            startX: x,
+            startY: y,
+            scale,
+            bounds,
+            origins: new Map(points.map(point => [point, { time: point.time, intensity: point.intensity }])),
+            // Scaling pivots on the edge of the selection opposite the grabbed point
+            pivotTime: anchor.time - bounds.minTime >= bounds.maxTime - anchor.time ? bounds.minTime : bounds.maxTime,
+            pivotIntensity: anchor.intensity - bounds.minIntensity >= bounds.maxIntensity - anchor.intensity
+                ? bounds.minIntensity : bounds.maxIntensity
+        };
+    }
+
+    dragSelectedPoints(x, y) {
+        const drag = this.groupDrag;
+        const zoom = Math.max(0.1, Math.min(5, this.zoom));
+        const anchorOrigin = drag.origins.get(drag.anchor);
+        let deltaTime = ((x - drag.startX) / ((this.logicalWidth - 60) * zoom)) * this.duration;
+        let deltaIntensity = ((drag.startY - y) / (this.logicalHeight - 60)) * 100;
+
+        // Snap the grabbed point and carry the rest of the group with it
+        const snapped = this.snapPosition(anchorOrigin.time + deltaTime, anchorOrigin.intensity + deltaIntensity,
+            new Set(drag.origins.keys()));
+        deltaTime = snapped.time - anchorOrigin.time;
+        deltaIntensity = snapped.intensity - anchorOrigin.intensity;
+
+        this.recordChange(drag.scale ? 'Scale points' : 'Move points', () => {
+            if (drag.scale) {
+                const timeSpan = anchorOrigin.time - drag.pivotTime;
+                const intensitySpan = anchorOrigin.intensity - drag.pivotIntensity;
+                const timeScale = timeSpan !== 0 ? Math.max(0, (timeSpan + deltaTime) / timeSpan) : 1;
+                const intensityScale = intensitySpan !== 0 ? Math.max(0, (intensitySpan + deltaIntensity) / intensitySpan) : 1;
+
+                drag.origins.forEach((origin, point) => {
+                    point.time = Math.max(0, Math.min(this.duration, drag.pivotTime + (origin.time - drag.pivotTime) * timeScale));
+                    point.intensity = Math.max(0, Math.min(100, drag.pivotIntensity + (origin.intensity - drag.pivotIntensity) * intensityScale));
+                });
+            } else {
+                // Clamp the shared offset so the group keeps its shape at the edges
+                const { minTime, maxTime, minIntensity, maxIntensity } = drag.bounds;
+                deltaTime = Math.max(-minTime, Math.min(this.duration - maxTime, deltaTime));
+                deltaIntensity = Math.max(-minIntensity, Math.min(100 - maxIntensity, deltaIntensity));
+
+                drag.origins.forEach((origin, point) => {
+                    point.time = origin.time + deltaTime;
+                    point.intensity = origin.intensity + deltaIntensity;
+                });
+            }
+
+            this.controlPoints.sort((a, b) => a.time - b.time);
+        });
+
+        this.updateSelectedPointIndex();
+    }
+
+    removeSelectedPoints(label = 'Remove points') {
+        // Always leave a start and end point for the curve
+        const removable = this.getSelectedPoints().slice(0, Math.max(0, this.controlPoints.length - 2));
+        if (removable.length === 0) return;
+
+        this.recordChange(label, () => {
+            this.controlPoints = this.controlPoints.filter(point => !removable.includes(point));
+        });
+
+        this.clearSelection();
+        this.render();
+        this.callbacks.onPatternChanged();
+    }
+
+    // Clipboard holds times relative to the first copied point
+    copySelectedPoints() {
+        const points = this.getSelectedPoints();
+        if (points.length === 0) return false;
+
+        const origin = points[0].time;
+        // Shared by every editor instance so segments can move between events in the wizard
+        TimelineEditor.clipboard = points.map(point => ({ ...this.clonePoint(point), time: point.time - origin }));
+        this.updateClipboardButtons();
+        return true;
+    }
+
+    pastePoints() {
+        const clipboard = TimelineEditor.clipboard;
+        if (!clipboard || clipboard.length === 0) return;
+
+        // Paste under the mouse, else at the focused point, else at the playback position
+        const start = this.snapPosition(this.lastPointerTime !== null
+            ? this.lastPointerTime
+            : this.selectedPoint ? this.selectedPoint.time : this.currentTime, 0).time;
+        this.snapGuide = null;
+
+        const pasted = clipboard
+            .map(point => ({ ...this.clonePoint(point), time: start + point.time }))
+            .filter(point => point.time <= this.duration);
+        if (pasted.length === 0) return;
+
+        const end = pasted[pasted.length - 1].time;
+        this.recordChange('Paste points', () => {
+            // The pasted segment replaces the curve in the time range it covers
+            this.controlPoints = this.controlPoints
+                .filter(point => point.time < start || point.time > end)
+                .concat(pasted)
+                .sort((a, b) => a.time - b.time);
+        });
+
+        this.setSelection(pasted);
+        this.render();
+        this.callbacks.onPatternChanged();
+    }
+
+    updateClipboardButtons() {
+        const pastePointsBtn = this.safeQuery('#pastePointsBtn');
+        if (pastePointsBtn) {
+            pastePointsBtn.disabled = !(TimelineEditor.clipboard && TimelineEditor.clipboard.length > 0);
+        }
+    }
+
     // Schedule render with RAF throttling
     scheduleRender() {
         if (!this.renderScheduled) {
@@ -1200,10 +2134,16 @@ class TimelineEditor {
         this.drawGrid();
         this.drawCompositeWaveform();
         this.drawLayers();
+        this.drawLayerBars();
         this.drawIntensityCurve();
+        this.drawBezierHandles();
         this.drawControlPoints();
+        this.drawSnapGuide();
+        this.drawSelectionMarquee();
         this.drawPlaybackCursor();
         this.drawLabels();
+        this.updatePointInspector();
+        this.drawSequence();
     }
 
     drawGrid() {
@@ -1235,397 +2175,877 @@ class TimelineEditor {
         this.layers.forEach((layer, index) => {
             if (!layer.visible) return;
 
+            const points = this.getEnvelopePoints(this.getSynthesis([index]));
+            if (points.length === 0) return;
+
             this.ctx.strokeStyle = layer.color;
             this.ctx.lineWidth = 2;
-            this.ctx.globalAlpha = layer.muted ? 0.3 : 0.6;
-
-            const startX = this.timeToX(layer.startTime);
-            const endX = this.timeToX(layer.startTime + layer.duration);
-            const samples = Math.floor((endX - startX) / 2);
+            this.ctx.globalAlpha = this.isLayerAudible(layer) ? 0.6 : 0.3;
 
             this.ctx.beginPath();
-
-            for (let i = 0; i < samples; i++) {
-                const x = startX + (i / samples) * (endX - startX);
-                const time = this.xToTime(x) - layer.startTime;
-
-                if (time < 0 || time > layer.duration) continue;
-
-                const phase = (time / 1000) * layer.frequency * 2 * Math.PI + (layer.phase * Math.PI / 180);
-                let waveValue = 0;
-
-                switch (layer.waveform) {
-                    case 'Sine':
-                        waveValue = Math.sin(phase);
-                        break;
-                    case 'Square':
-                        waveValue = Math.sin(phase) > 0 ? 1 : -1;
-                        break;
-                    case 'Triangle':
-                        waveValue = (2 / Math.PI) * Math.asin(Math.sin(phase));
-                        break;
-                    case 'Sawtooth':
-                        waveValue = (2 / Math.PI) * Math.atan(Math.tan(phase / 2));
-                        break;
-                    case 'Noise':
-                        waveValue = Math.random() * 2 - 1;
-                        break;
-                }
-
-                // Apply fade in/out with zero division protection
-                let envelope = 1;
-                if (layer.fadeIn > 0 && time < layer.fadeIn) {
-                    envelope = time / layer.fadeIn;
-                } else if (layer.fadeOut > 0 && time > layer.duration - layer.fadeOut) {
-                    envelope = (layer.duration - time) / layer.fadeOut;
-                }
-
-                const intensity = (layer.amplitude / 100) * envelope * ((waveValue + 1) / 2) * 100;
-                const y = this.intensityToY(intensity);
-
+            points.forEach(([x, y], i) => {
                 if (i === 0) {
                     this.ctx.moveTo(x, y);
                 } else {
                     this.ctx.lineTo(x, y);
                 }
-            }
+            });
 
             this.ctx.stroke();
             this.ctx.globalAlpha = 1;
         });
     }
 
+    drawLayerBars() {
+        this.layers.forEach((layer, index) => {
+            if (!layer.visible) return;
+
+            const bar = this.getLayerBarRect(index);
+            const bottom = bar.top + bar.height;
+            const selected = this.selectedLayer?.id === layer.id;
+
+            // Sloped ends show the fade in and fade out
+            this.ctx.fillStyle = layer.color;
+            this.ctx.globalAlpha = !this.isLayerAudible(layer) ? 0.2 : selected ? 0.8 : 0.45;
+            this.ctx.beginPath();
+            this.ctx.moveTo(bar.startX, bottom);
+            this.ctx.lineTo(bar.fadeInX, bar.top);
+            this.ctx.lineTo(bar.fadeOutX, bar.top);
+            this.ctx.lineTo(bar.endX, bottom);
+            this.ctx.closePath();
+            this.ctx.fill();
+            this.ctx.globalAlpha = 1;
+
+            if (!selected) return;
+
+            this.ctx.strokeStyle = '#fff';
+            this.ctx.lineWidth = 1;
+            this.ctx.stroke();
+
+            // Fade corner grips
+            this.ctx.fillStyle = '#fff';
+            [bar.fadeInX, bar.fadeOutX].forEach(x => {
+                this.ctx.fillRect(x - 2, bar.top - 1, 4, 4);
+            });
+        });
+    }
+
     drawCompositeWaveform() {
         if (this.layers.length === 0) return;
 
-        const visibleLayers = this.layers.filter(layer => layer.visible && !layer.muted);
-        if (visibleLayers.length === 0) return;
+        const audibleIndexes = this.getAudibleLayerIndexes();
+        if (audibleIndexes.length === 0) return;
+
+        const points = this.getEnvelopePoints(this.getSynthesis(audibleIndexes));
+        if (points.length === 0) return;
+
+        const baseY = this.intensityToY(0);
+        const startX = points[0][0];
+        const endX = points[points.length - 1][0];
 
         this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
         this.ctx.fillStyle = 'rgba(255, 255, 255, 0.05)';
         this.ctx.lineWidth = 1;
 
-        const startX = this.timeToX(0);
-        const endX = this.timeToX(this.duration);
-        const samples = Math.floor((endX - startX) / 2);
+        // Fill the composite waveform area
+        this.ctx.beginPath();
+        this.ctx.moveTo(startX, baseY);
+        points.forEach(([x, y]) => this.ctx.lineTo(x, y));
+        this.ctx.lineTo(endX, baseY);
+        this.ctx.closePath();
+        this.ctx.fill();
+
+        // Stroke the composite waveform outline
+        this.ctx.beginPath();
+        points.forEach(([x, y], i) => {
+            if (i === 0) {
+                this.ctx.moveTo(x, y);
+            } else {
+                this.ctx.lineTo(x, y);
+            }
+        });
+        this.ctx.stroke();
+    }
+
+    // Per-pixel peak of a synthesized buffer, as canvas points on the intensity axis
+    getEnvelopePoints(result) {
+        const startX = Math.max(30, this.timeToX(0));
+        const endX = Math.min(this.logicalWidth - 30, this.timeToX(this.duration));
+        const points = [];
+
+        for (let x = startX; x < endX; x += 2) {
+            const peak = PatternSynth.peakBetween(result, this.xToTime(x), this.xToTime(x + 2));
+            points.push([x, this.intensityToY(peak * 100)]);
+        }
+
+        return points;
+    }
+
+    // Hidden and muted layers are silent, and once any layer is soloed only soloed layers play
+    isLayerAudible(layer) {
+        if (!layer.visible) return false;
+        if (this.layers.some(l => l.soloed)) return layer.soloed;
+        return !layer.muted;
+    }
+
+    getAudibleLayerIndexes() {
+        return this.layers
+            .map((layer, index) => (this.isLayerAudible(layer) ? index : -1))
+            .filter(index => index !== -1);
+    }
 
+    // Body for /api/PatternEditor/test; the server drops the layers that are not listed
+    getTestRequest() {
+        return {
+            pattern: this.getHapticPattern(),
+            layers: this.getAudibleLayerIndexes()
+        };
+    }
+
+    // Synthesize the exported pattern, cached until the pattern changes
+    getSynthesis(layerIndexes, sampleRate = 2000) {
+        const pattern = this.getHapticPattern();
+        const key = JSON.stringify(pattern);
+        if (!this.synthCache || this.synthCache.key !== key) {
+            this.synthCache = { key, results: {} };
+        }
+
+        const resultKey = `${sampleRate}:${layerIndexes.join(',')}`;
+        if (!this.synthCache.results[resultKey]) {
+            this.synthCache.results[resultKey] = PatternSynth.synthesize(pattern, { sampleRate, layers: layerIndexes });
+        }
+        return this.synthCache.results[resultKey];
+    }
+
+    drawIntensityCurve() {
+        if (this.controlPoints.length < 2) return;
+
+        this.ctx.strokeStyle = this.colors.accent;
+        this.ctx.lineWidth = 3;
         this.ctx.beginPath();
-        this.ctx.moveTo(startX, this.intensityToY(0));
 
+        const samples = this.logicalWidth - 60;
         for (let i = 0; i < samples; i++) {
-            const x = startX + (i / samples) * (endX - startX);
+            const x = 30 + i;
             const time = this.xToTime(x);
+            const intensity = this.interpolateIntensity(time);
+            const y = this.intensityToY(intensity);
 
-            let totalIntensity = 0;
-            let activeLayerCount = 0;
+            if (i === 0) {
+                this.ctx.moveTo(x, y);
+            } else {
+                this.ctx.lineTo(x, y);
+            }
+        }
 
-            visibleLayers.forEach(layer => {
-                const layerTime = time - layer.startTime;
-                if (layerTime < 0 || layerTime > layer.duration) return;
+        this.ctx.stroke();
+    }
 
-                const phase = (layerTime / 1000) * layer.frequency * 2 * Math.PI + (layer.phase * Math.PI / 180);
-                let waveValue = 0;
+    drawBezierHandles() {
+        const sortedPoints = this.getSortedPoints();
 
-                switch (layer.waveform) {
-                    case 'Sine':
-                        waveValue = Math.sin(phase);
-                        break;
-                    case 'Square':
-                        waveValue = Math.sin(phase) > 0 ? 1 : -1;
-                        break;
-                    case 'Triangle':
-                        waveValue = (2 / Math.PI) * Math.asin(Math.sin(phase));
-                        break;
-                    case 'Sawtooth':
-                        waveValue = (2 / Math.PI) * Math.atan(Math.tan(phase / 2));
-                        break;
-                    case 'Noise':
-                        waveValue = Math.random() * 2 - 1;
-                        break;
-                }
+        for (let i = 0; i < sortedPoints.length - 1; i++) {
+            const point = sortedPoints[i];
+            if (point.curveType !== 'Bezier') continue;
 
-                // Apply fade in/out with zero division protection
-                let envelope = 1;
-                if (layer.fadeIn > 0 && layerTime < layer.fadeIn) {
-                    envelope = layerTime / layer.fadeIn;
-                } else if (layer.fadeOut > 0 && layerTime > layer.duration - layer.fadeOut) {
-                    envelope = (layer.duration - layerTime) / layer.fadeOut;
-                }
+            const next = sortedPoints[i + 1];
+            const anchors = [point, next];
+            this.getHandlePositions(point, next).forEach((position, which) => {
+                const anchorX = this.timeToX(anchors[which].time);
+                const anchorY = this.intensityToY(anchors[which].intensity);
+                const handleX = this.timeToX(position.time);
+                const handleY = this.intensityToY(position.intensity);
+
+                this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+                this.ctx.lineWidth = 1;
+                this.ctx.beginPath();
+                this.ctx.moveTo(anchorX, anchorY);
+                this.ctx.lineTo(handleX, handleY);
+                this.ctx.stroke();
 
-                const layerIntensity = (layer.amplitude / 100) * envelope * ((waveValue + 1) / 2) * 100;
-                totalIntensity += layerIntensity;
-                activeLayerCount++;
+                const isActive = this.selectedHandle && this.selectedHandle.point === point && this.selectedHandle.which === which;
+                this.ctx.fillStyle = isActive ? this.colors.primary : this.colors.accent;
+                this.ctx.fillRect(handleX - 4, handleY - 4, 8, 8);
             });
+        }
+    }
 
-            // Average the intensity across active layers to prevent overflow
-            const compositeIntensity = activeLayerCount > 0 ? Math.min(100, totalIntensity / activeLayerCount) : 0;
-            const y = this.intensityToY(compositeIntensity);
+    drawControlPoints() {
+        this.controlPoints.forEach(point => {
+            const x = this.timeToX(point.time);
+            const y = this.intensityToY(point.intensity);
 
-            this.ctx.lineTo(x, y);
+            this.ctx.fillStyle = this.colors.primary;
+            this.ctx.strokeStyle = '#fff';
+            this.ctx.lineWidth = 2;
+
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, 6, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.stroke();
+
+            if (point !== this.selectedPoint && this.selectedPoints.has(point)) {
+                // Other members of a group selection get a single ring
+                this.ctx.strokeStyle = this.colors.accent;
+                this.ctx.lineWidth = 2;
+                this.ctx.beginPath();
+                this.ctx.arc(x, y, 9, 0, Math.PI * 2);
+                this.ctx.stroke();
+            }
+
+            if (point === this.selectedPoint) {
+                // Draw high-contrast focus ring for keyboard navigation
+                this.ctx.strokeStyle = this.colors.accent;
+                this.ctx.lineWidth = 2;
+                this.ctx.beginPath();
+                this.ctx.arc(x, y, 10, 0, Math.PI * 2);
+                this.ctx.stroke();
+
+                // Draw inner selection ring
+                this.ctx.strokeStyle = this.colors.accent;
+                this.ctx.lineWidth = 3;
+                this.ctx.beginPath();
+                this.ctx.arc(x, y, 9, 0, Math.PI * 2);
+                this.ctx.stroke();
+            }
+        });
+    }
+
+    drawSnapGuide() {
+        if (!this.snapGuide || !this.isDragging) return;
+
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([2, 4]);
+        this.ctx.beginPath();
+        if (this.snapGuide.time !== null) {
+            const x = this.timeToX(this.snapGuide.time);
+            this.ctx.moveTo(x, 0);
+            this.ctx.lineTo(x, this.logicalHeight);
         }
+        if (this.snapGuide.intensity !== null) {
+            const y = this.intensityToY(this.snapGuide.intensity);
+            this.ctx.moveTo(0, y);
+            this.ctx.lineTo(this.logicalWidth, y);
+        }
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+    }
 
-        // Complete the filled area
-        this.ctx.lineTo(endX, this.intensityToY(0));
-        this.ctx.lineTo(startX, this.intensityToY(0));
-        this.ctx.closePath();
+    drawSelectionMarquee() {
+        if (!this.marquee) return;
 
-        // Fill the composite waveform area
-        this.ctx.fill();
+        const { x0, y0, x1, y1 } = this.marquee;
+        this.ctx.fillStyle = 'rgba(0, 188, 212, 0.1)';
+        this.ctx.fillRect(Math.min(x0, x1), Math.min(y0, y1), Math.abs(x1 - x0), Math.abs(y1 - y0));
+        this.ctx.strokeStyle = this.colors.accent;
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([4, 3]);
+        this.ctx.strokeRect(Math.min(x0, x1), Math.min(y0, y1), Math.abs(x1 - x0), Math.abs(y1 - y0));
+        this.ctx.setLineDash([]);
+    }
+
+    drawPlaybackCursor() {
+        if (!this.isPlaying) return;
+
+        const x = this.timeToX(this.currentTime);
+        this.ctx.strokeStyle = this.colors.timelineCursor;
+        this.ctx.lineWidth = 2;
 
-        // Stroke the composite waveform outline
         this.ctx.beginPath();
-        this.ctx.moveTo(startX, this.intensityToY(0));
+        this.ctx.moveTo(x, 0);
+        this.ctx.lineTo(x, this.canvas.height);
+        this.ctx.stroke();
+    }
 
-        for (let i = 0; i < samples; i++) {
-            const x = startX + (i / samples) * (endX - startX);
-            const time = this.xToTime(x);
+    drawLabels() {
+        this.ctx.fillStyle = '#fff';
+        this.ctx.font = '12px Arial';
+        this.ctx.textAlign = 'center';
+
+        // Time labels
+        for (let time = 0; time <= this.duration; time += this.gridTimeStep * 2) {
+            const x = this.timeToX(time);
+            const label = (time / 1000).toFixed(1) + 's';
+            this.ctx.fillText(label, x, this.logicalHeight - 5);
+        }
 
-            let totalIntensity = 0;
-            let activeLayerCount = 0;
+        // Intensity labels
+        this.ctx.textAlign = 'right';
+        for (let intensity = 0; intensity <= 100; intensity += this.gridIntensityStep * 2) {
+            const y = this.intensityToY(intensity);
+            this.ctx.fillText(intensity + '%', 25, y + 4);
+        }
+    }
+
+    interpolateIntensity(time) {
+        if (this.controlPoints.length === 0) return 50;
+        if (this.controlPoints.length === 1) return this.controlPoints[0].intensity;
+
+        // Find surrounding points
+        let leftPoint = this.controlPoints[0];
+        let rightPoint = this.controlPoints[this.controlPoints.length - 1];
+
+        for (let i = 0; i < this.controlPoints.length - 1; i++) {
+            if (time >= this.controlPoints[i].time && time <= this.controlPoints[i + 1].time) {
+                leftPoint = this.controlPoints[i];
+                rightPoint = this.controlPoints[i + 1];
+                break;
+            }
+        }
+
+        if (time <= leftPoint.time) return leftPoint.intensity;
+        if (time >= rightPoint.time) return rightPoint.intensity;
+
+        // Each segment is shaped by the curve stored on its left point
+        const t = (time - leftPoint.time) / (rightPoint.time - leftPoint.time);
+        const intensity = PatternSynth.segmentValue(leftPoint.curveType || 'Linear', t,
+            leftPoint.intensity, rightPoint.intensity, this.toSynthHandles(leftPoint.handles, 1));
+
+        return Math.max(0, Math.min(100, intensity));
+    }
+
+    // Editor handles keep y in 0-100 intensity units; pattern files use 0-1
+    toSynthHandles(handles, scale) {
+        if (!handles) return null;
+        return { X1: handles.x1, Y1: handles.y1 * scale, X2: handles.x2, Y2: handles.y2 * scale };
+    }
+
+    updateCurveType(curveType) {
+        // Apply to the segments after the selected points, or every segment when nothing is selected
+        const targets = this.selectedPoints.size > 0 ? this.getSelectedPoints() : this.controlPoints;
+        this.recordChange('Change curve type', () => {
+            targets.forEach(point => {
+                point.curveType = curveType;
+                if (curveType === 'Bezier' && !point.handles) {
+                    point.handles = this.getDefaultHandles();
+                }
+            });
+        });
+        this.render();
+        this.callbacks.onPatternChanged();
+    }
+
+    syncCurveSelect() {
+        const curveTypeSelect = this.safeQuery('#curveTypeSelect');
+        if (curveTypeSelect && this.selectedPoint) {
+            curveTypeSelect.value = this.selectedPoint.curveType || 'Linear';
+        }
+    }
+
+    // Playback controls
+    setPreviewTarget(target) {
+        if (this.isPlaying) {
+            this.stop();
+        }
+        this.previewTarget = target === 'device' ? 'device' : 'local';
+    }
+
+    play() {
+        if (this.isPlaying) return;
 
-            visibleLayers.forEach(layer => {
-                const layerTime = time - layer.startTime;
-                if (layerTime < 0 || layerTime > layer.duration) return;
+        // Resume from a paused position, otherwise start from the top
+        if (this.currentTime >= this.duration) {
+            this.currentTime = 0;
+        }
+        this.playbackOffset = this.currentTime;
+        this.isPlaying = true;
+        this.container.querySelector('#playBtn').style.display = 'none';
+        this.container.querySelector('#pauseBtn').style.display = 'inline-block';
+
+        this.playbackClockStart = this.getPlaybackClock();
+        if (this.previewTarget === 'device') {
+            this.playOnDevice();
+        } else {
+            this.startAudioPreview();
+        }
+
+        this.playbackFrame = requestAnimationFrame(() => this.tickPlayback());
+    }
+
+    pause() {
+        if (this.isPlaying) {
+            this.currentTime = this.getPlaybackPosition();
+        }
+        this.isPlaying = false;
+        this.stopPlaybackClock();
+        this.stopAudioSource();
+        this.container.querySelector('#playBtn').style.display = 'inline-block';
+        this.container.querySelector('#pauseBtn').style.display = 'none';
+        this.render();
+    }
+
+    stop() {
+        this.isPlaying = false;
+        this.currentTime = 0;
+        this.stopPlaybackClock();
+        this.stopAudioSource();
+        this.stopChainPreview();
+        this.container.querySelector('#playBtn').style.display = 'inline-block';
+        this.container.querySelector('#pauseBtn').style.display = 'none';
+
+        const timeDisplay = this.container.querySelector('.time-display');
+        timeDisplay.textContent = `0.0s / ${(this.duration / 1000).toFixed(1)}s`;
+
+        this.render();
+    }
+
+    // The cursor follows the audio clock while previewing locally so picture and sound stay in step
+    getPlaybackClock() {
+        if (this.audioSource && this.audioContext) {
+            return this.audioContext.currentTime * 1000;
+        }
+        return performance.now();
+    }
+
+    getPlaybackPosition() {
+        return this.playbackOffset + Math.max(0, this.getPlaybackClock() - this.playbackClockStart);
+    }
+
+    tickPlayback() {
+        if (!this.isPlaying) return;
+
+        this.currentTime = this.getPlaybackPosition();
+        if (this.currentTime >= this.duration) {
+            this.stop();
+            return;
+        }
+
+        const timeDisplay = this.container.querySelector('.time-display');
+        timeDisplay.textContent = `${(this.currentTime / 1000).toFixed(1)}s / ${(this.duration / 1000).toFixed(1)}s`;
+
+        this.render();
+        this.playbackFrame = requestAnimationFrame(() => this.tickPlayback());
+    }
+
+    stopPlaybackClock() {
+        if (this.playbackFrame) {
+            cancelAnimationFrame(this.playbackFrame);
+            this.playbackFrame = null;
+        }
+    }
+
+    startAudioPreview() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            console.warn('Timeline Editor: Web Audio is not supported, playing cursor only');
+            return;
+        }
+
+        try {
+            if (!this.audioContext) {
+                this.audioContext = new AudioContextClass();
+            }
+            if (this.audioContext.state === 'suspended') {
+                this.audioContext.resume();
+            }
+
+            const sampleRate = this.audioContext.sampleRate;
+            const samples = this.synthesizePreview(sampleRate);
+            const buffer = this.audioContext.createBuffer(1, samples.length, sampleRate);
+            buffer.copyToChannel(samples, 0);
+
+            const source = this.audioContext.createBufferSource();
+            source.buffer = buffer;
+            source.connect(this.audioContext.destination);
+
+            // Schedule slightly ahead and pin the cursor clock to the same instant
+            const startAt = this.audioContext.currentTime + 0.05;
+            source.start(startAt, this.playbackOffset / 1000);
+            this.audioSource = source;
+            this.playbackClockStart = startAt * 1000;
+        } catch (error) {
+            console.error('Timeline Editor: Failed to start audio preview:', error);
+            this.callbacks.onPlaybackError(`Audio preview failed: ${error.message}`);
+            this.audioSource = null;
+        }
+    }
 
-                const phase = (layerTime / 1000) * layer.frequency * 2 * Math.PI + (layer.phase * Math.PI / 180);
-                let waveValue = 0;
+    stopAudioSource() {
+        if (!this.audioSource) return;
 
-                switch (layer.waveform) {
-                    case 'Sine':
-                        waveValue = Math.sin(phase);
-                        break;
-                    case 'Square':
-                        waveValue = Math.sin(phase) > 0 ? 1 : -1;
-                        break;
-                    case 'Triangle':
-                        waveValue = (2 / Math.PI) * Math.asin(Math.sin(phase));
-                        break;
-                    case 'Sawtooth':
-                        waveValue = (2 / Math.PI) * Math.atan(Math.tan(phase / 2));
-                        break;
-                    case 'Noise':
-                        waveValue = Math.random() * 2 - 1;
-                        break;
-                }
+        try {
+            this.audioSource.stop();
+        } catch (error) {
+            // Already stopped
+        }
+        this.audioSource.disconnect();
+        this.audioSource = null;
+    }
 
-                let envelope = 1;
-                if (layer.fadeIn > 0 && layerTime < layer.fadeIn) {
-                    envelope = layerTime / layer.fadeIn;
-                } else if (layer.fadeOut > 0 && layerTime > layer.duration - layer.fadeOut) {
-                    envelope = (layer.duration - layerTime) / layer.fadeOut;
-                }
+    async playOnDevice() {
+        try {
+            const request = this.getTestRequest();
+            if (request.layers.length === 0) {
+                throw new Error('Every layer is muted or hidden');
+            }
 
-                const layerIntensity = (layer.amplitude / 100) * envelope * ((waveValue + 1) / 2) * 100;
-                totalIntensity += layerIntensity;
-                activeLayerCount++;
+            const response = await fetch('/api/PatternEditor/test', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(request)
             });
 
-            const compositeIntensity = activeLayerCount > 0 ? Math.min(100, totalIntensity / activeLayerCount) : 0;
-            const y = this.intensityToY(compositeIntensity);
-
-            if (i === 0) {
-                this.ctx.moveTo(x, y);
-            } else {
-                this.ctx.lineTo(x, y);
+            if (!response.ok) {
+                const text = await response.text();
+                throw new Error(`[${response.status}] ${text || 'Request failed'}`);
             }
+        } catch (error) {
+            console.error('Timeline Editor: Failed to play pattern on device:', error);
+            this.callbacks.onPlaybackError(`Device playback failed: ${error.message}`);
+            this.stop();
         }
+    }
 
-        this.ctx.stroke();
+    // Render the audible layers to mono samples in the range -1..1
+    synthesizePreview(sampleRate) {
+        const layerIndexes = this.getAudibleLayerIndexes();
+        if (layerIndexes.length === 0) {
+            return new Float32Array(Math.max(1, Math.floor((this.duration / 1000) * sampleRate)));
+        }
+        return PatternSynth.synthesize(this.getHapticPattern(), { sampleRate, layers: layerIndexes }).samples;
     }
 
-    drawIntensityCurve() {
-        if (this.controlPoints.length < 2) return;
+    // Pattern chaining (ChainedPatterns / ChainGaps), laid out the way PatternSequencer plays them
 
-        this.ctx.strokeStyle = this.colors.accent;
-        this.ctx.lineWidth = 3;
-        this.ctx.beginPath();
+    // Without ChainGaps the first chained pattern follows straight on and later ones are 100 ms apart
+    static defaultChainGap(index) {
+        return index === 0 ? 0 : 100;
+    }
 
-        const samples = this.logicalWidth - 60;
-        for (let i = 0; i < samples; i++) {
-            const x = 30 + i;
-            const time = this.xToTime(x);
-            const intensity = this.interpolateIntensity(time);
-            const y = this.intensityToY(intensity);
+    // Patterns the chain can refer to by name; the host supplies them (event mappings, the pack's other events)
+    setChainSources(sources) {
+        this.chainSources = sources || {};
+        this.updateChainLane();
+        this.render();
+    }
 
-            if (i === 0) {
-                this.ctx.moveTo(x, y);
-            } else {
-                this.ctx.lineTo(x, y);
+    getChainItemName(item) {
+        return typeof item.ref === 'string' ? item.ref : (item.ref?.Name || item.ref?.name || 'Inline pattern');
+    }
+
+    resolveChainItem(item) {
+        return typeof item.ref === 'string' ? this.chainSources[item.ref] || null : item.ref;
+    }
+
+    // Start and end of every part on one timeline. Missing patterns are skipped like the sequencer does.
+    getChainTimeline() {
+        const parts = [{ name: this.loadedPattern?.Name || 'This pattern', root: true, start: 0, end: this.duration }];
+        let previousEnd = this.duration;
+
+        this.chain.forEach((item, index) => {
+            const pattern = this.resolveChainItem(item);
+            const name = this.getChainItemName(item);
+            if (!pattern) {
+                parts.push({ name, index, missing: true, start: previousEnd, end: previousEnd });
+                return;
             }
-        }
 
-        this.ctx.stroke();
+            const start = Math.max(0, previousEnd + item.gap);
+            const duration = Math.max(1, pattern.Duration ?? pattern.duration ?? 1000);
+            parts.push({ name, index, pattern, start, end: start + duration });
+            previousEnd = start + duration;
+        });
+
+        return { parts, total: Math.max(...parts.map(part => part.end)) };
     }
 
-    drawControlPoints() {
-        this.controlPoints.forEach(point => {
-            const x = this.timeToX(point.time);
-            const y = this.intensityToY(point.intensity);
+    getChainSynthesis(pattern, sampleRate) {
+        const key = `${sampleRate}:${JSON.stringify(pattern)}`;
+        if (!this.chainSynthCache.has(key)) {
+            if (this.chainSynthCache.size > 20) this.chainSynthCache.clear();
+            this.chainSynthCache.set(key, PatternSynth.synthesize(pattern, { sampleRate }));
+        }
+        return this.chainSynthCache.get(key);
+    }
 
-            this.ctx.fillStyle = this.colors.primary;
-            this.ctx.strokeStyle = '#fff';
-            this.ctx.lineWidth = 2;
+    // Synthesis of one part; the pattern being edited plays its audible layers only
+    getPartSynthesis(part, sampleRate) {
+        return part.root
+            ? this.getSynthesis(this.getAudibleLayerIndexes(), sampleRate)
+            : this.getChainSynthesis(part.pattern, sampleRate);
+    }
 
-            this.ctx.beginPath();
-            this.ctx.arc(x, y, 6, 0, Math.PI * 2);
-            this.ctx.fill();
-            this.ctx.stroke();
+    handleChainAction(action, index) {
+        switch (action) {
+            case 'up':
+                this.moveChainedPattern(index, index - 1);
+                break;
+            case 'down':
+                this.moveChainedPattern(index, index + 1);
+                break;
+            case 'remove':
+                this.changeChain('Remove chained pattern', () => this.chain.splice(index, 1));
+                break;
+        }
+    }
 
-            if (point === this.selectedPoint) {
-                // Draw high-contrast focus ring for keyboard navigation
-                this.ctx.strokeStyle = this.colors.accent;
-                this.ctx.lineWidth = 2;
-                this.ctx.beginPath();
-                this.ctx.arc(x, y, 10, 0, Math.PI * 2);
-                this.ctx.stroke();
+    addChainedPattern(name) {
+        this.changeChain('Chain pattern', () => {
+            this.chain.push({ ref: name, gap: TimelineEditor.defaultChainGap(this.chain.length) });
+        });
+    }
 
-                // Draw inner selection ring
-                this.ctx.strokeStyle = this.colors.accent;
-                this.ctx.lineWidth = 3;
-                this.ctx.beginPath();
-                this.ctx.arc(x, y, 9, 0, Math.PI * 2);
-                this.ctx.stroke();
-            }
+    moveChainedPattern(from, to) {
+        if (to < 0 || to >= this.chain.length) return;
+        this.changeChain('Reorder chain', () => {
+            const [item] = this.chain.splice(from, 1);
+            this.chain.splice(to, 0, item);
         });
     }
 
-    drawPlaybackCursor() {
-        if (!this.isPlaying) return;
+    setChainGap(index, gap) {
+        if (!this.chain[index] || isNaN(gap)) return;
+        this.changeChain('Change chain gap', () => {
+            this.chain[index].gap = Math.max(-30000, Math.min(30000, gap));
+        });
+    }
 
-        const x = this.timeToX(this.currentTime);
-        this.ctx.strokeStyle = this.colors.timelineCursor;
-        this.ctx.lineWidth = 2;
+    changeChain(label, mutate) {
+        this.stopChainPreview();
+        this.recordChange(label, mutate);
+        this.updateChainLane();
+        this.render();
+        this.callbacks.onPatternChanged();
+    }
 
-        this.ctx.beginPath();
-        this.ctx.moveTo(x, 0);
-        this.ctx.lineTo(x, this.canvas.height);
-        this.ctx.stroke();
+    escape(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
     }
 
-    drawLabels() {
-        this.ctx.fillStyle = '#fff';
-        this.ctx.font = '12px Arial';
-        this.ctx.textAlign = 'center';
+    updateChainLane() {
+        const list = this.safeQuery('#chainList');
+        const addSelect = this.safeQuery('#chainAddSelect');
+        if (!list || !addSelect) return;
 
-        // Time labels
-        for (let time = 0; time <= this.duration; time += this.gridTimeStep * 2) {
-            const x = this.timeToX(time);
-            const label = (time / 1000).toFixed(1) + 's';
-            this.ctx.fillText(label, x, this.logicalHeight - 5);
-        }
+        const ownName = this.loadedPattern?.Name;
+        const names = Object.keys(this.chainSources).filter(name => name !== ownName).sort();
+        addSelect.innerHTML = `
+            <option value="">${names.length > 0 ? '+ Chain pattern...' : 'No patterns to chain'}</option>
+            ${names.map(name => `<option value="${this.escape(name)}">${this.escape(name)}</option>`).join('')}
+        `;
+        addSelect.disabled = names.length === 0;
+
+        const { parts, total } = this.getChainTimeline();
+        list.innerHTML = parts.filter(part => !part.root).map(part => `
+            <div class="chain-item ${part.missing ? 'missing' : ''}" role="listitem">
+                <span class="chain-index">${part.index + 1}</span>
+                <span class="chain-name" title="${part.missing ? 'Not found; the sequencer skips it' : `${Math.round(part.start)}–${Math.round(part.end)} ms`}">
+                    ${this.escape(part.name)}${part.missing ? ' (not found)' : ''}
+                </span>
+                <label class="chain-gap">Gap
+                    <input type="number" step="50" min="-30000" max="30000" value="${this.chain[part.index].gap}"
+                           data-chain-gap="${part.index}" aria-label="Milliseconds after the previous pattern, negative to overlap">
+                    ms
+                </label>
+                <button class="control-btn" data-chain-action="up" data-index="${part.index}" aria-label="Move earlier" ${part.index === 0 ? 'disabled' : ''}>▲</button>
+                <button class="control-btn" data-chain-action="down" data-index="${part.index}" aria-label="Move later" ${part.index === this.chain.length - 1 ? 'disabled' : ''}>▼</button>
+                <button class="control-btn danger" data-chain-action="remove" data-index="${part.index}" aria-label="Remove from chain">✕</button>
+            </div>
+        `).join('');
 
-        // Intensity labels
-        this.ctx.textAlign = 'right';
-        for (let intensity = 0; intensity <= 100; intensity += this.gridIntensityStep * 2) {
-            const y = this.intensityToY(intensity);
-            this.ctx.fillText(intensity + '%', 25, y + 4);
+        const totalLabel = this.safeQuery('.chain-total');
+        if (totalLabel) {
+            totalLabel.textContent = this.chain.length > 0
+                ? `${this.chain.length} chained · ${(total / 1000).toFixed(2)}s total`
+                : 'Nothing chained';
         }
+        const previewBtn = this.safeQuery('#chainPreviewBtn');
+        if (previewBtn) previewBtn.disabled = this.chain.length === 0 && !this.chainPlayback;
     }
 
-    interpolateIntensity(time) {
-        if (this.controlPoints.length === 0) return 50;
-        if (this.controlPoints.length === 1) return this.controlPoints[0].intensity;
-
-        // Find surrounding points
-        let leftPoint = this.controlPoints[0];
-        let rightPoint = this.controlPoints[this.controlPoints.length - 1];
+    // Every part as a block with its envelope; overlapping parts alternate rows so both stay visible
+    drawSequence() {
+        const canvas = this.safeQuery('#sequenceCanvas');
+        if (!canvas) return;
 
-        for (let i = 0; i < this.controlPoints.length - 1; i++) {
-            if (time >= this.controlPoints[i].time && time <= this.controlPoints[i + 1].time) {
-                leftPoint = this.controlPoints[i];
-                rightPoint = this.controlPoints[i + 1];
-                break;
-            }
+        const width = canvas.clientWidth || this.logicalWidth || 800;
+        const height = canvas.clientHeight || 70;
+        const dpr = window.devicePixelRatio || 1;
+        if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+            canvas.width = Math.round(width * dpr);
+            canvas.height = Math.round(height * dpr);
         }
 
-        if (time <= leftPoint.time) return leftPoint.intensity;
-        if (time >= rightPoint.time) return rightPoint.intensity;
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, width, height);
 
-        // Interpolate based on curve type
-        const t = (time - leftPoint.time) / (rightPoint.time - leftPoint.time);
-        const curveType = leftPoint.curveType || 'Linear';
+        const { parts, total } = this.getChainTimeline();
+        const scale = width / Math.max(1, total);
+        const rowHeight = (height - 4) / 2;
 
-        let easedT = t;
-        switch (curveType) {
-            case 'Exponential':
-                easedT = Math.pow(t, 2);
-                break;
-            case 'Logarithmic':
-                easedT = Math.sqrt(t);
-                break;
-            case 'Sine':
-                easedT = 0.5 * (1 - Math.cos(t * Math.PI));
-                break;
-            case 'Bounce':
-                easedT = this.bounceEase(t);
-                break;
-        }
+        parts.filter(part => !part.missing).forEach((part, order) => {
+            const x = part.start * scale;
+            const w = Math.max(2, (part.end - part.start) * scale);
+            const y = 2 + (order % 2) * rowHeight;
+            const color = part.root ? this.colors.primary : this.colors.accent;
+
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.05)';
+            ctx.fillRect(x, y, w, rowHeight - 2);
+
+            const result = this.getPartSynthesis(part, 1000);
+            ctx.fillStyle = color;
+            ctx.globalAlpha = 0.6;
+            ctx.beginPath();
+            ctx.moveTo(x, y + rowHeight - 2);
+            for (let px = 0; px <= w; px++) {
+                const t = px / scale;
+                const peak = PatternSynth.peakBetween(result, t, t + 1 / scale);
+                ctx.lineTo(x + px, y + rowHeight - 2 - peak * (rowHeight - 4));
+            }
+            ctx.lineTo(x + w, y + rowHeight - 2);
+            ctx.fill();
+            ctx.globalAlpha = 1;
+
+            ctx.strokeStyle = color;
+            ctx.strokeRect(x + 0.5, y + 0.5, w - 1, rowHeight - 3);
+            ctx.fillStyle = '#ffffff';
+            ctx.font = '11px sans-serif';
+            ctx.fillText(part.name, x + 4, y + 12, Math.max(0, w - 8));
+        });
 
-        return leftPoint.intensity + (rightPoint.intensity - leftPoint.intensity) * easedT;
+        if (this.chainPlayback) {
+            const position = this.getChainPlaybackPosition();
+            ctx.strokeStyle = this.colors.timelineCursor;
+            ctx.beginPath();
+            ctx.moveTo(position * scale + 0.5, 0);
+            ctx.lineTo(position * scale + 0.5, height);
+            ctx.stroke();
+        }
     }
 
-    bounceEase(t) {
-        if (t < 1 / 2.75) {
-            return 7.5625 * t * t;
-        } else if (t < 2 / 2.75) {
-            return 7.5625 * (t -= 1.5 / 2.75) * t + 0.75;
-        } else if (t < 2.5 / 2.75) {
-            return 7.5625 * (t -= 2.25 / 2.75) * t + 0.9375;
+    toggleChainPreview() {
+        if (this.chainPlayback) {
+            this.stopChainPreview();
         } else {
-            return 7.5625 * (t -= 2.625 / 2.75) * t + 0.984375;
+            this.playChainPreview();
         }
     }
 
-    updateCurveType(curveType) {
-        // Set global curve type for pattern instead of per-point
-        this.globalCurveType = curveType;
-        this.render();
-        this.callbacks.onPatternChanged();
+    // The whole chain as one continuous timeline: mixed locally, or sent part by part to the device
+    playChainPreview() {
+        if (this.isPlaying) this.stop();
+
+        const { parts, total } = this.getChainTimeline();
+        const playable = parts.filter(part => !part.missing);
+        this.chainPlayback = { timers: [], total, clockStart: performance.now() };
+
+        if (this.previewTarget === 'device') {
+            playable.forEach(part => {
+                const request = part.root ? this.getTestRequest() : { pattern: part.pattern };
+                this.chainPlayback.timers.push(setTimeout(() => this.sendChainPart(request), part.start));
+            });
+        } else {
+            this.startChainAudio(playable, total);
+        }
+
+        const previewBtn = this.safeQuery('#chainPreviewBtn');
+        if (previewBtn) previewBtn.textContent = '⏹️ Stop Chain';
+        this.tickChainPreview();
     }
 
-    // Playback controls
-    play() {
-        this.isPlaying = true;
-        this.currentTime = 0;
-        this.container.querySelector('#playBtn').style.display = 'none';
-        this.container.querySelector('#pauseBtn').style.display = 'inline-block';
+    startChainAudio(parts, total) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
 
-        this.playbackInterval = setInterval(() => {
-            this.currentTime += 50;
-            if (this.currentTime >= this.duration) {
-                this.stop();
-                return;
+        try {
+            if (!this.audioContext) {
+                this.audioContext = new AudioContextClass();
+            }
+            if (this.audioContext.state === 'suspended') {
+                this.audioContext.resume();
             }
 
-            const timeDisplay = this.container.querySelector('.time-display');
-            timeDisplay.textContent = `${(this.currentTime / 1000).toFixed(1)}s / ${(this.duration / 1000).toFixed(1)}s`;
+            const sampleRate = this.audioContext.sampleRate;
+            const mix = new Float32Array(Math.max(1, Math.ceil((total / 1000) * sampleRate)));
+            parts.forEach(part => {
+                const samples = this.getPartSynthesis(part, sampleRate).samples;
+                const offset = Math.round((part.start / 1000) * sampleRate);
+                for (let i = 0; i < samples.length && offset + i < mix.length; i++) {
+                    mix[offset + i] = Math.max(-1, Math.min(1, mix[offset + i] + samples[i]));
+                }
+            });
 
-            this.render();
-        }, 50);
+            const buffer = this.audioContext.createBuffer(1, mix.length, sampleRate);
+            buffer.copyToChannel(mix, 0);
+            const source = this.audioContext.createBufferSource();
+            source.buffer = buffer;
+            source.connect(this.audioContext.destination);
+
+            const startAt = this.audioContext.currentTime + 0.05;
+            source.start(startAt);
+            this.chainPlayback.audioSource = source;
+            this.chainPlayback.audioStart = startAt * 1000;
+        } catch (error) {
+            console.error('Timeline Editor: Failed to start chain preview:', error);
+            this.callbacks.onPlaybackError(`Chain preview failed: ${error.message}`);
+        }
     }
 
-    pause() {
-        this.isPlaying = false;
-        if (this.playbackInterval) {
-            clearInterval(this.playbackInterval);
+    async sendChainPart(request) {
+        try {
+            const response = await fetch('/api/PatternEditor/test', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(request)
+            });
+            if (!response.ok) {
+                const text = await response.text();
+                throw new Error(`[${response.status}] ${text || 'Request failed'}`);
+            }
+        } catch (error) {
+            console.error('Timeline Editor: Failed to play chained pattern on device:', error);
+            this.callbacks.onPlaybackError(`Device playback failed: ${error.message}`);
+            this.stopChainPreview();
         }
-        this.container.querySelector('#playBtn').style.display = 'inline-block';
-        this.container.querySelector('#pauseBtn').style.display = 'none';
     }
 
-    stop() {
-        this.isPlaying = false;
-        this.currentTime = 0;
-        if (this.playbackInterval) {
-            clearInterval(this.playbackInterval);
+    getChainPlaybackPosition() {
+        const playback = this.chainPlayback;
+        if (playback.audioSource && this.audioContext) {
+            return Math.max(0, this.audioContext.currentTime * 1000 - playback.audioStart);
         }
-        this.container.querySelector('#playBtn').style.display = 'inline-block';
-        this.container.querySelector('#pauseBtn').style.display = 'none';
+        return performance.now() - playback.clockStart;
+    }
 
-        const timeDisplay = this.container.querySelector('.time-display');
-        timeDisplay.textContent = `0.0s / ${(this.duration / 1000).toFixed(1)}s`;
+    tickChainPreview() {
+        if (!this.chainPlayback) return;
 
-        this.render();
+        if (this.getChainPlaybackPosition() >= this.chainPlayback.total) {
+            this.stopChainPreview();
+            return;
+        }
+        this.drawSequence();
+        this.chainPlayback.frame = requestAnimationFrame(() => this.tickChainPreview());
+    }
+
+    stopChainPreview() {
+        const playback = this.chainPlayback;
+        if (!playback) return;
+
+        this.chainPlayback = null;
+        playback.timers.forEach(timer => clearTimeout(timer));
+        if (playback.frame) cancelAnimationFrame(playback.frame);
+        if (playback.audioSource) {
+            try {
+                playback.audioSource.stop();
+            } catch (error) {
+                // Already stopped
+            }
+            playback.audioSource.disconnect();
+        }
+
+        const previewBtn = this.safeQuery('#chainPreviewBtn');
+        if (previewBtn) {
+            previewBtn.textContent = '▶️ Preview Chain';
+            previewBtn.disabled = this.chain.length === 0;
+        }
+        this.drawSequence();
     }
 
     // Zoom controls
@@ -1651,14 +3071,22 @@ class TimelineEditor {
 
     // Pattern data methods
     getHapticPattern() {
+        // A loaded layered pattern keeps its base values; anything else had them baked into the layers on load
+        const loaded = this.loadedPattern || {};
+        const layered = ['MultiLayer', 'Sequence'].includes(loaded.Pattern) && loaded.Layers?.length > 0;
+
         const pattern = {
-            Name: "Timeline Pattern", // Proper HapticPattern.Name casing
+            // Fields the timeline doesn't edit (voice, chaining, damage scaling...) pass through from the loaded pattern
+            ...loaded,
+            Name: loaded.Name || "Timeline Pattern", // Proper HapticPattern.Name casing
+            Pattern: layered ? loaded.Pattern : "MultiLayer", // Layers are only mixed by the server for MultiLayer/Sequence patterns
             Duration: this.duration,
-            Frequency: 40, // Default base frequency
-            Intensity: 100, // Default base intensity
-            FadeIn: 0,
-            FadeOut: 0,
+            Frequency: layered ? loaded.Frequency ?? 40 : 40, // Default base frequency
+            Intensity: layered ? loaded.Intensity ?? 100 : 100, // Default base intensity
+            FadeIn: layered ? loaded.FadeIn ?? 0 : 0,
+            FadeOut: layered ? loaded.FadeOut ?? 0 : 0,
             IntensityCurve: this.controlPoints.length > 0 ? this.globalCurveType : "Linear",
+            ChainedPatterns: this.chain.map(item => item.ref),
             Layers: this.layers.map(layer => ({
                 Waveform: layer.waveform,
                 Frequency: layer.frequency,
@@ -1670,23 +3098,45 @@ class TimelineEditor {
                 FadeOut: layer.fadeOut,
                 Curve: layer.curve || "Linear"
             })),
-            CustomCurvePoints: [...this.controlPoints].sort((a, b) => a.time - b.time).map(point => ({
-                Time: point.time / this.duration,
-                Intensity: point.intensity / 100
-            }))
+            CustomCurvePoints: [...this.controlPoints].sort((a, b) => a.time - b.time).map(point => {
+                const curvePoint = {
+                    Time: point.time / this.duration,
+                    Intensity: point.intensity / 100,
+                    Curve: point.curveType || 'Linear'
+                };
+                if (point.curveType === 'Bezier') {
+                    curvePoint.Handles = this.toSynthHandles(point.handles || this.getDefaultHandles(), 1 / 100);
+                }
+                return curvePoint;
+            })
         };
 
+        // Gaps are only written once they differ from what the sequencer does without them
+        const chainGaps = this.chain.map(item => item.gap);
+        if (loaded.ChainGaps || chainGaps.some((gap, index) => gap !== TimelineEditor.defaultChainGap(index))) {
+            pattern.ChainGaps = chainGaps;
+        }
+
         return pattern;
     }
 
     setHapticPattern(pattern) {
+        this.loadedPattern = pattern;
+
         // Clear existing data
         this.layers = [];
         this.controlPoints = [];
+        this.selectedPoints = new Set();
+        this.selectedPoint = null;
+        this.selectedPointIndex = -1;
 
         // Set basic properties
         this.duration = pattern.Duration || 3000;
         this.globalCurveType = pattern.IntensityCurve || 'Linear';
+        this.chain = (pattern.ChainedPatterns || []).map((ref, index) => ({
+            ref,
+            gap: pattern.ChainGaps?.[index] ?? TimelineEditor.defaultChainGap(index)
+        }));
 
         // Load layers
         if (pattern.Layers && pattern.Layers.length > 0) {
@@ -1695,15 +3145,17 @@ class TimelineEditor {
                     id: Date.now() + index,
                     waveform: layerData.Waveform || 'Sine',
                     frequency: layerData.Frequency || 40,
-                    amplitude: (layerData.Amplitude || 1) * 100,
+                    amplitude: (layerData.Amplitude ?? 1) * 100,
                     phase: layerData.PhaseOffset || 0,
                     startTime: layerData.StartTime || 0,
                     duration: layerData.Duration || this.duration,
                     fadeIn: layerData.FadeIn || 0,
                     fadeOut: layerData.FadeOut || 0,
+                    curve: layerData.Curve || 'Linear',
                     color: this.layerColors[index % this.layerColors.length],
                     visible: true,
-                    muted: false
+                    muted: false,
+                    soloed: false
                 };
                 this.layers.push(layer);
             });
@@ -1724,7 +3176,13 @@ class TimelineEditor {
                 .map(point => ({
                     time: point.Time * this.duration,
                     intensity: point.Intensity * 100,
-                    curveType: 'Linear'
+                    curveType: point.Curve || 'Linear',
+                    handles: point.Handles ? {
+                        x1: point.Handles.X1,
+                        y1: point.Handles.Y1 * 100,
+                        x2: point.Handles.X2,
+                        y2: point.Handles.Y2 * 100
+                    } : undefined
                 }));
         } else {
             // Create default curve points
@@ -1752,7 +3210,138 @@ class TimelineEditor {
             timeDisplay.textContent = `${(this.currentTime / 1000).toFixed(1)}s / ${(this.duration / 1000).toFixed(1)}s`;
         }
 
+        // A freshly loaded pattern starts a new history
+        this.history.clear();
+
+        this.updateChainLane();
+        this.render();
+    }
+
+    // Undo/redo history
+    captureState() {
+        return {
+            layers: this.layers.map(layer => ({ ...layer })),
+            controlPoints: this.controlPoints.map(point => this.clonePoint(point)),
+            duration: this.duration,
+            globalCurveType: this.globalCurveType,
+            chain: JSON.parse(JSON.stringify(this.chain)),
+            selectedLayerId: this.selectedLayer ? this.selectedLayer.id : null,
+            selectedPointIndex: this.selectedPointIndex,
+            selectedPointIndexes: this.getSortedPoints()
+                .map((point, index) => this.selectedPoints.has(point) ? index : -1)
+                .filter(index => index >= 0)
+        };
+    }
+
+    clonePoint(point) {
+        return { ...point, handles: point.handles ? { ...point.handles } : point.handles };
+    }
+
+    restoreState(state) {
+        // Copy again so later edits never reach the snapshot held by the history
+        this.layers = state.layers.map(layer => ({ ...layer }));
+        this.controlPoints = state.controlPoints.map(point => this.clonePoint(point));
+        this.duration = state.duration;
+        this.globalCurveType = state.globalCurveType;
+        this.chain = JSON.parse(JSON.stringify(state.chain));
+        this.selectedLayer = this.layers.find(l => l.id === state.selectedLayerId) || null;
+        this.selectedPoint = null;
+        this.selectedPointIndex = -1;
+        this.selectedPoints = new Set();
+        if (state.selectedPointIndex >= 0) {
+            this.selectControlPointByIndex(state.selectedPointIndex);
+        }
+        if (state.selectedPointIndexes.length > 1) {
+            const sortedPoints = this.getSortedPoints();
+            this.setSelection(state.selectedPointIndexes.map(index => sortedPoints[index]).filter(Boolean), this.selectedPoint);
+        }
+
+        const durationInput = this.safeQuery('#durationInput');
+        if (durationInput) durationInput.value = this.duration;
+        this.syncCurveSelect();
+        const startTimeSlider = this.safeQuery('#startTimeSlider');
+        if (startTimeSlider) startTimeSlider.max = this.duration;
+        const layerDurationSlider = this.safeQuery('#layerDurationSlider');
+        if (layerDurationSlider) layerDurationSlider.max = this.duration;
+        const timeDisplay = this.safeQuery('.time-display');
+        if (timeDisplay) {
+            timeDisplay.textContent = `${(this.currentTime / 1000).toFixed(1)}s / ${(this.duration / 1000).toFixed(1)}s`;
+        }
+
+        this.updateLayerList();
+        this.updateLayerControls();
+        this.updateChainLane();
         this.render();
+        this.callbacks.onPatternChanged();
+    }
+
+    isSameState(a, b) {
+        return JSON.stringify([a.layers, a.controlPoints, a.duration, a.globalCurveType, a.chain]) ===
+            JSON.stringify([b.layers, b.controlPoints, b.duration, b.globalCurveType, b.chain]);
+    }
+
+    // Run a mutation and record it as one undoable command
+    recordChange(label, mutate, mergeKey = null) {
+        // Inside a drag the surrounding begin/commit pair owns the history entry
+        if (this.pendingChange) {
+            mutate();
+            return;
+        }
+
+        const before = this.captureState();
+        mutate();
+        this.pushHistory(label, before, mergeKey);
+    }
+
+    beginChange(label) {
+        if (this.pendingChange) return;
+        this.pendingChange = { label, before: this.captureState() };
+    }
+
+    commitChange() {
+        const pending = this.pendingChange;
+        if (!pending) return;
+
+        this.pendingChange = null;
+        this.pushHistory(pending.label, pending.before);
+    }
+
+    pushHistory(label, before, mergeKey = null) {
+        const after = this.captureState();
+        if (this.isSameState(before, after)) return;
+
+        this.history.push({
+            label,
+            mergeKey,
+            undo: () => this.restoreState(before),
+            redo: () => this.restoreState(after)
+        });
+    }
+
+    undo() {
+        this.commitChange();
+        this.history.undo();
+    }
+
+    redo() {
+        this.commitChange();
+        this.history.redo();
+    }
+
+    updateHistoryButtons() {
+        const undoBtn = this.safeQuery('#undoBtn');
+        const redoBtn = this.safeQuery('#redoBtn');
+        const nextUndo = this.history.peekUndo();
+        const nextRedo = this.history.peekRedo();
+
+        if (undoBtn) {
+            undoBtn.disabled = !nextUndo;
+            undoBtn.title = nextUndo ? `Undo ${nextUndo.label} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+        }
+        if (redoBtn) {
+            redoBtn.disabled = !nextRedo;
+            redoBtn.title = nextRedo ? `Redo ${nextRedo.label} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+        }
     }
 
     // Event callback registration
@@ -1763,5 +3352,8 @@ class TimelineEditor {
     }
 }
 
+// Copied control points, shared across editor instances
+TimelineEditor.clipboard = null;
+
 // Export for use in other modules
 window.TimelineEditor = TimelineEditor;
\ No newline at end of file
@@ -0,0 +1,119 @@
+// Checks that wwwroot/js/pattern-synth.js renders MultiLayer patterns the way the device plays them.
+// Expected samples were read from MultiLayerPatternGenerator.Read at 2000 Hz for the same patterns.
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PatternSynth = require('../src/EDButtkicker/wwwroot/js/pattern-synth.js');
+
+// Float32 on both sides; the C# generator accumulates in float, so allow for rounding
+const TOLERANCE = 1e-5;
+
+// A 10 Hz square wave is +1 for the first 50 ms of each 100 ms, so each sample is the envelope itself
+function squareLayer(curve, extra = {}) {
+    return { Waveform: 'Square', Frequency: 10, Amplitude: 1, PhaseOffset: 0, Curve: curve, ...extra };
+}
+
+function multiLayer(intensity, maxIntensity, layers) {
+    return { Name: 'Test', Pattern: 'MultiLayer', Duration: 1000, Intensity: intensity, MaxIntensity: maxIntensity, Layers: layers };
+}
+
+function assertSamples(pattern, expected, options = {}) {
+    const result = PatternSynth.synthesize(pattern, { sampleRate: 2000, ...options });
+    assert.equal(result.samples.length, 2000);
+
+    for (const [index, value] of Object.entries(expected)) {
+        const actual = result.samples[index];
+        assert.ok(Math.abs(actual - value) <= TOLERANCE, `sample ${index}: expected ${value}, got ${actual}`);
+    }
+    return result;
+}
+
+test('fade in and fade out scale the layer as in MultiLayerPatternGenerator', () => {
+    const result = assertSamples(multiLayer(100, 100, [squareLayer('Linear', { FadeIn: 200, FadeOut: 300 })]), {
+        0: 0,
+        40: 0.002, // 20 ms: 2% along the curve, 10% through the fade in
+        220: 0.0605,
+        460: 0.23,
+        1020: 0.51,
+        1440: 0.672,
+        1720: -0.40133333, // 860 ms: inside the fade out
+        1960: -0.06533334
+    });
+
+    assert.ok(Math.abs(PatternSynth.peakBetween(result, 0, 1000) - 0.7) <= TOLERANCE);
+});
+
+test('intensity curves match IntensityCurveProcessor through the generator', () => {
+    const expected = {
+        Exponential: { 40: 3.3941127e-5, 220: 0.0024078698, 460: 0.01522197, 1020: 0.11144913, 1440: 0.26392624, 1720: -0.4115261, 1960: -0.5704486 },
+        Logarithmic: { 40: 0.043129195, 220: 0.17931184, 460: 0.29228303, 1020: 0.44844714, 1440: 0.524341, 1720: -0.56490684, 1960: -0.59526694 },
+        Sine: { 40: 0.037674315, 220: 0.20324275, 460: 0.39678714, 1020: 0.59970397, 1440: 0.46230793, 1720: -0.25546756, 1960: -0.037674278 },
+        Bounce: { 40: 0, 220: 0, 460: 0, 1020: 0.33259532, 1440: 0.65473205, 1720: -0.6373577, 1960: -0.60117656 }
+    };
+
+    for (const [curve, samples] of Object.entries(expected)) {
+        assertSamples(multiLayer(60, 100, [squareLayer(curve)]), samples);
+    }
+});
+
+test('the mix is clipped to MaxIntensity', () => {
+    const layers = [squareLayer('Sine'), squareLayer('Sine')];
+    const result = assertSamples(multiLayer(100, 70, layers), {
+        40: 0.12558104,
+        220: 0.6774758,
+        460: 0.7,
+        1020: 0.7,
+        1440: 0.7,
+        1720: -0.7,
+        1960: -0.12558092
+    });
+
+    assert.ok(result.samples.every(sample => Math.abs(sample) <= 0.7 + TOLERANCE));
+
+    // Without the clip the two layers sum past it
+    const unclipped = PatternSynth.synthesize(multiLayer(100, 100, layers), { sampleRate: 2000 });
+    assert.ok(PatternSynth.peakBetween(unclipped, 0, 1000) > 0.7);
+});
+
+test('offset layers start their waveform at the device read block they begin in', () => {
+    // 260 ms and 610 ms fall inside the device's 150 ms reads, 110 ms and 10 ms after a block starts
+    const pattern = multiLayer(100, 100, [
+        { Waveform: 'Sine', Frequency: 25, Amplitude: 1, Curve: 'Sine', StartTime: 260, Duration: 500 },
+        { Waveform: 'Sine', Frequency: 40, Amplitude: 1, PhaseOffset: 90, Curve: 'Linear', StartTime: 610, Duration: 300, FadeIn: 50 }
+    ]);
+
+    // Read 300 samples (150 ms) at a time, as the device does
+    assertSamples(pattern, {
+        560: 0.12533323,
+        640: 0.36812454,
+        1000: -0.9980267,
+        1240: -0.76845306,
+        1330: -0.54577273,
+        1460: 0.1236068
+    });
+
+    // Read in one go, so both generators start at the first sample
+    assertSamples(pattern, {
+        560: 0,
+        640: 0,
+        1000: 0,
+        1240: 0.0020601135,
+        1330: -0.54577273,
+        1460: 0.31098813
+    }, { blockSize: 2000 });
+});
+
+test('layer amplitude is applied by both the generator and the mixer', () => {
+    const pattern = multiLayer(100, 100, [
+        { Waveform: 'Sine', Frequency: 25, Amplitude: 0.5, Curve: 'Sine', StartTime: 260, Duration: 500 },
+        { Waveform: 'Sine', Frequency: 40, Amplitude: 0.5, PhaseOffset: 90, Curve: 'Linear', StartTime: 610, Duration: 300, FadeIn: 50 }
+    ]);
+
+    // A quarter of the full-amplitude samples above
+    assertSamples(pattern, {
+        640: 0.092031136,
+        1000: -0.24950668,
+        1240: -0.19211327,
+        1460: 0.0309017
+    });
+});